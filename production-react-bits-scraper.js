@@ -5,12 +5,45 @@
  * 
  * Advanced, production-ready scraper for extracting complete React Bits component library
  * Features: GitHub API integration, website scraping, anti-bot measures, comprehensive reporting
+ *
+ * The repository is read from GitHub by default. Pass `source: { type: 'local', path, ref }`
+ * (or set REACTBITS_SOURCE=local, REACTBITS_REPO_PATH and REACTBITS_REPO_REF) to read a
+ * local clone instead; it produces the same records without network access.
+ *
+ * Every run writes a snapshot under `<outputDir>/staging/` and only replaces the snapshot
+ * the server reads (`<outputDir>/current.json`) once it is complete and validates; the
+ * previous snapshots are kept for `reactbits-catalog rollback`.
+ *
+ * Runs are incremental: files whose git blob SHA matches the previous run's
+ * extraction-state.json are reused from their saved records instead of being
+ * downloaded and analyzed again. Pass `incremental: false` (or `--full`) to
+ * extract everything.
+ *
+ * The server runs it in a child process (src/scraper-worker.ts): `onProgress` receives
+ * `{ phase, phases, title, completed?, total? }` as the run advances, and `cancel()` stops it.
  */
 
-const https = require('https');
-const fs = require('fs').promises;
-const path = require('path');
-const { URL } = require('url');
+import https from 'https';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { URL, fileURLToPath } from 'url';
+import { analyzeComponentSource } from './dist/component-analyzer.js';
+import { resolveLocalImports } from './dist/import-resolver.js';
+import { loadTaxonomy } from './dist/taxonomy.js';
+import { createRepositorySource, repositorySourceFromConfig } from './dist/repository-source.js';
+import { ReactBitsComponentSource } from './dist/component-source.js';
+import { resolveExtractionDirectory } from './dist/catalog-store.js';
+import { ExtractionSnapshots } from './dist/extraction-snapshots.js';
+import {
+    classifyComponentChange,
+    countChanges,
+    emptyExtractionState,
+    readExtractionState,
+    writeExtractionState
+} from './dist/extraction-state.js';
+
+/** Phases of a run, reported with its progress */
+const EXTRACTION_PHASES = 7;
 
 class ProductionReactBitsScraper {
     constructor(options = {}) {
@@ -24,21 +57,32 @@ class ProductionReactBitsScraper {
             includeUtilities: true,
             extractAllVariants: true,
             generateUsageExamples: true,
+            source: { type: 'github' },
+            // Reuse what the previous run extracted from files whose SHA has not changed
+            incremental: true,
             ...options
         };
 
+        // Website enrichment needs the network; local sources skip it unless asked
+        this.options.scrapeWebsite ??= this.options.source.type !== 'local';
+
         this.baseUrls = {
-            github: 'https://api.github.com/repos/DavidHDev/react-bits',
-            raw: 'https://raw.githubusercontent.com/DavidHDev/react-bits/main',
             website: 'https://reactbits.dev'
         };
 
+        // Where the repository is read from: the GitHub API or a local clone
+        this.source = createRepositorySource(this.options.source, {
+            json: url => this.makeGitHubRequest(url),
+            text: url => this.makeRawRequest(url)
+        });
+
         this.stats = {
             totalFiles: 0,
             extractedFiles: 0,
             failedFiles: 0,
             startTime: Date.now(),
             errors: [],
+            skippedFiles: [],
             componentCategories: new Set(),
             variants: new Set()
         };
@@ -49,6 +93,38 @@ class ProductionReactBitsScraper {
             repositoryStructure: {},
             websiteData: {}
         };
+
+        // Every file path in the mapped repository, for resolving local imports
+        this.repositoryPaths = new Set();
+
+        // Blob SHA of every file in the mapped repository, by path
+        this.fileShas = new Map();
+
+        // What the previous run extracted, and what this run leaves for the next
+        this.previousState = emptyExtractionState();
+        this.nextState = emptyExtractionState();
+        this.changes = { added: [], modified: [], removed: [], unchanged: [] };
+
+        // Snapshots under the output directory: the run writes into a staged one,
+        // and reuses records from the one being served
+        this.snapshots = new ExtractionSnapshots(this.options.outputDir, this.options.retainSnapshots);
+        this.stagingDir = null;
+        this.previousDir = null;
+        this.savedComponents = new Set();
+
+        // Set by cancel(); the run stops at the next phase or component batch
+        this.cancelled = false;
+        this.currentPhase = null;
+
+        // Earliest time the next network request may start
+        this.nextRequestAt = 0;
+
+        // Categories and the rules placing files in them
+        this.taxonomy = loadTaxonomy(this.options.taxonomyPath);
+
+        // Discovery, categorization and metadata of the react-bits layout
+        this.componentSource = new ReactBitsComponentSource(this.source, this.taxonomy);
+        this.discovery = null;
     }
 
     /**
@@ -58,32 +134,48 @@ class ProductionReactBitsScraper {
         console.log('🚀 Starting Production React Bits Extraction');
         console.log(`📂 Output: ${this.options.outputDir}\n`);
 
+        await this.ensureDirectory(this.options.outputDir);
+        this.previousDir = (await resolveExtractionDirectory(this.snapshots.root)).directory;
+        if (this.options.incremental) {
+            this.previousState = await readExtractionState(this.previousDir);
+        }
+        const staged = await this.snapshots.stage();
+        this.stagingDir = staged.path;
+
         try {
-            await this.ensureDirectory(this.options.outputDir);
 
             // Phase 1: Repository structure analysis
-            console.log('📋 PHASE 1: Repository Structure Analysis');
+            this.beginPhase(1, '📋', 'Repository Structure Analysis');
             await this.analyzeRepositoryStructure();
 
             // Phase 2: Component discovery and categorization
-            console.log('\n🔍 PHASE 2: Component Discovery & Categorization');
+            this.beginPhase(2, '🔍', 'Component Discovery & Categorization');
             await this.discoverAndCategorizeComponents();
 
             // Phase 3: Source code extraction
-            console.log('\n📦 PHASE 3: Source Code Extraction');
+            this.beginPhase(3, '📦', 'Source Code Extraction');
             await this.extractSourceCode();
 
             // Phase 4: Website data enrichment
-            console.log('\n🌐 PHASE 4: Website Data Enrichment');
+            this.beginPhase(4, '🌐', 'Website Data Enrichment');
             await this.enrichWithWebsiteData();
 
             // Phase 5: Utility extraction
-            console.log('\n🔧 PHASE 5: Utility Files Extraction');
+            this.beginPhase(5, '🔧', 'Utility Files Extraction');
             await this.extractUtilities();
 
             // Phase 6: Generate comprehensive report
-            console.log('\n📊 PHASE 6: Report Generation');
-            const report = await this.generateComprehensiveReport();
+            this.beginPhase(6, '📊', 'Report Generation');
+            const report = await this.generateComprehensiveReport(staged.id);
+            await writeExtractionState(this.stagingDir, this.nextState);
+
+            // Phase 7: Promote the snapshot the server reads
+            this.beginPhase(7, '📌', 'Snapshot Promotion');
+            const promoted = await this.snapshots.promote(staged);
+            console.log(`✅ Serving snapshot ${promoted.id} (${promoted.components} components)`);
+            if (promoted.pruned.length > 0) {
+                console.log(`   Pruned ${promoted.pruned.length} old snapshots`);
+            }
 
             console.log('\n🎉 Extraction completed successfully!');
             this.printFinalSummary(report);
@@ -92,113 +184,91 @@ class ProductionReactBitsScraper {
 
         } catch (error) {
             console.error('\n💥 Extraction failed:', error.message);
+            console.error('   The snapshot being served is unchanged');
+            await this.snapshots.discard(staged);
             throw error;
         }
     }
 
     /**
-     * Analyze repository structure with comprehensive mapping
+     * Stop a running extraction at the next phase or component batch; the
+     * staged snapshot is discarded and the one being served is kept
      */
-    async analyzeRepositoryStructure() {
-        const structure = {};
-        const pathsToExplore = [
-            '',
-            'src',
-            'src/components',
-            'src/lib',
-            'src/utils',
-            'src/hooks',
-            'components',
-            'lib',
-            'packages'
-        ];
-
-        for (const path of pathsToExplore) {
-            try {
-                const url = `${this.baseUrls.github}/contents/${path}`;
-                const contents = await this.makeGitHubRequest(url);
-                
-                if (Array.isArray(contents)) {
-                    structure[path || 'root'] = contents;
-                    console.log(`   ✅ Mapped: ${path || 'root'} (${contents.length} items)`);
-                    
-                    // Recursively explore component directories
-                    if (path.includes('components') && contents.length > 0) {
-                        await this.exploreComponentDirectories(structure, path, contents);
-                    }
-                }
-            } catch (error) {
-                console.log(`   ⚠️  Skipped: ${path} (${error.message})`);
-            }
+    cancel() {
+        this.cancelled = true;
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new Error('Extraction cancelled');
         }
+    }
 
-        this.extractedData.repositoryStructure = structure;
-        console.log(`✅ Repository structure mapped: ${Object.keys(structure).length} directories`);
+    /**
+     * Log the start of a phase and report it to `options.onProgress`
+     */
+    beginPhase(phase, icon, title) {
+        this.throwIfCancelled();
+        console.log(`${phase > 1 ? '\n' : ''}${icon} PHASE ${phase}: ${title}`);
+        this.currentPhase = { phase, phases: EXTRACTION_PHASES, title };
+        this.options.onProgress?.(this.currentPhase);
     }
 
     /**
-     * Recursively explore component directories
+     * Map the repository: list the known directories and the component
+     * directories under them
      */
-    async exploreComponentDirectories(structure, basePath, contents) {
-        for (const item of contents) {
-            if (item.type === 'dir') {
-                try {
-                    const subPath = `${basePath}/${item.name}`;
-                    const subContents = await this.makeGitHubRequest(item.url);
-                    
-                    if (Array.isArray(subContents)) {
-                        structure[subPath] = subContents;
-                        console.log(`     📁 ${subPath} (${subContents.length} items)`);
-                    }
-                } catch (error) {
-                    console.log(`     ❌ Failed: ${basePath}/${item.name}`);
-                }
-            }
+    async analyzeRepositoryStructure() {
+        const discovery = await this.componentSource.discover();
+
+        for (const [dirPath, contents] of Object.entries(discovery.directories)) {
+            console.log(`   ✅ Mapped: ${dirPath} (${contents.length} items)`);
+        }
+        for (const { path, error } of discovery.unreadable) {
+            console.log(`   ⚠️  Skipped: ${path} (${error})`);
         }
+
+        this.discovery = discovery;
+        this.extractedData.repositoryStructure = discovery.directories;
+        this.repositoryPaths = discovery.paths;
+        this.fileShas = new Map(Object.values(discovery.directories).flatMap(contents =>
+            contents.filter(item => item.type === 'file').map(item => [item.path, item.sha])
+        ));
+        console.log(`✅ Repository structure mapped: ${Object.keys(discovery.directories).length} directories`);
     }
 
     /**
-     * Discover and categorize all components
+     * Categorize the discovered component files and order them by priority
      */
     async discoverAndCategorizeComponents() {
         const components = [];
-        const priorityPatterns = {
-            animatedText: /animated.*text|text.*animat|typewriter|fade.*text/i,
-            buttons: /button|btn|cta|action/i,
-            threeD: /3d|three|webgl|canvas|babylon|r3f/i,
-            animations: /animat|motion|transition|spring|gesture/i,
-            forms: /form|input|select|textarea|checkbox|radio/i,
-            navigation: /nav|tab|breadcrumb|pagination|menu/i,
-            layout: /layout|grid|flex|container|section/i,
-            feedback: /toast|modal|alert|notification|tooltip/i
-        };
 
-        // Analyze all files in repository structure
-        for (const [dirPath, contents] of Object.entries(this.extractedData.repositoryStructure)) {
-            if (!Array.isArray(contents)) continue;
+        // Excluded files are recorded so the coverage report can tell
+        // filtered components from ones that were never found
+        this.stats.skippedFiles.push(...this.discovery.skipped);
+
+        for (const file of this.discovery.files) {
+            const placement = this.componentSource.categorize(file);
+            const { variant, priority } = this.componentSource.mapMetadata(file);
+            const component = {
+                name: file.name,
+                fileName: file.item.name,
+                filePath: file.path,
+                fullPath: file.path,
+                downloadUrl: file.item.download_url,
+                size: file.item.size,
+                sha: file.item.sha,
+                directory: file.directory,
+                category: placement.category,
+                subcategory: placement.subcategory,
+                variant,
+                priority,
+                lastModified: new Date().toISOString()
+            };
 
-            for (const item of contents) {
-                if (this.isComponentFile(item)) {
-                    const component = {
-                        name: this.extractComponentName(item.name),
-                        fileName: item.name,
-                        filePath: item.path,
-                        fullPath: item.path,
-                        downloadUrl: item.download_url,
-                        size: item.size,
-                        sha: item.sha,
-                        directory: dirPath,
-                        category: this.categorizeComponent(item.name, dirPath, priorityPatterns),
-                        variant: this.detectVariant(item.name, dirPath),
-                        priority: this.calculatePriority(item.name, dirPath, priorityPatterns),
-                        lastModified: new Date().toISOString()
-                    };
-
-                    components.push(component);
-                    this.stats.componentCategories.add(component.category);
-                    this.stats.variants.add(component.variant);
-                }
-            }
+            components.push(component);
+            this.stats.componentCategories.add(component.category);
+            this.stats.variants.add(component.variant);
         }
 
         // Sort by priority
@@ -216,131 +286,51 @@ class ProductionReactBitsScraper {
     }
 
     /**
-     * Check if file is a component
-     */
-    isComponentFile(item) {
-        if (item.type !== 'file') return false;
-        
-        const name = item.name.toLowerCase();
-        const validExtensions = ['.tsx', '.jsx', '.ts', '.js'];
-        const excludePatterns = ['.test.', '.spec.', '.stories.', '.d.ts', 'index.'];
-        
-        return validExtensions.some(ext => name.endsWith(ext)) &&
-               !excludePatterns.some(pattern => name.includes(pattern));
-    }
-
-    /**
-     * Extract component name from filename
-     */
-    extractComponentName(filename) {
-        return filename
-            .replace(/\.(tsx?|jsx?)$/i, '')
-            .replace(/[-_]/g, ' ')
-            .replace(/\b\w/g, l => l.toUpperCase());
-    }
-
-    /**
-     * Categorize component based on patterns
-     */
-    categorizeComponent(filename, dirPath, patterns) {
-        const fullPath = `${dirPath}/${filename}`.toLowerCase();
-        
-        for (const [category, pattern] of Object.entries(patterns)) {
-            if (pattern.test(fullPath)) {
-                return category.replace(/([A-Z])/g, '-$1').toLowerCase().substring(1);
-            }
-        }
-        
-        // Category from directory name
-        const dirCategory = this.extractCategoryFromDirectory(dirPath);
-        if (dirCategory) return dirCategory;
-        
-        return 'ui-component';
-    }
-
-    /**
-     * Extract category from directory path
-     */
-    extractCategoryFromDirectory(dirPath) {
-        const categoryMap = {
-            button: 'buttons',
-            text: 'text-components',
-            animation: 'animations',
-            form: 'forms',
-            nav: 'navigation',
-            layout: 'layout',
-            modal: 'feedback'
-        };
-
-        const pathLower = dirPath.toLowerCase();
-        for (const [key, category] of Object.entries(categoryMap)) {
-            if (pathLower.includes(key)) return category;
-        }
-        
-        return null;
-    }
-
-    /**
-     * Detect component variant
-     */
-    detectVariant(filename, dirPath) {
-        const isTypeScript = /\.tsx?$/i.test(filename);
-        const isTailwind = /tailwind|tw/i.test(dirPath) || /tailwind/i.test(filename);
-        
-        return `${isTypeScript ? 'ts' : 'js'}-${isTailwind ? 'tailwind' : 'css'}`;
-    }
-
-    /**
-     * Calculate component priority
-     */
-    calculatePriority(filename, dirPath, patterns) {
-        let priority = 1;
-        const fullPath = `${dirPath}/${filename}`.toLowerCase();
-        
-        // High priority patterns
-        if (patterns.animatedText.test(fullPath)) priority += 10;
-        if (patterns.buttons.test(fullPath)) priority += 9;
-        if (patterns.threeD.test(fullPath)) priority += 8;
-        if (patterns.animations.test(fullPath)) priority += 6;
-        
-        // Boost for TypeScript
-        if (/\.tsx?$/i.test(filename)) priority += 2;
-        
-        // Boost for Tailwind
-        if (/tailwind/i.test(fullPath)) priority += 1;
-        
-        return priority;
-    }
-
-    /**
-     * Extract source code for all components
+     * Extract source code for all components. Components whose file and
+     * stylesheets have the SHAs the previous run saw are reused from its
+     * records; only added and modified ones are downloaded and analyzed.
      */
     async extractSourceCode() {
         const components = this.extractedData.components;
         this.stats.totalFiles = components.length;
+        this.countRemovedComponents(components);
 
         console.log(`Processing ${components.length} components...`);
         
-        // Process in batches to respect rate limits
+        // Process in batches; requests are throttled in makeRequest
         const batchSize = this.options.maxConcurrent;
         for (let i = 0; i < components.length; i += batchSize) {
+            this.throwIfCancelled();
+            this.options.onProgress?.({ ...this.currentPhase, completed: i, total: components.length });
             const batch = components.slice(i, i + batchSize);
             
             await Promise.all(batch.map(async (component, index) => {
                 const globalIndex = i + index + 1;
-                console.log(`   [${globalIndex}/${components.length}] ${component.name}`);
+                const previous = this.previousState.components[component.filePath];
+                const restored = previous ? await this.restoreComponent(component) : null;
                 
                 try {
+                    if (restored && this.isUnchanged(restored, previous)) {
+                        components[i + index] = restored;
+                        await this.saveComponent(restored);
+                        this.changes.unchanged.push(component.filePath);
+                        this.stats.extractedFiles++;
+                        return;
+                    }
+
+                    console.log(`   [${globalIndex}/${components.length}] ${component.name}`);
                     const sourceCode = await this.extractComponentSource(component);
                     const processedComponent = this.processComponentSource(component, sourceCode);
+                    processedComponent.stylesheets = await this.extractStylesheets(processedComponent);
                     
                     // Replace component in array with processed version
                     components[i + index] = processedComponent;
                     
                     await this.saveComponent(processedComponent);
+                    this.changes[previous ? 'modified' : 'added'].push(component.filePath);
                     this.stats.extractedFiles++;
                     
-                    console.log(`     ✅ Extracted (${processedComponent.fileSize} bytes, ${processedComponent.dependencies.length} deps)`);
+                    console.log(`     ✅ Extracted (${processedComponent.fileSize} bytes, ${processedComponent.dependencies.length} deps, ${processedComponent.stylesheets.length} stylesheets)`);
                     
                 } catch (error) {
                     console.log(`     ❌ Failed: ${error.message}`);
@@ -350,214 +340,147 @@ class ProductionReactBitsScraper {
                         file: component.filePath,
                         error: error.message
                     });
+
+                    // Serve the previous record until the file can be fetched, and keep
+                    // its SHA so the next run tries again
+                    if (restored) {
+                        components[i + index] = restored;
+                        await this.saveComponent(restored);
+                        this.nextState.components[component.filePath] = { ...previous, recordFile: this.recordFileFor(restored) };
+                    }
                 }
             }));
-            
-            // Delay between batches
-            if (i + batchSize < components.length) {
-                await this.delay(this.options.requestDelay);
-            }
         }
 
+        const counts = countChanges(this.changes);
         console.log(`✅ Source code extraction: ${this.stats.extractedFiles} success, ${this.stats.failedFiles} failed`);
+        console.log(`   ${counts.added} added, ${counts.modified} modified, ${counts.removed} removed, ${counts.unchanged} unchanged`);
     }
 
     /**
-     * Extract source code for individual component
+     * Rebuild a component from the record the served snapshot holds for it
+     *
+     * @returns The processed component, or null when there is no readable record
      */
-    async extractComponentSource(component) {
-        const url = `${this.baseUrls.raw}/${component.filePath}`;
-        const response = await this.makeRawRequest(url);
-        return response;
-    }
+    async restoreComponent(component) {
+        const previous = this.previousState.components[component.filePath];
+        let record;
+        try {
+            record = JSON.parse(await fs.readFile(path.join(this.previousDir, previous.recordFile), 'utf8'));
+        } catch {
+            return null;
+        }
 
-    /**
-     * Process component source code and extract metadata
-     */
-    processComponentSource(component, sourceCode) {
+        const { analysis, types, source } = record;
         return {
             ...component,
-            sourceCode: sourceCode,
-            fileSize: Buffer.byteLength(sourceCode, 'utf8'),
-            dependencies: this.extractDependencies(sourceCode),
-            exports: this.extractExports(sourceCode),
-            imports: this.extractImports(sourceCode),
-            typeDefinitions: this.extractTypeDefinitions(sourceCode),
-            propsInterface: this.extractPropsInterface(sourceCode),
-            hooks: this.extractHooks(sourceCode),
-            features: this.analyzeFeatures(sourceCode),
-            complexity: this.analyzeComplexity(sourceCode),
-            stylingApproach: this.analyzeStyling(sourceCode),
-            hasAnimation: this.hasAnimationFeatures(sourceCode),
-            extractedAt: new Date().toISOString()
+            sourceCode: source.sourceCode,
+            fileSize: source.fileSize,
+            stylesheets: source.stylesheets || [],
+            dependencies: analysis.dependencies,
+            exports: analysis.exports,
+            imports: analysis.imports,
+            hooks: analysis.hooks,
+            features: analysis.features,
+            complexity: analysis.complexity,
+            stylingApproach: analysis.stylingApproach,
+            hasAnimation: analysis.hasAnimation,
+            jsxElements: analysis.jsxElements,
+            kind: analysis.kind,
+            typeDefinitions: types.definitions,
+            propsInterface: types.propsInterface,
+            // New files can make imports resolvable, so imports are resolved again
+            localImports: resolveLocalImports(component.filePath, analysis.imports || [], this.repositoryPaths),
+            // The source is the one extracted then; a new time would mark it as updated
+            extractedAt: record.metadata.extractedAt || new Date().toISOString()
         };
     }
 
     /**
-     * Extract dependencies from source code
+     * Whether neither a restored component's file nor the stylesheets it
+     * imports changed since the previous run
      */
-    extractDependencies(sourceCode) {
-        const importRegex = /import\s+(?:{[^}]*}|\*\s+as\s+\w+|\w+)?\s*(?:,\s*(?:{[^}]*}|\*\s+as\s+\w+|\w+))?\s*from\s+['"]([^'"]+)['"]/g;
-        const dependencies = [];
-        let match;
-
-        while ((match = importRegex.exec(sourceCode)) !== null) {
-            dependencies.push(match[1]);
-        }
-
-        return [...new Set(dependencies)];
+    isUnchanged(restored, previous) {
+        const stylesheetShas = Object.fromEntries(restored.localImports
+            .filter(localImport => localImport.kind === 'stylesheet' && localImport.path)
+            .map(localImport => [localImport.path, this.fileShas.get(localImport.path) || null]));
+        return classifyComponentChange(previous, restored.sha, stylesheetShas) === 'unchanged';
     }
 
     /**
-     * Extract exports from source code
+     * Count the component files the previous run extracted that are gone;
+     * the staged snapshot simply has no records for them
      */
-    extractExports(sourceCode) {
-        const exportRegex = /export\s+(?:default\s+)?(?:const|function|class|interface|type)?\s*(\w+)/g;
-        const exports = [];
-        let match;
-
-        while ((match = exportRegex.exec(sourceCode)) !== null) {
-            exports.push(match[1]);
-        }
-
-        return [...new Set(exports)];
-    }
-
-    /**
-     * Extract imports with details
-     */
-    extractImports(sourceCode) {
-        const importRegex = /import\s+((?:{[^}]*}|\*\s+as\s+\w+|\w+)(?:\s*,\s*(?:{[^}]*}|\*\s+as\s+\w+|\w+))*)\s+from\s+['"]([^'"]+)['"]/g;
-        const imports = [];
-        let match;
-
-        while ((match = importRegex.exec(sourceCode)) !== null) {
-            imports.push({
-                statement: match[1].trim(),
-                from: match[2],
-                isExternal: !match[2].startsWith('.') && !match[2].startsWith('/')
-            });
+    countRemovedComponents(components) {
+        const currentPaths = new Set(components.map(component => component.filePath));
+        for (const filePath of Object.keys(this.previousState.components)) {
+            if (!currentPaths.has(filePath)) {
+                this.changes.removed.push(filePath);
+            }
         }
-
-        return imports;
     }
 
     /**
-     * Extract TypeScript type definitions
+     * Extract source code for individual component
      */
-    extractTypeDefinitions(sourceCode) {
-        const typeRegex = /((?:interface|type)\s+\w+[^{=]*(?:{[^}]*}|=[^;]+;?))/g;
-        const types = [];
-        let match;
-
-        while ((match = typeRegex.exec(sourceCode)) !== null) {
-            types.push(match[1].trim());
-        }
-
-        return types;
+    async extractComponentSource(component) {
+        return this.source.readFile(component.filePath);
     }
 
     /**
-     * Extract props interface
+     * Fetch the stylesheets a component imports (`.css`, `.module.css`, `.scss`)
      */
-    extractPropsInterface(sourceCode) {
-        const propsRegex = /interface\s+(\w*Props?)\s*{([^}]*)}/g;
-        const interfaces = [];
-        let match;
+    async extractStylesheets(component) {
+        const stylesheets = [];
 
-        while ((match = propsRegex.exec(sourceCode)) !== null) {
-            interfaces.push({
-                name: match[1],
-                properties: match[2].trim().split('\n').map(line => line.trim()).filter(line => line)
-            });
-        }
-
-        return interfaces;
-    }
+        for (const localImport of component.localImports) {
+            if (localImport.kind !== 'stylesheet') continue;
 
-    /**
-     * Extract React hooks usage
-     */
-    extractHooks(sourceCode) {
-        const hookRegex = /use[A-Z]\w*/g;
-        const hooks = [];
-        let match;
+            if (!localImport.path) {
+                console.log(`     ⚠️  Unresolved stylesheet: ${localImport.specifier}`);
+                continue;
+            }
 
-        while ((match = hookRegex.exec(sourceCode)) !== null) {
-            hooks.push(match[0]);
+            try {
+                const sourceCode = await this.source.readFile(localImport.path);
+                stylesheets.push({
+                    filePath: localImport.path,
+                    sourceCode,
+                    fileSize: Buffer.byteLength(sourceCode, 'utf8')
+                });
+            } catch (error) {
+                console.log(`     ⚠️  Failed stylesheet ${localImport.path}: ${error.message}`);
+            }
         }
 
-        return [...new Set(hooks)];
+        return stylesheets;
     }
 
     /**
-     * Analyze component features
-     */
-    analyzeFeatures(sourceCode) {
-        const features = [];
-
-        if (/useState|useReducer/.test(sourceCode)) features.push('stateful');
-        if (/useEffect/.test(sourceCode)) features.push('side-effects');
-        if (/useCallback|useMemo/.test(sourceCode)) features.push('performance-optimized');
-        if (/@keyframes|animate|transition/.test(sourceCode)) features.push('animated');
-        if (/forwardRef/.test(sourceCode)) features.push('ref-forwarding');
-        if (/interface.*Props/.test(sourceCode)) features.push('typescript');
-        if (/onClick|onSubmit|onChange|onFocus|onBlur/.test(sourceCode)) features.push('interactive');
-        if (/useContext/.test(sourceCode)) features.push('context-aware');
-        if (/Portal/.test(sourceCode)) features.push('portal-based');
-
-        return features;
-    }
-
-    /**
-     * Analyze component complexity
+     * Process component source code and extract metadata
      */
-    analyzeComplexity(sourceCode) {
-        const lines = sourceCode.split('\n').length;
-        const dependencies = (sourceCode.match(/import/g) || []).length;
-        const hooks = (sourceCode.match(/use[A-Z]\w*/g) || []).length;
-        const conditionals = (sourceCode.match(/if\s*\(|switch\s*\(|\?\s*:/g) || []).length;
-
-        let level = 'simple';
-        const score = lines * 0.1 + dependencies * 2 + hooks * 3 + conditionals * 1.5;
-
-        if (score > 50) level = 'complex';
-        else if (score > 20) level = 'moderate';
-
+    processComponentSource(component, sourceCode) {
+        const analysis = analyzeComponentSource(sourceCode, component.filePath);
         return {
-            level,
-            score: Math.round(score),
-            metrics: { lines, dependencies, hooks, conditionals }
+            ...component,
+            sourceCode: sourceCode,
+            fileSize: Buffer.byteLength(sourceCode, 'utf8'),
+            ...analysis,
+            localImports: resolveLocalImports(component.filePath, analysis.imports, this.repositoryPaths),
+            extractedAt: new Date().toISOString()
         };
     }
 
-    /**
-     * Analyze styling approach
-     */
-    analyzeStyling(sourceCode) {
-        const approaches = [];
-
-        if (/tailwind|tw-|@apply/.test(sourceCode)) approaches.push('tailwind');
-        if (/styled-components|styled\./.test(sourceCode)) approaches.push('styled-components');
-        if (/emotion|@emotion/.test(sourceCode)) approaches.push('emotion');
-        if (/\.module\.(css|scss|sass)/.test(sourceCode)) approaches.push('css-modules');
-        if (/className.*{.*}/.test(sourceCode)) approaches.push('css-in-js');
-        if (/style={{/.test(sourceCode)) approaches.push('inline-styles');
-
-        return approaches.length > 0 ? approaches : ['css-classes'];
-    }
-
-    /**
-     * Check for animation features
-     */
-    hasAnimationFeatures(sourceCode) {
-        return /framer-motion|@keyframes|animate|transition|spring|gesture|lottie|three|gsap/.test(sourceCode);
-    }
-
     /**
      * Enrich with website data
      */
     async enrichWithWebsiteData() {
+        if (!this.options.scrapeWebsite) {
+            console.log('⏭️  Website data enrichment skipped');
+            this.extractedData.websiteData = { skipped: true };
+            return;
+        }
+
         try {
             const websiteData = await this.scrapeWebsiteData();
             this.extractedData.websiteData = websiteData;
@@ -584,6 +507,7 @@ class ProductionReactBitsScraper {
             description: this.extractFromHtml(html, /<meta[^>]*name="description"[^>]*content="([^"]*)"[^>]*>/i),
             componentCount: this.extractFromHtml(html, /(\d+)\+?\s*components?/i),
             categories: this.extractCategoriesFromWebsite(html),
+            components: this.extractComponentsFromWebsite(html),
             scrapedAt: new Date().toISOString()
         };
     }
@@ -611,6 +535,28 @@ class ProductionReactBitsScraper {
         return categories;
     }
 
+    /**
+     * Extract component pages (`/<category>/<component>`) linked from the
+     * website, one entry per page
+     */
+    extractComponentsFromWebsite(html) {
+        const components = new Map();
+        const hrefRegex = /href="(?:https:\/\/reactbits\.dev)?\/([a-z0-9-]+)\/([a-z0-9-]+)\/?"/gi;
+        let match;
+
+        while ((match = hrefRegex.exec(html)) !== null) {
+            const category = match[1].toLowerCase();
+            const slug = match[2].toLowerCase();
+            components.set(`${category}/${slug}`, {
+                category,
+                slug,
+                url: `${this.baseUrls.website}/${category}/${slug}`
+            });
+        }
+
+        return [...components.values()];
+    }
+
     /**
      * Check if text/href represents a component category
      */
@@ -657,18 +603,36 @@ class ProductionReactBitsScraper {
             
             for (const item of contents) {
                 if (item.type === 'file' && (isUtilityDir || this.isUtilityFile(item.name))) {
+                    const previous = this.previousState.utilities[item.path];
+                    if (previous && item.sha && previous.sha === item.sha) {
+                        this.nextState.utilities[item.path] = previous;
+                        utilities.push({
+                            name: item.name,
+                            filePath: item.path,
+                            directory: dirPath,
+                            fileSize: previous.fileSize,
+                            dependencies: previous.dependencies,
+                            exports: previous.exports
+                        });
+                        continue;
+                    }
+
                     try {
-                        const sourceCode = await this.extractComponentSource(item);
+                        const sourceCode = await this.source.readFile(item.path);
+                        const { dependencies, exports } = analyzeComponentSource(sourceCode, item.path);
+                        const fileSize = Buffer.byteLength(sourceCode, 'utf8');
                         utilities.push({
                             name: item.name,
                             filePath: item.path,
                             directory: dirPath,
-                            sourceCode: sourceCode,
-                            fileSize: Buffer.byteLength(sourceCode, 'utf8'),
-                            dependencies: this.extractDependencies(sourceCode),
-                            exports: this.extractExports(sourceCode),
+                            fileSize,
+                            dependencies,
+                            exports,
                             extractedAt: new Date().toISOString()
                         });
+                        if (item.sha) {
+                            this.nextState.utilities[item.path] = { sha: item.sha, fileSize, dependencies, exports };
+                        }
                         
                         console.log(`   ✅ Extracted utility: ${item.name}`);
                     } catch (error) {
@@ -699,16 +663,16 @@ class ProductionReactBitsScraper {
      * Save individual component to file
      */
     async saveComponent(component) {
-        const categoryDir = path.join(this.options.outputDir, 'components', component.category);
-        await this.ensureDirectory(categoryDir);
-
-        const filename = `${component.name.replace(/\s+/g, '-').toLowerCase()}.json`;
-        const filepath = path.join(categoryDir, filename);
+        const recordFile = this.recordFileFor(component);
+        const filepath = path.join(this.stagingDir, recordFile);
+        await this.ensureDirectory(path.dirname(filepath));
 
         const componentData = {
             metadata: {
+                namespace: this.componentSource.namespace,
                 name: component.name,
                 category: component.category,
+                subcategory: component.subcategory,
                 variant: component.variant,
                 priority: component.priority,
                 extractedAt: component.extractedAt
@@ -716,7 +680,8 @@ class ProductionReactBitsScraper {
             source: {
                 filePath: component.filePath,
                 sourceCode: component.sourceCode,
-                fileSize: component.fileSize
+                fileSize: component.fileSize,
+                stylesheets: component.stylesheets
             },
             analysis: {
                 dependencies: component.dependencies,
@@ -726,7 +691,10 @@ class ProductionReactBitsScraper {
                 features: component.features,
                 complexity: component.complexity,
                 stylingApproach: component.stylingApproach,
-                hasAnimation: component.hasAnimation
+                hasAnimation: component.hasAnimation,
+                jsxElements: component.jsxElements,
+                localImports: component.localImports,
+                kind: component.kind
             },
             types: {
                 definitions: component.typeDefinitions,
@@ -735,12 +703,33 @@ class ProductionReactBitsScraper {
         };
 
         await fs.writeFile(filepath, JSON.stringify(componentData, null, 2), 'utf8');
+        this.savedComponents.add(component.filePath);
+
+        // Remembered so the next run can skip the component while its files keep their SHAs
+        if (component.sha) {
+            this.nextState.components[component.filePath] = {
+                sha: component.sha,
+                recordFile,
+                stylesheets: Object.fromEntries(component.stylesheets.map(stylesheet =>
+                    [stylesheet.filePath, this.fileShas.get(stylesheet.filePath)]
+                ))
+            };
+        }
+    }
+
+    /**
+     * Record file of a component, relative to the output directory. Variants
+     * share a name and category, so the variant keeps their files apart.
+     */
+    recordFileFor(component) {
+        const filename = `${component.name.replace(/\s+/g, '-').toLowerCase()}.${component.variant}.json`;
+        return path.join('components', component.category, filename);
     }
 
     /**
      * Generate comprehensive extraction report
      */
-    async generateComprehensiveReport() {
+    async generateComprehensiveReport(snapshotId) {
         const endTime = Date.now();
         const duration = endTime - this.stats.startTime;
 
@@ -749,9 +738,11 @@ class ProductionReactBitsScraper {
                 version: '1.0.0',
                 extractorType: 'production',
                 repository: 'https://github.com/DavidHDev/react-bits',
+                source: await this.source.describe(),
                 extractedAt: new Date().toISOString(),
                 duration: `${Math.round(duration / 1000)}s`,
-                outputDirectory: this.options.outputDir
+                outputDirectory: this.options.outputDir,
+                snapshot: snapshotId
             },
             statistics: {
                 execution: {
@@ -761,12 +752,14 @@ class ProductionReactBitsScraper {
                     successRate: `${Math.round((this.stats.extractedFiles / this.stats.totalFiles) * 100)}%`,
                     utilitiesExtracted: this.extractedData.utilities.length
                 },
+                changes: countChanges(this.changes),
                 components: {
                     total: this.extractedData.components.length,
                     categories: Array.from(this.stats.componentCategories),
                     variants: Array.from(this.stats.variants),
                     byCategory: this.groupByCategory(),
                     byVariant: this.groupByVariant(),
+                    byKind: this.groupByKind(),
                     byPriority: this.groupByPriority()
                 },
                 analysis: {
@@ -784,22 +777,31 @@ class ProductionReactBitsScraper {
                 })),
                 priorityComponents: this.getPriorityComponents(),
                 websiteData: this.extractedData.websiteData,
-                errors: this.stats.errors
+                errors: this.stats.errors,
+                skippedFiles: this.stats.skippedFiles,
+                changedFiles: {
+                    added: this.changes.added,
+                    modified: this.changes.modified,
+                    removed: this.changes.removed
+                }
             },
             recommendations: this.generateRecommendations(),
             outputFiles: await this.getOutputFiles()
         };
 
         // Save comprehensive report
-        const reportPath = path.join(this.options.outputDir, 'comprehensive-extraction-report.json');
+        const reportPath = path.join(this.stagingDir, 'comprehensive-extraction-report.json');
         await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
 
         // Save component index
-        const indexPath = path.join(this.options.outputDir, 'component-index.json');
-        const componentIndex = this.extractedData.components.map(c => ({
+        // Only components with a saved record; failed ones without a previous record have none
+        const indexPath = path.join(this.stagingDir, 'component-index.json');
+        const componentIndex = this.extractedData.components.filter(c => this.savedComponents.has(c.filePath)).map(c => ({
             name: c.name,
             category: c.category,
+            subcategory: c.subcategory,
             variant: c.variant,
+            kind: c.kind,
             priority: c.priority,
             filePath: c.filePath,
             features: c.features,
@@ -833,6 +835,17 @@ class ProductionReactBitsScraper {
         return grouped;
     }
 
+    /**
+     * Group components by kind
+     */
+    groupByKind() {
+        const grouped = {};
+        this.extractedData.components.forEach(c => {
+            grouped[c.kind] = (grouped[c.kind] || 0) + 1;
+        });
+        return grouped;
+    }
+
     /**
      * Group components by priority
      */
@@ -988,7 +1001,7 @@ class ProductionReactBitsScraper {
         const files = [];
         
         try {
-            await this.walkDirectory(this.options.outputDir, files);
+            await this.walkDirectory(this.stagingDir, files);
         } catch (error) {
             console.warn('Could not list output files:', error.message);
         }
@@ -1011,7 +1024,7 @@ class ProductionReactBitsScraper {
                 const stats = await fs.stat(fullPath);
                 files.push({
                     name: entry.name,
-                    path: fullPath.replace(this.options.outputDir + '/', ''),
+                    path: fullPath.replace(this.stagingDir + '/', ''),
                     size: stats.size,
                     type: path.extname(entry.name) || 'file'
                 });
@@ -1035,6 +1048,12 @@ class ProductionReactBitsScraper {
         console.log(`  Utilities: ${report.statistics.execution.utilitiesExtracted}`);
         console.log(`  Success Rate: ${report.statistics.execution.successRate}`);
         console.log('');
+        console.log('🔄 CHANGES SINCE LAST RUN:');
+        console.log(`  Added: ${report.statistics.changes.added}`);
+        console.log(`  Modified: ${report.statistics.changes.modified}`);
+        console.log(`  Removed: ${report.statistics.changes.removed}`);
+        console.log(`  Unchanged: ${report.statistics.changes.unchanged}`);
+        console.log('');
         console.log('🎯 PRIORITY BREAKDOWN:');
         console.log(`  High Priority: ${report.statistics.components.byPriority.high}`);
         console.log(`  Medium Priority: ${report.statistics.components.byPriority.medium}`);
@@ -1046,36 +1065,57 @@ class ProductionReactBitsScraper {
         console.log(`  Top Dependency: ${report.statistics.analysis.mostUsedDependencies[0]?.dependency || 'N/A'}`);
         console.log('');
         console.log(`📂 Output Directory: ${report.metadata.outputDirectory}`);
+        console.log(`📌 Snapshot: ${report.metadata.snapshot}`);
         console.log('═'.repeat(60));
     }
 
     // Utility methods
+
+    /**
+     * GitHub API request, conditional on the ETag of the previous run's
+     * response; a 304 is answered from the stored body
+     */
     async makeGitHubRequest(url) {
-        return this.makeRequest(url, {
-            'Accept': 'application/vnd.github.v3+json'
+        const cached = this.previousState.responses[url];
+        const response = await this.makeRequest(url, {
+            'Accept': 'application/vnd.github.v3+json',
+            ...(cached ? { 'If-None-Match': cached.etag } : {})
         });
+
+        const body = response.statusCode === 304 ? cached.body : response.body;
+        const etag = response.statusCode === 304 ? cached.etag : response.headers.etag;
+        if (etag) {
+            this.nextState.responses[url] = { etag, body };
+        }
+        return JSON.parse(body);
     }
 
     async makeRawRequest(url) {
         const response = await this.makeRequest(url, {
             'Accept': '*/*'
-        }, true);
-        return response;
+        });
+        return response.body;
     }
 
     async makeWebRequest(url) {
-        return this.makeRequest(url, {
+        const response = await this.makeRequest(url, {
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-        }, true);
+        });
+        return response.body;
     }
 
-    async makeRequest(url, headers = {}, returnRaw = false) {
+    /**
+     * Request with retries and rate-limit handling
+     *
+     * @returns The response of a 200, or of a 304 to a conditional request
+     */
+    async makeRequest(url, headers = {}) {
         const maxRetries = this.options.maxRetries;
         let lastError;
 
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                await this.delay(this.options.requestDelay);
+                await this.throttle();
                 
                 const response = await this.httpRequest(url, {
                     headers: {
@@ -1084,8 +1124,8 @@ class ProductionReactBitsScraper {
                     }
                 });
 
-                if (response.statusCode === 200) {
-                    return returnRaw ? response.body : JSON.parse(response.body);
+                if (response.statusCode === 200 || (response.statusCode === 304 && headers['If-None-Match'])) {
+                    return response;
                 } else if (response.statusCode === 403) {
                     // Rate limit handling
                     const resetTime = response.headers['x-ratelimit-reset'];
@@ -1110,6 +1150,17 @@ class ProductionReactBitsScraper {
         throw lastError;
     }
 
+    /**
+     * Wait until at least `requestDelay` has passed since the previous
+     * request started, across concurrent callers
+     */
+    async throttle() {
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = startAt + this.options.requestDelay;
+        await this.delay(startAt - now);
+    }
+
     httpRequest(url, options = {}) {
         return new Promise((resolve, reject) => {
             const parsedUrl = new URL(url);
@@ -1159,14 +1210,16 @@ class ProductionReactBitsScraper {
 }
 
 // Export for use as module
-module.exports = ProductionReactBitsScraper;
+export default ProductionReactBitsScraper;
 
 // CLI execution
-if (require.main === module) {
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
     const scraper = new ProductionReactBitsScraper({
         outputDir: './production-react-bits-extraction',
+        source: repositorySourceFromConfig(),
         maxConcurrent: 2,
         requestDelay: 2000, // Be respectful to GitHub API
+        incremental: !process.argv.includes('--full'),
         includeUtilities: true,
         extractAllVariants: true,
         generateUsageExamples: true
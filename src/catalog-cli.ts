@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * ReactBits Catalog CLI
+ *
+ * Maintenance commands for the catalog storage backends.
+ *
+ *   reactbits-catalog import-sqlite <database> <extraction-dir...>
+ *     Merge one or more extraction directories into a single SQLite file
+ *
+ *   reactbits-catalog coverage [extraction-dir] [--taxonomy <file>]
+ *                              [--stale-after <days>] [--json] [--strict]
+ *     Report expected components missing from an extraction, extra and
+ *     stale ones; --strict exits non-zero when anything is missing
+ *
+ *   reactbits-catalog export-registry <out-dir> [extraction-dir]
+ *                                     [--base-url <url>] [--variant <variant>]
+ *     Write the catalog as a shadcn registry (r/registry.json, r/<id>.json)
+ *
+ *   reactbits-catalog snapshots [extraction-dir]
+ *     List the extraction snapshots kept, marking the one being served
+ *
+ *   reactbits-catalog rollback [extraction-dir] [--to <snapshot>]
+ *     Serve an earlier snapshot: the one given, or the one before the current
+ */
+
+import * as path from 'path';
+import { FileSystemCatalogStore, SqliteCatalogStore } from './catalog-store.js';
+import { ExtractionSnapshots } from './extraction-snapshots.js';
+import { ReactBitsDataService } from './index.js';
+import { activeConfig } from './config.js';
+import type { CatalogCoverage } from './catalog-coverage.js';
+import { registryItemUrl, writeRegistry } from './registry.js';
+import { COMPONENT_VARIANTS, isComponentVariant } from './variants.js';
+import type { ComponentVariant, ExtractedComponentRecord } from './types.js';
+
+const USAGE = `Usage:
+  reactbits-catalog import-sqlite <database> <extraction-dir...>
+  reactbits-catalog coverage [extraction-dir] [--taxonomy <file>] [--stale-after <days>] [--json] [--strict]
+  reactbits-catalog export-registry <out-dir> [extraction-dir] [--base-url <url>] [--variant <variant>]
+  reactbits-catalog snapshots [extraction-dir]
+  reactbits-catalog rollback [extraction-dir] [--to <snapshot>]`;
+
+async function importSqlite(databasePath: string, extractionDirs: string[]): Promise<void> {
+  const records: ExtractedComponentRecord[] = [];
+
+  for (const dir of extractionDirs) {
+    const store = new FileSystemCatalogStore(path.resolve(process.cwd(), dir));
+    const snapshot = await store.load();
+    records.push(...snapshot.records);
+    console.log(`Read ${snapshot.records.length} components from ${store.location}`);
+  }
+
+  const target = new SqliteCatalogStore(path.resolve(process.cwd(), databasePath));
+  await target.replaceAll(records);
+  console.log(`Wrote ${records.length} components to ${target.location}`);
+}
+
+interface CoverageOptions {
+  extractionPath: string;
+  taxonomyPath?: string;
+  staleAfterDays?: number;
+  json: boolean;
+  strict: boolean;
+}
+
+function parseCoverageArgs(args: string[]): CoverageOptions {
+  const options: CoverageOptions = { extractionPath: activeConfig.catalog.extractionPath, json: false, strict: false };
+  const positional: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--json':
+        options.json = true;
+        break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--taxonomy': {
+        const value = args[++i];
+        if (!value) throw new Error(USAGE);
+        options.taxonomyPath = value;
+        break;
+      }
+      case '--stale-after': {
+        const days = Number(args[++i]);
+        if (!Number.isInteger(days) || days < 1) {
+          throw new Error(`Invalid --stale-after '${args[i]}'; expected a positive number of days`);
+        }
+        options.staleAfterDays = days;
+        break;
+      }
+      default:
+        if (arg.startsWith('--')) throw new Error(USAGE);
+        positional.push(arg);
+    }
+  }
+
+  if (positional.length > 1) throw new Error(USAGE);
+  if (positional[0]) options.extractionPath = positional[0];
+  return options;
+}
+
+function printCoverage(coverage: CatalogCoverage): void {
+  const { summary } = coverage;
+  console.log(
+    `Coverage ${summary.coveragePercent}%: ${summary.found} of ${summary.expected} expected found ` +
+    `(${summary.websiteDiscovered} listed on the website), ${summary.extracted} extracted, ` +
+    `${summary.missing} missing, ${summary.extra} extra, ${summary.stale} stale`
+  );
+  if (!coverage.reportAvailable) {
+    console.log('No extraction report found; missing components cannot be explained');
+  }
+
+  for (const category of coverage.categories) {
+    if (category.missing.length + category.extra.length + category.stale.length === 0) continue;
+
+    console.log(`\n${category.name} (${category.id}): ${category.found}/${category.expected} expected, ${category.extracted} extracted`);
+    for (const entry of category.missing) {
+      console.log(`  missing ${entry.slug}: ${entry.reason}${entry.detail ? ` (${entry.detail})` : ''}`);
+    }
+    for (const entry of category.extra) {
+      console.log(`  extra   ${entry.id}`);
+    }
+    for (const entry of category.stale) {
+      console.log(`  stale   ${entry.id}: extracted ${entry.ageDays} days ago`);
+    }
+  }
+}
+
+async function reportCoverage(options: CoverageOptions): Promise<boolean> {
+  const dataService = new ReactBitsDataService({
+    extractionPath: options.extractionPath,
+    allowMockFallback: false,
+    enableScraperIntegration: false,
+    ...(options.taxonomyPath ? { taxonomyPath: options.taxonomyPath } : {})
+  });
+  const coverage = await dataService.getCatalogCoverage(options.staleAfterDays);
+
+  if (options.json) {
+    console.log(JSON.stringify(coverage, null, 2));
+  } else {
+    printCoverage(coverage);
+  }
+  return coverage.summary.complete;
+}
+
+interface RegistryExportOptions {
+  outDir: string;
+  extractionPath: string;
+  baseUrl: string;
+  variant?: ComponentVariant;
+}
+
+function parseRegistryArgs(args: string[]): RegistryExportOptions {
+  const positional: string[] = [];
+  let baseUrl = activeConfig.catalog.registryUrl;
+  let variant: ComponentVariant | undefined;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--base-url': {
+        const value = args[++i];
+        if (!value) throw new Error(USAGE);
+        baseUrl = value;
+        break;
+      }
+      case '--variant': {
+        const value = args[++i];
+        if (!isComponentVariant(value)) {
+          throw new Error(`Invalid --variant '${value}'; expected one of ${COMPONENT_VARIANTS.join(', ')}`);
+        }
+        variant = value;
+        break;
+      }
+      default:
+        if (arg.startsWith('--')) throw new Error(USAGE);
+        positional.push(arg);
+    }
+  }
+
+  const [outDir, extractionPath = activeConfig.catalog.extractionPath] = positional;
+  if (!outDir || positional.length > 2) throw new Error(USAGE);
+  if (!baseUrl) {
+    throw new Error('The registry needs the URL it will be served from: pass --base-url or set REACTBITS_REGISTRY_URL');
+  }
+  return { outDir, extractionPath, baseUrl, ...(variant ? { variant } : {}) };
+}
+
+async function exportRegistry(options: RegistryExportOptions): Promise<void> {
+  const dataService = new ReactBitsDataService({
+    extractionPath: options.extractionPath,
+    allowMockFallback: false,
+    enableScraperIntegration: false
+  });
+  const catalog = await dataService.getCatalog();
+  const outDir = path.resolve(process.cwd(), options.outDir);
+
+  const count = await writeRegistry(catalog, outDir, options);
+  console.log(`Wrote ${count} registry items to ${path.join(outDir, 'r')}`);
+  console.log(`Install with: npx shadcn add ${registryItemUrl(options.baseUrl, 'registry').replace(/registry\.json$/, '<id>.json')}`);
+}
+
+async function listSnapshots(extractionPath: string): Promise<void> {
+  const snapshots = new ExtractionSnapshots(extractionPath);
+  const list = await snapshots.list();
+  if (list.length === 0) {
+    console.log(`No snapshots in ${snapshots.root}`);
+    return;
+  }
+
+  for (const snapshot of list) {
+    const components = snapshot.components === null ? 'unreadable' : `${snapshot.components} components`;
+    console.log(`${snapshot.current ? '*' : ' '} ${snapshot.id}  ${components}`);
+  }
+}
+
+interface RollbackOptions {
+  extractionPath: string;
+  snapshot?: string;
+}
+
+function parseRollbackArgs(args: string[]): RollbackOptions {
+  const positional: string[] = [];
+  let snapshot: string | undefined;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--to') {
+      snapshot = args[++i];
+      if (!snapshot) throw new Error(USAGE);
+    } else if (arg.startsWith('--')) {
+      throw new Error(USAGE);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (positional.length > 1) throw new Error(USAGE);
+  return { extractionPath: positional[0] || activeConfig.catalog.extractionPath, ...(snapshot ? { snapshot } : {}) };
+}
+
+async function rollback(options: RollbackOptions): Promise<void> {
+  const snapshots = new ExtractionSnapshots(options.extractionPath);
+  const previous = await snapshots.current();
+  const current = await snapshots.rollback(options.snapshot);
+  console.log(`Serving snapshot ${current} (was ${previous ?? 'none'}); running servers pick it up on their next catalog refresh`);
+}
+
+async function main(argv: string[]): Promise<void> {
+  const [command, ...args] = argv;
+
+  switch (command) {
+    case 'import-sqlite': {
+      const [databasePath, ...extractionDirs] = args;
+      if (!databasePath || extractionDirs.length === 0) {
+        throw new Error(USAGE);
+      }
+      await importSqlite(databasePath, extractionDirs);
+      break;
+    }
+
+    case 'coverage': {
+      const options = parseCoverageArgs(args);
+      const complete = await reportCoverage(options);
+      if (options.strict && !complete) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+
+    case 'export-registry':
+      await exportRegistry(parseRegistryArgs(args));
+      break;
+
+    case 'snapshots':
+      if (args.length > 1 || args[0]?.startsWith('--')) throw new Error(USAGE);
+      await listSnapshots(args[0] || activeConfig.catalog.extractionPath);
+      break;
+
+    case 'rollback':
+      await rollback(parseRollbackArgs(args));
+      break;
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,343 @@
+/**
+ * ReactBits Catalog Coverage
+ *
+ * Compares the components the taxonomy expects, the component pages the
+ * scraper found on reactbits.dev and the components actually extracted, per
+ * category. Expected or website-listed components that were not extracted
+ * are reported as missing with the reason the extraction report gives for
+ * them; extracted components nobody expects are reported as extra, and
+ * components extracted too long ago as stale. An incomplete or outdated
+ * library therefore shows up here instead of being served silently.
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { isLibraryComponent, kindOf } from './component-kinds.js';
+import type { CategoryTaxonomy, ExpectedComponent } from './taxonomy.js';
+import type { ReactBitsComponent } from './types.js';
+import { isPlainObject } from './utils.js';
+
+// ============================================================================
+// Coverage Types
+// ============================================================================
+
+/**
+ * Why an expected component is not in the library: no file was found for
+ * it, its file could not be fetched, or the scraper or the analyzer filtered
+ * it out
+ */
+export type MissingReason = 'not-found' | 'fetch-failed' | 'filtered';
+
+/**
+ * Component page discovered on the website
+ */
+export interface WebsiteComponent {
+  readonly category: string;
+  readonly slug: string;
+  readonly url: string;
+}
+
+/**
+ * The parts of the scraper's extraction report coverage is computed from
+ */
+export interface ExtractionReportSummary {
+  /** Component pages linked from the website; empty when it was not scraped */
+  readonly websiteComponents: readonly WebsiteComponent[];
+
+  /** Components whose source could not be fetched */
+  readonly fetchErrors: readonly { readonly component: string; readonly file: string; readonly error: string }[];
+
+  /** Script files the scraper did not extract as components */
+  readonly skippedFiles: readonly { readonly file: string; readonly reason: string }[];
+}
+
+export interface MissingComponent {
+  readonly slug: string;
+  readonly subcategory?: string;
+
+  /** Whether the taxonomy expects the component, the website lists it, or both */
+  readonly expectedBy: readonly ('taxonomy' | 'website')[];
+  readonly reason: MissingReason;
+
+  /** The fetch error, the filter that applied or the file it applied to */
+  readonly detail?: string;
+}
+
+export interface ExtraComponent {
+  readonly id: string;
+  readonly name: string;
+  readonly slug: string;
+  readonly subcategory?: string;
+}
+
+export interface StaleComponent {
+  readonly id: string;
+  readonly name: string;
+  readonly lastUpdated: string;
+  readonly ageDays: number;
+}
+
+export interface CategoryCoverage {
+  readonly id: string;
+  readonly name: string;
+  readonly expected: number;
+  readonly websiteDiscovered: number;
+
+  /** Library components placed in the category */
+  readonly extracted: number;
+
+  /** Expected or website-listed components found in the library, anywhere */
+  readonly found: number;
+  readonly missing: MissingComponent[];
+  readonly extra: ExtraComponent[];
+  readonly stale: StaleComponent[];
+}
+
+export interface CatalogCoverage {
+  readonly summary: {
+    readonly expected: number;
+    readonly websiteDiscovered: number;
+    readonly extracted: number;
+    readonly found: number;
+    readonly missing: number;
+    readonly extra: number;
+    readonly stale: number;
+
+    /** Share of expected and website-listed components found, 0 to 100 */
+    readonly coveragePercent: number;
+    readonly complete: boolean;
+  };
+
+  /** Whether an extraction report was available to explain missing components */
+  readonly reportAvailable: boolean;
+  readonly staleAfterDays: number;
+  readonly categories: CategoryCoverage[];
+}
+
+export interface CoverageOptions {
+  /** Age in days after which an extracted component counts as stale */
+  readonly staleAfterDays?: number;
+
+  /** Reference time for staleness, defaults to now */
+  readonly now?: number;
+}
+
+export const DEFAULT_STALE_AFTER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Slugs
+// ============================================================================
+
+/**
+ * Website-style slug of a component name: `SplitText`, `Split Text` and
+ * `split_text` all become `split-text`
+ */
+export function toComponentSlug(name: string): string {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Slug of the component a file holds, ignoring every extension so that
+ * `SplitText.stories.jsx` maps to `split-text`
+ */
+function fileSlug(filePath: string): string {
+  return toComponentSlug((filePath.split('/').pop() || filePath).replace(/\..*$/, ''));
+}
+
+// ============================================================================
+// Extraction Report
+// ============================================================================
+
+function readEntries<T>(value: unknown, isEntry: (entry: Record<string, unknown>) => boolean): T[] {
+  return Array.isArray(value) ? value.filter(entry => isPlainObject(entry) && isEntry(entry)) as T[] : [];
+}
+
+/**
+ * Read the coverage-relevant parts of `comprehensive-extraction-report.json`
+ * in an extraction directory
+ *
+ * @returns The summary, or null when the directory has no readable report
+ */
+export async function readExtractionReport(extractionPath: string): Promise<ExtractionReportSummary | null> {
+  let report: unknown;
+  try {
+    report = JSON.parse(await fs.readFile(path.join(extractionPath, 'comprehensive-extraction-report.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(report) || !isPlainObject(report.extraction)) {
+    return null;
+  }
+
+  const { websiteData, errors, skippedFiles } = report.extraction;
+  return {
+    websiteComponents: readEntries<WebsiteComponent>(
+      isPlainObject(websiteData) ? websiteData.components : undefined,
+      entry => typeof entry.category === 'string' && typeof entry.slug === 'string'
+    ),
+    fetchErrors: readEntries(errors, entry => typeof entry.component === 'string'),
+    skippedFiles: readEntries(skippedFiles, entry => typeof entry.file === 'string')
+  };
+}
+
+// ============================================================================
+// Coverage
+// ============================================================================
+
+interface WantedComponent extends ExpectedComponent {
+  readonly expectedBy: ('taxonomy' | 'website')[];
+}
+
+/**
+ * Expected components merged with the website's, website pages placed
+ * through the taxonomy's category aliases
+ */
+function collectWanted(
+  taxonomy: CategoryTaxonomy,
+  websiteComponents: readonly WebsiteComponent[]
+): Map<string, WantedComponent> {
+  const wanted = new Map<string, WantedComponent>();
+  for (const expected of taxonomy.expectedComponents()) {
+    wanted.set(expected.slug, { ...expected, expectedBy: ['taxonomy'] });
+  }
+
+  for (const page of websiteComponents) {
+    const existing = wanted.get(page.slug);
+    if (existing) {
+      if (!existing.expectedBy.includes('website')) existing.expectedBy.push('website');
+      continue;
+    }
+    const placement = taxonomy.resolve(page.category) || { category: taxonomy.defaultCategory };
+    wanted.set(page.slug, { slug: page.slug, ...placement, expectedBy: ['website'] });
+  }
+
+  return wanted;
+}
+
+/**
+ * Explain why a wanted component is not in the library
+ */
+function explainMissing(
+  slug: string,
+  otherEntries: ReadonlyMap<string, ReactBitsComponent>,
+  report: ExtractionReportSummary | null
+): { reason: MissingReason; detail?: string } {
+  const fetchError = report?.fetchErrors.find(entry =>
+    toComponentSlug(entry.component) === slug || fileSlug(entry.file) === slug
+  );
+  if (fetchError) {
+    return { reason: 'fetch-failed', detail: `${fetchError.file}: ${fetchError.error}` };
+  }
+
+  const docsEntry = otherEntries.get(slug);
+  if (docsEntry) {
+    return { reason: 'filtered', detail: `${docsEntry.sourcePath || docsEntry.id} is classified as ${kindOf(docsEntry)}` };
+  }
+
+  const skipped = report?.skippedFiles.find(entry => fileSlug(entry.file) === slug);
+  if (skipped) {
+    return { reason: 'filtered', detail: `${skipped.file}: ${skipped.reason}` };
+  }
+
+  return { reason: 'not-found' };
+}
+
+/**
+ * Compare the taxonomy's expected components and the website's component
+ * pages against the extracted catalog
+ *
+ * @param components - Every catalog entry, docs-site kinds included
+ * @param report - Extraction report summary, or null when there is none
+ */
+export function buildCatalogCoverage(
+  taxonomy: CategoryTaxonomy,
+  components: readonly ReactBitsComponent[],
+  report: ExtractionReportSummary | null,
+  options: CoverageOptions = {}
+): CatalogCoverage {
+  const staleAfterDays = options.staleAfterDays ?? DEFAULT_STALE_AFTER_DAYS;
+  const now = options.now ?? Date.now();
+
+  const library = new Map<string, ReactBitsComponent>();
+  const otherEntries = new Map<string, ReactBitsComponent>();
+  for (const component of components) {
+    const entries = isLibraryComponent(component) ? library : otherEntries;
+    const slug = toComponentSlug(component.name);
+    if (!entries.has(slug)) entries.set(slug, component);
+  }
+
+  const wanted = collectWanted(taxonomy, report?.websiteComponents || []);
+  const libraryComponents = components.filter(isLibraryComponent);
+
+  const categories = taxonomy.categories.map((category): CategoryCoverage => {
+    const wantedHere = [...wanted.values()].filter(entry => entry.category === category.id);
+    const extractedHere = libraryComponents.filter(component => component.category === category.id);
+
+    const missing = wantedHere
+      .filter(entry => !library.has(entry.slug))
+      .map((entry): MissingComponent => ({
+        slug: entry.slug,
+        ...(entry.subcategory ? { subcategory: entry.subcategory } : {}),
+        expectedBy: entry.expectedBy,
+        ...explainMissing(entry.slug, otherEntries, report)
+      }));
+
+    const extra = extractedHere
+      .filter(component => !wanted.has(toComponentSlug(component.name)))
+      .map((component): ExtraComponent => ({
+        id: component.id,
+        name: component.name,
+        slug: toComponentSlug(component.name),
+        ...(component.subcategory ? { subcategory: component.subcategory } : {})
+      }));
+
+    const stale = extractedHere.flatMap((component): StaleComponent[] => {
+      const ageDays = Math.floor((now - new Date(component.lastUpdated).getTime()) / DAY_MS);
+      return ageDays > staleAfterDays
+        ? [{ id: component.id, name: component.name, lastUpdated: component.lastUpdated, ageDays }]
+        : [];
+    });
+
+    return {
+      id: category.id,
+      name: category.name,
+      expected: wantedHere.filter(entry => entry.expectedBy.includes('taxonomy')).length,
+      websiteDiscovered: wantedHere.filter(entry => entry.expectedBy.includes('website')).length,
+      extracted: extractedHere.length,
+      found: wantedHere.length - missing.length,
+      missing,
+      extra,
+      stale
+    };
+  });
+
+  const total = (field: 'expected' | 'websiteDiscovered' | 'extracted' | 'found') =>
+    categories.reduce((sum, category) => sum + category[field], 0);
+  const count = (field: 'missing' | 'extra' | 'stale') =>
+    categories.reduce((sum, category) => sum + category[field].length, 0);
+
+  const found = total('found');
+  return {
+    summary: {
+      expected: total('expected'),
+      websiteDiscovered: total('websiteDiscovered'),
+      extracted: total('extracted'),
+      found,
+      missing: count('missing'),
+      extra: count('extra'),
+      stale: count('stale'),
+      coveragePercent: wanted.size > 0 ? Math.round((found / wanted.size) * 100) : 100,
+      complete: count('missing') === 0
+    },
+    reportAvailable: report !== null,
+    staleAfterDays,
+    categories
+  };
+}
@@ -0,0 +1,360 @@
+/**
+ * ReactBits Catalog Storage Backends
+ *
+ * The data service reads extracted component records through the
+ * `CatalogStore` interface. Each store exposes a cheap revision check so the
+ * service only re-reads the catalog when the underlying data has changed.
+ *
+ * - `FileSystemCatalogStore` reads the scraper layout (component-index.json
+ *   plus one JSON file per component), from the snapshot `current.json`
+ *   points to when the extraction root holds snapshots
+ * - `SqliteCatalogStore` keeps every record in a single SQLite database file
+ * - `InMemoryCatalogStore` holds records in memory for tests and embedding
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import initSqlJs from 'sql.js';
+import type { Database, SqlJsStatic } from 'sql.js';
+import type { CatalogStoreKind, ExtractedComponentRecord } from './types.js';
+
+// ============================================================================
+// Store Contract
+// ============================================================================
+
+/**
+ * Result of loading a store: every record plus the revision they belong to
+ */
+export interface CatalogSnapshot {
+  readonly revision: string;
+  readonly records: readonly ExtractedComponentRecord[];
+}
+
+export interface CatalogStore {
+  /** Backend identifier reported in health output */
+  readonly kind: CatalogStoreKind;
+
+  /** Human-readable location of the backing data */
+  readonly location: string;
+
+  /**
+   * Cheap change detector. Returns null when the store has no data yet.
+   */
+  getRevision(): Promise<string | null>;
+
+  /** Read every record in the store */
+  load(): Promise<CatalogSnapshot>;
+
+  /** Replace the store contents with the given records */
+  replaceAll(records: readonly ExtractedComponentRecord[]): Promise<void>;
+}
+
+/**
+ * File name used for a record inside the filesystem layout. Variants of a
+ * component share its name and category, so the variant is part of the name.
+ */
+export function getRecordFileName(record: Pick<ExtractedComponentRecord, 'metadata'>): string {
+  const baseName = getLegacyRecordFileName(record).replace(/\.json$/, '');
+  return record.metadata.variant ? `${baseName}.${record.metadata.variant}.json` : `${baseName}.json`;
+}
+
+/**
+ * File name used before variants were kept apart, still read as a fallback
+ */
+function getLegacyRecordFileName(record: Pick<ExtractedComponentRecord, 'metadata'>): string {
+  return `${record.metadata.name.toLowerCase().replace(/\s+/g, '-')}.json`;
+}
+
+/**
+ * Read the record a `component-index.json` entry points to in an extraction
+ * directory
+ *
+ * @param indexEntry - Index entry; its `category` is the raw directory name
+ */
+export async function readIndexedRecord(directory: string, indexEntry: any): Promise<ExtractedComponentRecord> {
+  const categoryDir = path.join(directory, 'components', indexEntry.category);
+  const componentData = await fs.readFile(path.join(categoryDir, getRecordFileName({ metadata: indexEntry })), 'utf-8')
+    .catch(() => fs.readFile(path.join(categoryDir, getLegacyRecordFileName({ metadata: indexEntry })), 'utf-8'));
+  return JSON.parse(componentData);
+}
+
+// ============================================================================
+// Filesystem Store
+// ============================================================================
+
+/** Pointer naming the snapshot an extraction root serves */
+export const CURRENT_SNAPSHOT_FILE = 'current.json';
+
+/** Directory under an extraction root holding promoted snapshots */
+export const SNAPSHOTS_DIR = 'snapshots';
+
+const SNAPSHOT_ID_PATTERN = /^[\w-]+$/;
+
+export function isSnapshotId(value: unknown): value is string {
+  return typeof value === 'string' && SNAPSHOT_ID_PATTERN.test(value);
+}
+
+/**
+ * Directory an extraction root serves: the snapshot `current.json` points
+ * to, or the root itself when it uses the flat layout older scrapers wrote
+ *
+ * @returns The directory, and the snapshot ID when there is one
+ */
+export async function resolveExtractionDirectory(root: string): Promise<{ directory: string; snapshot: string | null }> {
+  let pointer: unknown;
+  try {
+    pointer = JSON.parse(await fs.readFile(path.join(root, CURRENT_SNAPSHOT_FILE), 'utf-8'));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return { directory: root, snapshot: null };
+    }
+    throw new Error(`Cannot read ${path.join(root, CURRENT_SNAPSHOT_FILE)}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  const snapshot = (pointer as { snapshot?: unknown } | null)?.snapshot;
+  if (!isSnapshotId(snapshot)) {
+    throw new Error(`${path.join(root, CURRENT_SNAPSHOT_FILE)} does not name a snapshot`);
+  }
+  return { directory: path.join(root, SNAPSHOTS_DIR, snapshot), snapshot };
+}
+
+export class FileSystemCatalogStore implements CatalogStore {
+  readonly kind = 'filesystem' as const;
+  readonly location: string;
+
+  constructor(extractionPath: string) {
+    this.location = extractionPath;
+  }
+
+  /**
+   * Directory currently served, for reading files next to the records
+   */
+  async getDirectory(): Promise<string> {
+    return (await resolveExtractionDirectory(this.location)).directory;
+  }
+
+  async getRevision(): Promise<string | null> {
+    try {
+      return await this.revisionOf(await resolveExtractionDirectory(this.location));
+    } catch {
+      return null;
+    }
+  }
+
+  private async revisionOf({ directory, snapshot }: { directory: string; snapshot: string | null }): Promise<string> {
+    const stats = await fs.stat(path.join(directory, 'component-index.json'));
+    return [...(snapshot ? [snapshot] : []), stats.mtimeMs, stats.size].join(':');
+  }
+
+  async load(): Promise<CatalogSnapshot> {
+    // Resolved once, so a promotion during the read cannot mix two snapshots
+    const resolved = await resolveExtractionDirectory(this.location);
+    const revision = await this.revisionOf(resolved).catch(() => null);
+    const indexData = await fs.readFile(path.join(resolved.directory, 'component-index.json'), 'utf-8');
+    const componentIndex: any[] = JSON.parse(indexData);
+
+    const records: ExtractedComponentRecord[] = [];
+
+    for (const indexEntry of componentIndex) {
+      try {
+        records.push(await readIndexedRecord(resolved.directory, indexEntry));
+      } catch (error) {
+        console.warn(`Failed to load component file for ${indexEntry.name}:`, error);
+      }
+    }
+
+    return { revision: revision || '0', records };
+  }
+
+  /**
+   * Write the records into the directory currently served. Refreshes go
+   * through scraper snapshots instead, which readers never see half-written.
+   */
+  async replaceAll(records: readonly ExtractedComponentRecord[]): Promise<void> {
+    const directory = await this.getDirectory();
+    for (const record of records) {
+      const categoryDir = path.join(directory, 'components', record.metadata.category);
+      await fs.mkdir(categoryDir, { recursive: true });
+      await fs.writeFile(
+        path.join(categoryDir, getRecordFileName(record)),
+        JSON.stringify(record, null, 2),
+        'utf8'
+      );
+    }
+
+    // The index is written last so its mtime marks a complete revision
+    const componentIndex = records.map(record => ({
+      name: record.metadata.name,
+      category: record.metadata.category,
+      variant: record.metadata.variant,
+      priority: record.metadata.priority,
+      filePath: record.source.filePath,
+      features: record.analysis.features,
+      hasAnimation: record.analysis.hasAnimation
+    }));
+    await fs.writeFile(path.join(directory, 'component-index.json'), JSON.stringify(componentIndex, null, 2), 'utf8');
+  }
+}
+
+// ============================================================================
+// SQLite Store
+// ============================================================================
+
+let sqlJsPromise: Promise<SqlJsStatic> | null = null;
+
+function loadSqlJs(): Promise<SqlJsStatic> {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs();
+  }
+  return sqlJsPromise;
+}
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS components (
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    variant TEXT NOT NULL DEFAULT '',
+    file_path TEXT,
+    record TEXT NOT NULL,
+    PRIMARY KEY (category, name, variant)
+  );
+  CREATE TABLE IF NOT EXISTS catalog_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+export class SqliteCatalogStore implements CatalogStore {
+  readonly kind = 'sqlite' as const;
+  readonly location: string;
+
+  constructor(databasePath: string) {
+    this.location = databasePath;
+  }
+
+  async getRevision(): Promise<string | null> {
+    try {
+      const stats = await fs.stat(this.location);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  async load(): Promise<CatalogSnapshot> {
+    const revision = await this.getRevision();
+    const db = await this.open();
+
+    try {
+      const records: ExtractedComponentRecord[] = [];
+      const statement = db.prepare('SELECT record FROM components ORDER BY rowid');
+
+      while (statement.step()) {
+        const row = statement.getAsObject();
+        records.push(JSON.parse(String(row.record)));
+      }
+      statement.free();
+
+      return { revision: revision || '0', records };
+    } finally {
+      db.close();
+    }
+  }
+
+  async replaceAll(records: readonly ExtractedComponentRecord[]): Promise<void> {
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+
+    try {
+      db.run(SQLITE_SCHEMA);
+      db.run('BEGIN');
+
+      const insert = db.prepare(
+        'INSERT OR REPLACE INTO components (name, category, variant, file_path, record) VALUES (?, ?, ?, ?, ?)'
+      );
+      for (const record of records) {
+        insert.run([
+          record.metadata.name,
+          record.metadata.category,
+          record.metadata.variant ?? '',
+          record.source.filePath ?? null,
+          JSON.stringify(record)
+        ]);
+      }
+      insert.free();
+
+      db.run('INSERT OR REPLACE INTO catalog_meta (key, value) VALUES (?, ?)', [
+        'updatedAt',
+        new Date().toISOString()
+      ]);
+      db.run('COMMIT');
+
+      // Write to a temporary file first so readers never see a partial database
+      await fs.mkdir(path.dirname(this.location), { recursive: true });
+      const tempPath = `${this.location}.tmp`;
+      await fs.writeFile(tempPath, Buffer.from(db.export()));
+      await fs.rename(tempPath, this.location);
+    } finally {
+      db.close();
+    }
+  }
+
+  private async open(): Promise<Database> {
+    const SQL = await loadSqlJs();
+    const data = await fs.readFile(this.location);
+    const db = new SQL.Database(data);
+    db.run(SQLITE_SCHEMA);
+    return db;
+  }
+}
+
+// ============================================================================
+// In-Memory Store
+// ============================================================================
+
+export class InMemoryCatalogStore implements CatalogStore {
+  readonly kind = 'memory' as const;
+  readonly location = 'memory';
+  private records: ExtractedComponentRecord[];
+  private revision = 0;
+
+  constructor(records: readonly ExtractedComponentRecord[] = []) {
+    this.records = [...records];
+    if (records.length > 0) {
+      this.revision = 1;
+    }
+  }
+
+  async getRevision(): Promise<string | null> {
+    return this.revision > 0 ? String(this.revision) : null;
+  }
+
+  async load(): Promise<CatalogSnapshot> {
+    return { revision: String(this.revision), records: [...this.records] };
+  }
+
+  async replaceAll(records: readonly ExtractedComponentRecord[]): Promise<void> {
+    this.records = [...records];
+    this.revision++;
+  }
+}
+
+// ============================================================================
+// Store Factory
+// ============================================================================
+
+/**
+ * Create a store from a backend kind and location
+ */
+export function createCatalogStore(kind: CatalogStoreKind, location: string): CatalogStore {
+  switch (kind) {
+    case 'filesystem':
+      return new FileSystemCatalogStore(path.resolve(process.cwd(), location));
+    case 'sqlite':
+      return new SqliteCatalogStore(path.resolve(process.cwd(), location));
+    case 'memory':
+      return new InMemoryCatalogStore();
+    default:
+      throw new Error(`Unknown catalog store: ${kind}`);
+  }
+}
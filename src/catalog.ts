@@ -0,0 +1,297 @@
+/**
+ * ReactBits Component Catalog
+ *
+ * Single read model shared by every MCP tool. A catalog is built either from
+ * the scraper extraction output or, as an explicit fallback, from the bundled
+ * mock fixtures. The source is carried on the catalog so tool responses can
+ * report which data they were served from. The full-text search index is
+ * built alongside the catalog so every load ships with a matching index.
+ * Category listings and random picks only draw from library entries.
+ * Subcategories are kept in the same list as their parents, marked with
+ * `parentId`.
+ */
+
+import { SearchIndex } from './search-index.js';
+import { ComponentMatcher, type ComponentMatch } from './fuzzy-match.js';
+import { selectVariant } from './variants.js';
+import { isLibraryComponent } from './component-kinds.js';
+import type {
+  ReactBitsComponent,
+  ReactBitsCategory,
+  CatalogSource,
+  SearchHit
+} from './types.js';
+
+// ============================================================================
+// Component Catalog
+// ============================================================================
+
+function pathKey(sourcePath: string, namespace = ''): string {
+  return `${namespace}:${sourcePath}`;
+}
+
+export class ComponentCatalog {
+  private readonly components: readonly ReactBitsComponent[];
+  private readonly libraryComponents: readonly ReactBitsComponent[];
+  private readonly categories: readonly ReactBitsCategory[];
+  private readonly componentsById: Map<string, ReactBitsComponent>;
+  private readonly componentsByPath: Map<string, ReactBitsComponent>;
+  private readonly searchIndex: SearchIndex;
+  private readonly matcher: ComponentMatcher;
+  readonly source: CatalogSource;
+  readonly loadedAt: number;
+
+  constructor(
+    components: readonly ReactBitsComponent[],
+    categories: readonly ReactBitsCategory[],
+    source: CatalogSource
+  ) {
+    this.components = components;
+    this.libraryComponents = components.filter(isLibraryComponent);
+    this.categories = categories;
+    this.source = source;
+    this.loadedAt = Date.now();
+    this.componentsById = new Map(components.map(component => [component.id, component]));
+    this.componentsByPath = new Map();
+    for (const component of components) {
+      const variants = component.variants?.map(source => selectVariant(component, source.variant)!) || [component];
+      for (const variant of variants) {
+        if (variant.sourcePath) this.componentsByPath.set(pathKey(variant.sourcePath, component.namespace), variant);
+      }
+    }
+    this.searchIndex = new SearchIndex(components);
+    this.matcher = new ComponentMatcher(components);
+  }
+
+  /**
+   * Create an empty catalog used before the first load completes
+   */
+  static empty(): ComponentCatalog {
+    return new ComponentCatalog([], [], 'empty');
+  }
+
+  get size(): number {
+    return this.components.length;
+  }
+
+  isEmpty(): boolean {
+    return this.components.length === 0;
+  }
+
+  getComponents(): readonly ReactBitsComponent[] {
+    return this.components;
+  }
+
+  getComponent(id: string): ReactBitsComponent | null {
+    return this.componentsById.get(id) || null;
+  }
+
+  /**
+   * Find the component extracted from an upstream repository path, as the
+   * variant that path belongs to
+   *
+   * @param namespace - Library the path belongs to; paths only identify a file within one library
+   */
+  getComponentByPath(sourcePath: string, namespace?: string): ReactBitsComponent | null {
+    return this.componentsByPath.get(pathKey(sourcePath, namespace)) || null;
+  }
+
+  /**
+   * Resolve an ID, display name, source path or near-miss ID to a component
+   */
+  resolveComponent(reference: string): ComponentMatch {
+    return this.matcher.resolve(reference);
+  }
+
+  /**
+   * Top-level categories; empty ones only when asked for
+   */
+  getCategories(includeEmpty = false): readonly ReactBitsCategory[] {
+    return this.categories.filter(category =>
+      !category.parentId && (includeEmpty || category.componentCount > 0)
+    );
+  }
+
+  /**
+   * Top-level category by ID or alias
+   */
+  getCategory(reference: string): ReactBitsCategory | null {
+    return this.categories.find(category =>
+      !category.parentId && (category.id === reference || category.aliases?.includes(reference))
+    ) || null;
+  }
+
+  /**
+   * Subcategories of a category; empty ones only when asked for
+   */
+  getSubcategories(categoryId: string, includeEmpty = false): readonly ReactBitsCategory[] {
+    return this.categories.filter(category =>
+      category.parentId === categoryId && (includeEmpty || category.componentCount > 0)
+    );
+  }
+
+  /**
+   * Library components in a category, or in one of its subcategories;
+   * docs-site entries are left out
+   */
+  getComponentsInCategory(categoryId: string, subcategoryId?: string): ReactBitsComponent[] {
+    return this.libraryComponents.filter(component =>
+      component.category === categoryId && (!subcategoryId || component.subcategory === subcategoryId)
+    );
+  }
+
+  /**
+   * Rank components against a free-text query, best match first
+   */
+  search(query: string): SearchHit[] {
+    return this.searchIndex.search(query);
+  }
+
+  getRandomComponent(): ReactBitsComponent | null {
+    if (this.libraryComponents.length === 0) {
+      return null;
+    }
+
+    const randomIndex = Math.floor(Math.random() * this.libraryComponents.length);
+    return this.libraryComponents[randomIndex];
+  }
+}
+
+// ============================================================================
+// Catalog Diff
+// ============================================================================
+
+/**
+ * Component-level changes between two catalogs
+ */
+export interface CatalogDiff {
+  readonly added: readonly string[];
+  readonly removed: readonly string[];
+  readonly changed: readonly string[];
+
+  /** Categories containing any added, removed or changed component */
+  readonly categories: readonly string[];
+}
+
+/**
+ * Compare two catalogs by component ID and content
+ */
+export function diffCatalogs(previous: ComponentCatalog, next: ComponentCatalog): CatalogDiff {
+  const added: string[] = [];
+  const removed: string[] = [];
+  const changed: string[] = [];
+  const categories = new Set<string>();
+
+  for (const component of next.getComponents()) {
+    const before = previous.getComponent(component.id);
+    if (!before) {
+      added.push(component.id);
+      categories.add(component.category);
+    } else if (JSON.stringify(before) !== JSON.stringify(component)) {
+      changed.push(component.id);
+      categories.add(component.category);
+      categories.add(before.category);
+    }
+  }
+
+  for (const component of previous.getComponents()) {
+    if (!next.getComponent(component.id)) {
+      removed.push(component.id);
+      categories.add(component.category);
+    }
+  }
+
+  return { added, removed, changed, categories: [...categories] };
+}
+
+/**
+ * Whether a diff contains any change
+ */
+export function hasCatalogChanges(diff: CatalogDiff): boolean {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+// ============================================================================
+// Mock Fallback Data
+// ============================================================================
+
+/**
+ * Fixture components served only when the extraction cannot be loaded and
+ * mock fallback is enabled in configuration
+ */
+export const MOCK_COMPONENTS: readonly ReactBitsComponent[] = [
+  {
+    id: 'animated-button-1',
+    name: 'Animated Button',
+    description: 'A beautiful animated button with hover effects',
+    category: 'buttons',
+    tags: ['animation', 'hover', 'interactive'],
+    codePreview: `<Button className="animated-btn">Click me</Button>`,
+    dependencies: ['framer-motion', 'tailwindcss'],
+    lastUpdated: '2024-01-15T10:00:00Z',
+    difficulty: 'beginner',
+    demoUrl: 'https://reactbits.dev/demo/animated-button-1'
+  },
+  {
+    id: 'gradient-card-2',
+    name: 'Gradient Card',
+    description: 'Modern card component with gradient backgrounds',
+    category: 'cards',
+    tags: ['gradient', 'modern', 'layout'],
+    codePreview: `<GradientCard>Content here</GradientCard>`,
+    dependencies: ['react', 'tailwindcss'],
+    lastUpdated: '2024-01-14T15:30:00Z',
+    difficulty: 'intermediate'
+  },
+  {
+    id: 'hover-card-3',
+    name: 'Hover Card',
+    description: 'Interactive card with smooth hover animations',
+    category: 'cards',
+    tags: ['hover', 'animation', 'card'],
+    codePreview: `<HoverCard>Hover me</HoverCard>`,
+    dependencies: ['react', 'tailwindcss'],
+    lastUpdated: '2024-01-13T12:00:00Z',
+    difficulty: 'beginner'
+  },
+  {
+    id: 'glow-button-4',
+    name: 'Glow Button',
+    description: 'Button with elegant glow effect on hover',
+    category: 'buttons',
+    tags: ['glow', 'hover', 'effect'],
+    codePreview: `<GlowButton>Glow Effect</GlowButton>`,
+    dependencies: ['react', 'tailwindcss'],
+    lastUpdated: '2024-01-12T09:15:00Z',
+    difficulty: 'intermediate',
+    demoUrl: 'https://reactbits.dev/demo/glow-button-4'
+  }
+];
+
+export const MOCK_CATEGORIES: readonly ReactBitsCategory[] = [
+  {
+    id: 'buttons',
+    name: 'Buttons',
+    description: 'Interactive button components with various styles and animations',
+    componentCount: 2,
+    subcategories: ['primary', 'secondary', 'animated'],
+    priority: 1,
+    icon: '🔘'
+  },
+  {
+    id: 'cards',
+    name: 'Cards',
+    description: 'Card layouts and containers for organizing content',
+    componentCount: 2,
+    subcategories: ['basic', 'gradient', 'glassmorphism'],
+    priority: 2,
+    icon: '🎴'
+  }
+];
+
+/**
+ * Build the mock fallback catalog
+ */
+export function createMockCatalog(): ComponentCatalog {
+  return new ComponentCatalog(MOCK_COMPONENTS, MOCK_CATEGORIES, 'mock');
+}
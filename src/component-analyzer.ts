@@ -0,0 +1,586 @@
+/**
+ * ReactBits Component Analyzer
+ *
+ * Parses component source (JS, JSX, TS or TSX) with the TypeScript compiler
+ * and reports what the code actually does: imports and exports, hook calls,
+ * JSX element usage, cyclomatic complexity and the features, styling and
+ * animation signals derived from them. Comments and unrelated strings never
+ * count, unlike the text matching the scraper used before. The exports and
+ * what they return also decide the file's kind, which separates library
+ * components, hooks and utilities from the docs-site files around them.
+ *
+ * The result maps one-to-one onto the `analysis` and `types` blocks of an
+ * extracted component record.
+ */
+
+import ts from 'typescript';
+import type { ComponentKind, ExtractedImport, JsxElementUsage } from './types.js';
+
+// ============================================================================
+// Result Types
+// ============================================================================
+
+export type ComplexityLevel = 'simple' | 'moderate' | 'complex';
+
+export interface ComplexityReport {
+  readonly level: ComplexityLevel;
+  readonly score: number;
+  readonly metrics: {
+    readonly lines: number;
+    readonly dependencies: number;
+    readonly hooks: number;
+    readonly conditionals: number;
+    readonly cyclomatic: number;
+  };
+}
+
+export interface PropsInterface {
+  readonly name: string;
+  readonly properties: readonly string[];
+}
+
+export interface ComponentAnalysis {
+  /** Module specifiers imported, re-exported or loaded dynamically */
+  readonly dependencies: readonly string[];
+
+  /** Exported names; default exports are reported as `default` */
+  readonly exports: readonly string[];
+  readonly imports: readonly ExtractedImport[];
+
+  /** Hooks called by the module, in order of first call */
+  readonly hooks: readonly string[];
+  readonly features: readonly string[];
+  readonly complexity: ComplexityReport;
+  readonly stylingApproach: readonly string[];
+  readonly hasAnimation: boolean;
+  readonly jsxElements: readonly JsxElementUsage[];
+  readonly typeDefinitions: readonly string[];
+  readonly propsInterface: readonly PropsInterface[];
+
+  /** What the file is, judged by its path, exports and what they return */
+  readonly kind: ComponentKind;
+}
+
+// ============================================================================
+// Signals
+// ============================================================================
+
+const HOOK_NAME = /^use[A-Z0-9]/;
+
+const STATE_HOOKS = new Set(['useState', 'useReducer']);
+const EFFECT_HOOKS = new Set(['useEffect', 'useLayoutEffect', 'useInsertionEffect']);
+const MEMO_HOOKS = new Set(['useMemo', 'useCallback']);
+
+/** Packages whose use means the component animates */
+const ANIMATION_PACKAGES = /^(?:framer-motion|motion(?:\/.*)?|gsap(?:\/.*)?|@gsap\/.*|react-spring|@react-spring\/.*|animejs|lottie-.*|@lottiefiles\/.*|three|@react-three\/.*|ogl|react-transition-group)$/;
+
+/** JSX props and style keys that drive animations */
+const ANIMATION_KEYS = new Set([
+  'animate', 'animation', 'animationName', 'initial', 'exit', 'transition',
+  'variants', 'whileHover', 'whileTap', 'whileInView', 'keyframes'
+]);
+
+/** CSS in string or template literals that defines an animation */
+const ANIMATION_CSS = /@keyframes|(?:^|[\s;{])(?:animation|transition)\s*:/;
+
+/** Tailwind utility classes in a className literal */
+const TAILWIND_CLASS = /(?:^|\s)(?:[a-z-]+:)*(?:flex|grid|hidden|inline-flex|items-[a-z]+|justify-[a-z]+|[pm][trblxy]?-\d+|gap-\d+|[wh]-(?:\d+|full|screen)|text-(?:xs|sm|base|lg|\dxl|[a-z]+-\d{2,3})|bg-[a-z]+(?:-\d{2,3})?|rounded(?:-[a-z0-9]+)?|shadow(?:-[a-z]+)?)(?=\s|$)/;
+
+const COMPLEXITY_THRESHOLDS = { moderate: 20, complex: 50 };
+
+/** Build and tool configuration files: `vite.config.js`, `tailwind.config.ts` */
+const CONFIG_FILE = /\.config\.[cm]?[jt]sx?$/i;
+
+/** Calls that mount a React tree into the DOM */
+const MOUNT_CALLS = ['createRoot', 'hydrateRoot'];
+
+/** Elements that declare an application's route table */
+const ROUTER_ELEMENTS = ['Routes', 'Switch', 'RouterProvider'];
+
+/**
+ * Directories of the ReactBits docs site holding demo pages and the preview
+ * and code widgets shown around them
+ */
+const DEMO_DIRECTORIES = new Set(['demo', 'demos', 'examples', 'stories', 'pages', 'landing', 'code']);
+const DEMO_FILE = /(?:Demo|Example|Playground|\.stories)$/;
+
+const CONTEXT_EXPORT = /(?:Provider|Context)$/;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+function getScriptKind(filePath: string): ts.ScriptKind {
+  switch (filePath.split('.').pop()?.toLowerCase()) {
+    case 'ts':
+      return ts.ScriptKind.TS;
+    case 'tsx':
+      return ts.ScriptKind.TSX;
+    default:
+      // ReactBits ships JSX in .js files too
+      return ts.ScriptKind.JSX;
+  }
+}
+
+/**
+ * Parse source into a syntax tree; parse errors are tolerated so partially
+ * valid files still produce an analysis
+ */
+export function parseSource(sourceCode: string, filePath = 'component.jsx'): ts.SourceFile {
+  return ts.createSourceFile(filePath, sourceCode, ts.ScriptTarget.Latest, true, getScriptKind(filePath));
+}
+
+function isExternalSpecifier(specifier: string): boolean {
+  return !specifier.startsWith('.') && !specifier.startsWith('/');
+}
+
+function hasModifier(node: ts.Node, kind: ts.SyntaxKind): boolean {
+  return ts.canHaveModifiers(node) && (ts.getModifiers(node) || []).some(modifier => modifier.kind === kind);
+}
+
+/**
+ * Name of a called function: `useState` for both `useState()` and
+ * `React.useState()`
+ */
+function getCalleeName(expression: ts.Expression): string | null {
+  if (ts.isIdentifier(expression)) return expression.text;
+  if (ts.isPropertyAccessExpression(expression)) return expression.name.text;
+  return null;
+}
+
+function getPropertyName(name: ts.PropertyName | ts.JsxAttributeName): string | null {
+  if (ts.isIdentifier(name) || ts.isStringLiteral(name)) return name.text;
+  return null;
+}
+
+function getBindingNames(name: ts.BindingName): string[] {
+  if (ts.isIdentifier(name)) return [name.text];
+  return name.elements.flatMap(element => ts.isBindingElement(element) ? getBindingNames(element.name) : []);
+}
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+class SourceWalker {
+  readonly dependencies = new Set<string>();
+  readonly exports = new Set<string>();
+  readonly imports: ExtractedImport[] = [];
+  readonly hookCalls: string[] = [];
+  readonly calls = new Set<string>();
+  readonly jsxElements = new Map<string, number>();
+  readonly jsxAttributes = new Set<string>();
+  readonly typeDefinitions: string[] = [];
+  readonly propsInterfaces: PropsInterface[] = [];
+  readonly classNames: string[] = [];
+  conditionals = 0;
+  decisionPoints = 0;
+  usesTypeScript = false;
+  animationSignal = false;
+
+  constructor(private readonly sourceFile: ts.SourceFile) {}
+
+  walk(node: ts.Node = this.sourceFile): void {
+    this.visit(node);
+    ts.forEachChild(node, child => this.walk(child));
+  }
+
+  private addDependency(specifier: string): void {
+    this.dependencies.add(specifier);
+    if (ANIMATION_PACKAGES.test(specifier)) {
+      this.animationSignal = true;
+    }
+  }
+
+  private visit(node: ts.Node): void {
+    if (ts.isTypeNode(node) || ts.isInterfaceDeclaration(node) || ts.isEnumDeclaration(node)) {
+      this.usesTypeScript = true;
+    }
+
+    switch (node.kind) {
+      case ts.SyntaxKind.ImportDeclaration:
+        this.visitImport(node as ts.ImportDeclaration);
+        return;
+      case ts.SyntaxKind.ExportDeclaration:
+        this.visitExportDeclaration(node as ts.ExportDeclaration);
+        return;
+      case ts.SyntaxKind.ExportAssignment:
+        this.exports.add('default');
+        return;
+      case ts.SyntaxKind.CallExpression:
+        this.visitCall(node as ts.CallExpression);
+        return;
+      case ts.SyntaxKind.JsxOpeningElement:
+      case ts.SyntaxKind.JsxSelfClosingElement: {
+        const name = (node as ts.JsxOpeningLikeElement).tagName.getText(this.sourceFile);
+        this.jsxElements.set(name, (this.jsxElements.get(name) || 0) + 1);
+        return;
+      }
+      case ts.SyntaxKind.JsxAttribute:
+        this.visitJsxAttribute(node as ts.JsxAttribute);
+        return;
+      case ts.SyntaxKind.PropertyAssignment:
+      case ts.SyntaxKind.ShorthandPropertyAssignment: {
+        const name = getPropertyName((node as ts.PropertyAssignment | ts.ShorthandPropertyAssignment).name);
+        if (name && ANIMATION_KEYS.has(name)) this.animationSignal = true;
+        return;
+      }
+      case ts.SyntaxKind.StringLiteral:
+      case ts.SyntaxKind.NoSubstitutionTemplateLiteral:
+      case ts.SyntaxKind.TemplateHead:
+      case ts.SyntaxKind.TemplateMiddle:
+      case ts.SyntaxKind.TemplateTail:
+        if (ANIMATION_CSS.test((node as ts.LiteralLikeNode).text)) this.animationSignal = true;
+        return;
+      case ts.SyntaxKind.InterfaceDeclaration:
+      case ts.SyntaxKind.TypeAliasDeclaration:
+        this.visitTypeDeclaration(node as ts.InterfaceDeclaration | ts.TypeAliasDeclaration);
+        return;
+      case ts.SyntaxKind.IfStatement:
+      case ts.SyntaxKind.ConditionalExpression:
+        this.conditionals++;
+        this.decisionPoints++;
+        return;
+      case ts.SyntaxKind.CaseClause:
+        this.conditionals++;
+        this.decisionPoints++;
+        return;
+      case ts.SyntaxKind.ForStatement:
+      case ts.SyntaxKind.ForInStatement:
+      case ts.SyntaxKind.ForOfStatement:
+      case ts.SyntaxKind.WhileStatement:
+      case ts.SyntaxKind.DoStatement:
+      case ts.SyntaxKind.CatchClause:
+        this.decisionPoints++;
+        return;
+      case ts.SyntaxKind.BinaryExpression:
+        switch ((node as ts.BinaryExpression).operatorToken.kind) {
+          case ts.SyntaxKind.AmpersandAmpersandToken:
+          case ts.SyntaxKind.BarBarToken:
+          case ts.SyntaxKind.QuestionQuestionToken:
+          case ts.SyntaxKind.AmpersandAmpersandEqualsToken:
+          case ts.SyntaxKind.BarBarEqualsToken:
+          case ts.SyntaxKind.QuestionQuestionEqualsToken:
+            this.decisionPoints++;
+        }
+        return;
+      default:
+        this.visitExportedDeclaration(node);
+    }
+  }
+
+  private visitImport(node: ts.ImportDeclaration): void {
+    if (!ts.isStringLiteral(node.moduleSpecifier)) return;
+
+    const from = node.moduleSpecifier.text;
+    this.addDependency(from);
+    this.imports.push({
+      statement: node.importClause ? node.importClause.getText(this.sourceFile) : '',
+      from,
+      isExternal: isExternalSpecifier(from)
+    });
+  }
+
+  private visitExportDeclaration(node: ts.ExportDeclaration): void {
+    if (node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+      this.addDependency(node.moduleSpecifier.text);
+    }
+
+    if (node.exportClause && ts.isNamedExports(node.exportClause)) {
+      for (const element of node.exportClause.elements) {
+        this.exports.add(element.name.text);
+      }
+    } else if (node.exportClause && ts.isNamespaceExport(node.exportClause)) {
+      this.exports.add(node.exportClause.name.text);
+    }
+  }
+
+  private visitExportedDeclaration(node: ts.Node): void {
+    if (!hasModifier(node, ts.SyntaxKind.ExportKeyword)) return;
+
+    if (hasModifier(node, ts.SyntaxKind.DefaultKeyword)) {
+      this.exports.add('default');
+      return;
+    }
+
+    if (ts.isVariableStatement(node)) {
+      for (const declaration of node.declarationList.declarations) {
+        getBindingNames(declaration.name).forEach(name => this.exports.add(name));
+      }
+    } else if (
+      (ts.isFunctionDeclaration(node) || ts.isClassDeclaration(node) || ts.isEnumDeclaration(node) ||
+        ts.isInterfaceDeclaration(node) || ts.isTypeAliasDeclaration(node)) &&
+      node.name
+    ) {
+      this.exports.add(node.name.text);
+    }
+  }
+
+  private visitCall(node: ts.CallExpression): void {
+    // Dynamic import() and require() are dependencies too
+    const [firstArgument] = node.arguments;
+    const isModuleLoad = node.expression.kind === ts.SyntaxKind.ImportKeyword ||
+      (ts.isIdentifier(node.expression) && node.expression.text === 'require');
+    if (isModuleLoad && firstArgument && ts.isStringLiteralLike(firstArgument)) {
+      this.addDependency(firstArgument.text);
+      return;
+    }
+
+    const name = getCalleeName(node.expression);
+    if (!name) return;
+
+    this.calls.add(name);
+    if (HOOK_NAME.test(name)) {
+      this.hookCalls.push(name);
+    }
+  }
+
+  private visitJsxAttribute(node: ts.JsxAttribute): void {
+    const name = getPropertyName(node.name);
+    if (!name) return;
+
+    this.jsxAttributes.add(name);
+    if (ANIMATION_KEYS.has(name)) {
+      this.animationSignal = true;
+    }
+    if ((name === 'className' || name === 'class') && node.initializer) {
+      const value = ts.isStringLiteral(node.initializer)
+        ? node.initializer.text
+        : node.initializer.getText(this.sourceFile);
+      this.classNames.push(value);
+    }
+  }
+
+  private visitTypeDeclaration(node: ts.InterfaceDeclaration | ts.TypeAliasDeclaration): void {
+    this.visitExportedDeclaration(node);
+    this.typeDefinitions.push(node.getText(this.sourceFile));
+
+    const name = node.name.text;
+    if (!/Props?$/.test(name)) return;
+
+    const members = ts.isInterfaceDeclaration(node)
+      ? node.members
+      : ts.isTypeLiteralNode(node.type) ? node.type.members : null;
+    if (members) {
+      this.propsInterfaces.push({
+        name,
+        properties: members.map(member => member.getText(this.sourceFile).trim())
+      });
+    }
+  }
+}
+
+function detectFeatures(walker: SourceWalker, hasAnimation: boolean): string[] {
+  const hooks = new Set(walker.hookCalls);
+  const features: string[] = [];
+
+  if ([...STATE_HOOKS].some(hook => hooks.has(hook))) features.push('stateful');
+  if ([...EFFECT_HOOKS].some(hook => hooks.has(hook))) features.push('side-effects');
+  if ([...MEMO_HOOKS].some(hook => hooks.has(hook)) || walker.calls.has('memo')) features.push('performance-optimized');
+  if (hasAnimation) features.push('animated');
+  if (walker.calls.has('forwardRef')) features.push('ref-forwarding');
+  if (walker.usesTypeScript) features.push('typescript');
+  if ([...walker.jsxAttributes].some(attribute => /^on[A-Z]/.test(attribute))) features.push('interactive');
+  if (hooks.has('useContext')) features.push('context-aware');
+  if (
+    walker.calls.has('createPortal') ||
+    [...walker.jsxElements.keys()].some(name => name === 'Portal' || name.endsWith('.Portal'))
+  ) {
+    features.push('portal-based');
+  }
+
+  return features;
+}
+
+function detectStyling(walker: SourceWalker): string[] {
+  const approaches: string[] = [];
+  const dependencies = [...walker.dependencies];
+
+  if (walker.classNames.some(value => TAILWIND_CLASS.test(value))) approaches.push('tailwind');
+  if (dependencies.includes('styled-components')) approaches.push('styled-components');
+  if (dependencies.some(dependency => dependency.startsWith('@emotion/'))) approaches.push('emotion');
+  if (dependencies.some(dependency => /\.module\.(?:css|scss|sass)$/.test(dependency))) approaches.push('css-modules');
+  if (walker.jsxAttributes.has('style')) approaches.push('inline-styles');
+
+  return approaches.length > 0 ? approaches : ['css-classes'];
+}
+
+function measureComplexity(sourceCode: string, walker: SourceWalker): ComplexityReport {
+  const metrics = {
+    lines: sourceCode.split('\n').length,
+    dependencies: walker.dependencies.size,
+    hooks: walker.hookCalls.length,
+    conditionals: walker.conditionals,
+    cyclomatic: 1 + walker.decisionPoints
+  };
+
+  const score = metrics.lines * 0.1 + metrics.dependencies * 2 + metrics.hooks * 3 + walker.decisionPoints * 1.5;
+  const level: ComplexityLevel = score > COMPLEXITY_THRESHOLDS.complex
+    ? 'complex'
+    : score > COMPLEXITY_THRESHOLDS.moderate ? 'moderate' : 'simple';
+
+  return { level, score: Math.round(score), metrics };
+}
+
+// ============================================================================
+// Kind Classification
+// ============================================================================
+
+interface ExportedValue {
+  /** Local name of the exported binding, or `default` for anonymous defaults */
+  readonly name: string;
+  readonly returnsJsx: boolean;
+}
+
+function isJsxExpression(node: ts.Expression): boolean {
+  if (ts.isParenthesizedExpression(node)) return isJsxExpression(node.expression);
+  if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node)) return true;
+  if (ts.isConditionalExpression(node)) return isJsxExpression(node.whenTrue) || isJsxExpression(node.whenFalse);
+  if (ts.isBinaryExpression(node)) return isJsxExpression(node.right);
+  return false;
+}
+
+/**
+ * Whether a function returns JSX from its own body, or a class from its
+ * `render` method; returns inside nested functions do not count
+ */
+function returnsJsx(node: ts.Node): boolean {
+  if (ts.isClassLike(node)) {
+    return node.members.some(member =>
+      ts.isMethodDeclaration(member) && getPropertyName(member.name) === 'render' && returnsJsx(member)
+    );
+  }
+  if (!ts.isFunctionLike(node) || !('body' in node) || !node.body) return false;
+  if (!ts.isBlock(node.body)) return isJsxExpression(node.body);
+
+  let found = false;
+  const visit = (child: ts.Node): void => {
+    if (found || ts.isFunctionLike(child) || ts.isClassLike(child)) return;
+    if (ts.isReturnStatement(child) && child.expression && isJsxExpression(child.expression)) {
+      found = true;
+      return;
+    }
+    ts.forEachChild(child, visit);
+  };
+  ts.forEachChild(node.body, visit);
+  return found;
+}
+
+/**
+ * Whether an exported value is a component: a JSX-returning function or
+ * class, possibly wrapped in calls such as `memo(forwardRef(...))`
+ */
+function valueReturnsJsx(node: ts.Node | undefined, locals: ReadonlyMap<string, ts.Node>, seen = new Set<string>()): boolean {
+  if (!node) return false;
+  if (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isSatisfiesExpression(node)) {
+    return valueReturnsJsx(node.expression, locals, seen);
+  }
+  if (ts.isIdentifier(node)) {
+    if (seen.has(node.text)) return false;
+    seen.add(node.text);
+    return valueReturnsJsx(locals.get(node.text), locals, seen);
+  }
+  if (ts.isCallExpression(node)) {
+    return node.arguments.some(argument => valueReturnsJsx(argument, locals, seen));
+  }
+  return returnsJsx(node);
+}
+
+/**
+ * Values a module exports from its top-level statements; type-only exports
+ * are left out
+ */
+function collectExportedValues(sourceFile: ts.SourceFile): ExportedValue[] {
+  const locals = new Map<string, ts.Node>();
+  for (const statement of sourceFile.statements) {
+    if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+      locals.set(statement.name.text, statement);
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name) && declaration.initializer) {
+          locals.set(declaration.name.text, declaration.initializer);
+        }
+      }
+    }
+  }
+
+  const exported: ExportedValue[] = [];
+  for (const statement of sourceFile.statements) {
+    if (ts.isExportAssignment(statement)) {
+      const name = ts.isIdentifier(statement.expression) ? statement.expression.text : 'default';
+      exported.push({ name, returnsJsx: valueReturnsJsx(statement.expression, locals) });
+    } else if (ts.isExportDeclaration(statement) && !statement.isTypeOnly && statement.exportClause) {
+      const elements = ts.isNamedExports(statement.exportClause) ? statement.exportClause.elements : [];
+      for (const element of elements) {
+        if (element.isTypeOnly) continue;
+        const local = (element.propertyName || element.name).text;
+        exported.push({
+          name: local,
+          returnsJsx: !statement.moduleSpecifier && valueReturnsJsx(locals.get(local), locals)
+        });
+      }
+    } else if (!hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+      continue;
+    } else if (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) {
+      exported.push({ name: statement.name?.text || 'default', returnsJsx: returnsJsx(statement) });
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        for (const name of getBindingNames(declaration.name)) {
+          exported.push({ name, returnsJsx: valueReturnsJsx(declaration.initializer, locals) });
+        }
+      }
+    }
+  }
+  return exported;
+}
+
+/**
+ * Classify a file, most specific signal first: config files by name, entry
+ * points by mounting React or declaring routes, demos by docs-site location,
+ * then context providers, hooks and components by what they export. Anything
+ * else is a utility module.
+ */
+function classifyKind(filePath: string, walker: SourceWalker, exported: readonly ExportedValue[]): ComponentKind {
+  const segments = filePath.split('/');
+  const fileName = segments.pop() || filePath;
+  const stem = fileName.replace(/\.[^.]+$/, '');
+
+  if (CONFIG_FILE.test(fileName)) return 'config';
+  if (MOUNT_CALLS.some(call => walker.calls.has(call)) || ROUTER_ELEMENTS.some(element => walker.jsxElements.has(element))) {
+    return 'entry';
+  }
+  if (segments.some(segment => DEMO_DIRECTORIES.has(segment.toLowerCase())) || DEMO_FILE.test(stem)) return 'demo';
+  if (walker.calls.has('createContext') || exported.some(value => CONTEXT_EXPORT.test(value.name))) return 'context';
+  if (exported.length > 0 && exported.every(value => HOOK_NAME.test(value.name))) return 'hook';
+  if (exported.some(value => value.returnsJsx)) return 'component';
+  return 'utility';
+}
+
+/**
+ * Analyze one component source file
+ *
+ * @param filePath - Picks the parser dialect by extension and feeds kind
+ * classification
+ */
+export function analyzeComponentSource(sourceCode: string, filePath = 'component.jsx'): ComponentAnalysis {
+  const sourceFile = parseSource(sourceCode, filePath);
+  const walker = new SourceWalker(sourceFile);
+  walker.walk();
+
+  const hasAnimation = walker.animationSignal;
+
+  return {
+    dependencies: [...walker.dependencies],
+    exports: [...walker.exports],
+    imports: walker.imports,
+    hooks: [...new Set(walker.hookCalls)],
+    features: detectFeatures(walker, hasAnimation),
+    complexity: measureComplexity(sourceCode, walker),
+    stylingApproach: detectStyling(walker),
+    hasAnimation,
+    jsxElements: [...walker.jsxElements].map(([name, count]) => ({ name, count })),
+    typeDefinitions: walker.typeDefinitions,
+    propsInterface: walker.propsInterfaces,
+    kind: classifyKind(filePath, walker, collectExportedValues(sourceFile))
+  };
+}
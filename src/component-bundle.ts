@@ -0,0 +1,115 @@
+/**
+ * ReactBits Component Bundles
+ *
+ * Collects everything needed to drop a component into a project: its source,
+ * the transitive closure of the local modules and stylesheets it imports and
+ * the npm packages those files depend on. Local imports that were not
+ * extracted (or could not be resolved) are reported instead of silently
+ * dropped, so callers know what still has to come from the upstream
+ * repository.
+ */
+
+import type { ComponentCatalog } from './catalog.js';
+import type { LocalImportKind, ReactBitsComponent } from './types.js';
+
+/**
+ * Source file included in a bundle
+ */
+export interface BundleFile {
+  /** Path in the upstream repository; imports between bundle files resolve against it */
+  readonly path: string;
+
+  /** Catalog component the file was extracted as, or with for stylesheets */
+  readonly componentId: string;
+  readonly content: string;
+}
+
+/**
+ * Local import a bundle could not include
+ */
+export interface MissingBundleFile {
+  readonly specifier: string;
+
+  /** Path of the bundle file containing the import */
+  readonly importedBy: string;
+
+  /** Resolved repository path, or null when the import did not resolve */
+  readonly path: string | null;
+  readonly kind: LocalImportKind;
+}
+
+export interface ComponentBundle {
+  readonly id: string;
+
+  /** Path of the requested component's own file */
+  readonly entry: string;
+
+  /** Entry file first, then its local imports breadth-first */
+  readonly files: BundleFile[];
+
+  /** npm packages imported by any bundle file, deduplicated */
+  readonly npmDependencies: string[];
+  readonly missing: MissingBundleFile[];
+}
+
+function toBundleFile(component: ReactBitsComponent): BundleFile {
+  return {
+    path: component.sourcePath || component.id,
+    componentId: component.id,
+    content: component.fullCode || ''
+  };
+}
+
+/**
+ * Build the bundle for a component by following its local imports through
+ * the catalog
+ */
+export function buildComponentBundle(catalog: ComponentCatalog, component: ReactBitsComponent): ComponentBundle {
+  const entry = toBundleFile(component);
+  const files: BundleFile[] = [entry];
+  const npmDependencies = new Set<string>(component.dependencies);
+  const missing: MissingBundleFile[] = [];
+
+  const included = new Set([entry.path]);
+  const queue: ReactBitsComponent[] = [component];
+
+  for (let next = queue.shift(); next; next = queue.shift()) {
+    const importedBy = next.sourcePath || next.id;
+
+    for (const localImport of next.localImports || []) {
+      if (localImport.path && included.has(localImport.path)) continue;
+
+      const stylesheet = localImport.kind === 'stylesheet'
+        ? next.stylesheets?.find(candidate => candidate.path === localImport.path)
+        : undefined;
+      if (stylesheet) {
+        included.add(stylesheet.path);
+        files.push({ path: stylesheet.path, componentId: next.id, content: stylesheet.content });
+        continue;
+      }
+
+      const dependency = localImport.path && localImport.kind === 'module'
+        ? catalog.getComponentByPath(localImport.path, next.namespace)
+        : null;
+
+      if (!dependency) {
+        missing.push({ ...localImport, importedBy });
+        continue;
+      }
+
+      const file = toBundleFile(dependency);
+      included.add(file.path);
+      files.push(file);
+      dependency.dependencies.forEach(name => npmDependencies.add(name));
+      queue.push(dependency);
+    }
+  }
+
+  return {
+    id: component.id,
+    entry: entry.path,
+    files,
+    npmDependencies: [...npmDependencies],
+    missing
+  };
+}
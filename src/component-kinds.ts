@@ -0,0 +1,45 @@
+/**
+ * ReactBits Component Kinds
+ *
+ * The scraper walks the whole upstream repository, so besides the component
+ * library it extracts the docs site built around it: demo widgets, build
+ * configs and the application entry point. Every catalog entry carries the
+ * kind the analyzer classified it as. Listings and search leave docs-site
+ * kinds out unless a kind is asked for explicitly; lookups by ID still find
+ * every entry.
+ */
+
+import type { ComponentKind, ReactBitsComponent } from './types.js';
+
+export const COMPONENT_KINDS: readonly ComponentKind[] = [
+  'component', 'hook', 'utility', 'context', 'demo', 'config', 'entry'
+];
+
+/** Kinds that belong to the component library rather than the docs site */
+export const LIBRARY_KINDS: readonly ComponentKind[] = ['component', 'hook', 'utility', 'context'];
+
+export function isComponentKind(value: unknown): value is ComponentKind {
+  return COMPONENT_KINDS.includes(value as ComponentKind);
+}
+
+/**
+ * Kind of a catalog entry; entries loaded without one are components
+ */
+export function kindOf(component: ReactBitsComponent): ComponentKind {
+  return component.kind || 'component';
+}
+
+/**
+ * Whether an entry is part of the component library
+ */
+export function isLibraryComponent(component: ReactBitsComponent): boolean {
+  return LIBRARY_KINDS.includes(kindOf(component));
+}
+
+/**
+ * Whether an entry is of the requested kind, or part of the library when no
+ * kind is requested
+ */
+export function matchesKind(component: ReactBitsComponent, kind?: ComponentKind): boolean {
+  return kind ? kindOf(component) === kind : isLibraryComponent(component);
+}
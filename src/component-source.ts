@@ -0,0 +1,636 @@
+/**
+ * ReactBits Component Sources
+ *
+ * Plugin contract for the component libraries the catalog indexes. A source
+ * discovers the component files of one library, fetches their contents,
+ * places them in the taxonomy and maps them to record metadata; the shared
+ * pipeline in `extractComponents` does the rest (analysis, local import
+ * resolution, stylesheet capture) and produces the same records the scraper
+ * saves.
+ *
+ * Every source owns a namespace that its records carry, so several libraries
+ * can feed one catalog. Components of the default `reactbits` namespace keep
+ * their unqualified IDs; every other namespace qualifies them
+ * (`internal/data-table`), and `<namespace>/<reference>` looks a component up
+ * within one namespace only.
+ *
+ * Two adapters are built in: `ReactBitsComponentSource` reads the
+ * DavidHDev/react-bits layout through a RepositorySource (the scraper uses
+ * it), and `DirectoryComponentSource` indexes any directory of React
+ * components, such as a design-system package. Additional libraries are
+ * listed in the JSON file named by `REACTBITS_SOURCES`.
+ */
+
+import { createHash } from 'crypto';
+import * as fsSync from 'fs';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { toComponentSlug } from './catalog-coverage.js';
+import { analyzeComponentSource, type ComponentAnalysis } from './component-analyzer.js';
+import { activeConfig } from './config.js';
+import { resolveLocalImports } from './import-resolver.js';
+import { LocalRepositorySource, type RepositoryItem, type RepositorySource } from './repository-source.js';
+import type { CategoryPlacement, CategoryTaxonomy } from './taxonomy.js';
+import type { ExtractedComponentRecord } from './types.js';
+import { ReactBitsErrorCode } from './types.js';
+import { createReactBitsError, isPlainObject } from './utils.js';
+import { detectVariant } from './variants.js';
+
+// ============================================================================
+// Source Contract
+// ============================================================================
+
+/**
+ * Component file found by a source
+ */
+export interface SourceFile {
+  /** Path within the source, `/`-separated */
+  readonly path: string;
+
+  /** Component display name */
+  readonly name: string;
+}
+
+/**
+ * Script file a source did not take as a component, and why
+ */
+export interface SkippedFile {
+  readonly file: string;
+  readonly reason: string;
+}
+
+export interface SourceDiscovery<F extends SourceFile = SourceFile> {
+  /** Component files, in extraction order */
+  readonly files: F[];
+
+  /** Every file path in the source, for resolving local imports */
+  readonly paths: ReadonlySet<string>;
+  readonly skipped: SkippedFile[];
+}
+
+/**
+ * Record metadata a source decides; the pipeline fills in the rest
+ */
+export interface SourceComponentMetadata {
+  readonly variant?: string;
+  readonly priority?: number;
+}
+
+export interface ComponentSource<F extends SourceFile = SourceFile> {
+  /** Lowercase letters, digits and dashes; qualifies the IDs of the source's components */
+  readonly namespace: string;
+
+  /** Human-readable description of where the source reads from */
+  readonly label: string;
+
+  /**
+   * Cheap change detector; null when the source cannot tell without
+   * re-reading everything
+   */
+  getRevision(): Promise<string | null>;
+
+  discover(): Promise<SourceDiscovery<F>>;
+
+  /** Contents of a file as UTF-8 */
+  fetch(filePath: string): Promise<string>;
+
+  categorize(file: F): CategoryPlacement;
+
+  /**
+   * Variant and priority of a component. `analysis` is passed once the file
+   * has been analyzed; sources that map from the path alone ignore it.
+   */
+  mapMetadata(file: F, analysis?: ComponentAnalysis): SourceComponentMetadata;
+}
+
+/** Namespace whose components keep unqualified IDs */
+export const DEFAULT_NAMESPACE = 'reactbits';
+
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * ID of a component from a namespace other than the default one
+ */
+export function namespacedComponentId(namespace: string, name: string): string {
+  return `${namespace}/${toComponentSlug(name)}`;
+}
+
+// ============================================================================
+// Component Files
+// ============================================================================
+
+const SCRIPT_FILE = /\.(tsx?|jsx?)$/i;
+const EXCLUDED_FILE_PATTERNS = ['.test.', '.spec.', '.stories.', '.d.ts', 'index.'];
+
+/**
+ * Why a script file is not extracted as a component, or null when it is
+ * not excluded (or not a script); recorded so the coverage report can tell
+ * filtered components from ones that were never found
+ */
+export function componentFileExclusion(fileName: string): string | null {
+  if (!SCRIPT_FILE.test(fileName)) return null;
+
+  const name = fileName.toLowerCase();
+  const pattern = EXCLUDED_FILE_PATTERNS.find(candidate => name.includes(candidate));
+  return pattern ? `file name matches '${pattern}'` : null;
+}
+
+/**
+ * Display name of the component a file holds: `split-text.jsx` becomes
+ * `Split Text`, `SplitText.jsx` stays `SplitText`
+ */
+export function componentNameFromFile(fileName: string): string {
+  return fileName
+    .replace(SCRIPT_FILE, '')
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// ============================================================================
+// Extraction Pipeline
+// ============================================================================
+
+export interface SourceExtraction {
+  readonly records: ExtractedComponentRecord[];
+  readonly skipped: SkippedFile[];
+
+  /** Components and stylesheets that could not be fetched */
+  readonly errors: { readonly file: string; readonly error: string }[];
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * @param previous - Record an earlier extraction produced for the file; its
+ * `extractedAt` is kept when the file and its stylesheets are unchanged
+ */
+async function extractRecord<F extends SourceFile>(
+  source: ComponentSource<F>,
+  file: F,
+  paths: ReadonlySet<string>,
+  errors: SourceExtraction['errors'],
+  previous: ExtractedComponentRecord | undefined
+): Promise<ExtractedComponentRecord> {
+  const sourceCode = await source.fetch(file.path);
+  const analysis = analyzeComponentSource(sourceCode, file.path);
+  const localImports = resolveLocalImports(file.path, analysis.imports, paths);
+
+  const stylesheets: { filePath: string; sourceCode: string; fileSize: number }[] = [];
+  for (const localImport of localImports) {
+    if (localImport.kind !== 'stylesheet' || !localImport.path) continue;
+    try {
+      const css = await source.fetch(localImport.path);
+      stylesheets.push({ filePath: localImport.path, sourceCode: css, fileSize: Buffer.byteLength(css, 'utf8') });
+    } catch (error) {
+      errors.push({ file: localImport.path, error: errorMessage(error) });
+    }
+  }
+
+  const sourceFields = {
+    filePath: file.path,
+    sourceCode,
+    fileSize: Buffer.byteLength(sourceCode, 'utf8'),
+    stylesheets
+  };
+  const unchanged = previous !== undefined && JSON.stringify(previous.source) === JSON.stringify(sourceFields);
+
+  const placement = source.categorize(file);
+  const { variant, priority } = source.mapMetadata(file, analysis);
+  return {
+    metadata: {
+      namespace: source.namespace,
+      name: file.name,
+      category: placement.category,
+      ...(placement.subcategory ? { subcategory: placement.subcategory } : {}),
+      ...(variant ? { variant } : {}),
+      ...(priority !== undefined ? { priority } : {}),
+      extractedAt: (unchanged && previous.metadata.extractedAt) || new Date().toISOString()
+    },
+    source: sourceFields,
+    analysis: {
+      dependencies: analysis.dependencies,
+      exports: analysis.exports,
+      imports: analysis.imports,
+      hooks: analysis.hooks,
+      features: analysis.features,
+      complexity: analysis.complexity,
+      stylingApproach: analysis.stylingApproach,
+      hasAnimation: analysis.hasAnimation,
+      jsxElements: analysis.jsxElements,
+      localImports,
+      kind: analysis.kind
+    },
+    types: {
+      definitions: analysis.typeDefinitions,
+      propsInterface: analysis.propsInterface
+    }
+  };
+}
+
+/**
+ * Discover, fetch, analyze and categorize every component of a source.
+ * Files that cannot be fetched are reported in `errors` and left out.
+ *
+ * @param previous - Records of an earlier extraction of the source; files
+ * whose content is unchanged keep their `extractedAt`
+ */
+export async function extractComponents<F extends SourceFile>(
+  source: ComponentSource<F>,
+  previous: readonly ExtractedComponentRecord[] = []
+): Promise<SourceExtraction> {
+  const discovery = await source.discover();
+  const records: ExtractedComponentRecord[] = [];
+  const errors: SourceExtraction['errors'] = [];
+  const previousByPath = new Map(previous.map(record => [record.source.filePath, record]));
+
+  for (const file of discovery.files) {
+    try {
+      records.push(await extractRecord(source, file, discovery.paths, errors, previousByPath.get(file.path)));
+    } catch (error) {
+      errors.push({ file: file.path, error: errorMessage(error) });
+    }
+  }
+
+  return { records, skipped: discovery.skipped, errors };
+}
+
+// ============================================================================
+// ReactBits Repository
+// ============================================================================
+
+/** Directories mapped in the react-bits repository; those under `components` are explored one level down */
+const REACTBITS_DIRECTORIES = ['', 'src', 'src/components', 'src/lib', 'src/utils', 'src/hooks', 'components', 'lib', 'packages'];
+
+/** Path patterns that move a component up the extraction order */
+const PRIORITY_PATTERNS: ReadonlyArray<readonly [RegExp, number]> = [
+  [/animated.*text|text.*animat|typewriter|fade.*text/i, 10],
+  [/button|btn|cta|action/i, 9],
+  [/3d|three|webgl|canvas|babylon|r3f/i, 8],
+  [/animat|motion|transition|spring|gesture/i, 6]
+];
+
+export interface ReactBitsSourceFile extends SourceFile {
+  readonly item: RepositoryItem;
+
+  /** Mapped directory the file was listed in (`root` for the top level) */
+  readonly directory: string;
+}
+
+export interface ReactBitsDiscovery extends SourceDiscovery<ReactBitsSourceFile> {
+  /** Listing of every mapped directory, keyed by path */
+  readonly directories: Record<string, RepositoryItem[]>;
+
+  /** Directories that could not be listed */
+  readonly unreadable: { readonly path: string; readonly error: string }[];
+}
+
+export class ReactBitsComponentSource implements ComponentSource<ReactBitsSourceFile> {
+  readonly label: string;
+
+  constructor(
+    private readonly repository: RepositorySource,
+    private readonly taxonomy: CategoryTaxonomy,
+    readonly namespace = DEFAULT_NAMESPACE
+  ) {
+    this.label = `react-bits (${repository.kind})`;
+  }
+
+  /**
+   * The commit being read when the source is pinned to one; otherwise a
+   * hash of the paths and blob SHAs of the mapped files, or null when the
+   * repository does not report SHAs
+   */
+  async getRevision(): Promise<string | null> {
+    const { commit } = await this.repository.describe();
+    if (commit) {
+      return commit;
+    }
+
+    const files = Object.values((await this.discover()).directories).flat().filter(item => item.type === 'file');
+    if (files.some(item => !item.sha)) {
+      return null;
+    }
+    const hash = createHash('sha1');
+    for (const item of files) {
+      hash.update(`${item.path}\0${item.sha}\n`);
+    }
+    return `tree-${hash.digest('hex')}`;
+  }
+
+  async discover(): Promise<ReactBitsDiscovery> {
+    const directories: Record<string, RepositoryItem[]> = {};
+    const unreadable: ReactBitsDiscovery['unreadable'] = [];
+
+    const list = async (dirPath: string): Promise<RepositoryItem[]> => {
+      try {
+        const contents = await this.repository.listDirectory(dirPath);
+        directories[dirPath || 'root'] = contents;
+        return contents;
+      } catch (error) {
+        unreadable.push({ path: dirPath || 'root', error: errorMessage(error) });
+        return [];
+      }
+    };
+
+    for (const dirPath of REACTBITS_DIRECTORIES) {
+      const contents = await list(dirPath);
+      if (!dirPath.includes('components')) continue;
+      for (const item of contents) {
+        if (item.type === 'dir') await list(`${dirPath}/${item.name}`);
+      }
+    }
+
+    const files: ReactBitsSourceFile[] = [];
+    const skipped: SkippedFile[] = [];
+    for (const [directory, contents] of Object.entries(directories)) {
+      for (const item of contents) {
+        if (item.type !== 'file' || !SCRIPT_FILE.test(item.name)) continue;
+        const exclusion = componentFileExclusion(item.name);
+        if (exclusion) {
+          skipped.push({ file: item.path, reason: exclusion });
+        } else {
+          files.push({ path: item.path, name: componentNameFromFile(item.name), item, directory });
+        }
+      }
+    }
+
+    const paths = new Set(Object.values(directories).flatMap(contents =>
+      contents.filter(item => item.type === 'file').map(item => item.path)
+    ));
+    return { files, paths, skipped, directories, unreadable };
+  }
+
+  fetch(filePath: string): Promise<string> {
+    return this.repository.readFile(filePath);
+  }
+
+  categorize(file: ReactBitsSourceFile): CategoryPlacement {
+    return this.taxonomy.classify({ path: file.path, name: file.name });
+  }
+
+  /**
+   * Variant from the file extension and a Tailwind directory or file name;
+   * priority from the patterns, TypeScript and Tailwind
+   */
+  mapMetadata(file: ReactBitsSourceFile): SourceComponentMetadata {
+    const fileName = file.item.name;
+    const isTypeScript = /\.tsx?$/i.test(fileName);
+    const isTailwind = /tailwind|tw/i.test(file.directory) || /tailwind/i.test(fileName);
+
+    const fullPath = `${file.directory}/${fileName}`.toLowerCase();
+    let priority = 1;
+    for (const [pattern, boost] of PRIORITY_PATTERNS) {
+      if (pattern.test(fullPath)) priority += boost;
+    }
+    if (isTypeScript) priority += 2;
+    if (/tailwind/i.test(fullPath)) priority += 1;
+
+    return { variant: `${isTypeScript ? 'ts' : 'js'}-${isTailwind ? 'tailwind' : 'css'}`, priority };
+  }
+}
+
+// ============================================================================
+// Local Directory
+// ============================================================================
+
+/** Directories never indexed */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '__tests__', '__mocks__', 'dist', 'build', 'coverage']);
+
+export interface DirectorySourceOptions {
+  readonly namespace: string;
+
+  /** Directory to index, resolved against the working directory */
+  readonly path: string;
+  readonly label?: string;
+
+  /**
+   * Category for components that neither a taxonomy rule nor the name of a
+   * directory they sit in places; the taxonomy's default when omitted
+   */
+  readonly category?: string;
+}
+
+interface DirectoryEntry {
+  readonly path: string;
+  readonly size: number;
+  readonly mtimeMs: number;
+}
+
+export class DirectoryComponentSource implements ComponentSource {
+  readonly namespace: string;
+  readonly label: string;
+  private readonly root: string;
+  private readonly category: string | undefined;
+
+  constructor(options: DirectorySourceOptions, private readonly taxonomy: CategoryTaxonomy) {
+    this.namespace = options.namespace;
+    this.root = path.resolve(process.cwd(), options.path);
+    this.label = options.label || this.root;
+    this.category = options.category;
+  }
+
+  /**
+   * Number, total size and latest modification time of the files
+   */
+  async getRevision(): Promise<string> {
+    const entries = await this.walk();
+    const size = entries.reduce((total, entry) => total + entry.size, 0);
+    const mtime = entries.reduce((latest, entry) => Math.max(latest, entry.mtimeMs), 0);
+    return `${entries.length}:${size}:${mtime}`;
+  }
+
+  async discover(): Promise<SourceDiscovery> {
+    const entries = await this.walk();
+    const files: SourceFile[] = [];
+    const skipped: SkippedFile[] = [];
+
+    for (const entry of entries) {
+      const fileName = path.posix.basename(entry.path);
+      if (!SCRIPT_FILE.test(fileName)) continue;
+      const exclusion = componentFileExclusion(fileName);
+      if (exclusion) {
+        skipped.push({ file: entry.path, reason: exclusion });
+      } else {
+        files.push({ path: entry.path, name: componentNameFromFile(fileName) });
+      }
+    }
+
+    return { files, paths: new Set(entries.map(entry => entry.path)), skipped };
+  }
+
+  fetch(filePath: string): Promise<string> {
+    const resolved = path.resolve(this.root, filePath);
+    if (!resolved.startsWith(this.root + path.sep)) {
+      return Promise.reject(new Error(`Path ${filePath} is outside ${this.root}`));
+    }
+    return fs.readFile(resolved, 'utf8');
+  }
+
+  /**
+   * Taxonomy rules first, then the innermost directory whose name is a
+   * category or alias (`src/buttons/Primary.tsx`), then the configured category
+   */
+  categorize(file: SourceFile): CategoryPlacement {
+    const directories = file.path.split('/').slice(0, -1).reverse();
+    const category = directories.find(directory => this.taxonomy.resolve(directory)) ?? this.category;
+    return this.taxonomy.classify({ path: file.path, name: file.name, ...(category ? { category } : {}) });
+  }
+
+  mapMetadata(file: SourceFile, analysis?: ComponentAnalysis): SourceComponentMetadata {
+    return { variant: detectVariant(file.path, analysis?.stylingApproach) };
+  }
+
+  /**
+   * Every file under the root, skipping dot-directories and build output,
+   * with `/`-separated paths relative to the root
+   */
+  private async walk(relativeDir = ''): Promise<DirectoryEntry[]> {
+    const entries = await fs.readdir(path.join(this.root, relativeDir), { withFileTypes: true });
+    const files: DirectoryEntry[] = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !IGNORED_DIRECTORIES.has(entry.name)) {
+          files.push(...await this.walk(entryPath));
+        }
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(path.join(this.root, entryPath));
+        files.push({ path: entryPath, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+
+    return files;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Additional library, as listed in the sources file
+ */
+export type ComponentSourceConfig =
+  | {
+      readonly type: 'directory';
+      readonly namespace: string;
+      readonly path: string;
+      readonly label?: string;
+      readonly category?: string;
+    }
+  | {
+      /** A react-bits clone other than the one the catalog store was extracted from */
+      readonly type: 'reactbits';
+      readonly namespace: string;
+      readonly path: string;
+      readonly ref?: string;
+    };
+
+/**
+ * Create the source described by a config
+ */
+export function createComponentSource(config: ComponentSourceConfig, taxonomy: CategoryTaxonomy): ComponentSource {
+  return config.type === 'reactbits'
+    ? new ReactBitsComponentSource(new LocalRepositorySource(config.path, config.ref), taxonomy, config.namespace)
+    : new DirectoryComponentSource(config, taxonomy);
+}
+
+function sourcesError(filePath: string, message: string): Error {
+  return createReactBitsError(
+    `Invalid component sources ${filePath}: ${message}`,
+    ReactBitsErrorCode.VALIDATION_ERROR,
+    { path: filePath }
+  );
+}
+
+function readOptionalString(filePath: string, field: string, value: unknown): string | undefined {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw sourcesError(filePath, `${field} must be a non-empty string`);
+  }
+  return value;
+}
+
+function readSourceConfig(
+  filePath: string,
+  field: string,
+  value: unknown,
+  taxonomy: CategoryTaxonomy
+): ComponentSourceConfig {
+  if (!isPlainObject(value)) {
+    throw sourcesError(filePath, `${field} must be an object`);
+  }
+
+  const { type, namespace } = value;
+  if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+    throw sourcesError(filePath, `${field}.namespace must be lowercase letters, digits and dashes`);
+  }
+  if (namespace === DEFAULT_NAMESPACE) {
+    throw sourcesError(filePath, `${field}.namespace '${DEFAULT_NAMESPACE}' is served from the catalog store`);
+  }
+
+  // Relative paths are relative to the sources file
+  const sourcePath = readOptionalString(filePath, `${field}.path`, value.path);
+  if (!sourcePath) {
+    throw sourcesError(filePath, `${field}.path is required`);
+  }
+  const resolvedPath = path.resolve(path.dirname(filePath), sourcePath);
+
+  if (type === 'reactbits') {
+    const ref = readOptionalString(filePath, `${field}.ref`, value.ref);
+    return { type, namespace, path: resolvedPath, ...(ref ? { ref } : {}) };
+  }
+  if (type !== 'directory') {
+    throw sourcesError(filePath, `${field}.type must be directory or reactbits`);
+  }
+
+  const label = readOptionalString(filePath, `${field}.label`, value.label);
+  const category = readOptionalString(filePath, `${field}.category`, value.category);
+  if (category && !taxonomy.resolve(category)) {
+    throw sourcesError(filePath, `${field}.category must be a category or alias defined in the taxonomy`);
+  }
+  return {
+    type,
+    namespace,
+    path: resolvedPath,
+    ...(label ? { label } : {}),
+    ...(category ? { category } : {})
+  };
+}
+
+/**
+ * Load the additional libraries listed in a sources file
+ *
+ * @returns The sources, or none when no file is configured
+ */
+export function loadComponentSources(
+  taxonomy: CategoryTaxonomy,
+  sourcesPath = activeConfig.catalog.sourcesPath
+): ComponentSource[] {
+  if (!sourcesPath) {
+    return [];
+  }
+
+  const filePath = path.resolve(process.cwd(), sourcesPath);
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fsSync.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw sourcesError(filePath, errorMessage(error));
+  }
+  if (!isPlainObject(raw) || !Array.isArray(raw.sources)) {
+    throw sourcesError(filePath, 'expected an object with a sources array');
+  }
+
+  const configs = raw.sources.map((source, index) => readSourceConfig(filePath, `sources[${index}]`, source, taxonomy));
+  const namespaces = configs.map(config => config.namespace);
+  const duplicate = namespaces.find((namespace, index) => namespaces.indexOf(namespace) !== index);
+  if (duplicate) {
+    throw sourcesError(filePath, `namespace '${duplicate}' is used more than once`);
+  }
+
+  return configs.map(config => createComponentSource(config, taxonomy));
+}
@@ -1,4 +1,4 @@
-import { MCPServerConfig, MCPServerCapabilities } from './types.js';
+import { MCPServerConfig, MCPServerCapabilities, CatalogStoreKind, TransportKind } from './types.js';
 
 // ============================================================================
 // MCP Server Configuration - Used by index.ts
@@ -14,7 +14,6 @@ export const config = {
     version: '2.0.0',
     maxCacheSize: 1000,
     cacheExpiry: 5 * 60 * 1000, // 5 minutes
-    maxRequestsPerMinute: 100,
     requestTimeout: 30000, // 30 seconds
     enableMetrics: true,
     enableTracing: true,
@@ -28,6 +27,35 @@ export const config = {
     retryDelay: 1000,
     enableCompression: true,
   },
+  catalog: {
+    store: (process.env.REACTBITS_CATALOG_STORE || 'filesystem') as CatalogStoreKind,
+    sqlitePath: process.env.REACTBITS_CATALOG_DB || 'reactbits-catalog.sqlite',
+    extractionPath: process.env.REACTBITS_EXTRACTION_PATH || 'production-react-bits-extraction',
+    retainedSnapshots: parseInt(process.env.REACTBITS_SNAPSHOTS_RETAINED || '5', 10), // Previous extraction snapshots kept for rollback
+    allowMockFallback: process.env.REACTBITS_MOCK_FALLBACK !== 'false', // Serve fixtures if extraction is unreadable
+    taxonomyPath: process.env.REACTBITS_TAXONOMY || 'reactbits-taxonomy.json', // Categories and the rules placing files in them
+    registryUrl: process.env.REACTBITS_REGISTRY_URL || '', // Public base URL of the shadcn registry; taken from the request Host when empty
+    sourcesPath: process.env.REACTBITS_SOURCES || '', // JSON file listing additional component libraries, each under its own namespace
+  },
+  transport: {
+    type: (process.env.MCP_TRANSPORT || 'stdio') as TransportKind,
+    host: process.env.HOST || '0.0.0.0',
+    port: parseInt(process.env.PORT || '3000', 10),
+    path: '/mcp', // Streamable HTTP endpoint
+    sessionIdleTimeout: 30 * 60 * 1000, // Close HTTP sessions idle for 30 minutes
+  },
+  scraper: {
+    source: process.env.REACTBITS_SOURCE || 'github', // github | local
+    repositoryPath: process.env.REACTBITS_REPO_PATH || '', // react-bits clone read by the local source
+    repositoryRef: process.env.REACTBITS_REPO_REF || '', // Commit, branch or tag to read; the working tree when empty
+    timeout: parseInt(process.env.REACTBITS_SCRAPER_TIMEOUT_MS || '3600000', 10), // Scheduled runs are cancelled after 1 hour
+    maxMemoryMb: parseInt(process.env.REACTBITS_SCRAPER_MAX_MEMORY_MB || '512', 10), // Heap limit of the scraper process
+  },
+  quotas: {
+    configPath: process.env.REACTBITS_QUOTA_CONFIG || '', // JSON file with per-client limits and tool costs
+    defaultBudget: Number(process.env.REACTBITS_QUOTA_BUDGET || '600'), // Per-client budget in cost units per window; validated by loadQuotaConfig
+    windowMs: 60 * 1000,
+  },
   tools: {
     search_components: {
       cacheExpiry: 2 * 60 * 1000, // 2 minutes
@@ -77,8 +105,8 @@ export const SERVER_CAPABILITIES: MCPServerCapabilities = {
     listChanged: false, // Static tool list
   },
   resources: {
-    subscribe: false,
-    listChanged: false,
+    subscribe: true,
+    listChanged: true, // Announced after catalog reloads
   },
   prompts: {
     listChanged: false,
@@ -89,74 +117,6 @@ export const SERVER_CAPABILITIES: MCPServerCapabilities = {
 
 export const REACTBITS_CONFIG = {
   baseUrl: 'https://reactbits.dev',
-  categories: {
-    'text-animations': {
-      path: '/text-animations',
-      components: [
-        'split-text', 'blur-text', 'rotating-text', 'typewriter-text',
-        'scroll-velocity', 'animated-text'
-      ]
-    },
-    'backgrounds': {
-      path: '/backgrounds',
-      components: [
-        'beams', 'orb', 'particles', 'aurora', 'gradient-mesh',
-        'animated-gradient', 'noise-background', 'dots-pattern', 'grid-pattern'
-      ]
-    },
-    'components': {
-      path: '/components',
-      components: [
-        'hero-sections', 'tilted-card', 'interactive-gallery',
-        'feature-cards', 'testimonial-cards', 'pricing-cards',
-        'contact-forms', 'newsletter-signup', 'search-bars',
-        'progress-indicators', 'loading-spinners', 'modal-dialogs'
-      ]
-    },
-    'animations': {
-      path: '/animations',
-      components: [
-        'cursor-effects', 'splash-animations', 'scroll-animations',
-        'hover-effects', 'entrance-animations', 'exit-animations',
-        'transition-effects'
-      ]
-    },
-    'buttons': {
-      path: '/buttons',
-      components: [
-        'glow-button', 'magnetic-button', 'morphing-button',
-        'ripple-button', 'gradient-button', 'animated-border-button'
-      ]
-    },
-    'button-animations': {
-      path: '/button-animations',
-      components: [
-        'ripple-effect', 'pulse-effect', 'bounce-effect',
-        'shake-effect', 'glow-effect', 'transform-effect'
-      ]
-    },
-    'cards': {
-      path: '/cards',
-      components: [
-        'hover-cards', 'flip-cards', 'slide-cards',
-        'expand-cards', 'tilt-cards', 'glass-cards'
-      ]
-    },
-    'navigation': {
-      path: '/navigation',
-      components: [
-        'gooey-navigation', 'sliding-tabs', 'animated-menu',
-        'breadcrumbs', 'pagination', 'sidebar-navigation'
-      ]
-    },
-    'number-animations': {
-      path: '/number-animations',
-      components: [
-        'counting-numbers', 'animated-counter', 'progress-counter',
-        'percentage-display', 'stat-counter', 'odometer-effect'
-      ]
-    }
-  },
   cache: {
     ttl: 5 * 60 * 1000, // 5 minutes
     maxSize: 100
@@ -196,6 +156,13 @@ export enum CacheStrategy {
 // JSON Schema Definitions for Tool Validation
 // ============================================================================
 
+/** Language × styling variant accepted by tools that return component source */
+const VARIANT_PARAMETER = {
+  type: 'string',
+  enum: ['js-css', 'js-tailwind', 'ts-css', 'ts-tailwind'],
+  description: 'Component variant (JavaScript or TypeScript, CSS or Tailwind); defaults to the first available of js-css, js-tailwind, ts-css, ts-tailwind'
+} as const;
+
 export const TOOL_SCHEMAS = {
   search_components: {
     type: 'object',
@@ -229,6 +196,20 @@ export const TOOL_SCHEMAS = {
         type: 'boolean',
         description: 'Filter components that have demo URLs'
       },
+      variant: {
+        ...VARIANT_PARAMETER,
+        description: 'Only return components available in this variant'
+      },
+      kind: {
+        type: 'string',
+        enum: ['component', 'hook', 'utility', 'context', 'demo', 'config', 'entry'],
+        description: 'Only return entries of this kind; by default demo, config and entry files from the docs site are left out'
+      },
+      namespace: {
+        type: 'string',
+        pattern: '^[a-z0-9][a-z0-9-]*$',
+        description: 'Only return components from this library, e.g. reactbits or the namespace of an additional source'
+      },
       limit: {
         type: 'integer',
         minimum: 1,
@@ -241,6 +222,18 @@ export const TOOL_SCHEMAS = {
         minimum: 0,
         default: 0,
         description: 'Number of results to skip (for pagination)'
+      },
+      sortBy: {
+        type: 'string',
+        enum: ['relevance', 'name', 'updated', 'difficulty', 'category'],
+        default: 'relevance',
+        description: 'Result ordering; relevance ranks by full-text match score'
+      },
+      sortOrder: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        default: 'desc',
+        description: 'Sort direction'
       }
     },
     required: ['query'],
@@ -253,10 +246,11 @@ export const TOOL_SCHEMAS = {
       id: {
         type: 'string',
         minLength: 1,
-        maxLength: 100,
-        pattern: '^[a-zA-Z0-9\\-_]+$',
-        description: 'The unique identifier of the component'
-      }
+        maxLength: 200,
+        description: 'Component ID, display name or source file path; near misses resolve to the closest match',
+        examples: ['toaster-eedback', 'Magnet Button', 'src/components/FadeContent.jsx']
+      },
+      variant: VARIANT_PARAMETER
     },
     required: ['id'],
     additionalProperties: false
@@ -264,7 +258,20 @@ export const TOOL_SCHEMAS = {
   
   list_categories: {
     type: 'object',
-    properties: {},
+    properties: {
+      categoryId: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 50,
+        pattern: '^[a-zA-Z0-9\\-_]+$',
+        description: 'List the subcategories of this category (ID or alias) instead of the top-level categories'
+      },
+      includeEmpty: {
+        type: 'boolean',
+        default: false,
+        description: 'Include taxonomy categories that have no components'
+      }
+    },
     additionalProperties: false
   },
   
@@ -276,7 +283,14 @@ export const TOOL_SCHEMAS = {
         minLength: 1,
         maxLength: 50,
         pattern: '^[a-zA-Z0-9\\-_]+$',
-        description: 'The category identifier to browse'
+        description: 'The category identifier or alias to browse'
+      },
+      subcategoryId: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 50,
+        pattern: '^[a-zA-Z0-9\\-_]+$',
+        description: 'Only return components in this subcategory of the category'
       },
       limit: {
         type: 'integer',
@@ -300,6 +314,64 @@ export const TOOL_SCHEMAS = {
     type: 'object',
     properties: {},
     additionalProperties: false
+  },
+  
+  validate_props: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: 'Component ID, display name or source file path',
+        examples: ['toaster-eedback', 'Magnet Button']
+      },
+      props: {
+        type: 'object',
+        description: 'Props you intend to pass, as JSON values; pass functions and JSX as source strings',
+        examples: [{ label: 'Buy now', strength: 3 }]
+      },
+      variant: VARIANT_PARAMETER
+    },
+    required: ['id', 'props'],
+    additionalProperties: false
+  },
+  
+  get_component_bundle: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: 'Component ID, display name or source file path',
+        examples: ['codeexample-ui-component', 'CodeExample']
+      },
+      variant: VARIANT_PARAMETER
+    },
+    required: ['id'],
+    additionalProperties: false
+  },
+  
+  get_catalog_coverage: {
+    type: 'object',
+    properties: {
+      categoryId: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100,
+        description: 'Only report this category (ID or alias)',
+        examples: ['text-animations', 'backgrounds']
+      },
+      staleAfterDays: {
+        type: 'number',
+        minimum: 1,
+        maximum: 3650,
+        default: 30,
+        description: 'Age in days after which an extracted component is reported as stale'
+      }
+    },
+    additionalProperties: false
   }
 } as const;
 
@@ -372,6 +444,10 @@ export function getEnvironmentConfig() {
           enableMetrics: true,
           enableTracing: false,
         },
+        catalog: {
+          ...baseConfig.catalog,
+          allowMockFallback: process.env.REACTBITS_MOCK_FALLBACK === 'true',
+        },
         validation: {
           ...baseConfig.validation,
           enableStrict: true,
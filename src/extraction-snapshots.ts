@@ -0,0 +1,245 @@
+/**
+ * ReactBits Extraction Snapshots
+ *
+ * The scraper never writes into the directory the server reads. Each run
+ * writes a complete extraction into `staging/<id>` under the extraction
+ * root; once it validates, the directory is renamed to `snapshots/<id>` and
+ * `current.json` is replaced (write and rename) to point at it. Readers
+ * resolve the pointer once per load, so they see the previous snapshot or
+ * the new one, never a mix, and a run that fails halfway leaves the current
+ * snapshot untouched.
+ *
+ * The newest `retain` snapshots before the current one are kept so a bad
+ * refresh can be rolled back by moving the pointer.
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import {
+  CURRENT_SNAPSHOT_FILE,
+  SNAPSHOTS_DIR,
+  isSnapshotId,
+  readIndexedRecord,
+  resolveExtractionDirectory
+} from './catalog-store.js';
+import { activeConfig } from './config.js';
+import { isPlainObject } from './utils.js';
+
+// ============================================================================
+// Snapshot Types
+// ============================================================================
+
+/** Directory under an extraction root holding runs in progress */
+const STAGING_DIR = 'staging';
+
+/** Age after which a staging directory is taken for a crashed run */
+const STALE_STAGING_MS = 24 * 60 * 60 * 1000;
+
+export interface StagedSnapshot {
+  readonly id: string;
+  readonly path: string;
+}
+
+export interface SnapshotInfo {
+  readonly id: string;
+  readonly path: string;
+  readonly current: boolean;
+
+  /** Components in the snapshot's index; null when it cannot be read */
+  readonly components: number | null;
+}
+
+export interface PromotedSnapshot {
+  readonly id: string;
+  readonly components: number;
+
+  /** Snapshots deleted to stay within the retention limit */
+  readonly pruned: string[];
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check that a directory holds a complete extraction: a non-empty component
+ * index whose every entry has a readable record
+ *
+ * @returns The number of components
+ * @throws When anything is missing or malformed
+ */
+export async function validateSnapshot(directory: string): Promise<number> {
+  let index: unknown;
+  try {
+    index = JSON.parse(await fs.readFile(path.join(directory, 'component-index.json'), 'utf-8'));
+  } catch (error) {
+    throw new Error(`Snapshot ${directory} has no readable component-index.json: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!Array.isArray(index) || index.length === 0) {
+    throw new Error(`Snapshot ${directory} lists no components`);
+  }
+
+  for (const entry of index) {
+    if (!isPlainObject(entry) || typeof entry.name !== 'string' || typeof entry.category !== 'string') {
+      throw new Error(`Snapshot ${directory} has a malformed index entry: ${JSON.stringify(entry)}`);
+    }
+
+    let record: unknown;
+    try {
+      record = await readIndexedRecord(directory, entry);
+    } catch (error) {
+      throw new Error(`Snapshot ${directory} has no readable record for ${entry.name}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    if (!isPlainObject(record) || !isPlainObject(record.metadata) || !isPlainObject(record.source) || !isPlainObject(record.analysis)) {
+      throw new Error(`Snapshot ${directory} has a malformed record for ${entry.name}`);
+    }
+  }
+
+  return index.length;
+}
+
+async function readIndexLength(directory: string): Promise<number | null> {
+  try {
+    const index = JSON.parse(await fs.readFile(path.join(directory, 'component-index.json'), 'utf-8'));
+    return Array.isArray(index) ? index.length : null;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+export class ExtractionSnapshots {
+  readonly root: string;
+
+  /**
+   * @param root - Extraction root, resolved against the working directory
+   * @param retain - Snapshots kept besides the current one
+   */
+  constructor(root: string, private readonly retain: number = activeConfig.catalog.retainedSnapshots) {
+    this.root = path.resolve(process.cwd(), root);
+  }
+
+  private snapshotPath(id: string): string {
+    return path.join(this.root, SNAPSHOTS_DIR, id);
+  }
+
+  /**
+   * ID of the snapshot being served; null for an empty root or the flat layout
+   */
+  async current(): Promise<string | null> {
+    return (await resolveExtractionDirectory(this.root)).snapshot;
+  }
+
+  /**
+   * Create an empty staging directory for a run
+   */
+  async stage(): Promise<StagedSnapshot> {
+    const id = new Date().toISOString().replace(/[:.]/g, '-');
+    const stagingPath = path.join(this.root, STAGING_DIR, id);
+    await fs.mkdir(path.dirname(stagingPath), { recursive: true });
+    await fs.mkdir(stagingPath);
+    return { id, path: stagingPath };
+  }
+
+  /**
+   * Validate a staged run, move it into place, point `current.json` at it
+   * and prune snapshots beyond the retention limit
+   *
+   * @throws When the staged extraction does not validate; the current
+   * snapshot is left as it was
+   */
+  async promote(staged: StagedSnapshot): Promise<PromotedSnapshot> {
+    const components = await validateSnapshot(staged.path);
+
+    await fs.mkdir(path.join(this.root, SNAPSHOTS_DIR), { recursive: true });
+    await fs.rename(staged.path, this.snapshotPath(staged.id));
+    await this.point(staged.id);
+
+    return { id: staged.id, components, pruned: await this.prune() };
+  }
+
+  /**
+   * Delete a staged run that will not be promoted
+   */
+  async discard(staged: StagedSnapshot): Promise<void> {
+    await fs.rm(staged.path, { recursive: true, force: true });
+  }
+
+  /**
+   * Every promoted snapshot, newest first
+   */
+  async list(): Promise<SnapshotInfo[]> {
+    const current = await this.current();
+    let entries: string[];
+    try {
+      entries = await fs.readdir(path.join(this.root, SNAPSHOTS_DIR));
+    } catch {
+      return [];
+    }
+
+    return Promise.all(entries.filter(isSnapshotId).sort().reverse().map(async (id): Promise<SnapshotInfo> => ({
+      id,
+      path: this.snapshotPath(id),
+      current: id === current,
+      components: await readIndexLength(this.snapshotPath(id))
+    })));
+  }
+
+  /**
+   * Point `current.json` at an earlier snapshot
+   *
+   * @param id - Snapshot to serve; the newest one before the current one when omitted
+   * @returns The snapshot now served
+   */
+  async rollback(id?: string): Promise<string> {
+    const current = await this.current();
+    const snapshots = await this.list();
+
+    const target = id
+      ? snapshots.find(snapshot => snapshot.id === id)
+      : snapshots.find(snapshot => current !== null && snapshot.id < current);
+    if (!target) {
+      throw new Error(id
+        ? `No snapshot ${id} in ${this.root}`
+        : `No snapshot older than ${current ?? 'the current extraction'} in ${this.root}`);
+    }
+    await validateSnapshot(target.path);
+
+    await this.point(target.id);
+    return target.id;
+  }
+
+  /**
+   * Replace the pointer in one rename, so readers never see it half-written
+   */
+  private async point(id: string): Promise<void> {
+    const pointerPath = path.join(this.root, CURRENT_SNAPSHOT_FILE);
+    await fs.writeFile(`${pointerPath}.tmp`, JSON.stringify({ snapshot: id, updatedAt: new Date().toISOString() }, null, 2), 'utf8');
+    await fs.rename(`${pointerPath}.tmp`, pointerPath);
+  }
+
+  /**
+   * Delete snapshots beyond the newest `retain` besides the current one, and
+   * staging directories left behind by crashed runs
+   */
+  private async prune(): Promise<string[]> {
+    const snapshots = await this.list();
+    const expired = snapshots.filter(snapshot => !snapshot.current).slice(this.retain);
+    for (const snapshot of expired) {
+      await fs.rm(snapshot.path, { recursive: true, force: true });
+    }
+
+    const stagingRoot = path.join(this.root, STAGING_DIR);
+    for (const entry of await fs.readdir(stagingRoot).catch(() => [])) {
+      const stats = await fs.stat(path.join(stagingRoot, entry)).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > STALE_STAGING_MS) {
+        await fs.rm(path.join(stagingRoot, entry), { recursive: true, force: true });
+      }
+    }
+
+    return expired.map(snapshot => snapshot.id);
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * ReactBits Incremental Extraction State
+ *
+ * What the scraper remembers between runs, in `extraction-state.json` in the
+ * output directory: the blob SHA of every component file it extracted and
+ * of the stylesheets captured with it, together with the record it saved;
+ * the SHA and analysis of every utility file; and the ETag and body of every
+ * GitHub API response. The next run compares the SHAs in the repository
+ * listing against it and only downloads and re-analyzes files whose content
+ * changed. API requests are sent with `If-None-Match`, and a `304` is served
+ * from the stored body; GitHub does not count those against the rate limit.
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { isPlainObject } from './utils.js';
+
+// ============================================================================
+// State Types
+// ============================================================================
+
+export const EXTRACTION_STATE_FILE = 'extraction-state.json';
+
+/** Bumped when the state layout changes; older state is ignored */
+const STATE_VERSION = 1;
+
+export interface ComponentFileState {
+  readonly sha: string;
+
+  /** Record file saved for the component, relative to the output directory */
+  readonly recordFile: string;
+
+  /** Blob SHA of every stylesheet captured with the component, by path */
+  readonly stylesheets: Record<string, string>;
+}
+
+export interface UtilityFileState {
+  readonly sha: string;
+  readonly fileSize: number;
+  readonly dependencies: readonly string[];
+  readonly exports: readonly string[];
+}
+
+export interface CachedResponse {
+  readonly etag: string;
+  readonly body: string;
+}
+
+export interface ExtractionState {
+  readonly version: number;
+
+  /** Component files, by repository path */
+  readonly components: Record<string, ComponentFileState>;
+
+  /** Utility files, by repository path */
+  readonly utilities: Record<string, UtilityFileState>;
+
+  /** API responses, by URL */
+  readonly responses: Record<string, CachedResponse>;
+}
+
+export type FileChange = 'added' | 'modified' | 'unchanged';
+
+/**
+ * Component files of a run by how they changed since the previous one
+ */
+export interface ExtractionChanges {
+  readonly added: string[];
+  readonly modified: string[];
+  readonly removed: string[];
+  readonly unchanged: string[];
+}
+
+export function emptyExtractionState(): ExtractionState {
+  return { version: STATE_VERSION, components: {}, utilities: {}, responses: {} };
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+/**
+ * Read the state a previous run left in an output directory
+ *
+ * @returns The state, or an empty one when there is none, it is unreadable
+ * or it was written in another layout
+ */
+export async function readExtractionState(outputDir: string): Promise<ExtractionState> {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(await fs.readFile(path.join(outputDir, EXTRACTION_STATE_FILE), 'utf-8'));
+  } catch {
+    return emptyExtractionState();
+  }
+  if (!isPlainObject(raw) || raw.version !== STATE_VERSION ||
+    !isPlainObject(raw.components) || !isPlainObject(raw.utilities) || !isPlainObject(raw.responses)) {
+    return emptyExtractionState();
+  }
+  return raw as unknown as ExtractionState;
+}
+
+/**
+ * Write the state for the next run, replacing the previous file only once
+ * the new one is complete
+ */
+export async function writeExtractionState(outputDir: string, state: ExtractionState): Promise<void> {
+  const statePath = path.join(outputDir, EXTRACTION_STATE_FILE);
+  await fs.writeFile(`${statePath}.tmp`, JSON.stringify(state), 'utf8');
+  await fs.rename(`${statePath}.tmp`, statePath);
+}
+
+// ============================================================================
+// Changes
+// ============================================================================
+
+/**
+ * How a component file changed since the previous run: its own SHA, or the
+ * set or SHAs of the stylesheets it imports
+ *
+ * @param stylesheets - Current SHA of every stylesheet the component imports,
+ * null when unknown
+ */
+export function classifyComponentChange(
+  previous: ComponentFileState | undefined,
+  sha: string | null,
+  stylesheets: Record<string, string | null>
+): FileChange {
+  if (!previous) {
+    return 'added';
+  }
+
+  const stylesheetPaths = Object.keys(stylesheets);
+  const stylesheetsChanged = stylesheetPaths.length !== Object.keys(previous.stylesheets).length ||
+    stylesheetPaths.some(stylesheetPath => !stylesheets[stylesheetPath] || stylesheets[stylesheetPath] !== previous.stylesheets[stylesheetPath]);
+
+  return !sha || sha !== previous.sha || stylesheetsChanged ? 'modified' : 'unchanged';
+}
+
+/**
+ * Number of component files per kind of change
+ */
+export function countChanges(changes: ExtractionChanges): Record<keyof ExtractionChanges, number> {
+  return {
+    added: changes.added.length,
+    modified: changes.modified.length,
+    removed: changes.removed.length,
+    unchanged: changes.unchanged.length
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * ReactBits Fuzzy Component Lookup
+ *
+ * Resolves loosely specified component references (display names, source file
+ * paths, near-miss IDs) to catalog IDs. Candidates are scored by the better of
+ * normalized Levenshtein similarity and trigram (Dice) similarity so both
+ * typos and partial names rank sensibly. References qualified by a namespace
+ * (`internal/button`) are matched within that library only.
+ */
+
+import type { ComponentSuggestion, ReactBitsComponent } from './types.js';
+
+// ============================================================================
+// Matching Configuration
+// ============================================================================
+
+/** Minimum similarity for a fuzzy candidate to be resolved automatically */
+export const AUTO_RESOLVE_THRESHOLD = 0.8;
+
+/** Lead the best candidate needs over the runner-up to resolve automatically */
+const AUTO_RESOLVE_MARGIN = 0.1;
+
+/** Minimum similarity for a candidate to be offered as a suggestion */
+const SUGGESTION_THRESHOLD = 0.3;
+
+/** Number of suggestions returned for an unresolved lookup */
+const MAX_SUGGESTIONS = 5;
+
+// ============================================================================
+// String Similarity
+// ============================================================================
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function levenshtein(a: string, b: string): number {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function trigrams(value: string): Map<string, number> {
+  const padded = `  ${value} `;
+  const grams = new Map<string, number>();
+
+  for (let i = 0; i < padded.length - 2; i++) {
+    const gram = padded.slice(i, i + 3);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+
+  return grams;
+}
+
+/**
+ * Dice coefficient over character trigrams, in [0, 1]
+ */
+export function trigramSimilarity(a: string, b: string): number {
+  if (a === b) return 1;
+
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  let total = 0;
+
+  for (const [gram, count] of gramsA) {
+    shared += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsB.values()) {
+    total += count;
+  }
+
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Similarity of two lookup keys in [0, 1]
+ */
+export function similarity(a: string, b: string): number {
+  if (a === b) return 1;
+
+  const maxLength = Math.max(a.length, b.length);
+  const editSimilarity = maxLength === 0 ? 1 : 1 - levenshtein(a, b) / maxLength;
+  return Math.max(editSimilarity, trigramSimilarity(a, b));
+}
+
+// ============================================================================
+// Lookup Keys
+// ============================================================================
+
+/**
+ * Normalize an ID, display name or file path to a comparable key:
+ * "src/components/MagnetButton.tsx" and "Magnet Button" both become
+ * "magnet-button"
+ */
+export function toLookupKey(reference: string): string {
+  const baseName = reference.trim().split(/[\\/]/).pop() || '';
+
+  return baseName
+    .replace(/\.(jsx?|tsx?|mjs|cjs)$/i, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Every key a component can be referenced by
+ */
+function getLookupKeys(component: ReactBitsComponent): string[] {
+  const keys = new Set([
+    toLookupKey(component.id),
+    toLookupKey(component.name)
+  ]);
+
+  if (component.sourcePath) {
+    keys.add(toLookupKey(component.sourcePath));
+  }
+
+  // Also match references written without separators ("fadecontent")
+  for (const key of [...keys]) {
+    keys.add(key.replace(/-/g, ''));
+  }
+
+  return [...keys].filter(Boolean);
+}
+
+// ============================================================================
+// Component Matcher
+// ============================================================================
+
+/**
+ * Outcome of resolving a component reference
+ */
+export interface ComponentMatch {
+  /** Resolved component, or null when the reference is ambiguous or unknown */
+  readonly component: ReactBitsComponent | null;
+
+  /** How the reference was resolved */
+  readonly matchedBy: 'id' | 'alias' | 'fuzzy' | null;
+
+  /** Best candidates, most similar first */
+  readonly suggestions: readonly ComponentSuggestion[];
+}
+
+export class ComponentMatcher {
+  private readonly byId: ReadonlyMap<string, ReactBitsComponent>;
+  private readonly aliases = new Map<string, ReactBitsComponent[]>();
+  private readonly candidates: ReadonlyArray<{ component: ReactBitsComponent; keys: string[] }>;
+
+  /** Matchers over the components of each namespace, built on first use */
+  private readonly namespaces = new Map<string, ComponentMatcher | null>();
+
+  constructor(private readonly components: readonly ReactBitsComponent[]) {
+    this.byId = new Map(components.map(component => [component.id, component]));
+    this.candidates = components.map(component => ({ component, keys: getLookupKeys(component) }));
+
+    for (const { component, keys } of this.candidates) {
+      for (const key of keys) {
+        const matches = this.aliases.get(key) || [];
+        matches.push(component);
+        this.aliases.set(key, matches);
+      }
+    }
+  }
+
+  /**
+   * Resolve an ID, name, file path or near-miss ID to a component
+   */
+  resolve(reference: string): ComponentMatch {
+    const exact = this.byId.get(reference);
+    if (exact) {
+      return { component: exact, matchedBy: 'id', suggestions: [] };
+    }
+
+    // `<namespace>/<reference>` only matches within that namespace
+    const [, namespace, scopedReference] = /^([a-z0-9][a-z0-9-]*)\/(.+)$/.exec(reference) || [];
+    const scoped = namespace ? this.namespaceMatcher(namespace) : null;
+    if (scoped) {
+      return scoped.resolve(scopedReference!);
+    }
+
+    const key = toLookupKey(reference);
+    const aliased = this.aliases.get(key) || this.aliases.get(key.replace(/-/g, ''));
+    if (aliased && aliased.length === 1) {
+      return { component: aliased[0], matchedBy: 'alias', suggestions: [] };
+    }
+
+    const suggestions = this.suggest(key);
+    const [best, runnerUp] = suggestions;
+
+    if (
+      !aliased &&
+      best &&
+      best.score >= AUTO_RESOLVE_THRESHOLD &&
+      best.score - (runnerUp?.score ?? 0) >= AUTO_RESOLVE_MARGIN
+    ) {
+      return { component: this.byId.get(best.id) || null, matchedBy: 'fuzzy', suggestions };
+    }
+
+    return { component: null, matchedBy: null, suggestions };
+  }
+
+  private namespaceMatcher(namespace: string): ComponentMatcher | null {
+    if (!this.namespaces.has(namespace)) {
+      const members = this.components.filter(component => component.namespace === namespace);
+      this.namespaces.set(namespace, members.length > 0 ? new ComponentMatcher(members) : null);
+    }
+    return this.namespaces.get(namespace)!;
+  }
+
+  /**
+   * Rank components by similarity to a lookup key
+   */
+  private suggest(key: string): ComponentSuggestion[] {
+    if (!key) return [];
+
+    return this.candidates
+      .map(({ component, keys }) => ({
+        id: component.id,
+        name: component.name,
+        score: Math.max(...keys.map(candidate => similarity(key, candidate)))
+      }))
+      .filter(suggestion => suggestion.score >= SUGGESTION_THRESHOLD)
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(suggestion => ({ ...suggestion, score: Math.round(suggestion.score * 1000) / 1000 }));
+  }
+}
@@ -3,13 +3,15 @@
 /**
  * Health Check and Monitoring System for ReactBits MCP Server
  * 
- * Provides comprehensive health monitoring, metrics collection,
- * and observability endpoints for production deployments.
+ * Provides comprehensive health monitoring and the Prometheus and
+ * Grafana configuration for production deployments. Metrics themselves
+ * are recorded in the registry in prometheus.ts.
  */
 
 import * as fs from 'fs/promises';
 import * as path from 'path';
 import { performance } from 'perf_hooks';
+import { resolveExtractionDirectory } from './catalog-store.js';
 
 // ============================================================================
 // Health Check System
@@ -142,7 +144,8 @@ export class HealthCheckSystem {
     this.registerCheck('data_directory', async () => {
       try {
         const extractionPath = path.resolve(process.cwd(), 'production-react-bits-extraction');
-        const indexPath = path.join(extractionPath, 'component-index.json');
+        const { directory, snapshot } = await resolveExtractionDirectory(extractionPath);
+        const indexPath = path.join(directory, 'component-index.json');
         
         await fs.access(extractionPath);
         const indexData = await fs.readFile(indexPath, 'utf-8');
@@ -157,6 +160,7 @@ export class HealthCheckSystem {
             'Data directory exists but no components found',
           details: {
             path: extractionPath,
+            snapshot,
             componentCount: components.length
           }
         };
@@ -224,120 +228,6 @@ export class HealthCheckSystem {
   }
 }
 
-// ============================================================================
-// Metrics Collection System
-// ============================================================================
-
-export class MetricsCollector {
-  private metrics: Map<string, MetricValue[]> = new Map();
-  private maxMetricAge: number;
-  private cleanupInterval: NodeJS.Timeout;
-  
-  constructor(maxMetricAge = 300000) { // 5 minutes default
-    this.maxMetricAge = maxMetricAge;
-    
-    // Clean up old metrics every minute
-    this.cleanupInterval = setInterval(() => {
-      this.cleanupOldMetrics();
-    }, 60000);
-  }
-  
-  /**
-   * Record a metric value
-   */
-  record(metric: string, value: number, labels: Record<string, string> = {}): void {
-    const metricValue: MetricValue = {
-      value,
-      timestamp: Date.now(),
-      labels
-    };
-    
-    if (!this.metrics.has(metric)) {
-      this.metrics.set(metric, []);
-    }
-    
-    this.metrics.get(metric)!.push(metricValue);
-  }
-  
-  /**
-   * Record operation duration
-   */
-  recordDuration(operation: string, startTime: number, labels: Record<string, string> = {}): void {
-    const duration = performance.now() - startTime;
-    this.record(`${operation}_duration`, duration, labels);
-  }
-  
-  /**
-   * Increment a counter
-   */
-  increment(counter: string, labels: Record<string, string> = {}): void {
-    this.record(counter, 1, labels);
-  }
-  
-  /**
-   * Get metrics summary
-   */
-  getSummary(): MetricsSummary {
-    const summary: MetricsSummary = {
-      timestamp: Date.now(),
-      metrics: {}
-    };
-    
-    for (const [name, values] of this.metrics) {
-      if (values.length === 0) continue;
-      
-      const numericValues = values.map(v => v.value);
-      const sum = numericValues.reduce((a, b) => a + b, 0);
-      const avg = sum / numericValues.length;
-      const min = Math.min(...numericValues);
-      const max = Math.max(...numericValues);
-      
-      summary.metrics[name] = {
-        count: values.length,
-        sum,
-        avg: Math.round(avg * 100) / 100,
-        min,
-        max,
-        latest: values[values.length - 1].value
-      };
-    }
-    
-    return summary;
-  }
-  
-  /**
-   * Get raw metrics data
-   */
-  getMetrics(metric?: string): Record<string, MetricValue[]> {
-    if (metric) {
-      return { [metric]: this.metrics.get(metric) || [] };
-    }
-    
-    return Object.fromEntries(this.metrics);
-  }
-  
-  /**
-   * Clean up old metrics
-   */
-  private cleanupOldMetrics(): void {
-    const cutoffTime = Date.now() - this.maxMetricAge;
-    
-    for (const [name, values] of this.metrics) {
-      const filteredValues = values.filter(v => v.timestamp >= cutoffTime);
-      this.metrics.set(name, filteredValues);
-    }
-  }
-  
-  /**
-   * Clean up resources
-   */
-  destroy(): void {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-  }
-}
-
 // ============================================================================
 // Monitoring Configuration
 // ============================================================================
@@ -429,7 +319,7 @@ alerting:
             type: "graph",
             targets: [
               {
-                expr: "reactbits_request_duration_seconds",
+                expr: "histogram_quantile(0.95, sum(rate(reactbits_request_duration_seconds_bucket[5m])) by (le))",
                 refId: "A"
               }
             ]
@@ -440,7 +330,7 @@ alerting:
             type: "graph",
             targets: [
               {
-                expr: "reactbits_memory_usage_bytes",
+                expr: "reactbits_memory_usage_mb",
                 refId: "A"
               }
             ]
@@ -477,27 +367,8 @@ export interface HealthCheckResult {
   details?: Record<string, any>;
 }
 
-export interface MetricValue {
-  value: number;
-  timestamp: number;
-  labels: Record<string, string>;
-}
-
-export interface MetricsSummary {
-  timestamp: number;
-  metrics: Record<string, {
-    count: number;
-    sum: number;
-    avg: number;
-    min: number;
-    max: number;
-    latest: number;
-  }>;
-}
-
 // ============================================================================
 // Default Export
 // ============================================================================
 
-export const defaultHealthCheck = new HealthCheckSystem();
-export const defaultMetrics = new MetricsCollector();
\ No newline at end of file
+export const defaultHealthCheck = new HealthCheckSystem();
\ No newline at end of file
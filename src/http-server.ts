@@ -0,0 +1,354 @@
+/**
+ * ReactBits MCP HTTP Server
+ *
+ * Serves MCP over Streamable HTTP (with SSE streams) so a single process can
+ * back a whole team. Every MCP session gets its own protocol server; all
+ * sessions share one data service (and therefore one catalog) and one set of
+ * request quotas.
+ *
+ *   POST/GET/DELETE /mcp   Streamable HTTP endpoint (Mcp-Session-Id header)
+ *   GET /healthz           liveness
+ *   GET /readyz            readiness: catalog loaded
+ *   GET /metrics           Prometheus text format
+ *   GET /r/registry.json   shadcn registry index
+ *   GET /r/<id>.json       shadcn registry item for a component
+ */
+
+import * as http from 'http';
+import { randomUUID } from 'crypto';
+import type { AddressInfo } from 'net';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { ReactBitsDataService, ReactBitsMCPServer } from './index.js';
+import { activeConfig } from './config.js';
+import { HealthCheckSystem } from './health.js';
+import { QuotaManager } from './quota.js';
+import { buildRegistry, buildRegistryItem, findRegistryComponent } from './registry.js';
+import {
+  HEALTH_STATUS_VALUES,
+  PROMETHEUS_CONTENT_TYPE,
+  metricsRegistry,
+  serverMetrics
+} from './prometheus.js';
+
+/** Largest accepted JSON-RPC request body */
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/** How often idle sessions are swept */
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+
+export interface HttpServerOptions {
+  host?: string;
+  port?: number;
+
+  /** Path of the Streamable HTTP endpoint */
+  path?: string;
+
+  /** Close sessions without requests for this long (ms) */
+  sessionIdleTimeout?: number;
+
+  /** Shared data service; one is created from configuration if omitted */
+  dataService?: ReactBitsDataService;
+
+  /** Quotas shared by all sessions, so API-key budgets span sessions */
+  quotas?: QuotaManager;
+}
+
+interface HttpSession {
+  readonly server: ReactBitsMCPServer;
+  readonly transport: StreamableHTTPServerTransport;
+  lastActivity: number;
+}
+
+class HttpError extends Error {
+  constructor(readonly status: number, message: string) {
+    super(message);
+  }
+}
+
+export class ReactBitsHttpServer {
+  private readonly host: string;
+  private readonly port: number;
+  private readonly path: string;
+  private readonly sessionIdleTimeout: number;
+  private readonly dataService: ReactBitsDataService;
+  private readonly quotas: QuotaManager;
+  private readonly sessions = new Map<string, HttpSession>();
+  private readonly healthChecks = new HealthCheckSystem();
+  private readonly startTime = Date.now();
+  private httpServer: http.Server | null = null;
+  private sweepTimer: NodeJS.Timeout | null = null;
+  private removeMetricsCollector: (() => void) | null = null;
+
+  constructor(options: HttpServerOptions = {}) {
+    this.host = options.host ?? activeConfig.transport.host;
+    this.port = options.port ?? activeConfig.transport.port;
+    this.path = options.path ?? activeConfig.transport.path;
+    this.sessionIdleTimeout = options.sessionIdleTimeout ?? activeConfig.transport.sessionIdleTimeout;
+    this.dataService = options.dataService ?? new ReactBitsDataService();
+    this.quotas = options.quotas ?? new QuotaManager();
+
+    // Judge the data directory by the loaded catalog so every store kind is covered
+    this.healthChecks.registerCheck('data_directory', async () => {
+      const health = this.dataService.getHealthStatus();
+      return {
+        healthy: health.hasData,
+        message: health.hasData
+          ? `Catalog loaded from ${health.store} with ${health.componentCount} components`
+          : 'Catalog has no components',
+        details: { store: health.store, dataSource: health.dataSource, componentCount: health.componentCount }
+      };
+    });
+  }
+
+  get sessionCount(): number {
+    return this.sessions.size;
+  }
+
+  /**
+   * Start listening; resolves with the bound address
+   */
+  async listen(): Promise<AddressInfo> {
+    const httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('HTTP request failed:', error);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+    this.httpServer = httpServer;
+
+    await new Promise<void>((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(this.port, this.host, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.sweepTimer = setInterval(() => this.closeIdleSessions(), SESSION_SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+
+    this.removeMetricsCollector = metricsRegistry.addCollector(() => {
+      serverMetrics.httpSessions.set(this.sessions.size);
+      serverMetrics.componentsCount.set(this.dataService.getHealthStatus().componentCount);
+      serverMetrics.healthStatus.set(HEALTH_STATUS_VALUES[this.healthChecks.getHealthStatus()]);
+    });
+
+    const address = httpServer.address() as AddressInfo;
+    console.error(`ReactBits MCP Server listening on http://${address.address}:${address.port}${this.path}`);
+    return address;
+  }
+
+  /**
+   * Close every session and stop listening
+   */
+  async close(): Promise<void> {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    this.removeMetricsCollector?.();
+    this.removeMetricsCollector = null;
+
+    await Promise.allSettled([...this.sessions.values()].map(session => session.server.close()));
+    this.sessions.clear();
+
+    const httpServer = this.httpServer;
+    this.httpServer = null;
+    if (httpServer) {
+      httpServer.closeAllConnections();
+      await new Promise<void>(resolve => httpServer.close(() => resolve()));
+    }
+  }
+
+  // ==========================================================================
+  // Routing
+  // ==========================================================================
+
+  private async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+
+    if (pathname === this.path) {
+      await this.handleMcpRequest(req, res);
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    switch (pathname) {
+      case '/healthz':
+        this.sendJson(res, 200, {
+          status: 'ok',
+          uptime: Date.now() - this.startTime,
+          sessions: this.sessions.size
+        });
+        return;
+
+      case '/readyz': {
+        const health = this.dataService.getHealthStatus();
+        const ready = health.isInitialized && health.hasData;
+        this.sendJson(res, ready ? 200 : 503, {
+          status: ready ? 'ready' : 'not_ready',
+          dataSource: health.dataSource,
+          componentCount: health.componentCount
+        });
+        return;
+      }
+
+      case '/metrics':
+        await this.healthChecks.runAllChecks();
+        res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+        res.end(metricsRegistry.render());
+        return;
+
+      default:
+        if (pathname.startsWith('/r/')) {
+          await this.handleRegistryRequest(req, res, pathname.slice('/r/'.length));
+          return;
+        }
+        this.sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * Serve the shadcn registry built from the current catalog
+   */
+  private async handleRegistryRequest(req: http.IncomingMessage, res: http.ServerResponse, fileName: string): Promise<void> {
+    const match = /^([\w.-]+)\.json$/.exec(fileName);
+    if (!match) {
+      this.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const catalog = await this.dataService.getCatalog();
+    const baseUrl = activeConfig.catalog.registryUrl || `http://${req.headers.host || `${this.host}:${this.port}`}`;
+    if (match[1] === 'registry') {
+      this.sendJson(res, 200, buildRegistry(catalog, { baseUrl }));
+      return;
+    }
+
+    const component = findRegistryComponent(catalog, match[1]!);
+    if (!component) {
+      this.sendJson(res, 404, { error: `Registry item '${match[1]}' not found` });
+      return;
+    }
+    this.sendJson(res, 200, buildRegistryItem(catalog, component, { baseUrl }));
+  }
+
+  private async handleMcpRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    let body: unknown;
+    if (req.method === 'POST') {
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        const status = error instanceof HttpError ? error.status : 400;
+        this.sendJsonRpcError(res, status, -32700, error instanceof Error ? error.message : 'Parse error');
+        return;
+      }
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (typeof sessionId === 'string') {
+      const session = this.sessions.get(sessionId);
+      if (!session) {
+        this.sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'POST' && isInitializeRequest(body)) {
+      const transport = await this.createSession();
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    this.sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+  }
+
+  // ==========================================================================
+  // Sessions
+  // ==========================================================================
+
+  private async createSession(): Promise<StreamableHTTPServerTransport> {
+    const server = new ReactBitsMCPServer(this.dataService, this.quotas);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: sessionId => {
+        this.sessions.set(sessionId, { server, transport, lastActivity: Date.now() });
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        this.sessions.delete(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    return transport;
+  }
+
+  private closeIdleSessions(): void {
+    const cutoff = Date.now() - this.sessionIdleTimeout;
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastActivity < cutoff) {
+        this.sessions.delete(sessionId);
+        session.server.close().catch(error => {
+          console.warn(`Failed to close idle session ${sessionId}:`, error);
+        });
+      }
+    }
+  }
+
+  // ==========================================================================
+  // Responses
+  // ==========================================================================
+
+  private sendJson(res: http.ServerResponse, status: number, body: unknown): void {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  private sendJsonRpcError(res: http.ServerResponse, status: number, code: number, message: string): void {
+    this.sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+}
+
+/**
+ * Read and parse a JSON request body, enforcing the size limit
+ */
+async function readJsonBody(req: http.IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Parse error: request body is not valid JSON');
+  }
+}
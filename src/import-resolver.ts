@@ -0,0 +1,126 @@
+/**
+ * ReactBits Import Resolution
+ *
+ * Resolves a component's local imports (relative paths and the upstream `@/`
+ * source alias) to files in the ReactBits repository, and reduces external
+ * imports to the npm packages they come from. Shared by the scraper, which
+ * resolves against the full repository tree, and the catalog loader, which
+ * falls back to the extracted files for records scraped before resolution.
+ */
+
+import { posix } from 'path';
+import { builtinModules } from 'module';
+import type { ExtractedImport, LocalImport, LocalImportKind } from './types.js';
+
+/** Path aliases configured in the upstream Vite config, mapped to repository paths */
+const PATH_ALIASES: Readonly<Record<string, string>> = {
+  '@/': 'src/'
+};
+
+/** Extensions tried, in order, for imports written without one */
+const MODULE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+
+const STYLESHEET_PATTERN = /\.(css|scss|sass|less)$/i;
+const MODULE_PATTERN = /\.(tsx?|jsx?|mjs|cjs)$/i;
+
+const BUILTIN_MODULES = new Set(builtinModules);
+
+/**
+ * Whether an import specifier refers to a file in the repository rather than
+ * an npm package
+ */
+export function isLocalSpecifier(specifier: string): boolean {
+  return specifier.startsWith('.') ||
+    specifier.startsWith('/') ||
+    Object.keys(PATH_ALIASES).some(alias => specifier.startsWith(alias));
+}
+
+/**
+ * What kind of file a local import loads, judged by its extension
+ */
+export function localImportKind(specifier: string): LocalImportKind {
+  if (STYLESHEET_PATTERN.test(specifier)) return 'stylesheet';
+  if (/\.[a-z0-9]+$/i.test(specifier) && !MODULE_PATTERN.test(specifier)) return 'asset';
+  return 'module';
+}
+
+/**
+ * Repository path an import points at, before extension lookup
+ */
+function importTarget(importerPath: string, specifier: string): string {
+  for (const [alias, target] of Object.entries(PATH_ALIASES)) {
+    if (specifier.startsWith(alias)) {
+      return posix.normalize(target + specifier.slice(alias.length));
+    }
+  }
+  if (specifier.startsWith('/')) {
+    return posix.normalize(specifier.slice(1));
+  }
+  return posix.normalize(posix.join(posix.dirname(importerPath), specifier));
+}
+
+/**
+ * Resolve a local import to a known repository path the way a bundler would:
+ * the exact path, then each module extension, then an `index` file
+ *
+ * @returns The resolved path, or null when no known file matches
+ */
+export function resolveImportPath(
+  importerPath: string,
+  specifier: string,
+  knownPaths: ReadonlySet<string>
+): string | null {
+  const target = importTarget(importerPath, specifier);
+  const candidates = [
+    target,
+    ...MODULE_EXTENSIONS.map(extension => target + extension),
+    ...MODULE_EXTENSIONS.map(extension => `${target}/index${extension}`)
+  ];
+
+  return candidates.find(candidate => knownPaths.has(candidate)) ?? null;
+}
+
+/**
+ * Resolve every local import of a file; unresolvable imports are kept with a
+ * null path so callers can report them
+ */
+export function resolveLocalImports(
+  importerPath: string,
+  imports: readonly ExtractedImport[],
+  knownPaths: ReadonlySet<string>
+): LocalImport[] {
+  return imports
+    .filter(entry => isLocalSpecifier(entry.from))
+    .map(entry => ({
+      specifier: entry.from,
+      path: resolveImportPath(importerPath, entry.from, knownPaths),
+      kind: localImportKind(entry.from)
+    }));
+}
+
+/**
+ * npm package an external specifier installs from: `@scope/name` for scoped
+ * packages, otherwise the first path segment. Node built-ins and local
+ * imports have no package.
+ */
+export function packageName(specifier: string): string | null {
+  if (isLocalSpecifier(specifier) || specifier.startsWith('node:')) {
+    return null;
+  }
+
+  const segments = specifier.split('/');
+  const name = specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  return BUILTIN_MODULES.has(name) ? null : name;
+}
+
+/**
+ * Deduplicated npm packages behind a list of import specifiers, in first-seen order
+ */
+export function npmPackages(specifiers: Iterable<string>): string[] {
+  const packages = new Set<string>();
+  for (const specifier of specifiers) {
+    const name = packageName(specifier);
+    if (name) packages.add(name);
+  }
+  return [...packages];
+}
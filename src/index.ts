@@ -12,35 +12,88 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import type { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
   Tool,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import type { 
   ReactBitsComponent, 
   ReactBitsCategory, 
   SearchFilters, 
+  SearchHit,
   ToolResponse,
   RequestContext,
   ServerHealth,
   ComponentDifficulty,
-  ComponentProp,
-  ComponentStyling
+  ComponentStyling,
+  ComponentStylesheet,
+  ComponentVariant,
+  CatalogSource,
+  ExtractedComponentRecord,
+  TransportKind
 } from './types.js';
 import { defaultScraperIntegration } from './scraper-integration.js';
+import {
+  ComponentCatalog,
+  createMockCatalog,
+  diffCatalogs,
+  hasCatalogChanges,
+  type CatalogDiff
+} from './catalog.js';
+import type { ComponentMatch } from './fuzzy-match.js';
+import {
+  RESOURCE_TEMPLATES,
+  componentPropsSchemaUri,
+  listCatalogResources,
+  parseResourceUri,
+  readCatalogResource
+} from './resources.js';
+import { PROMPTS, getPrompt } from './prompts.js';
+import { recordToolCall, recordCacheLookup, summarizeToolCalls } from './prometheus.js';
+import { QuotaManager } from './quota.js';
+import { extractComponentProps } from './props-extractor.js';
+import { validateProps } from './props-schema.js';
+import { npmPackages, resolveLocalImports } from './import-resolver.js';
+import { buildComponentBundle } from './component-bundle.js';
+import { availableVariants, detectVariant, groupComponentVariants, isComponentVariant, selectVariant } from './variants.js';
+import { analyzeComponentSource } from './component-analyzer.js';
+import { isComponentKind, isLibraryComponent, matchesKind } from './component-kinds.js';
+import { loadTaxonomy, type CategoryTaxonomy } from './taxonomy.js';
+import { buildCatalogCoverage, readExtractionReport, type CatalogCoverage } from './catalog-coverage.js';
+import {
+  DEFAULT_NAMESPACE,
+  extractComponents,
+  loadComponentSources,
+  namespacedComponentId,
+  type ComponentSource
+} from './component-source.js';
+import {
+  CatalogStore,
+  FileSystemCatalogStore,
+  createCatalogStore
+} from './catalog-store.js';
 import { 
   activeConfig, 
   SERVER_CAPABILITIES, 
   TOOL_SCHEMAS 
 } from './config.js';
-import * as fs from 'fs/promises';
 import * as path from 'path';
+import { EventEmitter } from 'events';
 import { 
   validateComponentId,
+  validateComponentReference,
   validateSearchQuery,
   validatePagination,
   validateSearchFilters,
@@ -51,8 +104,6 @@ import {
   measureAsync,
   createRequestContext,
   ContextLogger,
-  RateLimiter,
-  MetricsCollector,
   validateWithSchema,
   createReactBitsError,
   toMcpError
@@ -62,19 +113,64 @@ import {
 // Enhanced ReactBits Data Service with Caching and Performance
 // ============================================================================
 
-class ReactBitsDataService {
+/**
+ * Revision of a catalog: the store's, then each additional source's
+ */
+function joinRevisions(storeRevision: string, sourceRevisions: readonly (string | null)[]): string {
+  return [storeRevision, ...sourceRevisions.map(revision => revision ?? 'unknown')].join('|');
+}
+
+/**
+ * Data service construction options
+ */
+interface DataServiceOptions {
+  /** Storage backend to read the catalog from (overrides extractionPath) */
+  store?: CatalogStore;
+  
+  /** Extraction directory, resolved against the working directory */
+  extractionPath?: string;
+  
+  /** Serve the mock catalog when the extraction cannot be loaded */
+  allowMockFallback?: boolean;
+  
+  /** Subscribe to scraper refreshes after the first load */
+  enableScraperIntegration?: boolean;
+  
+  /** Taxonomy file, resolved against the working directory */
+  taxonomyPath?: string;
+  
+  /** Additional component libraries, each under its own namespace (overrides REACTBITS_SOURCES) */
+  sources?: readonly ComponentSource[];
+}
+
+/**
+ * Serves the component catalog to the MCP server.
+ *
+ * Emits `catalog-changed` with a `CatalogDiff` and the new catalog whenever a
+ * reload swaps in a catalog whose components differ from the previous one.
+ */
+class ReactBitsDataService extends EventEmitter {
   private componentCache: LRUCache<ReactBitsComponent>;
   private categoryCache: LRUCache<ReactBitsCategory>;
-  private searchCache: LRUCache<ReactBitsComponent[]>;
+  private searchCache: LRUCache<SearchHit[]>;
+  private browseCache: LRUCache<ReactBitsComponent[]>;
   private lastFullCacheUpdate = 0;
   private initializationPromise: Promise<void> | null = null;
   private isInitialized = false;
-  private realComponents: ReactBitsComponent[] = [];
-  private realCategories: ReactBitsCategory[] = [];
-  private extractionPath: string;
-  private componentIndex: any[] = [];
+  private catalog: ComponentCatalog = ComponentCatalog.empty();
+  private store: CatalogStore;
+  private loadedRevision: string | null = null;
+  private allowMockFallback: boolean;
+  private enableScraperIntegration: boolean;
+  private readonly taxonomy: CategoryTaxonomy;
+  private readonly sources: readonly ComponentSource[];
+  
+  /** Records extracted from each additional source, kept until its revision changes */
+  private readonly sourceRecords = new Map<string, { revision: string | null; records: readonly ExtractedComponentRecord[] }>();
 
-  constructor() {
+  constructor(options: DataServiceOptions = {}) {
+    super();
+    
     // Initialize caches with enhanced configuration
     this.componentCache = new LRUCache<ReactBitsComponent>(
       activeConfig.server.maxCacheSize,
@@ -84,13 +180,30 @@ class ReactBitsDataService {
       100, // Smaller cache for categories
       activeConfig.tools.list_categories.cacheExpiry
     );
-    this.searchCache = new LRUCache<ReactBitsComponent[]>(
+    this.searchCache = new LRUCache<SearchHit[]>(
       500, // Medium cache for search results
       activeConfig.tools.search_components.cacheExpiry
     );
+    this.browseCache = new LRUCache<ReactBitsComponent[]>(
+      500,
+      activeConfig.tools.browse_category.cacheExpiry
+    );
     
-    // Set extraction path relative to project root
-    this.extractionPath = path.resolve(process.cwd(), 'production-react-bits-extraction');
+    // Resolve the storage backend; extraction paths are relative to project root
+    if (options.store) {
+      this.store = options.store;
+    } else if (options.extractionPath) {
+      this.store = new FileSystemCatalogStore(path.resolve(process.cwd(), options.extractionPath));
+    } else {
+      this.store = createCatalogStore(
+        activeConfig.catalog.store,
+        activeConfig.catalog.store === 'sqlite' ? activeConfig.catalog.sqlitePath : activeConfig.catalog.extractionPath
+      );
+    }
+    this.allowMockFallback = options.allowMockFallback ?? activeConfig.catalog.allowMockFallback;
+    this.enableScraperIntegration = options.enableScraperIntegration ?? true;
+    this.taxonomy = loadTaxonomy(options.taxonomyPath);
+    this.sources = options.sources ?? loadComponentSources(this.taxonomy);
     
     // Initialize service with proper error handling
     this.initializeService();
@@ -103,7 +216,8 @@ class ReactBitsDataService {
     return {
       components: this.componentCache.getStats(),
       categories: this.categoryCache.getStats(),
-      searches: this.searchCache.getStats()
+      searches: this.searchCache.getStats(),
+      browse: this.browseCache.getStats()
     };
   }
   
@@ -112,14 +226,33 @@ class ReactBitsDataService {
    */
   getHealthStatus() {
     return {
-      hasData: this.realComponents.length > 0 || this.getMockComponents().length > 0,
-      componentCount: this.realComponents.length > 0 ? this.realComponents.length : this.getMockComponents().length,
-      categoryCount: this.realCategories.length > 0 ? this.realCategories.length : this.getMockCategories().length,
+      hasData: !this.catalog.isEmpty(),
+      componentCount: this.catalog.size,
+      categoryCount: this.catalog.getCategories().length,
       isInitialized: this.isInitialized,
-      usingRealData: this.realComponents.length > 0,
+      usingRealData: this.catalog.source === 'extraction',
+      dataSource: this.catalog.source,
+      store: this.store.kind,
+      revision: this.loadedRevision,
       lastCacheUpdate: this.lastFullCacheUpdate
     };
   }
+  
+  /**
+   * Get the source of the catalog currently being served
+   */
+  getDataSource(): CatalogSource {
+    return this.catalog.source;
+  }
+  
+  /**
+   * Get the current catalog, reloading it first if the store has changed
+   */
+  async getCatalog(): Promise<ComponentCatalog> {
+    await this.ensureInitialized();
+    await this.refreshCache();
+    return this.catalog;
+  }
 
   private initializeService(): void {
     if (this.initializationPromise) return;
@@ -130,7 +263,9 @@ class ReactBitsDataService {
         console.info('ReactBits data service initialized successfully');
         
         // Initialize scraper integration
-        this.initializeScraperIntegration();
+        if (this.enableScraperIntegration) {
+          this.initializeScraperIntegration();
+        }
       })
       .catch(error => {
         console.warn('Initial cache refresh failed, will retry on first request:', error);
@@ -145,13 +280,10 @@ class ReactBitsDataService {
     try {
       // Set up event listeners for scraper updates
       defaultScraperIntegration.on('refresh-success', (_report) => {
-        console.info('Scraper refresh completed, invalidating cache...');
-        this.lastFullCacheUpdate = 0; // Force cache refresh on next request
-        
-        // Clear caches to force reload of new data
-        this.componentCache.clear();
-        this.categoryCache.clear(); 
-        this.searchCache.clear();
+        console.info('Scraper refresh completed, reloading catalog...');
+        this.reload().catch(error => {
+          console.warn('Catalog reload after scraper refresh failed:', error);
+        });
       });
 
       defaultScraperIntegration.on('refresh-error', (error) => {
@@ -168,6 +300,29 @@ class ReactBitsDataService {
     }
   }
   
+  /**
+   * Force a store revision check on the next request. The catalog is only
+   * re-read if the store reports a new revision.
+   */
+  invalidateCache(): void {
+    this.lastFullCacheUpdate = 0;
+    
+    // Clear caches to force reload of new data
+    this.componentCache.clear();
+    this.categoryCache.clear();
+    this.searchCache.clear();
+    this.browseCache.clear();
+  }
+  
+  /**
+   * Re-check the store now and swap in the new catalog if its revision
+   * changed, announcing the differences to `catalog-changed` listeners
+   */
+  async reload(): Promise<void> {
+    this.invalidateCache();
+    await this.refreshCache();
+  }
+  
   /**
    * Ensure service is initialized before operations
    */
@@ -205,130 +360,156 @@ class ReactBitsDataService {
       }
       
     } catch (error) {
-      console.warn('Real data loading failed, falling back to mock data:', error);
-      // Fallback to mock data if real data loading fails
-      try {
-        await this.loadMockDataAsFallback();
-        this.lastFullCacheUpdate = now;
-        console.info('Successfully loaded fallback mock data');
-      } catch (fallbackError) {
-        console.error('Both real data loading and fallback failed:', fallbackError);
-        throw createReactBitsError(
-          `Failed to load any component data: ${error instanceof Error ? error.message : 'Unknown error'}`,
-          'CACHE_ERROR' as any,
-          { originalError: error, fallbackError, timestamp: now }
-        );
+      if (!this.allowMockFallback) {
+        throw error;
       }
+      
+      console.warn('Real data loading failed, falling back to mock data:', error);
+      this.loadMockDataAsFallback();
+      this.lastFullCacheUpdate = now;
+      console.info('Serving mock catalog; responses will report dataSource "mock"');
     }
   }
 
   private async loadRealData(): Promise<void> {
+    let catalog: ComponentCatalog;
+    let revision: string;
+    
     try {
-      // Load component index
-      const indexPath = path.join(this.extractionPath, 'component-index.json');
-      const indexData = await fs.readFile(indexPath, 'utf-8');
-      this.componentIndex = JSON.parse(indexData);
+      // Skip the full read when neither the store nor a source has changed since the last load
+      const storeRevision = await this.store.getRevision();
+      if (storeRevision === null) {
+        throw new Error(`No catalog data found in ${this.store.kind} store at ${this.store.location}`);
+      }
+      const sourceRevisions = await this.getSourceRevisions();
+      const currentRevision = joinRevisions(storeRevision, sourceRevisions);
+      if (!sourceRevisions.includes(null) && currentRevision === this.loadedRevision && this.catalog.source === 'extraction') {
+        return;
+      }
       
-      // Load and process all components
-      const components: ReactBitsComponent[] = [];
-      const categoryCounts: { [key: string]: number } = {};
+      const snapshot = await this.store.load();
+      revision = joinRevisions(snapshot.revision, sourceRevisions);
       
-      for (const indexEntry of this.componentIndex) {
+      // Map every record, then group variants of the same component
+      const variants: ReactBitsComponent[] = [];
+      const extractedPaths = new Set(snapshot.records.flatMap(record => [
+        record.source?.filePath,
+        ...(record.source?.stylesheets || []).map(stylesheet => stylesheet.filePath)
+      ]));
+      
+      for (const record of [...snapshot.records, ...await this.extractSources(sourceRevisions)]) {
         try {
-          const componentData = await this.loadComponentFromExtraction(indexEntry);
-          if (componentData) {
-            components.push(componentData);
-            
-            // Count components per category
-            const normalizedCategory = this.normalizeCategory(componentData.category);
-            categoryCounts[normalizedCategory] = (categoryCounts[normalizedCategory] || 0) + 1;
-          }
+          variants.push(this.mapExtractedComponentToMCP(record, extractedPaths));
         } catch (error) {
-          console.warn(`Failed to load component ${indexEntry.name}:`, error);
+          console.warn(`Failed to map component ${record.metadata?.name}:`, error);
         }
       }
       
-      this.realComponents = components;
+      const components = groupComponentVariants(variants);
       
-      // Generate categories from real data
-      this.realCategories = this.generateCategoriesFromComponents(categoryCounts);
-      
-      // Populate caches
-      components.forEach(component => {
-        this.componentCache.set(component.id, component);
-      });
-      
-      this.realCategories.forEach(category => {
-        this.categoryCache.set(category.id, category);
-      });
+      if (components.length === 0) {
+        throw new Error(`Catalog store at ${this.store.location} produced no loadable components`);
+      }
       
-      console.info(`Loaded ${components.length} real components across ${this.realCategories.length} categories`);
+      // Categories come from the taxonomy, counted over library components
+      catalog = new ComponentCatalog(
+        components,
+        this.taxonomy.buildCategories(components.filter(isLibraryComponent)),
+        'extraction'
+      );
       
     } catch (error) {
       throw createReactBitsError(
         `Failed to load real component data: ${error instanceof Error ? error.message : 'Unknown error'}`,
         'CACHE_ERROR' as any,
-        { error, extractionPath: this.extractionPath }
+        { error, store: this.store.kind, location: this.store.location }
       );
     }
+    
+    this.loadedRevision = revision;
+    this.useCatalog(catalog);
+    console.info(`Loaded ${catalog.size} real components across ${catalog.getCategories().length} categories`);
   }
   
-  private async loadMockDataAsFallback(): Promise<void> {
-    // Mock data - in production, this would fetch from ReactBits.dev
-    const mockComponents: ReactBitsComponent[] = [
-      {
-        id: 'animated-button-1',
-        name: 'Animated Button',
-        description: 'A beautiful animated button with hover effects',
-        category: 'buttons',
-        tags: ['animation', 'hover', 'interactive'],
-        codePreview: `<Button className="animated-btn">Click me</Button>`,
-        dependencies: ['framer-motion', 'tailwindcss'],
-        lastUpdated: '2024-01-15T10:00:00Z',
-        difficulty: 'beginner',
-        demoUrl: 'https://reactbits.dev/demo/animated-button-1'
-      },
-      {
-        id: 'gradient-card-2',
-        name: 'Gradient Card',
-        description: 'Modern card component with gradient backgrounds',
-        category: 'cards',
-        tags: ['gradient', 'modern', 'layout'],
-        codePreview: `<GradientCard>Content here</GradientCard>`,
-        dependencies: ['react', 'tailwindcss'],
-        lastUpdated: '2024-01-14T15:30:00Z',
-        difficulty: 'intermediate'
+  /**
+   * Revision of every additional source, qualified by its namespace; null
+   * for sources that cannot tell or cannot be read, which are read again on
+   * every load
+   */
+  private async getSourceRevisions(): Promise<(string | null)[]> {
+    return Promise.all(this.sources.map(async source => {
+      const revision = await source.getRevision().catch(() => null);
+      return revision === null ? null : `${source.namespace}:${revision}`;
+    }));
+  }
+  
+  /**
+   * Records of every additional source, re-extracting only the sources whose
+   * revision changed or is unknown. Records whose source is unchanged keep
+   * their `extractedAt`. A source that cannot be read is left out of the
+   * catalog rather than failing the load.
+   */
+  private async extractSources(revisions: readonly (string | null)[]): Promise<ExtractedComponentRecord[]> {
+    const records: ExtractedComponentRecord[] = [];
+    
+    for (const [index, source] of this.sources.entries()) {
+      const revision = revisions[index] ?? null;
+      const cached = this.sourceRecords.get(source.namespace);
+      if (revision !== null && cached?.revision === revision) {
+        records.push(...cached.records);
+        continue;
       }
-    ];
-
-    const mockCategories: ReactBitsCategory[] = [
-      {
-        id: 'buttons',
-        name: 'Buttons',
-        description: 'Interactive button components with various styles and animations',
-        componentCount: 15,
-        subcategories: ['primary', 'secondary', 'animated']
-      },
-      {
-        id: 'cards',
-        name: 'Cards',
-        description: 'Card layouts and containers for organizing content',
-        componentCount: 8,
-        subcategories: ['basic', 'gradient', 'glassmorphism']
+      
+      try {
+        const extraction = await extractComponents(source, cached?.records);
+        for (const { file, error } of extraction.errors) {
+          console.warn(`Failed to extract ${file} from ${source.namespace}: ${error}`);
+        }
+        this.sourceRecords.set(source.namespace, { revision, records: extraction.records });
+        records.push(...extraction.records);
+      } catch (error) {
+        this.sourceRecords.delete(source.namespace);
+        console.warn(`Component source ${source.namespace} (${source.label}) could not be read:`, error);
       }
-    ];
-
-    // Populate caches with new LRU cache system
-    mockComponents.forEach(component => {
+    }
+    
+    return records;
+  }
+  
+  private loadMockDataAsFallback(): void {
+    this.useCatalog(createMockCatalog());
+  }
+  
+  /**
+   * Swap in a freshly loaded catalog and repopulate the caches from it
+   */
+  private useCatalog(catalog: ComponentCatalog): void {
+    const diff = diffCatalogs(this.catalog, catalog);
+    this.catalog = catalog;
+    
+    this.componentCache.clear();
+    this.categoryCache.clear();
+    this.searchCache.clear();
+    this.browseCache.clear();
+    
+    catalog.getComponents().forEach(component => {
       this.componentCache.set(component.id, component);
     });
-
-    mockCategories.forEach(category => {
+    
+    catalog.getCategories().forEach(category => {
       this.categoryCache.set(category.id, category);
     });
+    
+    if (hasCatalogChanges(diff)) {
+      this.emit('catalog-changed', diff, catalog);
+    }
   }
 
-  async searchComponents(query: string, filters: SearchFilters = {}): Promise<ReactBitsComponent[]> {
+  /**
+   * Full-text search over the catalog. Results are ranked by relevance unless
+   * another sort field is requested, and carry their score and matched fields.
+   */
+  async searchComponents(query: string, filters: SearchFilters = {}): Promise<SearchHit[]> {
     await this.ensureInitialized();
     
     // Validate inputs with enhanced validation
@@ -338,63 +519,69 @@ class ReactBitsDataService {
     // Check cache first with improved cache key
     const cacheKey = `search:${validatedQuery}:${JSON.stringify(validatedFilters, Object.keys(validatedFilters).sort())}`;
     const cached = this.searchCache.get(cacheKey);
+    recordCacheLookup('search', cached !== null);
     if (cached) {
       return cached;
     }
     
     await this.refreshCache();
 
-    // Get all components - in production this would query a database more efficiently
-    const allComponents: ReactBitsComponent[] = this.getAllCachedComponents();
-    
-    let filtered = allComponents;
-
-    // Apply search query with improved matching
-    if (validatedQuery.trim()) {
-      const searchTerm = validatedQuery.toLowerCase();
-      filtered = filtered.filter(component =>
-        component.name.toLowerCase().includes(searchTerm) ||
-        component.description.toLowerCase().includes(searchTerm) ||
-        component.tags.some(tag => tag.toLowerCase().includes(searchTerm)) ||
-        component.category.toLowerCase().includes(searchTerm)
-      );
-    }
+    // Rank against the inverted index; an empty query matches everything unranked
+    let filtered: SearchHit[] = validatedQuery.trim()
+      ? this.catalog.search(validatedQuery)
+      : this.catalog.getComponents().map(component => ({ component, score: 0, matchedFields: [] }));
 
     // Apply filters
     if (validatedFilters.category) {
-      filtered = filtered.filter(component => component.category === validatedFilters.category);
+      const category = this.catalog.getCategory(validatedFilters.category)?.id ?? validatedFilters.category;
+      filtered = filtered.filter(({ component }) => component.category === category);
     }
 
     if (validatedFilters.tags && validatedFilters.tags.length > 0) {
-      filtered = filtered.filter(component =>
+      filtered = filtered.filter(({ component }) =>
         validatedFilters.tags!.some(tag => component.tags.includes(tag))
       );
     }
 
     if (validatedFilters.difficulty) {
-      filtered = filtered.filter(component => component.difficulty === validatedFilters.difficulty);
+      filtered = filtered.filter(({ component }) => component.difficulty === validatedFilters.difficulty);
     }
 
     if (validatedFilters.hasDemo !== undefined) {
-      filtered = filtered.filter(component =>
+      filtered = filtered.filter(({ component }) =>
         validatedFilters.hasDemo ? !!component.demoUrl : !component.demoUrl
       );
     }
     
     if (validatedFilters.dependencies && validatedFilters.dependencies.length > 0) {
-      filtered = filtered.filter(component =>
+      filtered = filtered.filter(({ component }) =>
         validatedFilters.dependencies!.some(dep => component.dependencies.includes(dep))
       );
     }
     
+    if (validatedFilters.variant) {
+      filtered = filtered.filter(({ component }) => availableVariants(component).includes(validatedFilters.variant!));
+    }
+    
+    // Docs-site entries only show up when their kind is asked for
+    filtered = filtered.filter(({ component }) => matchesKind(component, validatedFilters.kind));
+    
+    if (validatedFilters.namespace) {
+      filtered = filtered.filter(({ component }) => component.namespace === validatedFilters.namespace);
+    }
+    
     if (validatedFilters.updatedAfter) {
       const afterDate = new Date(validatedFilters.updatedAfter);
-      filtered = filtered.filter(component => new Date(component.lastUpdated) > afterDate);
+      filtered = filtered.filter(({ component }) => new Date(component.lastUpdated) > afterDate);
     }
 
-    // Apply sorting
-    if (validatedFilters.sortBy) {
-      filtered = this.sortComponents(filtered, validatedFilters.sortBy, validatedFilters.sortOrder || 'desc');
+    // Apply sorting; hits already arrive in descending relevance order
+    const sortBy = validatedFilters.sortBy || 'relevance';
+    const sortOrder = validatedFilters.sortOrder || 'desc';
+    if (sortBy !== 'relevance') {
+      filtered = this.sortHits(filtered, sortBy, sortOrder);
+    } else if (sortOrder === 'asc') {
+      filtered = [...filtered].reverse();
     }
 
     // Apply pagination
@@ -407,36 +594,25 @@ class ReactBitsDataService {
     return result;
   }
   
-  /**
-   * Load individual component from extraction data
-   */
-  private async loadComponentFromExtraction(indexEntry: any): Promise<ReactBitsComponent | null> {
-    try {
-      // Use the original category from the index (raw directory name)
-      const categoryDir = indexEntry.category;
-      const filename = `${indexEntry.name.toLowerCase().replace(/\s+/g, '-')}.json`;
-      const componentPath = path.join(this.extractionPath, 'components', categoryDir, filename);
-      
-      const componentData = await fs.readFile(componentPath, 'utf-8');
-      const parsed = JSON.parse(componentData);
-      
-      return this.mapExtractedComponentToMCP(parsed, indexEntry);
-    } catch (error) {
-      console.warn(`Failed to load component file for ${indexEntry.name}:`, error);
-      return null;
-    }
-  }
-  
   /**
    * Map extracted component data to MCP format
+   *
+   * @param extractedPaths - Source paths of every extracted record, used to
+   * resolve local imports of records scraped before imports were resolved
    */
-  private mapExtractedComponentToMCP(extractedData: any, _indexEntry: any): ReactBitsComponent {
+  private mapExtractedComponentToMCP(
+    extractedData: ExtractedComponentRecord,
+    extractedPaths: ReadonlySet<string>
+  ): ReactBitsComponent {
     const metadata = extractedData.metadata;
     const analysis = extractedData.analysis;
     const source = extractedData.source;
     
-    // Generate unique ID from name and category
-    const id = `${metadata.name.toLowerCase().replace(/\s+/g, '-')}-${metadata.category}`;
+    // Generate unique ID from name and category; other libraries' IDs are qualified by their namespace
+    const namespace = metadata.namespace || DEFAULT_NAMESPACE;
+    const id = namespace === DEFAULT_NAMESPACE
+      ? `${metadata.name.toLowerCase().replace(/\s+/g, '-')}-${metadata.category}`
+      : namespacedComponentId(namespace, metadata.name);
     
     // Map difficulty based on complexity
     let difficulty: ComponentDifficulty = 'beginner';
@@ -452,40 +628,49 @@ class ReactBitsDataService {
     // Create code preview from source
     const codePreview = this.extractCodePreview(source.sourceCode);
     
+    const { props, forwardsRestProps } = extractComponentProps(source.sourceCode, source.filePath);
+    const localImports = analysis.localImports ||
+      resolveLocalImports(source.filePath, analysis.imports || [], extractedPaths);
+    const stylesheets = (source.stylesheets || []).map(stylesheet => ({
+      path: stylesheet.filePath,
+      content: stylesheet.sourceCode
+    }));
+    const styling = this.mapStyling(analysis.stylingApproach, stylesheets);
+    const placement = this.taxonomy.classify({
+      path: source.filePath,
+      name: metadata.name,
+      category: metadata.category,
+      ...(metadata.subcategory ? { subcategory: metadata.subcategory } : {})
+    });
+    
     return {
       id,
+      namespace,
       name: metadata.name,
       description,
-      category: this.normalizeCategory(metadata.category),
+      category: placement.category,
+      ...(placement.subcategory ? { subcategory: placement.subcategory } : {}),
       tags: analysis.features || [],
       codePreview,
       fullCode: source.sourceCode,
-      dependencies: analysis.dependencies || [],
+      sourcePath: source.filePath,
+      variant: isComponentVariant(metadata.variant)
+        ? metadata.variant
+        : detectVariant(source.filePath, analysis.stylingApproach),
+      kind: isComponentKind(analysis.kind)
+        ? analysis.kind
+        : analyzeComponentSource(source.sourceCode, source.filePath).kind,
+      dependencies: npmPackages(analysis.dependencies || []),
+      localImports,
       lastUpdated: metadata.extractedAt || new Date().toISOString(),
       difficulty,
       // demoUrl could be generated from ReactBits.dev if available
-      props: this.extractPropsFromTypes(extractedData.types),
+      props,
+      forwardsRestProps,
       examples: [],
-      ...(this.detectFramework(analysis.stylingApproach) ? {
-        styling: {
-          framework: this.detectFramework(analysis.stylingApproach)!
-        }
-      } : {})
-    };
-  }
-  
-  /**
-   * Normalize category names
-   */
-  private normalizeCategory(category: string): string {
-    const categoryMap: { [key: string]: string } = {
-      'nimations': 'animations',
-      'avigation': 'navigation', 
-      'eedback': 'feedback',
-      'ui-component': 'ui-components'
+      ...(stylesheets.length > 0 ? { stylesheets } : {}),
+      ...(styling ? { styling } : {})
     };
-    
-    return categoryMap[category] || category;
   }
   
   /**
@@ -536,31 +721,25 @@ class ReactBitsDataService {
   }
   
   /**
-   * Extract props from type definitions
+   * Styling from the detected framework and the captured stylesheets, or
+   * undefined when there is neither
    */
-  private extractPropsFromTypes(types: any): ComponentProp[] {
-    if (!types.propsInterface || types.propsInterface.length === 0) {
-      return [];
-    }
+  private mapStyling(
+    stylingApproach: readonly string[] | undefined,
+    stylesheets: readonly ComponentStylesheet[]
+  ): ComponentStyling | undefined {
+    const framework = this.detectFramework(stylingApproach) ||
+      (stylesheets.some(stylesheet => /\.module\.\w+$/.test(stylesheet.path)) ? 'css-modules' : undefined);
     
-    return types.propsInterface.flatMap((iface: any) => 
-      iface.properties.map((prop: string) => {
-        const [name, type] = prop.split(':').map(s => s.trim());
-        return {
-          property: name || prop,
-          type: type || 'any',
-          default: '',
-          description: `${name} property`,
-          required: !prop.includes('?')
-        };
-      })
-    );
+    if (!framework && stylesheets.length === 0) return undefined;
+    
+    return {
+      ...(framework ? { framework } : {}),
+      ...(stylesheets.length > 0 ? { customCSS: stylesheets.map(stylesheet => stylesheet.content).join('\n\n') } : {})
+    };
   }
   
-  /**
-   * Detect CSS framework from styling approach
-   */
-  private detectFramework(stylingApproach: string[]): ComponentStyling['framework'] {
+  private detectFramework(stylingApproach: readonly string[] | undefined): ComponentStyling['framework'] {
     if (!stylingApproach) return undefined;
     
     if (stylingApproach.includes('tailwind')) return 'tailwind';
@@ -572,57 +751,14 @@ class ReactBitsDataService {
   }
   
   /**
-   * Generate categories from component data
-   */
-  private generateCategoriesFromComponents(categoryCounts: { [key: string]: number }): ReactBitsCategory[] {
-    const categoryDescriptions: { [key: string]: string } = {
-      'animations': 'Animation components and utilities for creating smooth, engaging user experiences',
-      'navigation': 'Navigation components including headers, sidebars, and layout utilities', 
-      'feedback': 'User feedback components like toasters, tooltips, and notifications',
-      'ui-components': 'Core UI components for building modern React applications',
-      'buttons': 'Interactive button components with various styles and animations',
-      'cards': 'Card layouts and containers for organizing content',
-      'forms': 'Form components and input elements with validation support'
-    };
-    
-    const categoryIcons: { [key: string]: string } = {
-      'animations': '✨',
-      'navigation': '🧭',
-      'feedback': '💬',
-      'ui-components': '🎨',
-      'buttons': '🔘',
-      'cards': '🎴',
-      'forms': '📝'
-    };
-    
-    return Object.entries(categoryCounts).map(([id, count], index) => ({
-      id,
-      name: id.charAt(0).toUpperCase() + id.slice(1).replace('-', ' '),
-      description: categoryDescriptions[id] || `Components in the ${id} category`,
-      componentCount: count,
-      subcategories: [],
-      priority: index + 1,
-      icon: categoryIcons[id] || '📦'
-    }));
-  }
-  
-  /**
-   * Get all cached components as array
-   */
-  private getAllCachedComponents(): ReactBitsComponent[] {
-    // Return real components if available, otherwise fall back to mock
-    return this.realComponents.length > 0 ? this.realComponents : this.getMockComponents();
-  }
-  
-  /**
-   * Sort components by specified field
+   * Sort search hits by a component field
    */
-  private sortComponents(
-    components: ReactBitsComponent[], 
+  private sortHits(
+    hits: SearchHit[], 
     sortBy: string, 
     sortOrder: 'asc' | 'desc'
-  ): ReactBitsComponent[] {
-    const sorted = [...components].sort((a, b) => {
+  ): SearchHit[] {
+    const sorted = [...hits].sort(({ component: a }, { component: b }) => {
       let comparison = 0;
       
       switch (sortBy) {
@@ -650,65 +786,54 @@ class ReactBitsDataService {
   }
 
   async getComponent(id: string): Promise<ReactBitsComponent | null> {
+    const { component } = await this.resolveComponent(id);
+    return component;
+  }
+  
+  /**
+   * Resolve an ID, display name, source path or near-miss ID. Exact IDs are
+   * served from cache; anything else is matched against the catalog and comes
+   * back with ranked suggestions.
+   */
+  async resolveComponent(reference: string): Promise<ComponentMatch> {
     await this.ensureInitialized();
     
     // Validate input
-    const validatedId = validateComponentId(id);
+    const validatedReference = validateComponentReference(reference);
     
     // Check cache first
-    let component = this.componentCache.get(validatedId);
-    if (!component) {
-      await this.refreshCache();
-      
-      // In mock implementation, search through mock components
-      const mockComponents = this.getMockComponents();
-      component = mockComponents.find(c => c.id === validatedId) || null;
-      
-      if (component) {
-        this.componentCache.set(validatedId, component);
-      }
+    const cached = this.componentCache.get(validatedReference);
+    recordCacheLookup('components', cached !== null);
+    if (cached) {
+      return { component: cached, matchedBy: 'id', suggestions: [] };
     }
     
-    if (!component) {
-      return null;
-    }
-
-    // Fetch full code if not cached (with better error handling)
-    if (!component.fullCode) {
-      try {
-        const { result: fullCode } = await measureAsync(
-          () => this.fetchComponentCode(validatedId),
-          `Fetch code for ${validatedId}`,
-          activeConfig.server.enableTracing
-        );
-        
-        // Create updated component with full code
-        const updatedComponent = { ...component, fullCode };
-        
-        // Update cache with full code
-        this.componentCache.set(validatedId, updatedComponent);
-        
-        return updatedComponent;
-        
-      } catch (error) {
-        console.warn(`Failed to fetch full code for component ${validatedId}:`, error);
-        // Return component without full code rather than failing completely
-        return component;
-      }
+    await this.refreshCache();
+    
+    const match = this.catalog.resolveComponent(validatedReference);
+    if (match.component) {
+      this.componentCache.set(match.component.id, match.component);
     }
-
-    return component;
+    
+    return match;
   }
 
-  async listCategories(): Promise<ReactBitsCategory[]> {
+  /**
+   * Top-level categories, or the subcategories of one category
+   *
+   * @param categoryId - Category ID or alias to drill into
+   * @returns The categories, or null when `categoryId` names no category
+   */
+  async listCategories(categoryId?: string, includeEmpty = false): Promise<ReactBitsCategory[] | null> {
     await this.ensureInitialized();
-    
-    // const cacheKey = 'all-categories'; // Not used in current implementation
-    
     await this.refreshCache();
     
-    // Get categories (real or mock)
-    const categories = this.getMockCategories();
+    if (categoryId !== undefined) {
+      const parent = this.catalog.getCategory(validateComponentId(categoryId));
+      return parent ? [...this.catalog.getSubcategories(parent.id, includeEmpty)] : null;
+    }
+    
+    const categories = [...this.catalog.getCategories(includeEmpty)];
     
     // Cache each category
     categories.forEach(category => {
@@ -718,33 +843,39 @@ class ReactBitsDataService {
     return categories;
   }
 
-  async browseCategory(categoryId: string, limit = 10, offset = 0): Promise<ReactBitsComponent[]> {
+  /**
+   * Library components in a category, optionally narrowed to a subcategory
+   *
+   * @param categoryId - Category ID or alias
+   */
+  async browseCategory(categoryId: string, limit = 10, offset = 0, subcategoryId?: string): Promise<ReactBitsComponent[]> {
     await this.ensureInitialized();
     
     // Validate inputs
     const validatedCategoryId = validateComponentId(categoryId);
+    const validatedSubcategoryId = subcategoryId === undefined ? undefined : validateComponentId(subcategoryId);
     const { limit: validatedLimit, offset: validatedOffset } = validatePagination(limit, offset);
     
     // Check cache first
-    const cacheKey = `category:${validatedCategoryId}:${validatedLimit}:${validatedOffset}`;
-    const cached = this.searchCache.get(cacheKey);
+    const cacheKey = `category:${validatedCategoryId}:${validatedSubcategoryId ?? ''}:${validatedLimit}:${validatedOffset}`;
+    const cached = this.browseCache.get(cacheKey);
+    recordCacheLookup('browse', cached !== null);
     if (cached) {
       return cached;
     }
     
     await this.refreshCache();
 
-    // Get all components and filter by category
-    const allComponents = this.getMockComponents();
-    const categoryComponents = allComponents.filter(component => 
-      component.category === validatedCategoryId
-    );
+    const category = this.catalog.getCategory(validatedCategoryId);
+    const categoryComponents = category
+      ? this.catalog.getComponentsInCategory(category.id, validatedSubcategoryId)
+      : [];
     
     // Apply pagination
     const result = categoryComponents.slice(validatedOffset, validatedOffset + validatedLimit);
     
     // Cache the result
-    this.searchCache.set(cacheKey, result);
+    this.browseCache.set(cacheKey, result);
     
     return result;
   }
@@ -753,151 +884,37 @@ class ReactBitsDataService {
     await this.ensureInitialized();
     await this.refreshCache();
 
-    // Get all available components
-    const allComponents = this.getMockComponents();
-    
-    if (allComponents.length === 0) {
-      return null;
-    }
-
-    // Select random component
-    const randomIndex = Math.floor(Math.random() * allComponents.length);
-    let component = allComponents[randomIndex];
-
-    // Fetch full code for random component if not available
-    if (!component.fullCode) {
-      try {
-        const { result: fullCode } = await measureAsync(
-          () => this.fetchComponentCode(component.id),
-          `Fetch random component code`,
-          activeConfig.server.enableTracing
-        );
-        
-        component = { ...component, fullCode };
-        
-        // Cache the component with full code
-        this.componentCache.set(component.id, component);
-        
-      } catch (error) {
-        console.warn(`Failed to fetch full code for random component ${component.id}:`, error);
-        // Return component without full code rather than failing
-      }
-    }
-
-    return component;
-  }
-
-  private async fetchComponentCode(componentId: string): Promise<string> {
-    // In a real implementation, this would fetch the actual component code
-    // For now, return a mock implementation
-    return `
-// Component: ${componentId}
-import React from 'react';
-
-export const Component = ({ children, ...props }) => {
-  return (
-    <div className="component" {...props}>
-      {children}
-    </div>
-  );
-};
-
-export default Component;
-    `.trim();
+    return this.catalog.getRandomComponent();
   }
 
   /**
-   * Get mock components data
+   * How much of the expected ReactBits library the catalog holds. Reasons
+   * for missing components come from the extraction report, which only the
+   * filesystem store has.
    */
-  private getMockComponents(): ReactBitsComponent[] {
-    return [
-      {
-        id: 'animated-button-1',
-        name: 'Animated Button',
-        description: 'A beautiful animated button with hover effects',
-        category: 'buttons',
-        tags: ['animation', 'hover', 'interactive'],
-        codePreview: `<Button className="animated-btn">Click me</Button>`,
-        dependencies: ['framer-motion', 'tailwindcss'],
-        lastUpdated: '2024-01-15T10:00:00Z',
-        difficulty: 'beginner',
-        demoUrl: 'https://reactbits.dev/demo/animated-button-1'
-      },
-      {
-        id: 'gradient-card-2',
-        name: 'Gradient Card',
-        description: 'Modern card component with gradient backgrounds',
-        category: 'cards',
-        tags: ['gradient', 'modern', 'layout'],
-        codePreview: `<GradientCard>Content here</GradientCard>`,
-        dependencies: ['react', 'tailwindcss'],
-        lastUpdated: '2024-01-14T15:30:00Z',
-        difficulty: 'intermediate'
-      },
-      {
-        id: 'hover-card-3',
-        name: 'Hover Card',
-        description: 'Interactive card with smooth hover animations',
-        category: 'cards',
-        tags: ['hover', 'animation', 'card'],
-        codePreview: `<HoverCard>Hover me</HoverCard>`,
-        dependencies: ['react', 'tailwindcss'],
-        lastUpdated: '2024-01-13T12:00:00Z',
-        difficulty: 'beginner'
-      },
-      {
-        id: 'glow-button-4',
-        name: 'Glow Button',
-        description: 'Button with elegant glow effect on hover',
-        category: 'buttons',
-        tags: ['glow', 'hover', 'effect'],
-        codePreview: `<GlowButton>Glow Effect</GlowButton>`,
-        dependencies: ['react', 'tailwindcss'],
-        lastUpdated: '2024-01-12T09:15:00Z',
-        difficulty: 'intermediate',
-        demoUrl: 'https://reactbits.dev/demo/glow-button-4'
-      }
-    ];
+  async getCatalogCoverage(staleAfterDays?: number): Promise<CatalogCoverage> {
+    await this.ensureInitialized();
+    await this.refreshCache();
+
+    const report = this.store instanceof FileSystemCatalogStore && this.catalog.source === 'extraction'
+      ? await readExtractionReport(await this.store.getDirectory())
+      : null;
+    // Coverage is measured against ReactBits; other libraries are not in its taxonomy
+    return buildCatalogCoverage(
+      this.taxonomy,
+      this.catalog.getComponents().filter(component => (component.namespace ?? DEFAULT_NAMESPACE) === DEFAULT_NAMESPACE),
+      report,
+      staleAfterDays === undefined ? {} : { staleAfterDays }
+    );
   }
 
   /**
-   * Get mock categories data
+   * Resolve a category reference through the taxonomy
+   *
+   * @returns The top-level category ID, or null when nothing matches
    */
-  private getMockCategories(): ReactBitsCategory[] {
-    // Return real categories if available, otherwise return mock data
-    if (this.realCategories.length > 0) {
-      return this.realCategories;
-    }
-    
-    return [
-      {
-        id: 'buttons',
-        name: 'Buttons',
-        description: 'Interactive button components with various styles and animations',
-        componentCount: 15,
-        subcategories: ['primary', 'secondary', 'animated'],
-        priority: 1,
-        icon: '🔘'
-      },
-      {
-        id: 'cards',
-        name: 'Cards',
-        description: 'Card layouts and containers for organizing content',
-        componentCount: 8,
-        subcategories: ['basic', 'gradient', 'glassmorphism'],
-        priority: 2,
-        icon: '🎴'
-      },
-      {
-        id: 'navigation',
-        name: 'Navigation',
-        description: 'Navigation components for app structure',
-        componentCount: 12,
-        subcategories: ['menus', 'tabs', 'breadcrumbs'],
-        priority: 3,
-        icon: '🧭'
-      }
-    ];
+  resolveCategory(reference: string): string | null {
+    return this.taxonomy.resolve(reference)?.category ?? null;
   }
 }
 
@@ -905,16 +922,42 @@ export default Component;
 // MCP Server Implementation - Protocol Compliant
 // ============================================================================
 
+let processHandlersInstalled = false;
+
+/**
+ * Component a tool call refers to, in the variant it asked for
+ */
+interface ResolvedComponent {
+  readonly component: ReactBitsComponent;
+
+  /** The requested variant, or the component itself when none was requested */
+  readonly selected: ReactBitsComponent;
+  readonly matchedBy: ComponentMatch['matchedBy'];
+  readonly suggestions: ComponentMatch['suggestions'];
+  readonly duration: number;
+  readonly cacheHit: boolean;
+}
+
 class ReactBitsMCPServer {
   private server: Server;
   private dataService: ReactBitsDataService;
-  private rateLimiter: RateLimiter;
-  private metricsCollector: MetricsCollector;
+  private quotas: QuotaManager;
   private startTime: number;
   private requestCount = 0;
   private errorCount = 0;
+  private subscriptions = new Set<string>();
+  private timers: NodeJS.Timeout[] = [];
+  private readonly onCatalogChanged = (diff: CatalogDiff) => {
+    this.notifyCatalogChanged(diff).catch(error => {
+      console.warn('Failed to send resource change notifications:', error);
+    });
+  };
 
-  constructor() {
+  /**
+   * @param dataService - Shared data service, or options to create a dedicated one
+   * @param quotas - Per-client quotas; share one instance across sessions of a server
+   */
+  constructor(dataService: ReactBitsDataService | DataServiceOptions = {}, quotas?: QuotaManager) {
     this.startTime = Date.now();
     
     this.server = new Server(
@@ -927,15 +970,21 @@ class ReactBitsMCPServer {
       }
     );
 
-    this.dataService = new ReactBitsDataService();
-    this.rateLimiter = new RateLimiter(
-      activeConfig.server.maxRequestsPerMinute,
-      60000 // 1 minute window
-    );
-    this.metricsCollector = new MetricsCollector(1000);
+    this.dataService = dataService instanceof ReactBitsDataService
+      ? dataService
+      : new ReactBitsDataService(dataService);
+    this.dataService.on('catalog-changed', this.onCatalogChanged);
+    this.server.onclose = () => {
+      this.dataService.off('catalog-changed', this.onCatalogChanged);
+      this.subscriptions.clear();
+      this.timers.forEach(timer => clearInterval(timer));
+      this.timers = [];
+    };
+    this.quotas = quotas ?? new QuotaManager();
     
     this.setupToolHandlers();
-    this.setupErrorHandling();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
     this.setupPeriodicCleanup();
   }
   
@@ -944,7 +993,7 @@ class ReactBitsMCPServer {
    */
   getHealth(): ServerHealth {
     const uptime = Date.now() - this.startTime;
-    const metrics = this.metricsCollector.getSummary();
+    const metrics = summarizeToolCalls();
     const dataServiceHealth = this.dataService.getHealthStatus();
     const scraperStats = defaultScraperIntegration.getStats();
     
@@ -961,7 +1010,7 @@ class ReactBitsMCPServer {
       status,
       uptime,
       version: activeConfig.server.version,
-      capabilities: ['tools'],
+      capabilities: ['tools', 'resources', 'prompts'],
       metrics: {
         requestCount: this.requestCount,
         errorCount: this.errorCount,
@@ -1000,18 +1049,17 @@ class ReactBitsMCPServer {
    * Setup periodic cleanup tasks
    */
   private setupPeriodicCleanup(): void {
-    // Clean up rate limiter every 5 minutes
-    setInterval(() => {
-      this.rateLimiter.cleanup();
-    }, 5 * 60 * 1000);
+    // Clean up quota usage every 5 minutes
+    this.timers.push(setInterval(() => {
+      this.quotas.cleanup();
+    }, 5 * 60 * 1000).unref());
     
     // Log metrics summary every 10 minutes
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       if (activeConfig.server.enableMetrics) {
-        const summary = this.metricsCollector.getSummary();
-        console.info('Metrics Summary:', JSON.stringify(summary, null, 2));
+        console.info('Metrics Summary:', JSON.stringify(summarizeToolCalls(), null, 2));
       }
-    }, 10 * 60 * 1000);
+    }, 10 * 60 * 1000).unref());
   }
 
   private setupToolHandlers(): void {
@@ -1030,18 +1078,33 @@ class ReactBitsMCPServer {
         },
         {
           name: 'list_categories',
-          description: 'Get all available component categories with metadata',
+          description: 'Get all available component categories with metadata, or the subcategories of one category',
           inputSchema: TOOL_SCHEMAS.list_categories as any
         },
         {
           name: 'browse_category',
-          description: 'Browse components within a specific category with pagination',
+          description: 'Browse components within a specific category or subcategory with pagination',
           inputSchema: TOOL_SCHEMAS.browse_category as any
         },
         {
           name: 'get_random_component',
           description: 'Get a random component with full code for inspiration',
           inputSchema: TOOL_SCHEMAS.get_random_component as any
+        },
+        {
+          name: 'validate_props',
+          description: 'Check proposed props against a component\'s props schema: reports type errors, unknown props and missing required props',
+          inputSchema: TOOL_SCHEMAS.validate_props as any
+        },
+        {
+          name: 'get_component_bundle',
+          description: 'Get a component with every local file it imports, transitively, plus the npm packages they need',
+          inputSchema: TOOL_SCHEMAS.get_component_bundle as any
+        },
+        {
+          name: 'get_catalog_coverage',
+          description: 'Compare the expected ReactBits components and those listed on the website against the extracted catalog: missing (with the reason), extra and stale entries per category',
+          inputSchema: TOOL_SCHEMAS.get_catalog_coverage as any
         }
       ];
       
@@ -1049,25 +1112,39 @@ class ReactBitsMCPServer {
     });
 
     // Implement tool execution handlers with comprehensive monitoring and validation
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
-      const context = createRequestContext(name);
+      
+      // Charge the call to the caller's quota: API key if configured, else session
+      const apiKey = extra.requestInfo?.headers['x-api-key'];
+      const clientId = this.quotas.identify({
+        sessionId: extra.sessionId,
+        apiKey: typeof apiKey === 'string' ? apiKey : undefined
+      });
+      const quota = this.quotas.consume(clientId, name, this.quotas.getCost(name, args));
+      
+      const context: RequestContext = {
+        ...createRequestContext(name, undefined, extra.sessionId),
+        quota: quota.status
+      };
       const logger = new ContextLogger(context, activeConfig.server.logLevel);
+      const startTime = performance.now();
+      // Unknown tool names would otherwise become unbounded label values
+      const toolLabel = name in TOOL_SCHEMAS ? name : 'unknown';
       
       // Increment request counter
       this.requestCount++;
       
-      // Rate limiting check
-      const clientId = 'default'; // In a real implementation, extract from request context
-      if (!this.rateLimiter.isAllowed(clientId)) {
+      if (!quota.allowed) {
         this.errorCount++;
-        const resetTime = this.rateLimiter.getResetTime(clientId);
+        const { resetMs: resetTime } = quota.status;
         logger.warn('Rate limit exceeded', { clientId, resetTime });
+        recordToolCall(toolLabel, performance.now() - startTime, ErrorCode.InvalidRequest);
         
         throw new McpError(
           ErrorCode.InvalidRequest,
-          `Rate limit exceeded. Try again in ${Math.ceil(resetTime / 1000)} seconds.`,
-          { resetTime, remaining: 0 }
+          `Rate limit exceeded for ${clientId}. Try again in ${Math.ceil(resetTime / 1000)} seconds.`,
+          { resetTime, remaining: quota.status.remaining, quota: quota.status }
         );
       }
       
@@ -1078,7 +1155,6 @@ class ReactBitsMCPServer {
         const schema = TOOL_SCHEMAS[name as keyof typeof TOOL_SCHEMAS];
         const validatedArgs = schema ? validateWithSchema(args, schema as any, name, context) : args;
         
-        const startTime = performance.now();
         let result;
         
         switch (name) {
@@ -1091,7 +1167,7 @@ class ReactBitsMCPServer {
             break;
           
           case 'list_categories':
-            result = await this.handleListCategories(context);
+            result = await this.handleListCategories(validatedArgs, context);
             break;
           
           case 'browse_category':
@@ -1102,6 +1178,18 @@ class ReactBitsMCPServer {
             result = await this.handleGetRandomComponent(context);
             break;
           
+          case 'validate_props':
+            result = await this.handleValidateProps(validatedArgs, context);
+            break;
+          
+          case 'get_component_bundle':
+            result = await this.handleGetComponentBundle(validatedArgs, context);
+            break;
+          
+          case 'get_catalog_coverage':
+            result = await this.handleGetCatalogCoverage(validatedArgs, context);
+            break;
+          
           default:
             throw new McpError(
               ErrorCode.MethodNotFound,
@@ -1111,15 +1199,7 @@ class ReactBitsMCPServer {
         
         const duration = performance.now() - startTime;
         
-        // Record metrics
-        if (activeConfig.server.enableMetrics) {
-          this.metricsCollector.record({
-            operationName: name,
-            duration,
-            cacheHit: false, // Will be updated by individual handlers
-            timestamp: Date.now()
-          });
-        }
+        recordToolCall(toolLabel, duration);
         
         logger.info(`Tool execution completed`, { duration: `${duration.toFixed(2)}ms` });
         return result;
@@ -1128,35 +1208,173 @@ class ReactBitsMCPServer {
         this.errorCount++;
         logger.error('Tool execution failed', error);
         
+        let mcpError: McpError;
         if (error instanceof McpError) {
-          throw error;
+          mcpError = error;
+        } else if (error && typeof error === 'object' && 'code' in error) {
+          // Convert ReactBits errors to MCP errors
+          mcpError = toMcpError(error as any);
+        } else {
+          mcpError = new McpError(
+            ErrorCode.InternalError,
+            `Tool execution failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+            { context: context.requestId, toolName: name }
+          );
         }
         
-        // Convert ReactBits errors to MCP errors
+        recordToolCall(toolLabel, performance.now() - startTime, mcpError.code);
+        throw mcpError;
+      }
+    });
+  }
+
+  /**
+   * Serve the catalog as reactbits:// resources
+   */
+  private setupResourceHandlers(): void {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const catalog = await this.dataService.getCatalog();
+      return { resources: listCatalogResources(catalog) };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: [...RESOURCE_TEMPLATES] };
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      if (!parseResourceUri(uri)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+      }
+      
+      this.subscriptions.add(uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const context = createRequestContext('read_resource');
+      const logger = new ContextLogger(context, activeConfig.server.logLevel);
+      
+      this.requestCount++;
+      logger.debug('Reading resource', { uri });
+      
+      try {
+        const catalog = await this.dataService.getCatalog();
+        return { contents: [readCatalogResource(catalog, uri)] };
+      } catch (error) {
+        this.errorCount++;
+        logger.warn('Resource read failed', { uri, error: error instanceof Error ? error.message : error });
+        
         if (error && typeof error === 'object' && 'code' in error) {
           throw toMcpError(error as any);
         }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Serve the built-in workflow prompts
+   */
+  private setupPromptHandlers(): void {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: PROMPTS.map(prompt => ({
+          name: prompt.name,
+          description: prompt.description,
+          arguments: (prompt.arguments || []).map(argument => ({
+            name: argument.name,
+            description: argument.description,
+            required: argument.required
+          }))
+        }))
+      };
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      const context = createRequestContext(`prompt:${name}`);
+      const logger = new ContextLogger(context, activeConfig.server.logLevel);
+      
+      this.requestCount++;
+      logger.debug('Building prompt', { name, args });
+      
+      try {
+        return await getPrompt(this.dataService, name, args);
+      } catch (error) {
+        this.errorCount++;
+        logger.warn('Prompt failed', { name, error: error instanceof Error ? error.message : error });
         
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Tool execution failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
-          { context: context.requestId, toolName: name }
-        );
+        if (error instanceof McpError) {
+          throw error;
+        }
+        if (error && typeof error === 'object' && 'code' in error) {
+          throw toMcpError(error as any);
+        }
+        throw error;
       }
     });
   }
 
+  /**
+   * Tell the connected client about a catalog reload: `list_changed` when
+   * components were added or removed, and `updated` for every subscribed
+   * resource whose component or category changed
+   */
+  private async notifyCatalogChanged(diff: CatalogDiff): Promise<void> {
+    if (!this.server.transport) {
+      return;
+    }
+    
+    if (diff.added.length > 0 || diff.removed.length > 0) {
+      await this.server.sendResourceListChanged();
+    }
+    
+    const components = new Set([...diff.changed, ...diff.removed]);
+    const categories = new Set(diff.categories);
+    
+    for (const uri of this.subscriptions) {
+      const parsed = parseResourceUri(uri);
+      const affected = parsed?.kind === 'category'
+        ? categories.has(parsed.id)
+        : !!parsed && components.has(parsed.id);
+      
+      if (affected) {
+        await this.server.sendResourceUpdated({ uri });
+      }
+    }
+  }
+
+  /**
+   * Metadata shared by every tool response
+   */
+  private responseMetadata(context: RequestContext) {
+    return {
+      dataSource: this.dataService.getDataSource(),
+      ...(context.quota && { quota: context.quota })
+    };
+  }
+
   private async handleSearchComponents(args: any, context: RequestContext) {
     const logger = new ContextLogger(context, activeConfig.server.logLevel);
     
     try {
-      const { query, category, tags, difficulty, hasDemo, limit = 10, offset = 0, sortBy, sortOrder } = args;
+      const { query, category, tags, difficulty, hasDemo, variant, kind, namespace, limit = 10, offset = 0, sortBy, sortOrder } = args;
       
       const filters: SearchFilters = {
         category,
         tags,
         difficulty,
         hasDemo,
+        variant,
+        kind,
+        namespace,
         limit,
         offset,
         sortBy,
@@ -1165,28 +1383,23 @@ class ReactBitsMCPServer {
 
       logger.debug('Searching components', { query, filters });
       
-      const { result: components, duration, metrics } = await measureAsync(
+      const { result: hits, duration } = await measureAsync(
         () => this.dataService.searchComponents(query, filters),
         'Search components',
         activeConfig.server.enableTracing,
         context
       );
-      
-      // Update metrics with cache information
-      if (activeConfig.server.enableMetrics) {
-        (metrics as any).cacheHit = false; // Updated by data service
-        this.metricsCollector.record(metrics);
-      }
 
-      const response = formatSearchResults(components, {
+      const response = formatSearchResults(hits, {
         query,
         filters,
-        resultCount: components.length,
-        hasMore: components.length === limit,
-        executionTime: duration
+        resultCount: hits.length,
+        hasMore: hits.length === limit,
+        executionTime: duration,
+        ...this.responseMetadata(context)
       });
       
-      logger.info('Search completed', { resultCount: components.length, duration });
+      logger.info('Search completed', { resultCount: hits.length, duration });
       return createToolResult(response);
       
     } catch (error) {
@@ -1208,53 +1421,207 @@ class ReactBitsMCPServer {
     const logger = new ContextLogger(context, activeConfig.server.logLevel);
     
     try {
-      const { id, includeCode = true, includeExamples = false } = args;
+      const { id, variant, includeCode = true, includeExamples = false } = args;
       
-      logger.debug('Getting component', { id, includeCode, includeExamples });
+      logger.debug('Getting component', { id, variant, includeCode, includeExamples });
 
-      const { result: component, duration, metrics } = await measureAsync(
-        () => this.dataService.getComponent(id),
-        `Get component ${id}`,
-        activeConfig.server.enableTracing,
-        context
+      const resolution = await this.resolveComponentOrError(id, variant, context);
+      if ('errorResult' in resolution) {
+        return resolution.errorResult;
+      }
+      const { component, selected, matchedBy, suggestions, duration, cacheHit } = resolution;
+
+      const response = {
+        success: true,
+        data: formatComponent(selected, includeCode),
+        metadata: {
+          hasFullCode: !!selected.fullCode,
+          lastUpdated: component.lastUpdated,
+          executionTime: duration,
+          cached: cacheHit,
+          ...this.responseMetadata(context),
+          ...(matchedBy !== 'id' ? { resolvedFrom: id, matchedBy, suggestions } : {})
+        }
+      };
+      
+      logger.info('Component retrieved successfully', {
+        id: component.id,
+        variant: selected.variant,
+        matchedBy,
+        hasFullCode: !!selected.fullCode
+      });
+      return createToolResult(response);
+      
+    } catch (error) {
+      logger.error('Get component failed', error);
+      
+      if (error instanceof McpError) {
+        throw error;
+      }
+      
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Get component failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        { context: context.requestId }
       );
+    }
+  }
+
+  private async handleValidateProps(args: any, context: RequestContext) {
+    const logger = new ContextLogger(context, activeConfig.server.logLevel);
+    
+    try {
+      const { id, props, variant } = args;
       
-      // Update metrics
-      if (activeConfig.server.enableMetrics) {
-        this.metricsCollector.record(metrics);
+      logger.debug('Validating props', { id, variant, props: Object.keys(props) });
+
+      const resolution = await this.resolveComponentOrError(id, variant, context);
+      if ('errorResult' in resolution) {
+        return resolution.errorResult;
       }
+      const { component, selected, matchedBy, duration } = resolution;
 
-      if (!component) {
-        logger.warn('Component not found', { id });
+      const validation = validateProps(selected, props);
+      const response = {
+        success: true,
+        data: {
+          id: component.id,
+          ...(selected.variant ? { variant: selected.variant } : {}),
+          ...validation,
+          propsSchema: componentPropsSchemaUri(component)
+        },
+        metadata: {
+          executionTime: duration,
+          ...this.responseMetadata(context),
+          ...(matchedBy !== 'id' ? { resolvedFrom: id, matchedBy } : {})
+        }
+      };
+      
+      logger.info('Props validated', {
+        id: component.id,
+        valid: validation.valid,
+        typeErrors: validation.typeErrors.length,
+        unknownProps: validation.unknownProps.length,
+        missingRequired: validation.missingRequired.length
+      });
+      return createToolResult(response);
+      
+    } catch (error) {
+      logger.error('Validate props failed', error);
+      
+      if (error instanceof McpError) {
+        throw error;
+      }
+      
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Validate props failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        { context: context.requestId }
+      );
+    }
+  }
+
+  private async handleGetComponentBundle(args: any, context: RequestContext) {
+    const logger = new ContextLogger(context, activeConfig.server.logLevel);
+    
+    try {
+      const { id, variant } = args;
+      
+      logger.debug('Getting component bundle', { id, variant });
+
+      const resolution = await this.resolveComponentOrError(id, variant, context);
+      if ('errorResult' in resolution) {
+        return resolution.errorResult;
+      }
+      const { component, selected, matchedBy, duration } = resolution;
+
+      const bundle = buildComponentBundle(await this.dataService.getCatalog(), selected);
+      const response = {
+        success: true,
+        data: bundle,
+        metadata: {
+          fileCount: bundle.files.length,
+          complete: bundle.missing.length === 0,
+          executionTime: duration,
+          ...this.responseMetadata(context),
+          ...(matchedBy !== 'id' ? { resolvedFrom: id, matchedBy } : {})
+        }
+      };
+      
+      logger.info('Component bundle built', {
+        id: component.id,
+        files: bundle.files.length,
+        missing: bundle.missing.length
+      });
+      return createToolResult(response);
+      
+    } catch (error) {
+      logger.error('Get component bundle failed', error);
+      
+      if (error instanceof McpError) {
+        throw error;
+      }
+      
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Get component bundle failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        { context: context.requestId }
+      );
+    }
+  }
+
+  private async handleGetCatalogCoverage(args: any, context: RequestContext) {
+    const logger = new ContextLogger(context, activeConfig.server.logLevel);
+    
+    try {
+      const { categoryId, staleAfterDays } = args;
+      
+      logger.debug('Getting catalog coverage', { categoryId, staleAfterDays });
+      
+      const category = categoryId === undefined ? undefined : this.dataService.resolveCategory(categoryId);
+      if (category === null) {
+        logger.warn('Category not found', { categoryId });
         
         const errorResponse = {
           success: false,
-          error: `Component with ID '${id}' not found`,
-          metadata: { 
-            searchedId: id,
-            executionTime: duration,
-            suggestions: ['Check component ID spelling', 'Use search_components to find available components']
+          error: `Category '${categoryId}' not found`,
+          metadata: {
+            searchedCategoryId: categoryId,
+            ...this.responseMetadata(context)
           }
         };
         return createToolResult(errorResponse);
       }
 
+      const { result: coverage, duration } = await measureAsync(
+        () => this.dataService.getCatalogCoverage(staleAfterDays),
+        'Get catalog coverage',
+        activeConfig.server.enableTracing,
+        context
+      );
+      
       const response = {
         success: true,
-        data: formatComponent(component, includeCode),
+        data: category
+          ? { ...coverage, categories: coverage.categories.filter(entry => entry.id === category) }
+          : coverage,
         metadata: {
-          hasFullCode: !!component.fullCode,
-          lastUpdated: component.lastUpdated,
+          complete: coverage.summary.complete,
+          coveragePercent: coverage.summary.coveragePercent,
           executionTime: duration,
-          cached: metrics.cacheHit
+          ...this.responseMetadata(context)
         }
       };
       
-      logger.info('Component retrieved successfully', { id, hasFullCode: !!component.fullCode });
+      logger.info('Catalog coverage computed', {
+        missing: coverage.summary.missing,
+        extra: coverage.summary.extra,
+        stale: coverage.summary.stale
+      });
       return createToolResult(response);
       
     } catch (error) {
-      logger.error('Get component failed', error);
+      logger.error('Get catalog coverage failed', error);
       
       if (error instanceof McpError) {
         throw error;
@@ -1262,30 +1629,116 @@ class ReactBitsMCPServer {
       
       throw new McpError(
         ErrorCode.InternalError,
-        `Get component failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        `Get catalog coverage failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
         { context: context.requestId }
       );
     }
   }
 
-  private async handleListCategories(context: RequestContext) {
+  /**
+   * Resolve the component a tool call names and select the requested
+   * variant, timing the lookup
+   *
+   * @returns The component, or the tool result reporting that it or the
+   * variant was not found, with suggestions
+   */
+  private async resolveComponentOrError(
+    id: string,
+    variant: ComponentVariant | undefined,
+    context: RequestContext
+  ): Promise<ResolvedComponent | { readonly errorResult: ReturnType<typeof createToolResult> }> {
+    const logger = new ContextLogger(context, activeConfig.server.logLevel);
+
+    const { result: match, duration, metrics } = await measureAsync(
+      () => this.dataService.resolveComponent(id),
+      `Resolve component ${id}`,
+      activeConfig.server.enableTracing,
+      context
+    );
+
+    const { component, matchedBy, suggestions } = match;
+    if (!component) {
+      logger.warn('Component not found', { id, suggestions: suggestions.length });
+
+      const errorResponse = {
+        success: false,
+        error: suggestions.length > 0
+          ? `Component with ID '${id}' not found; did you mean '${suggestions[0].id}'?`
+          : `Component with ID '${id}' not found`,
+        metadata: {
+          searchedId: id,
+          executionTime: duration,
+          ...this.responseMetadata(context),
+          suggestions
+        }
+      };
+      return { errorResult: createToolResult(errorResponse) };
+    }
+
+    const selected = variant ? selectVariant(component, variant) : component;
+    if (!selected) {
+      logger.warn('Component variant not found', { id: component.id, variant });
+      return { errorResult: this.variantNotFoundResult(component, variant!, duration, context) };
+    }
+
+    return { component, selected, matchedBy, suggestions, duration, cacheHit: metrics.cacheHit };
+  }
+
+  /**
+   * Response for a component that exists but not in the requested variant
+   */
+  private variantNotFoundResult(
+    component: ReactBitsComponent,
+    variant: ComponentVariant,
+    executionTime: number,
+    context: RequestContext
+  ) {
+    const available = availableVariants(component);
+    const errorResponse = {
+      success: false,
+      error: available.length > 0
+        ? `Component '${component.id}' has no ${variant} variant; available: ${available.join(', ')}`
+        : `Component '${component.id}' has no ${variant} variant`,
+      metadata: {
+        searchedId: component.id,
+        variant,
+        availableVariants: available,
+        executionTime,
+        ...this.responseMetadata(context)
+      }
+    };
+    return createToolResult(errorResponse);
+  }
+
+  private async handleListCategories(args: any, context: RequestContext) {
     const logger = new ContextLogger(context, activeConfig.server.logLevel);
     
     try {
-      const { includeEmpty = false, sortBy = 'name' } = {}; // No args for this tool currently
+      const { categoryId, includeEmpty = false } = args;
       
-      logger.debug('Listing categories', { includeEmpty, sortBy });
+      logger.debug('Listing categories', { categoryId, includeEmpty });
       
       const { result: categories, duration, metrics } = await measureAsync(
-        () => this.dataService.listCategories(),
+        () => this.dataService.listCategories(categoryId, includeEmpty),
         'List categories',
         activeConfig.server.enableTracing,
         context
       );
       
-      // Update metrics
-      if (activeConfig.server.enableMetrics) {
-        this.metricsCollector.record(metrics);
+      if (!categories) {
+        logger.warn('Category not found', { categoryId });
+        
+        const errorResponse = {
+          success: false,
+          error: `Category '${categoryId}' not found`,
+          metadata: {
+            searchedCategory: categoryId,
+            executionTime: duration,
+            ...this.responseMetadata(context),
+            suggestions: ['Use list_categories without categoryId to see available categories']
+          }
+        };
+        return createToolResult(errorResponse);
       }
 
       const response = {
@@ -1295,7 +1748,8 @@ class ReactBitsMCPServer {
           totalCategories: categories.length,
           totalComponents: categories.reduce((sum, cat) => sum + cat.componentCount, 0),
           executionTime: duration,
-          cached: metrics.cacheHit
+          cached: metrics.cacheHit,
+          ...this.responseMetadata(context)
         }
       };
       
@@ -1317,31 +1771,28 @@ class ReactBitsMCPServer {
     const logger = new ContextLogger(context, activeConfig.server.logLevel);
     
     try {
-      const { categoryId, limit = 10, offset = 0, sortBy = 'updated' } = args;
+      const { categoryId, subcategoryId, limit = 10, offset = 0, sortBy = 'updated' } = args;
       
-      logger.debug('Browsing category', { categoryId, limit, offset, sortBy });
+      logger.debug('Browsing category', { categoryId, subcategoryId, limit, offset, sortBy });
 
-      const { result: components, duration, metrics } = await measureAsync(
-        () => this.dataService.browseCategory(categoryId, limit, offset),
+      const { result: components, duration } = await measureAsync(
+        () => this.dataService.browseCategory(categoryId, limit, offset, subcategoryId),
         `Browse category ${categoryId}`,
         activeConfig.server.enableTracing,
         context
       );
       
-      // Update metrics
-      if (activeConfig.server.enableMetrics) {
-        this.metricsCollector.record(metrics);
-      }
-
       if (components.length === 0 && offset === 0) {
-        logger.warn('Category not found or empty', { categoryId });
+        logger.warn('Category not found or empty', { categoryId, subcategoryId });
         
+        const searchedCategory = subcategoryId ? `${categoryId}/${subcategoryId}` : categoryId;
         const errorResponse = {
           success: false,
-          error: `Category '${categoryId}' not found or contains no components`,
+          error: `Category '${searchedCategory}' not found or contains no components`,
           metadata: { 
-            searchedCategory: categoryId,
+            searchedCategory,
             executionTime: duration,
+            ...this.responseMetadata(context),
             suggestions: ['Use list_categories to see available categories', 'Check category ID spelling']
           }
         };
@@ -1350,11 +1801,13 @@ class ReactBitsMCPServer {
 
       const response = formatSearchResults(components, {
         category: categoryId,
+        ...(subcategoryId ? { subcategory: subcategoryId } : {}),
         resultCount: components.length,
         hasMore: components.length === limit,
         executionTime: duration,
         offset,
-        limit
+        limit,
+        ...this.responseMetadata(context)
       });
       
       logger.info('Category browsed successfully', { categoryId, count: components.length });
@@ -1391,11 +1844,6 @@ class ReactBitsMCPServer {
         context
       );
       
-      // Update metrics
-      if (activeConfig.server.enableMetrics) {
-        this.metricsCollector.record(metrics);
-      }
-
       if (!component) {
         logger.warn('No components available for random selection');
         
@@ -1405,6 +1853,7 @@ class ReactBitsMCPServer {
           metadata: { 
             timestamp: new Date().toISOString(),
             executionTime: duration,
+            ...this.responseMetadata(context),
             suggestions: ['Check if data service is properly initialized', 'Verify component data is loaded']
           }
         };
@@ -1419,7 +1868,8 @@ class ReactBitsMCPServer {
           timestamp: new Date().toISOString(),
           hasFullCode: !!component.fullCode,
           executionTime: duration,
-          cached: metrics.cacheHit
+          cached: metrics.cacheHit,
+          ...this.responseMetadata(context)
         }
       };
       
@@ -1437,7 +1887,16 @@ class ReactBitsMCPServer {
     }
   }
 
-  private setupErrorHandling(): void {
+  /**
+   * Install process-wide error and signal handlers. Only the first call
+   * registers handlers, so every entry point can call it.
+   *
+   * @param onShutdown - Cleanup to run before exiting on SIGINT/SIGTERM
+   */
+  static installProcessHandlers(onShutdown?: () => Promise<void>): void {
+    if (processHandlersInstalled) return;
+    processHandlersInstalled = true;
+    
     // Global error handler for uncaught exceptions
     process.on('uncaughtException', (error) => {
       console.error('Uncaught Exception:', error);
@@ -1450,20 +1909,36 @@ class ReactBitsMCPServer {
     });
 
     // Graceful shutdown handling
-    process.on('SIGINT', () => {
-      console.log('Received SIGINT, shutting down gracefully...');
-      process.exit(0);
-    });
+    const shutdown = (signal: string) => {
+      console.log(`Received ${signal}, shutting down gracefully...`);
+      Promise.resolve(onShutdown?.())
+        .catch(error => console.error('Shutdown cleanup failed:', error))
+        .finally(() => process.exit(0));
+    };
 
-    process.on('SIGTERM', () => {
-      console.log('Received SIGTERM, shutting down gracefully...');
-      process.exit(0);
-    });
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+  }
+
+  /**
+   * Connect the protocol server to an arbitrary transport
+   */
+  async connect(transport: Transport): Promise<void> {
+    await this.server.connect(transport);
+  }
+
+  /**
+   * Disconnect from the transport and stop background timers
+   */
+  async close(): Promise<void> {
+    await this.server.close();
   }
 
   async start(): Promise<void> {
+    ReactBitsMCPServer.installProcessHandlers();
+    
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.connect(transport);
     console.error('ReactBits MCP Server running on stdio');
   }
 }
@@ -1472,8 +1947,62 @@ class ReactBitsMCPServer {
 // Application Entry Point
 // ============================================================================
 
+interface CliOptions {
+  transport: TransportKind;
+  host: string;
+  port: number;
+}
+
+/**
+ * Parse `--transport stdio|http`, `--port <n>` and `--host <addr>`; flags
+ * override the MCP_TRANSPORT, PORT and HOST environment variables
+ */
+function parseCliOptions(argv: string[]): CliOptions {
+  const options: CliOptions = {
+    transport: activeConfig.transport.type,
+    host: activeConfig.transport.host,
+    port: activeConfig.transport.port
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=', 2);
+    const value = () => inlineValue ?? argv[++i];
+
+    switch (flag) {
+      case '--transport':
+        options.transport = value() as TransportKind;
+        break;
+      case '--port':
+        options.port = parseInt(value(), 10);
+        break;
+      case '--host':
+        options.host = value();
+        break;
+    }
+  }
+
+  if (options.transport !== 'stdio' && options.transport !== 'http') {
+    throw new Error(`Unknown transport '${options.transport}'; expected stdio or http`);
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error(`Invalid port '${options.port}'`);
+  }
+
+  return options;
+}
+
 async function main(): Promise<void> {
   try {
+    const options = parseCliOptions(process.argv.slice(2));
+    
+    if (options.transport === 'http') {
+      const { ReactBitsHttpServer } = await import('./http-server.js');
+      const httpServer = new ReactBitsHttpServer({ host: options.host, port: options.port });
+      ReactBitsMCPServer.installProcessHandlers(() => httpServer.close());
+      await httpServer.listen();
+      return;
+    }
+    
     const server = new ReactBitsMCPServer();
     await server.start();
   } catch (error) {
@@ -1491,4 +2020,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 }
 
 export { ReactBitsMCPServer, ReactBitsDataService };
+export type { DataServiceOptions };
 export type { ReactBitsComponent, ReactBitsCategory, SearchFilters, ToolResponse };
\ No newline at end of file
@@ -0,0 +1,318 @@
+/**
+ * ReactBits Prometheus Exporter
+ *
+ * Minimal metrics registry rendering the Prometheus text exposition format
+ * (version 0.0.4). Metric names match monitoring/alert_rules.yml and the
+ * Grafana dashboard from MonitoringConfig.generateGrafanaDashboard().
+ */
+
+import { defaultScraperIntegration } from './scraper-integration.js';
+
+export type MetricLabels = Readonly<Record<string, string>>;
+
+/** Duration buckets in seconds, from cache hits to slow scraper-backed loads */
+export const DURATION_BUCKETS: readonly number[] = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ============================================================================
+// Text Format
+// ============================================================================
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: MetricLabels): string {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map(key => `${key}="${escapeLabelValue(labels[key])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// ============================================================================
+// Metric Types
+// ============================================================================
+
+abstract class Metric<TSeries> {
+  protected readonly series = new Map<string, { labels: MetricLabels; value: TSeries }>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly type: 'counter' | 'gauge' | 'histogram'
+  ) {}
+
+  /**
+   * Drop every labelled series
+   */
+  reset(): void {
+    this.series.clear();
+  }
+
+  protected getSeries(labels: MetricLabels, create: () => TSeries): TSeries {
+    const key = formatLabels(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: { ...labels }, value: create() };
+      this.series.set(key, entry);
+    }
+    return entry.value;
+  }
+
+  render(): string[] {
+    if (this.series.size === 0) return [];
+
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...[...this.series.values()].flatMap(({ labels, value }) => this.renderSeries(labels, value))
+    ];
+  }
+
+  protected abstract renderSeries(labels: MetricLabels, value: TSeries): string[];
+}
+
+export class Counter extends Metric<{ value: number }> {
+  constructor(name: string, help: string) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels: MetricLabels = {}, amount = 1): void {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Current value of a series, 0 if it was never incremented
+   */
+  get(labels: MetricLabels = {}): number {
+    return this.series.get(formatLabels(labels))?.value.value ?? 0;
+  }
+
+  /**
+   * Sum over every series
+   */
+  total(): number {
+    let total = 0;
+    for (const { value } of this.series.values()) total += value.value;
+    return total;
+  }
+
+  protected renderSeries(labels: MetricLabels, series: { value: number }): string[] {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(series.value)}`];
+  }
+}
+
+export class Gauge extends Metric<{ value: number }> {
+  constructor(name: string, help: string) {
+    super(name, help, 'gauge');
+  }
+
+  set(value: number, labels: MetricLabels = {}): void {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  protected renderSeries(labels: MetricLabels, series: { value: number }): string[] {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(series.value)}`];
+  }
+}
+
+interface HistogramSeries {
+  readonly buckets: number[];
+  sum: number;
+  count: number;
+}
+
+export class Histogram extends Metric<HistogramSeries> {
+  private readonly buckets: readonly number[];
+
+  constructor(name: string, help: string, buckets: readonly number[] = DURATION_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(value: number, labels: MetricLabels = {}): void {
+    const series = this.getSeries(labels, () => ({ buckets: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.buckets[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Sum and count per labelled series
+   */
+  entries(): Array<{ labels: MetricLabels; sum: number; count: number }> {
+    return [...this.series.values()].map(({ labels, value }) => ({ labels, sum: value.sum, count: value.count }));
+  }
+
+  protected renderSeries(labels: MetricLabels, series: HistogramSeries): string[] {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.buckets[index]}`
+    );
+
+    lines.push(
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${series.count}`
+    );
+    return lines;
+  }
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+type Collector = () => void;
+
+export class MetricsRegistry {
+  private readonly metrics = new Map<string, Metric<unknown>>();
+  private readonly collectors = new Set<Collector>();
+
+  counter(name: string, help: string): Counter {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name: string, help: string): Gauge {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name: string, help: string, buckets?: readonly number[]): Histogram {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Run a callback before every render, typically to refresh gauges from live
+   * state. Returns a function that removes the collector.
+   */
+  addCollector(collector: Collector): () => void {
+    this.collectors.add(collector);
+    return () => {
+      this.collectors.delete(collector);
+    };
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   */
+  render(): string {
+    for (const collector of this.collectors) {
+      try {
+        collector();
+      } catch (error) {
+        console.warn('Metrics collector failed:', error);
+      }
+    }
+
+    const lines = [...this.metrics.values()].flatMap(metric => metric.render());
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  private register<T extends Metric<any>>(metric: T): T {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric as Metric<unknown>);
+    return metric;
+  }
+}
+
+// ============================================================================
+// ReactBits Metrics
+// ============================================================================
+
+export const metricsRegistry = new MetricsRegistry();
+
+export const serverMetrics = {
+  requests: metricsRegistry.counter('reactbits_requests_total', 'Tool calls received, by tool'),
+  errors: metricsRegistry.counter('reactbits_errors_total', 'Tool calls that failed, by tool and MCP error code'),
+  requestDuration: metricsRegistry.histogram('reactbits_request_duration_seconds', 'Tool call duration in seconds'),
+  requestDurationAvg: metricsRegistry.gauge('reactbits_request_duration_seconds_avg', 'Mean tool call duration in seconds'),
+  cacheHits: metricsRegistry.counter('reactbits_cache_hits_total', 'Data service cache hits, by cache'),
+  cacheMisses: metricsRegistry.counter('reactbits_cache_misses_total', 'Data service cache misses, by cache'),
+  cacheHitRate: metricsRegistry.gauge('reactbits_cache_hit_rate', 'Share of data service cache lookups that hit'),
+  healthStatus: metricsRegistry.gauge('reactbits_health_status', 'Overall health (0=healthy, 1=degraded, 2=unhealthy)'),
+  memoryUsage: metricsRegistry.gauge('reactbits_memory_usage_mb', 'V8 heap in use, in megabytes'),
+  componentsCount: metricsRegistry.gauge('reactbits_data_service_components_count', 'Components in the served catalog'),
+  httpSessions: metricsRegistry.gauge('reactbits_http_sessions', 'Open Streamable HTTP sessions'),
+  scraperRuns: metricsRegistry.gauge('reactbits_scraper_runs', 'Scraper runs since start, by result'),
+  scraperLastRun: metricsRegistry.gauge('reactbits_scraper_last_run_timestamp_seconds', 'Unix time of the last scraper run'),
+  scraperComponents: metricsRegistry.gauge('reactbits_scraper_components_scraped', 'Components found by the last successful scraper run'),
+  scraperRunning: metricsRegistry.gauge('reactbits_scraper_running', 'Whether a scraper run is in progress')
+};
+
+/**
+ * Record a cache lookup made by the data service
+ */
+export function recordCacheLookup(cache: string, hit: boolean): void {
+  (hit ? serverMetrics.cacheHits : serverMetrics.cacheMisses).inc({ cache });
+}
+
+/**
+ * Record a completed tool call; pass the MCP error code for failures
+ */
+export function recordToolCall(tool: string, durationMs: number, errorCode?: number): void {
+  serverMetrics.requests.inc({ tool });
+  serverMetrics.requestDuration.observe(durationMs / 1000, { tool });
+  if (errorCode !== undefined) {
+    serverMetrics.errors.inc({ tool, code: String(errorCode) });
+  }
+}
+
+/**
+ * Tool calls since start across every session, for health reports and the
+ * periodic log summary
+ */
+export function summarizeToolCalls(): { totalCalls: number; averageResponseTime: number; cacheHitRate: number } {
+  let sum = 0;
+  let count = 0;
+  for (const entry of serverMetrics.requestDuration.entries()) {
+    sum += entry.sum;
+    count += entry.count;
+  }
+
+  const hits = serverMetrics.cacheHits.total();
+  const lookups = hits + serverMetrics.cacheMisses.total();
+  return {
+    totalCalls: count,
+    averageResponseTime: count > 0 ? sum / count * 1000 : 0,
+    cacheHitRate: lookups > 0 ? hits / lookups : 0
+  };
+}
+
+export const HEALTH_STATUS_VALUES = { healthy: 0, degraded: 1, unhealthy: 2 } as const;
+
+// Process-wide values derived at scrape time
+metricsRegistry.addCollector(() => {
+  serverMetrics.memoryUsage.set(Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 100) / 100);
+
+  for (const { labels, sum, count } of serverMetrics.requestDuration.entries()) {
+    serverMetrics.requestDurationAvg.set(count > 0 ? sum / count : 0, labels);
+  }
+
+  const hits = serverMetrics.cacheHits.total();
+  const lookups = hits + serverMetrics.cacheMisses.total();
+  if (lookups > 0) {
+    serverMetrics.cacheHitRate.set(hits / lookups);
+  }
+
+  const scraperStats = defaultScraperIntegration.getStats();
+  serverMetrics.scraperRuns.set(scraperStats.successfulRuns, { result: 'success' });
+  serverMetrics.scraperRuns.set(scraperStats.failedRuns, { result: 'failure' });
+  serverMetrics.scraperLastRun.set(Math.floor(scraperStats.lastRun / 1000));
+  serverMetrics.scraperComponents.set(scraperStats.componentsScraped);
+  serverMetrics.scraperRunning.set(defaultScraperIntegration.isScraperRunning() ? 1 : 0);
+});
@@ -0,0 +1,338 @@
+/**
+ * ReactBits MCP Prompts
+ *
+ * Built-in prompt templates for common component workflows. Each prompt
+ * resolves its arguments against the live catalog and embeds the real
+ * component metadata, props and source, so clients get a ready-to-send
+ * conversation instead of hand-written instructions.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import type { GetPromptResult } from '@modelcontextprotocol/sdk/types.js';
+import type { ComponentMatch } from './fuzzy-match.js';
+import { componentSourceUri, getSourceMimeType } from './resources.js';
+import type {
+  MCPPromptTemplate,
+  ReactBitsComponent,
+  SearchFilters,
+  SearchHit
+} from './types.js';
+
+// ============================================================================
+// Prompt Definitions
+// ============================================================================
+
+/**
+ * Catalog access needed to build prompts
+ */
+export interface PromptDataSource {
+  resolveComponent(reference: string): Promise<ComponentMatch>;
+  searchComponents(query: string, filters?: SearchFilters): Promise<SearchHit[]>;
+}
+
+export type PromptDefinition = Omit<MCPPromptTemplate, 'messages'>;
+
+type PromptMessage = GetPromptResult['messages'][number];
+
+/** Number of candidates embedded by find-animation-for */
+const ANIMATION_CANDIDATES = 3;
+
+export const PROMPTS: readonly PromptDefinition[] = [
+  {
+    name: 'integrate-component',
+    description: 'Step-by-step instructions for adding a ReactBits component to a project',
+    arguments: [
+      {
+        name: 'componentId',
+        description: 'Component ID, name or source path',
+        required: true,
+        type: 'string'
+      },
+      {
+        name: 'targetFramework',
+        description: 'Project framework, e.g. Next.js, Vite, Remix',
+        required: false,
+        type: 'string',
+        default: 'React'
+      },
+      {
+        name: 'styling',
+        description: 'Styling approach used by the project, e.g. Tailwind CSS, CSS Modules',
+        required: false,
+        type: 'string'
+      }
+    ]
+  },
+  {
+    name: 'compare-components',
+    description: 'Compare two components side by side to pick the better fit',
+    arguments: [
+      {
+        name: 'componentA',
+        description: 'First component ID, name or source path',
+        required: true,
+        type: 'string'
+      },
+      {
+        name: 'componentB',
+        description: 'Second component ID, name or source path',
+        required: true,
+        type: 'string'
+      }
+    ]
+  },
+  {
+    name: 'find-animation-for',
+    description: 'Find and adapt the best animation component for a described effect',
+    arguments: [
+      {
+        name: 'description',
+        description: 'The effect or interaction you want to animate',
+        required: true,
+        type: 'string'
+      }
+    ]
+  }
+];
+
+// ============================================================================
+// Message Builders
+// ============================================================================
+
+function textMessage(text: string): PromptMessage {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+/**
+ * Embed a component's source as a resource so clients can attach it directly
+ */
+function sourceMessage(component: ReactBitsComponent): PromptMessage | null {
+  if (!component.fullCode) {
+    return null;
+  }
+
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: {
+        uri: componentSourceUri(component),
+        mimeType: getSourceMimeType(component),
+        text: component.fullCode
+      }
+    }
+  };
+}
+
+/**
+ * Markdown summary of a component's metadata and props
+ */
+export function describeComponent(component: ReactBitsComponent): string {
+  const lines = [
+    `### ${component.name} (\`${component.id}\`)`,
+    component.description,
+    '',
+    `- Category: ${component.category}`,
+    `- Difficulty: ${component.difficulty}`,
+    `- Dependencies: ${component.dependencies.length > 0 ? component.dependencies.join(', ') : 'none'}`
+  ];
+
+  if (component.tags.length > 0) {
+    lines.push(`- Features: ${component.tags.join(', ')}`);
+  }
+  if (component.styling?.framework) {
+    lines.push(`- Styling: ${component.styling.framework}`);
+  }
+  if (component.sourcePath) {
+    lines.push(`- Source: ${component.sourcePath}`);
+  }
+
+  if (component.props && component.props.length > 0) {
+    lines.push('', '| Prop | Type | Default | Required | Description |', '|------|------|---------|----------|-------------|');
+    for (const prop of component.props) {
+      lines.push(
+        `| ${prop.property} | \`${prop.type}\` | ${prop.default || '-'} | ${prop.required ? 'yes' : 'no'} | ${prop.description} |`
+      );
+    }
+  } else {
+    lines.push('', 'No documented props.');
+  }
+
+  return lines.join('\n');
+}
+
+async function resolveArgument(
+  dataSource: PromptDataSource,
+  name: string,
+  reference: string
+): Promise<ReactBitsComponent> {
+  const { component, suggestions } = await dataSource.resolveComponent(reference);
+
+  if (!component) {
+    const hint = suggestions.length > 0
+      ? `; did you mean ${suggestions.map(suggestion => `'${suggestion.id}'`).join(', ')}?`
+      : '';
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Component '${reference}' for argument '${name}' not found${hint}`,
+      { argument: name, suggestions }
+    );
+  }
+
+  return component;
+}
+
+async function buildIntegrateComponent(
+  dataSource: PromptDataSource,
+  args: Record<string, string>
+): Promise<GetPromptResult> {
+  const component = await resolveArgument(dataSource, 'componentId', args.componentId);
+  const framework = args.targetFramework || 'React';
+  const styling = args.styling || component.styling?.framework || 'the project\'s existing styling approach';
+
+  const messages = [
+    textMessage([
+      `Integrate the ReactBits component "${component.name}" into a ${framework} project that uses ${styling}.`,
+      '',
+      describeComponent(component),
+      '',
+      'Please:',
+      '1. List the packages to install and any setup they need.',
+      `2. Adapt the source below to ${framework} conventions (file location, client/server boundaries, imports).`,
+      `3. Convert the styles to ${styling} where they differ.`,
+      '4. Show a usage example that sets the most important props.',
+      '5. Call out accessibility or performance concerns.'
+    ].join('\n'))
+  ];
+
+  const source = sourceMessage(component);
+  if (source) messages.push(source);
+
+  return {
+    description: `Integrate ${component.name} into a ${framework} project`,
+    messages
+  };
+}
+
+async function buildCompareComponents(
+  dataSource: PromptDataSource,
+  args: Record<string, string>
+): Promise<GetPromptResult> {
+  const first = await resolveArgument(dataSource, 'componentA', args.componentA);
+  const second = await resolveArgument(dataSource, 'componentB', args.componentB);
+
+  const messages = [
+    textMessage([
+      `Compare the ReactBits components "${first.name}" and "${second.name}".`,
+      '',
+      describeComponent(first),
+      '',
+      describeComponent(second),
+      '',
+      'Compare them on API surface, dependencies and bundle cost, styling approach, accessibility and',
+      'runtime performance. Finish with a recommendation of when to choose each one.'
+    ].join('\n'))
+  ];
+
+  for (const component of [first, second]) {
+    const source = sourceMessage(component);
+    if (source) messages.push(source);
+  }
+
+  return {
+    description: `Compare ${first.name} with ${second.name}`,
+    messages
+  };
+}
+
+function isAnimation(component: ReactBitsComponent): boolean {
+  return component.category === 'animations' ||
+    component.tags.some(tag => /anim/i.test(tag));
+}
+
+async function buildFindAnimationFor(
+  dataSource: PromptDataSource,
+  args: Record<string, string>
+): Promise<GetPromptResult> {
+  const hits = await dataSource.searchComponents(args.description, { limit: 20 });
+
+  // Prefer animation components; fall back to the best overall matches
+  const animations = hits.filter(hit => isAnimation(hit.component));
+  const candidates = (animations.length > 0 ? animations : hits)
+    .slice(0, ANIMATION_CANDIDATES)
+    .map(hit => hit.component);
+
+  if (candidates.length === 0) {
+    return {
+      description: `Find an animation for: ${args.description}`,
+      messages: [
+        textMessage([
+          `I want an animation for: ${args.description}`,
+          '',
+          'The ReactBits catalog has no component matching this description. Suggest how to build the',
+          'effect from scratch with React, and which libraries (if any) would help.'
+        ].join('\n'))
+      ]
+    };
+  }
+
+  const messages = [
+    textMessage([
+      `I want an animation for: ${args.description}`,
+      '',
+      'These ReactBits components are the closest matches in the catalog:',
+      '',
+      candidates.map(describeComponent).join('\n\n'),
+      '',
+      'Pick the component that fits best, explain why, and show how to configure or adapt it for this',
+      'effect. Mention what the other candidates would be better suited for.'
+    ].join('\n'))
+  ];
+
+  for (const component of candidates) {
+    const source = sourceMessage(component);
+    if (source) messages.push(source);
+  }
+
+  return {
+    description: `Find an animation for: ${args.description}`,
+    messages
+  };
+}
+
+const BUILDERS: Record<string, (dataSource: PromptDataSource, args: Record<string, string>) => Promise<GetPromptResult>> = {
+  'integrate-component': buildIntegrateComponent,
+  'compare-components': buildCompareComponents,
+  'find-animation-for': buildFindAnimationFor
+};
+
+// ============================================================================
+// Prompt Lookup
+// ============================================================================
+
+/**
+ * Build the messages for a prompt, validating its arguments first
+ */
+export async function getPrompt(
+  dataSource: PromptDataSource,
+  name: string,
+  args: Record<string, string> = {}
+): Promise<GetPromptResult> {
+  const definition = PROMPTS.find(prompt => prompt.name === name);
+  const builder = BUILDERS[name];
+  if (!definition || !builder) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = (definition.arguments || [])
+    .filter(argument => argument.required && !args[argument.name]?.trim())
+    .map(argument => argument.name);
+  if (missing.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Missing required arguments for ${name}: ${missing.join(', ')}`
+    );
+  }
+
+  return builder(dataSource, args);
+}
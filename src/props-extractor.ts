@@ -0,0 +1,608 @@
+/**
+ * ReactBits Props Extractor
+ *
+ * Infers the props a component accepts from its source. Most ReactBits
+ * components are plain JSX whose only prop declaration is the destructured
+ * parameter list, so destructuring (and its defaults) is the primary source;
+ * TypeScript interfaces and type aliases, PropTypes, defaultProps and JSDoc
+ * `@param` tags refine the type, default, required-ness and description.
+ */
+
+import ts from 'typescript';
+import { parseSource } from './component-analyzer.js';
+import type { ComponentProp } from './types.js';
+
+/** Types for well-known props when nothing else declares them */
+const CONVENTIONAL_PROP_TYPES: Readonly<Record<string, string>> = {
+  children: 'ReactNode',
+  className: 'string',
+  style: 'CSSProperties'
+};
+
+const PROP_TYPES_VALIDATORS: Readonly<Record<string, string>> = {
+  any: 'any',
+  array: 'array',
+  bool: 'boolean',
+  element: 'ReactElement',
+  elementType: 'ElementType',
+  func: 'function',
+  node: 'ReactNode',
+  number: 'number',
+  object: 'object',
+  string: 'string',
+  symbol: 'symbol'
+};
+
+/** Wrappers whose first function argument is the component itself */
+const COMPONENT_WRAPPERS = new Set(['forwardRef', 'memo', 'observer']);
+
+/** Type arguments of these wrappers name the props type */
+const PROPS_TYPE_ARGUMENT: Readonly<Record<string, number>> = {
+  FC: 0,
+  FunctionComponent: 0,
+  VFC: 0,
+  ComponentType: 0,
+  Component: 0,
+  PureComponent: 0,
+  forwardRef: 1
+};
+
+interface PropInfo {
+  type?: string;
+
+  /** Type implied by the default value, used when nothing declares one */
+  inferredType?: string;
+  default?: string;
+  description?: string;
+  required?: boolean;
+}
+
+export interface ComponentPropsInfo {
+  readonly props: ComponentProp[];
+
+  /** The component spreads unlisted props onto a child (`...rest`, `{...props}`) */
+  readonly forwardsRestProps: boolean;
+}
+
+interface ComponentDeclaration {
+  readonly name: string;
+  readonly exported: boolean;
+  readonly isDefault: boolean;
+  readonly node: ts.SignatureDeclaration | ts.ClassLikeDeclaration;
+
+  /** Props type named outside the parameter list, e.g. `React.FC<Props>` */
+  readonly propsType?: ts.TypeNode;
+
+  /** Node carrying the component's JSDoc */
+  readonly docNode: ts.Node;
+}
+
+// ============================================================================
+// Syntax Helpers
+// ============================================================================
+
+function isComponentName(name: string): boolean {
+  return /^[A-Z]/.test(name);
+}
+
+function getName(node: ts.PropertyName | ts.BindingName | ts.Expression): string | null {
+  if (ts.isIdentifier(node) || ts.isStringLiteral(node) || ts.isPrivateIdentifier(node)) return node.text;
+  if (ts.isPropertyAccessExpression(node)) return node.name.text;
+  return null;
+}
+
+function hasModifier(node: ts.Node, kind: ts.SyntaxKind): boolean {
+  return ts.canHaveModifiers(node) && (ts.getModifiers(node) || []).some(modifier => modifier.kind === kind);
+}
+
+function isFunctionLike(node: ts.Node): node is ts.ArrowFunction | ts.FunctionExpression {
+  return ts.isArrowFunction(node) || ts.isFunctionExpression(node);
+}
+
+/**
+ * Description from the JSDoc or line comment directly above a node
+ */
+function getLeadingComment(node: ts.Node, sourceFile: ts.SourceFile): string | undefined {
+  const jsDoc = ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc).pop();
+  if (jsDoc) {
+    return ts.getTextOfJSDocComment(jsDoc.comment)?.replace(/\s+/g, ' ').trim() || undefined;
+  }
+
+  const ranges = ts.getLeadingCommentRanges(sourceFile.text, node.getFullStart());
+  const range = ranges?.[ranges.length - 1];
+  if (!range) return undefined;
+
+  const text = sourceFile.text
+    .slice(range.pos, range.end)
+    .replace(/^\/\*|\*\/$|^\/\//g, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\*\s?/, '').trim())
+    .filter(Boolean)
+    .join(' ');
+  return text || undefined;
+}
+
+/**
+ * `@default` / `@defaultValue` tag value from the JSDoc above a node
+ */
+function getDefaultTag(node: ts.Node): string | undefined {
+  const tag = ts.getJSDocTags(node).find(tag => tag.tagName.text === 'default' || tag.tagName.text === 'defaultValue');
+  return tag ? ts.getTextOfJSDocComment(tag.comment)?.trim() || undefined : undefined;
+}
+
+/**
+ * Type implied by a default value expression
+ */
+function inferTypeFromValue(expression: ts.Expression): string | undefined {
+  if (ts.isStringLiteral(expression) || ts.isNoSubstitutionTemplateLiteral(expression) || ts.isTemplateExpression(expression)) {
+    return 'string';
+  }
+  if (ts.isNumericLiteral(expression) ||
+    (ts.isPrefixUnaryExpression(expression) && ts.isNumericLiteral(expression.operand))) {
+    return 'number';
+  }
+  if (expression.kind === ts.SyntaxKind.TrueKeyword || expression.kind === ts.SyntaxKind.FalseKeyword) {
+    return 'boolean';
+  }
+  if (ts.isArrayLiteralExpression(expression)) {
+    const elementTypes = new Set(expression.elements.map(element => inferTypeFromValue(element)));
+    const [elementType] = elementTypes;
+    return elementTypes.size === 1 && elementType ? `${elementType}[]` : 'array';
+  }
+  if (ts.isObjectLiteralExpression(expression)) return 'object';
+  if (isFunctionLike(expression)) return 'function';
+  return undefined;
+}
+
+/**
+ * Type described by a PropTypes validator, and whether it is `.isRequired`
+ */
+function readPropTypesValidator(expression: ts.Expression): { type: string; required: boolean } {
+  if (ts.isPropertyAccessExpression(expression) && expression.name.text === 'isRequired') {
+    return { type: readPropTypesValidator(expression.expression).type, required: true };
+  }
+
+  if (ts.isPropertyAccessExpression(expression) || ts.isIdentifier(expression)) {
+    const name = getName(expression) || '';
+    return { type: PROP_TYPES_VALIDATORS[name] || 'any', required: false };
+  }
+
+  if (ts.isCallExpression(expression)) {
+    const [argument] = expression.arguments;
+    const elements = argument && ts.isArrayLiteralExpression(argument) ? argument.elements : [];
+
+    switch (getName(expression.expression)) {
+      case 'oneOf':
+        return { type: elements.map(element => element.getText()).join(' | ') || 'any', required: false };
+      case 'oneOfType':
+        return { type: elements.map(element => readPropTypesValidator(element).type).join(' | ') || 'any', required: false };
+      case 'arrayOf': {
+        const inner = argument ? readPropTypesValidator(argument).type : 'any';
+        return { type: inner.includes(' ') ? `(${inner})[]` : `${inner}[]`, required: false };
+      }
+      case 'objectOf':
+        return { type: `Record<string, ${argument ? readPropTypesValidator(argument).type : 'any'}>`, required: false };
+      case 'instanceOf':
+        return { type: argument ? argument.getText() : 'object', required: false };
+      case 'shape':
+      case 'exact':
+        return { type: 'object', required: false };
+    }
+  }
+
+  return { type: 'any', required: false };
+}
+
+/**
+ * `@param` tags, including `props.x` tags that TypeScript nests under a
+ * preceding `@param {Object} props`
+ */
+function flattenParameterTags(tags: readonly ts.JSDocTag[]): ts.JSDocPropertyLikeTag[] {
+  return tags.flatMap(tag => {
+    if (!ts.isJSDocParameterTag(tag) && !ts.isJSDocPropertyTag(tag)) return [];
+
+    const type = tag.typeExpression?.type;
+    const nested = type && ts.isJSDocTypeLiteral(type) ? flattenParameterTags(type.jsDocPropertyTags || []) : [];
+    return [tag, ...nested];
+  });
+}
+
+// ============================================================================
+// Extraction
+// ============================================================================
+
+class PropsCollector {
+  private readonly props = new Map<string, PropInfo>();
+  private forwardsRestProps = false;
+  private readonly typeDeclarations = new Map<string, ts.InterfaceDeclaration | ts.TypeAliasDeclaration>();
+
+  constructor(private readonly sourceFile: ts.SourceFile) {
+    for (const statement of sourceFile.statements) {
+      if (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement)) {
+        this.typeDeclarations.set(statement.name.text, statement);
+      }
+    }
+  }
+
+  collect(): ComponentPropsInfo {
+    const component = this.findComponent();
+
+    if (component) {
+      this.readComponent(component);
+    } else {
+      // Files without a component (hooks, helpers) may still declare a props type
+      const propsTypes = [...this.typeDeclarations.keys()].filter(name => /Props$/.test(name));
+      if (propsTypes.length === 1) {
+        this.readTypeMembers(this.typeDeclarations.get(propsTypes[0])!);
+      }
+    }
+
+    return {
+      props: [...this.props].map(([property, info]) => this.toComponentProp(property, info)),
+      forwardsRestProps: this.forwardsRestProps
+    };
+  }
+
+  private prop(name: string): PropInfo {
+    let info = this.props.get(name);
+    if (!info) {
+      info = {};
+      this.props.set(name, info);
+    }
+    return info;
+  }
+
+  /**
+   * Fill a field only when no earlier source set it. Sources are read from
+   * most to least specific: TypeScript, PropTypes, then JSDoc.
+   */
+  private fill<K extends keyof PropInfo>(name: string, key: K, value: PropInfo[K] | undefined): void {
+    const info = this.prop(name);
+    if (value !== undefined && info[key] === undefined) {
+      info[key] = value;
+    }
+  }
+
+  private toComponentProp(property: string, info: PropInfo): ComponentProp {
+    const type = info.type ??
+      info.inferredType ??
+      CONVENTIONAL_PROP_TYPES[property] ??
+      (/^on[A-Z]/.test(property) ? 'function' : 'any');
+
+    return {
+      property,
+      type,
+      ...(info.default !== undefined && { default: info.default }),
+      description: info.description ?? '',
+      // A default makes a prop optional for callers whatever its declared type
+      required: info.default === undefined && info.required === true
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // Locating the component
+  // --------------------------------------------------------------------------
+
+  /**
+   * The default export if it is a component, else the first exported
+   * component, else the first component in the file
+   */
+  private findComponent(): ComponentDeclaration | undefined {
+    const candidates: ComponentDeclaration[] = [];
+    let defaultExportName: string | undefined;
+
+    for (const statement of this.sourceFile.statements) {
+      const exported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+      const isDefault = exported && hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+
+      if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && (statement.name || isDefault)) {
+        const name = statement.name?.text || 'default';
+        if (isDefault || isComponentName(name)) {
+          candidates.push({
+            name,
+            exported,
+            isDefault,
+            node: statement,
+            docNode: statement,
+            ...this.classPropsType(statement)
+          });
+        }
+      } else if (ts.isVariableStatement(statement)) {
+        for (const declaration of statement.declarationList.declarations) {
+          const name = getName(declaration.name);
+          if (!name || !isComponentName(name) || !declaration.initializer) continue;
+
+          const unwrapped = this.unwrapComponent(declaration.initializer, declaration.type);
+          if (unwrapped) {
+            candidates.push({ name, exported, isDefault: false, docNode: statement, ...unwrapped });
+          }
+        }
+      } else if (ts.isExportAssignment(statement)) {
+        if (ts.isIdentifier(statement.expression)) {
+          defaultExportName = statement.expression.text;
+        } else {
+          const unwrapped = this.unwrapComponent(statement.expression);
+          if (unwrapped) {
+            candidates.push({ name: 'default', exported: true, isDefault: true, docNode: statement, ...unwrapped });
+          }
+        }
+      }
+    }
+
+    return candidates.find(candidate => candidate.isDefault || candidate.name === defaultExportName) ??
+      candidates.find(candidate => candidate.exported) ??
+      candidates[0];
+  }
+
+  /**
+   * Find the component function inside `forwardRef(...)`, `memo(...)` and
+   * similar wrappers, with the props type their type arguments name
+   */
+  private unwrapComponent(
+    expression: ts.Expression,
+    declaredType?: ts.TypeNode
+  ): Pick<ComponentDeclaration, 'node' | 'propsType'> | undefined {
+    let propsType = declaredType ? this.propsTypeArgument(declaredType) : undefined;
+    let current: ts.Expression = expression;
+
+    while (ts.isCallExpression(current) || ts.isParenthesizedExpression(current) || ts.isAsExpression(current)) {
+      if (ts.isCallExpression(current)) {
+        const callee = getName(current.expression);
+        if (!callee || !COMPONENT_WRAPPERS.has(callee) || current.arguments.length === 0) return undefined;
+
+        const index = PROPS_TYPE_ARGUMENT[callee];
+        const typeArgument = index === undefined ? undefined : current.typeArguments?.[index];
+        propsType ??= typeArgument;
+        current = current.arguments[0];
+      } else {
+        current = current.expression;
+      }
+    }
+
+    if (isFunctionLike(current) || ts.isClassExpression(current)) {
+      return { node: current, ...(propsType && { propsType }) };
+    }
+    return undefined;
+  }
+
+  private propsTypeArgument(type: ts.TypeNode): ts.TypeNode | undefined {
+    if (!ts.isTypeReferenceNode(type)) return undefined;
+    const name = ts.isIdentifier(type.typeName) ? type.typeName.text : type.typeName.right.text;
+    const index = PROPS_TYPE_ARGUMENT[name];
+    return index === undefined ? undefined : type.typeArguments?.[index];
+  }
+
+  private classPropsType(node: ts.FunctionDeclaration | ts.ClassDeclaration): Pick<ComponentDeclaration, 'propsType'> {
+    if (!ts.isClassDeclaration(node)) return {};
+
+    for (const clause of node.heritageClauses || []) {
+      for (const heritage of clause.types) {
+        const name = getName(heritage.expression);
+        const index = name ? PROPS_TYPE_ARGUMENT[name] : undefined;
+        const propsType = index === undefined ? undefined : heritage.typeArguments?.[index];
+        if (propsType) return { propsType };
+      }
+    }
+    return {};
+  }
+
+  // --------------------------------------------------------------------------
+  // Reading props
+  // --------------------------------------------------------------------------
+
+  private readComponent(component: ComponentDeclaration): void {
+    const { node } = component;
+
+    if (!ts.isClassLike(node)) {
+      const [parameter] = node.parameters;
+      if (parameter) this.readParameter(parameter, node);
+    }
+    if (component.propsType) {
+      this.readType(component.propsType);
+    }
+
+    if (ts.isClassLike(node)) {
+      for (const member of node.members) {
+        if (!ts.isPropertyDeclaration(member) || !hasModifier(member, ts.SyntaxKind.StaticKeyword)) continue;
+        const name = getName(member.name);
+        if (member.initializer && ts.isObjectLiteralExpression(member.initializer)) {
+          if (name === 'propTypes') this.readPropTypes(member.initializer);
+          if (name === 'defaultProps') this.readDefaultProps(member.initializer);
+        }
+      }
+    }
+
+    if (component.name !== 'default') {
+      this.readStaticAssignments(component.name);
+    }
+    this.readJsDocParams(node, component.docNode);
+  }
+
+  private readParameter(parameter: ts.ParameterDeclaration, fn: ts.SignatureDeclaration): void {
+    if (ts.isObjectBindingPattern(parameter.name)) {
+      this.readBindingPattern(parameter.name);
+    } else if (ts.isIdentifier(parameter.name) && 'body' in fn && fn.body) {
+      this.readPropsObjectUses(parameter.name.text, fn.body);
+    }
+
+    if (parameter.type) {
+      this.readType(parameter.type);
+    }
+  }
+
+  private readBindingPattern(pattern: ts.ObjectBindingPattern): void {
+    for (const element of pattern.elements) {
+      if (element.dotDotDotToken) {
+        this.forwardsRestProps = true;
+        continue;
+      }
+
+      const name = getName(element.propertyName ?? element.name);
+      if (!name) continue;
+
+      this.prop(name);
+      if (element.initializer) {
+        this.fill(name, 'default', element.initializer.getText(this.sourceFile));
+        this.fill(name, 'inferredType', inferTypeFromValue(element.initializer));
+      }
+    }
+  }
+
+  /**
+   * `props.x` reads and `const { x = 1 } = props` in the component body
+   */
+  private readPropsObjectUses(propsName: string, body: ts.Node): void {
+    const visit = (node: ts.Node): void => {
+      if (ts.isVariableDeclaration(node) && ts.isObjectBindingPattern(node.name) &&
+        node.initializer && ts.isIdentifier(node.initializer) && node.initializer.text === propsName) {
+        this.readBindingPattern(node.name);
+      } else if (ts.isPropertyAccessExpression(node) && ts.isIdentifier(node.expression) &&
+        node.expression.text === propsName) {
+        this.prop(node.name.text);
+      } else if ((ts.isJsxSpreadAttribute(node) || ts.isSpreadAssignment(node)) &&
+        ts.isIdentifier(node.expression) && node.expression.text === propsName) {
+        this.forwardsRestProps = true;
+      }
+
+      // Nested functions and classes have their own props
+      if (!ts.isFunctionDeclaration(node) && !ts.isClassLike(node)) {
+        ts.forEachChild(node, visit);
+      }
+    };
+    visit(body);
+  }
+
+  private readType(type: ts.TypeNode, seen = new Set<string>()): void {
+    if (ts.isTypeLiteralNode(type)) {
+      this.readMembers(type.members);
+    } else if (ts.isIntersectionTypeNode(type) || ts.isParenthesizedTypeNode(type)) {
+      const types = ts.isIntersectionTypeNode(type) ? type.types : [type.type];
+      types.forEach(part => this.readType(part, seen));
+    } else if (ts.isTypeReferenceNode(type) && ts.isIdentifier(type.typeName)) {
+      const name = type.typeName.text;
+      const declaration = this.typeDeclarations.get(name);
+      if (declaration && !seen.has(name)) {
+        seen.add(name);
+        this.readTypeMembers(declaration, seen);
+      }
+    }
+  }
+
+  private readTypeMembers(declaration: ts.InterfaceDeclaration | ts.TypeAliasDeclaration, seen = new Set<string>()): void {
+    if (ts.isTypeAliasDeclaration(declaration)) {
+      this.readType(declaration.type, seen);
+      return;
+    }
+
+    this.readMembers(declaration.members);
+    for (const clause of declaration.heritageClauses || []) {
+      for (const heritage of clause.types) {
+        const name = getName(heritage.expression);
+        const base = name ? this.typeDeclarations.get(name) : undefined;
+        if (name && base && !seen.has(name)) {
+          seen.add(name);
+          this.readTypeMembers(base, seen);
+        }
+      }
+    }
+  }
+
+  private readMembers(members: ts.NodeArray<ts.TypeElement>): void {
+    for (const member of members) {
+      if (!ts.isPropertySignature(member) && !ts.isMethodSignature(member)) continue;
+
+      const name = member.name && getName(member.name);
+      if (!name) continue;
+
+      const type = ts.isMethodSignature(member)
+        ? 'function'
+        : member.type?.getText(this.sourceFile) ?? 'any';
+
+      this.fill(name, 'type', type);
+      this.fill(name, 'required', !member.questionToken);
+      this.fill(name, 'description', getLeadingComment(member, this.sourceFile));
+      this.fill(name, 'default', getDefaultTag(member));
+    }
+  }
+
+  /**
+   * `Component.propTypes = {...}` and `Component.defaultProps = {...}`
+   */
+  private readStaticAssignments(componentName: string): void {
+    for (const statement of this.sourceFile.statements) {
+      if (!ts.isExpressionStatement(statement) || !ts.isBinaryExpression(statement.expression)) continue;
+
+      const { left, operatorToken, right } = statement.expression;
+      if (operatorToken.kind !== ts.SyntaxKind.EqualsToken || !ts.isPropertyAccessExpression(left) ||
+        !ts.isIdentifier(left.expression) || left.expression.text !== componentName ||
+        !ts.isObjectLiteralExpression(right)) {
+        continue;
+      }
+
+      if (left.name.text === 'propTypes') this.readPropTypes(right);
+      if (left.name.text === 'defaultProps') this.readDefaultProps(right);
+    }
+  }
+
+  private readPropTypes(object: ts.ObjectLiteralExpression): void {
+    for (const property of object.properties) {
+      if (!ts.isPropertyAssignment(property)) continue;
+      const name = getName(property.name);
+      if (!name) continue;
+
+      const validator = readPropTypesValidator(property.initializer);
+      this.fill(name, 'type', validator.type);
+      this.fill(name, 'required', validator.required);
+      this.fill(name, 'description', getLeadingComment(property, this.sourceFile));
+    }
+  }
+
+  private readDefaultProps(object: ts.ObjectLiteralExpression): void {
+    for (const property of object.properties) {
+      if (ts.isPropertyAssignment(property)) {
+        const name = getName(property.name);
+        if (!name) continue;
+        this.fill(name, 'default', property.initializer.getText(this.sourceFile));
+        this.fill(name, 'inferredType', inferTypeFromValue(property.initializer));
+      } else if (ts.isShorthandPropertyAssignment(property)) {
+        this.fill(property.name.text, 'default', property.name.text);
+      }
+    }
+  }
+
+  /**
+   * `@param {type} [props.name=default] description` tags on the component
+   */
+  private readJsDocParams(node: ts.Node, docNode: ts.Node): void {
+    const tags = [...ts.getJSDocTags(node), ...(docNode === node ? [] : ts.getJSDocTags(docNode))];
+    const seen = new Set<ts.JSDocTag>();
+
+    for (const tag of flattenParameterTags(tags)) {
+      if (seen.has(tag)) continue;
+      seen.add(tag);
+
+      // `props.title` documents a prop; a bare `title` only if destructured as one
+      const path = tag.name.getText(this.sourceFile).split('.');
+      const name = path.length > 1 ? path.slice(1).join('.') : path[0];
+      if (path.length === 1 && !this.props.has(name)) continue;
+
+      const comment = ts.getTextOfJSDocComment(tag.comment)?.replace(/^\s*-\s*/, '').trim();
+      const bracketedDefault = /\[\s*[\w.$]+\s*=\s*([^\]]+?)\s*\]/.exec(tag.getText(this.sourceFile))?.[1];
+
+      this.fill(name, 'type', tag.typeExpression?.type.getText(this.sourceFile));
+      this.fill(name, 'description', comment || undefined);
+      this.fill(name, 'default', bracketedDefault);
+      this.fill(name, 'required', !tag.isBracketed);
+    }
+  }
+}
+
+/**
+ * Props of the main component in a source file: the default export, else
+ * the first exported component, else the first component
+ *
+ * @param filePath - Used to pick the parser dialect from the extension
+ */
+export function extractComponentProps(sourceCode: string, filePath = 'component.jsx'): ComponentPropsInfo {
+  return new PropsCollector(parseSource(sourceCode, filePath)).collect();
+}
@@ -0,0 +1,320 @@
+/**
+ * ReactBits Props Schemas
+ *
+ * Publishes a component's inferred props as JSON Schema and checks proposed
+ * props against it, so agents can verify the props they generate before the
+ * code reaches a PR. Types that JSON cannot express (functions, React nodes,
+ * refs) are left unconstrained; the declared type is kept in `x-typescript`.
+ */
+
+import { similarity } from './fuzzy-match.js';
+import type { ComponentProp, ReactBitsComponent } from './types.js';
+
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** Minimum name similarity for suggesting a known prop in place of an unknown one */
+const PROP_SUGGESTION_THRESHOLD = 0.6;
+
+export type JsonType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+export interface PropSchema {
+  type?: JsonType | JsonType[];
+  enum?: unknown[];
+  items?: PropSchema;
+  description?: string;
+  default?: unknown;
+
+  /** Type as declared or inferred from the source */
+  'x-typescript'?: string;
+}
+
+export interface PropsJsonSchema {
+  readonly $schema: string;
+  readonly $id: string;
+  readonly title: string;
+  readonly description: string;
+  readonly type: 'object';
+  readonly properties: Record<string, PropSchema>;
+  readonly required: string[];
+
+  /** True when the component forwards unlisted props to a child element */
+  readonly additionalProperties: boolean;
+}
+
+// ============================================================================
+// Type Translation
+// ============================================================================
+
+/**
+ * Split a type on a top-level separator, ignoring separators nested in
+ * brackets, generics or string literals
+ */
+function splitTopLevel(type: string, separator: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let quote: string | null = null;
+  let current = '';
+
+  for (const char of type) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if ('([{<'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char) || (char === '>' && !current.endsWith('='))) {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Whether a type is wholly wrapped in one pair of parentheses: `(a | b)` but
+ * not `(a) => b` or `(a) | (b)`
+ */
+function isParenthesized(type: string): boolean {
+  if (!type.startsWith('(') || !type.endsWith(')')) return false;
+
+  let depth = 0;
+  for (let index = 0; index < type.length; index++) {
+    if (type[index] === '(') depth++;
+    if (type[index] === ')') depth--;
+    if (depth === 0 && index < type.length - 1) return false;
+  }
+  return true;
+}
+
+function unwrapParentheses(type: string): string {
+  let current = type.trim();
+  while (isParenthesized(current)) {
+    current = current.slice(1, -1).trim();
+  }
+  return current;
+}
+
+/**
+ * JSON Schema for a TypeScript-style type string as reported in
+ * `ComponentProp.type`
+ */
+export function typeToSchema(declaredType: string): PropSchema {
+  const type = unwrapParentheses(declaredType);
+  const members = splitTopLevel(type, '|').filter(member => member !== 'undefined');
+
+  if (members.length > 1) {
+    const schemas = members.map(typeToSchema);
+    if (schemas.every(schema => schema.enum)) {
+      return { enum: schemas.flatMap(schema => schema.enum!) };
+    }
+    if (schemas.every(schema => schema.type && !schema.enum && !schema.items)) {
+      return { type: [...new Set(schemas.flatMap(schema => schema.type!))] };
+    }
+    return {};
+  }
+
+  const literal = /^(['"`])(.*)\1$/.exec(type);
+  if (literal) return { enum: [literal[2]] };
+  if (/^-?\d+(\.\d+)?$/.test(type)) return { enum: [Number(type)] };
+  if (type === 'true' || type === 'false') return { enum: [type === 'true'] };
+
+  switch (type) {
+    case 'string':
+      return { type: 'string' };
+    case 'number':
+      return { type: 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'null':
+      return { type: 'null' };
+    case 'array':
+      return { type: 'array' };
+    case 'object':
+    case 'CSSProperties':
+    case 'React.CSSProperties':
+      return { type: 'object' };
+  }
+
+  const arrayOf = /^(.+)\[\]$/.exec(type) || /^(?:Readonly)?Array<(.+)>$/.exec(type);
+  if (arrayOf) {
+    const items = typeToSchema(arrayOf[1]);
+    return Object.keys(items).length > 0 ? { type: 'array', items } : { type: 'array' };
+  }
+
+  if (type.startsWith('{') || /^(?:Record|Partial|Readonly)</.test(type)) {
+    return { type: 'object' };
+  }
+
+  return {};
+}
+
+/**
+ * JSON value of a default written as source, if it is a plain literal
+ */
+function parseDefaultValue(source: string): unknown {
+  const quoted = /^(['"`])([^'"`$\\]*)\1$/.exec(source);
+  if (quoted) return quoted[2];
+
+  try {
+    return JSON.parse(source);
+  } catch {
+    return undefined;
+  }
+}
+
+function propToSchema(prop: ComponentProp): PropSchema {
+  const defaultValue = prop.default === undefined ? undefined : parseDefaultValue(prop.default);
+
+  return {
+    ...typeToSchema(prop.type),
+    ...(prop.description && { description: prop.description }),
+    ...(defaultValue !== undefined && { default: defaultValue }),
+    'x-typescript': prop.type
+  };
+}
+
+/**
+ * JSON Schema of the props a component accepts
+ *
+ * @param schemaId - `$id` of the schema, normally its resource URI
+ */
+export function buildPropsSchema(component: ReactBitsComponent, schemaId: string): PropsJsonSchema {
+  const props = component.props || [];
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: schemaId,
+    title: `${component.name} props`,
+    description: `Props accepted by the ${component.name} component (${component.id})`,
+    type: 'object',
+    properties: Object.fromEntries(props.map(prop => [prop.property, propToSchema(prop)])),
+    required: props.filter(prop => prop.required).map(prop => prop.property),
+    additionalProperties: component.forwardsRestProps === true
+  };
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+export interface PropTypeError {
+  readonly prop: string;
+
+  /** Declared type of the prop */
+  readonly expected: string;
+  readonly received: string;
+  readonly message: string;
+}
+
+export interface UnknownProp {
+  readonly prop: string;
+
+  /** Closest declared prop name, when one is similar enough */
+  readonly didYouMean?: string;
+}
+
+export interface PropsValidationResult {
+  readonly valid: boolean;
+  readonly typeErrors: PropTypeError[];
+  readonly unknownProps: UnknownProp[];
+  readonly missingRequired: string[];
+
+  /** Unknown props do not invalidate the props of components that forward them */
+  readonly forwardsRestProps: boolean;
+}
+
+function jsonTypeOf(value: unknown): JsonType {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value as JsonType;
+}
+
+function matchesType(value: unknown, expected: JsonType | JsonType[]): boolean {
+  const actual = jsonTypeOf(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Check one value against a prop schema; returns what was received when it
+ * does not match
+ */
+function checkValue(value: unknown, schema: PropSchema): string | null {
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    return JSON.stringify(value) ?? String(value);
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    return jsonTypeOf(value);
+  }
+  if (schema.items && Array.isArray(value)) {
+    for (const [index, item] of value.entries()) {
+      const received = checkValue(item, schema.items);
+      if (received) return `${received} at index ${index}`;
+    }
+  }
+  return null;
+}
+
+function suggestProp(name: string, known: readonly string[]): string | undefined {
+  let best: { name: string; score: number } | undefined;
+  for (const candidate of known) {
+    const score = similarity(name.toLowerCase(), candidate.toLowerCase());
+    if (score >= PROP_SUGGESTION_THRESHOLD && (!best || score > best.score)) {
+      best = { name: candidate, score };
+    }
+  }
+  return best?.name;
+}
+
+/**
+ * Check proposed props against a component's props: values of the wrong
+ * type, props the component does not declare and required props left out
+ */
+export function validateProps(
+  component: ReactBitsComponent,
+  proposed: Readonly<Record<string, unknown>>
+): PropsValidationResult {
+  const schema = buildPropsSchema(component, component.id);
+  const known = Object.keys(schema.properties);
+
+  const typeErrors: PropTypeError[] = [];
+  const unknownProps: UnknownProp[] = [];
+
+  for (const [name, value] of Object.entries(proposed)) {
+    const propSchema = schema.properties[name];
+    if (!propSchema) {
+      const didYouMean = suggestProp(name, known);
+      unknownProps.push({ prop: name, ...(didYouMean && { didYouMean }) });
+      continue;
+    }
+
+    const received = checkValue(value, propSchema);
+    if (received) {
+      const expected = propSchema['x-typescript'] || 'any';
+      typeErrors.push({
+        prop: name,
+        expected,
+        received,
+        message: `${name} expects ${expected}, received ${received}`
+      });
+    }
+  }
+
+  const missingRequired = schema.required.filter(name => !(name in proposed));
+  const forwardsRestProps = schema.additionalProperties;
+
+  return {
+    valid: typeErrors.length === 0 && missingRequired.length === 0 && (forwardsRestProps || unknownProps.length === 0),
+    typeErrors,
+    unknownProps,
+    missingRequired,
+    forwardsRestProps
+  };
+}
@@ -0,0 +1,344 @@
+/**
+ * ReactBits Request Quotas
+ *
+ * Per-client rate limiting for tool calls. Callers are identified by API key
+ * (`X-API-Key` header) when the key is configured, otherwise by MCP session,
+ * so one noisy agent on a shared HTTP server only exhausts its own budget.
+ *
+ * Every call is charged a per-tool cost against a sliding-window budget;
+ * calls that return full source cost more than listing calls. Policies can
+ * also give individual tools their own budget within the window.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { activeConfig } from './config.js';
+import type { QuotaStatus } from './types.js';
+import { ReactBitsErrorCode } from './types.js';
+import { createReactBitsError, isPlainObject } from './utils.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Cost of one call; tools that can return source may charge more when they do
+ */
+export type ToolCost = number | { readonly base: number; readonly withCode: number };
+
+export interface QuotaPolicy {
+  /** Cost units a client may spend per window */
+  readonly budget: number;
+
+  /** Separate per-tool budgets, in cost units per window */
+  readonly tools?: Readonly<Record<string, number>>;
+}
+
+export interface QuotaClientConfig extends Partial<QuotaPolicy> {
+  /** API keys that identify this client */
+  readonly apiKeys?: readonly string[];
+}
+
+export interface QuotaConfig {
+  /** Sliding window length in milliseconds */
+  readonly windowMs: number;
+  readonly costs: Readonly<Record<string, ToolCost>>;
+
+  /** Policy for sessions without a configured API key */
+  readonly defaultPolicy: QuotaPolicy;
+  readonly clients: Readonly<Record<string, QuotaClientConfig>>;
+}
+
+export const DEFAULT_TOOL_COSTS: Readonly<Record<string, ToolCost>> = {
+  list_categories: 1,
+  search_components: 2,
+  browse_category: 2,
+  get_component: { base: 2, withCode: 5 },
+  get_random_component: 5,
+  validate_props: 1,
+  get_component_bundle: 8,
+  get_catalog_coverage: 5
+};
+
+/** Cost of tools missing from the cost table */
+const FALLBACK_TOOL_COST = 1;
+
+/** Client identity for transports without sessions (stdio) */
+export const LOCAL_CLIENT = 'local';
+
+function configError(filePath: string, message: string): Error {
+  return createReactBitsError(
+    `Invalid quota config ${filePath}: ${message}`,
+    ReactBitsErrorCode.VALIDATION_ERROR,
+    { path: filePath }
+  );
+}
+
+function readPositiveNumber(filePath: string, field: string, value: unknown): number {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw configError(filePath, `${field} must be a positive number`);
+  }
+  return value;
+}
+
+function readToolBudgets(filePath: string, field: string, value: unknown): Record<string, number> {
+  if (!isPlainObject(value)) {
+    throw configError(filePath, `${field} must be an object of tool budgets`);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([tool, budget]) => [tool, readPositiveNumber(filePath, `${field}.${tool}`, budget)])
+  );
+}
+
+function readToolCost(filePath: string, field: string, value: unknown): ToolCost {
+  if (isPlainObject(value)) {
+    return {
+      base: readPositiveNumber(filePath, `${field}.base`, value.base),
+      withCode: readPositiveNumber(filePath, `${field}.withCode`, value.withCode)
+    };
+  }
+  return readPositiveNumber(filePath, field, value);
+}
+
+function readClient(filePath: string, name: string, value: unknown): QuotaClientConfig {
+  if (!isPlainObject(value)) {
+    throw configError(filePath, `clients.${name} must be an object`);
+  }
+
+  const { apiKeys, budget, tools } = value;
+  if (apiKeys !== undefined && (!Array.isArray(apiKeys) || !apiKeys.every(key => typeof key === 'string' && key))) {
+    throw configError(filePath, `clients.${name}.apiKeys must be an array of non-empty strings`);
+  }
+
+  return {
+    ...(apiKeys !== undefined && { apiKeys: apiKeys as string[] }),
+    ...(budget !== undefined && { budget: readPositiveNumber(filePath, `clients.${name}.budget`, budget) }),
+    ...(tools !== undefined && { tools: readToolBudgets(filePath, `clients.${name}.tools`, tools) })
+  };
+}
+
+const FALLBACK_DEFAULT_BUDGET = 600;
+
+function readDefaultBudget(value: number): number {
+  if (!Number.isFinite(value) || value <= 0) {
+    console.warn(`REACTBITS_QUOTA_BUDGET must be a positive number; using ${FALLBACK_DEFAULT_BUDGET}`);
+    return FALLBACK_DEFAULT_BUDGET;
+  }
+  return value;
+}
+
+/**
+ * Load quota settings, layering the optional JSON config file over the
+ * defaults (`REACTBITS_QUOTA_BUDGET` units per minute for every session)
+ */
+export function loadQuotaConfig(configPath = activeConfig.quotas.configPath): QuotaConfig {
+  const defaults: QuotaConfig = {
+    windowMs: activeConfig.quotas.windowMs,
+    costs: DEFAULT_TOOL_COSTS,
+    defaultPolicy: { budget: readDefaultBudget(activeConfig.quotas.defaultBudget) },
+    clients: {}
+  };
+
+  // Counted requests before quotas were charged in cost units
+  if (process.env.MAX_REQUESTS_PER_MINUTE) {
+    console.warn('MAX_REQUESTS_PER_MINUTE is no longer read; set REACTBITS_QUOTA_BUDGET, the per-client budget in cost units per minute, instead');
+  }
+
+  if (!configPath) {
+    return defaults;
+  }
+
+  const filePath = path.resolve(process.cwd(), configPath);
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw configError(filePath, error instanceof Error ? error.message : String(error));
+  }
+  if (!isPlainObject(raw)) {
+    throw configError(filePath, 'expected a JSON object');
+  }
+
+  const costs: Record<string, ToolCost> = { ...DEFAULT_TOOL_COSTS };
+  if (raw.costs !== undefined) {
+    if (!isPlainObject(raw.costs)) {
+      throw configError(filePath, 'costs must be an object');
+    }
+    for (const [tool, cost] of Object.entries(raw.costs)) {
+      costs[tool] = readToolCost(filePath, `costs.${tool}`, cost);
+    }
+  }
+
+  const defaultPolicy = raw.default === undefined
+    ? defaults.defaultPolicy
+    : { ...defaults.defaultPolicy, ...readClient(filePath, 'default', raw.default) };
+
+  const clients: Record<string, QuotaClientConfig> = {};
+  if (raw.clients !== undefined) {
+    if (!isPlainObject(raw.clients)) {
+      throw configError(filePath, 'clients must be an object');
+    }
+    for (const [name, client] of Object.entries(raw.clients)) {
+      clients[name] = readClient(filePath, name, client);
+    }
+  }
+
+  return {
+    windowMs: raw.windowMs === undefined ? defaults.windowMs : readPositiveNumber(filePath, 'windowMs', raw.windowMs),
+    costs,
+    defaultPolicy: { budget: defaultPolicy.budget, ...(defaultPolicy.tools && { tools: defaultPolicy.tools }) },
+    clients
+  };
+}
+
+// ============================================================================
+// Quota Manager
+// ============================================================================
+
+/**
+ * Who is calling: the MCP session and, over HTTP, the presented API key
+ */
+export interface ClientIdentity {
+  readonly sessionId?: string | undefined;
+  readonly apiKey?: string | undefined;
+}
+
+export interface QuotaDecision {
+  readonly allowed: boolean;
+  readonly status: QuotaStatus;
+}
+
+interface QuotaCharge {
+  readonly timestamp: number;
+  readonly tool: string;
+  readonly cost: number;
+}
+
+export class QuotaManager {
+  private readonly usage = new Map<string, QuotaCharge[]>();
+  private readonly clientsByApiKey = new Map<string, string>();
+
+  constructor(private readonly config: QuotaConfig = loadQuotaConfig()) {
+    for (const [name, client] of Object.entries(config.clients)) {
+      for (const apiKey of client.apiKeys || []) {
+        this.clientsByApiKey.set(apiKey, name);
+      }
+    }
+  }
+
+  /**
+   * Client identifier for a caller. Unknown API keys fall back to the session
+   * so a stale key degrades to the default policy instead of failing.
+   */
+  identify({ sessionId, apiKey }: ClientIdentity): string {
+    const configured = apiKey ? this.clientsByApiKey.get(apiKey) : undefined;
+    if (configured) return `key:${configured}`;
+    if (sessionId) return `session:${sessionId}`;
+    return LOCAL_CLIENT;
+  }
+
+  /**
+   * Cost of a tool call with the given arguments
+   */
+  getCost(tool: string, args: Record<string, unknown> = {}): number {
+    const cost = this.config.costs[tool] ?? FALLBACK_TOOL_COST;
+    if (typeof cost === 'number') return cost;
+    return args.includeCode === false ? cost.base : cost.withCode;
+  }
+
+  /**
+   * Charge a call to a client's budget. Denied calls are not charged.
+   */
+  consume(clientId: string, tool: string, cost: number): QuotaDecision {
+    const now = Date.now();
+    const policy = this.getPolicy(clientId);
+    const charges = this.activeCharges(clientId, now);
+
+    const spent = charges.reduce((sum, charge) => sum + charge.cost, 0);
+    const toolBudget = policy.tools?.[tool];
+    const toolSpent = toolBudget === undefined
+      ? 0
+      : charges.filter(charge => charge.tool === tool).reduce((sum, charge) => sum + charge.cost, 0);
+
+    const allowed = spent + cost <= policy.budget &&
+      (toolBudget === undefined || toolSpent + cost <= toolBudget);
+
+    if (allowed) {
+      charges.push({ timestamp: now, tool, cost });
+      this.usage.set(clientId, charges);
+    }
+
+    // A denied call can be retried once the charges it was denied over leave the window
+    let resetMs: number;
+    if (allowed) {
+      const oldest = charges[0]?.timestamp;
+      resetMs = oldest === undefined ? 0 : Math.max(0, oldest + this.config.windowMs - now);
+    } else {
+      resetMs = Math.max(
+        this.timeUntilFits(charges, policy.budget, cost, now),
+        toolBudget === undefined ? 0 : this.timeUntilFits(charges.filter(charge => charge.tool === tool), toolBudget, cost, now)
+      );
+    }
+
+    const charged = allowed ? cost : 0;
+    return {
+      allowed,
+      status: {
+        client: clientId,
+        cost,
+        limit: policy.budget,
+        remaining: Math.max(0, policy.budget - spent - charged),
+        resetMs,
+        windowMs: this.config.windowMs,
+        ...(toolBudget !== undefined && {
+          tool: { name: tool, limit: toolBudget, remaining: Math.max(0, toolBudget - toolSpent - charged) }
+        })
+      }
+    };
+  }
+
+  /**
+   * Drop charges that have left the window
+   */
+  cleanup(): void {
+    const now = Date.now();
+    for (const clientId of [...this.usage.keys()]) {
+      if (this.activeCharges(clientId, now).length === 0) {
+        this.usage.delete(clientId);
+      }
+    }
+  }
+
+  private getPolicy(clientId: string): QuotaPolicy {
+    const defaults = this.config.defaultPolicy;
+    const client = clientId.startsWith('key:') ? this.config.clients[clientId.slice(4)] : undefined;
+    if (!client) return defaults;
+
+    const tools = { ...defaults.tools, ...client.tools };
+    return {
+      budget: client.budget ?? defaults.budget,
+      ...(Object.keys(tools).length > 0 && { tools })
+    };
+  }
+
+  /**
+   * Milliseconds until enough of the charges leave the window for a call of
+   * `cost` to fit in `limit`
+   */
+  private timeUntilFits(charges: readonly QuotaCharge[], limit: number, cost: number, now: number): number {
+    let excess = charges.reduce((sum, charge) => sum + charge.cost, 0) + cost - limit;
+    let fitsAt = now;
+    for (const charge of charges) {
+      if (excess <= 0) break;
+      excess -= charge.cost;
+      fitsAt = charge.timestamp + this.config.windowMs;
+    }
+    return Math.max(0, fitsAt - now);
+  }
+
+  private activeCharges(clientId: string, now: number): QuotaCharge[] {
+    const charges = (this.usage.get(clientId) || []).filter(charge => now - charge.timestamp < this.config.windowMs);
+    this.usage.set(clientId, charges);
+    return charges;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * ReactBits shadcn Registry
+ *
+ * Publishes the catalog in the shadcn registry format, so components install
+ * with `npx shadcn add <base-url>/r/<id>.json`. Every library component
+ * becomes a `registry-item` carrying its source and captured stylesheets;
+ * local modules it imports are referenced through `registryDependencies`
+ * (and published as items of their own) rather than copied into each item.
+ * Custom properties declared on `:root` and `.dark` in the stylesheets are
+ * lifted into `cssVars`.
+ *
+ * The registry is built from the catalog on demand: the HTTP transport serves
+ * it under `/r/`, and `reactbits-catalog export-registry` writes the same
+ * files to a directory for any static file server.
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { ComponentCatalog } from './catalog.js';
+import { isLibraryComponent, kindOf } from './component-kinds.js';
+import { selectVariant } from './variants.js';
+import type { ComponentStylesheet, ComponentVariant, ReactBitsComponent } from './types.js';
+
+// ============================================================================
+// Registry Types
+// ============================================================================
+
+export type RegistryItemType = 'registry:component' | 'registry:hook' | 'registry:lib';
+
+export interface RegistryFile {
+  readonly path: string;
+  readonly type: RegistryItemType;
+  readonly content: string;
+}
+
+export interface RegistryCssVars {
+  readonly light?: Record<string, string>;
+  readonly dark?: Record<string, string>;
+}
+
+export interface RegistryItem {
+  readonly $schema: string;
+  readonly name: string;
+  readonly type: RegistryItemType;
+  readonly title: string;
+  readonly description: string;
+  readonly categories: string[];
+  readonly dependencies: string[];
+  readonly registryDependencies: string[];
+  readonly files: RegistryFile[];
+  readonly cssVars?: RegistryCssVars;
+}
+
+/**
+ * Item as listed in `registry.json`, without file contents
+ */
+export type RegistryIndexItem = Omit<RegistryItem, '$schema' | 'files'> & {
+  readonly files: Omit<RegistryFile, 'content'>[];
+};
+
+export interface Registry {
+  readonly $schema: string;
+  readonly name: string;
+  readonly homepage: string;
+  readonly items: RegistryIndexItem[];
+}
+
+export interface RegistryOptions {
+  /** Public URL the registry is served from, without the `/r` suffix */
+  readonly baseUrl: string;
+
+  /** Variant to publish where a component has it; the default variant otherwise */
+  readonly variant?: ComponentVariant;
+}
+
+const REGISTRY_SCHEMA = 'https://ui.shadcn.com/schema/registry.json';
+const REGISTRY_ITEM_SCHEMA = 'https://ui.shadcn.com/schema/registry-item.json';
+const REGISTRY_NAME = 'reactbits';
+
+/** Packages every shadcn project already has */
+const PEER_DEPENDENCIES = new Set(['react', 'react-dom']);
+
+// ============================================================================
+// Items
+// ============================================================================
+
+function itemType(component: ReactBitsComponent): RegistryItemType {
+  switch (kindOf(component)) {
+    case 'hook':
+      return 'registry:hook';
+    case 'utility':
+    case 'context':
+      return 'registry:lib';
+    default:
+      return 'registry:component';
+  }
+}
+
+/**
+ * Name a component is published under; namespaced IDs (`internal/button`)
+ * become `internal-button`
+ */
+export function registryItemName(component: ReactBitsComponent): string {
+  return component.id.replace(/\//g, '-');
+}
+
+/**
+ * URL of an item's JSON under a registry base URL
+ */
+export function registryItemUrl(baseUrl: string, name: string): string {
+  return `${baseUrl.replace(/\/+$/, '')}/r/${encodeURIComponent(name)}.json`;
+}
+
+function itemFilePath(name: string, filePath: string): string {
+  return `registry/${REGISTRY_NAME}/${name}/${path.posix.basename(filePath)}`;
+}
+
+/**
+ * Custom properties declared directly in `:root` and `.dark` rules, keyed
+ * without the leading dashes as shadcn expects
+ */
+export function extractCssVars(stylesheets: readonly ComponentStylesheet[]): RegistryCssVars {
+  const light: Record<string, string> = {};
+  const dark: Record<string, string> = {};
+  const rulePattern = /(^|[},;\s])(:root|\.dark)\s*\{([^{}]*)\}/g;
+
+  for (const { content } of stylesheets) {
+    const css = content.replace(/\/\*[\s\S]*?\*\//g, '');
+    for (const [, , selector, body] of css.matchAll(rulePattern)) {
+      const target = selector === ':root' ? light : dark;
+      for (const [, name, value] of body!.matchAll(/--([\w-]+)\s*:\s*([^;]+)/g)) {
+        target[name!] = value!.trim();
+      }
+    }
+  }
+
+  return {
+    ...(Object.keys(light).length > 0 ? { light } : {}),
+    ...(Object.keys(dark).length > 0 ? { dark } : {})
+  };
+}
+
+function publishedVariant(component: ReactBitsComponent, variant?: ComponentVariant): ReactBitsComponent {
+  return (variant && selectVariant(component, variant)) || component;
+}
+
+/**
+ * Catalog components the item's source imports, excluding the item itself
+ */
+function localDependencies(catalog: ComponentCatalog, component: ReactBitsComponent): ReactBitsComponent[] {
+  const dependencies = new Map<string, ReactBitsComponent>();
+  for (const localImport of component.localImports || []) {
+    if (localImport.kind !== 'module' || !localImport.path) continue;
+    const dependency = catalog.getComponentByPath(localImport.path, component.namespace);
+    if (dependency && dependency.id !== component.id) {
+      dependencies.set(dependency.id, dependency);
+    }
+  }
+  return [...dependencies.values()];
+}
+
+/**
+ * Build the registry item for a component
+ */
+export function buildRegistryItem(
+  catalog: ComponentCatalog,
+  component: ReactBitsComponent,
+  options: RegistryOptions
+): RegistryItem {
+  const published = publishedVariant(component, options.variant);
+  const type = itemType(published);
+  const name = registryItemName(published);
+  const sourcePath = published.sourcePath || `${name}.jsx`;
+  const stylesheets = published.stylesheets || [];
+  const cssVars = extractCssVars(stylesheets);
+
+  return {
+    $schema: REGISTRY_ITEM_SCHEMA,
+    name,
+    type,
+    title: published.name,
+    description: published.description,
+    categories: [published.category, ...(published.subcategory ? [published.subcategory] : [])],
+    dependencies: published.dependencies.filter(name => !PEER_DEPENDENCIES.has(name)),
+    registryDependencies: localDependencies(catalog, published).map(dependency => registryItemUrl(options.baseUrl, registryItemName(dependency))),
+    files: [
+      { path: itemFilePath(name, sourcePath), type, content: published.fullCode || '' },
+      ...stylesheets.map(stylesheet => ({
+        path: itemFilePath(name, stylesheet.path),
+        type,
+        content: stylesheet.content
+      }))
+    ],
+    ...(Object.keys(cssVars).length > 0 ? { cssVars } : {})
+  };
+}
+
+/**
+ * Components published in the registry: the library, plus every catalog
+ * entry a published component imports
+ */
+export function registryComponents(catalog: ComponentCatalog, options: Pick<RegistryOptions, 'variant'> = {}): ReactBitsComponent[] {
+  const published = new Map<string, ReactBitsComponent>();
+  const queue = catalog.getComponents().filter(isLibraryComponent);
+
+  for (let next = queue.shift(); next; next = queue.shift()) {
+    if (published.has(next.id)) continue;
+    published.set(next.id, next);
+    queue.push(...localDependencies(catalog, publishedVariant(next, options.variant)));
+  }
+
+  return [...published.values()];
+}
+
+/**
+ * Find a published component by item name
+ */
+export function findRegistryComponent(
+  catalog: ComponentCatalog,
+  name: string,
+  options: Pick<RegistryOptions, 'variant'> = {}
+): ReactBitsComponent | null {
+  return registryComponents(catalog, options).find(component => registryItemName(component) === name) || null;
+}
+
+/**
+ * Build `registry.json`, listing every item without file contents
+ */
+export function buildRegistry(catalog: ComponentCatalog, options: RegistryOptions): Registry {
+  return {
+    $schema: REGISTRY_SCHEMA,
+    name: REGISTRY_NAME,
+    homepage: 'https://reactbits.dev',
+    items: registryComponents(catalog, options).map(component => {
+      const { $schema, files, ...item } = buildRegistryItem(catalog, component, options);
+      return { ...item, files: files.map(({ content, ...file }) => file) };
+    })
+  };
+}
+
+/**
+ * Write `registry.json` and one `<name>.json` per item into `<outDir>/r`
+ *
+ * @returns The number of items written
+ */
+export async function writeRegistry(catalog: ComponentCatalog, outDir: string, options: RegistryOptions): Promise<number> {
+  const registryDir = path.join(outDir, 'r');
+  await fs.mkdir(registryDir, { recursive: true });
+
+  const components = registryComponents(catalog, options);
+  for (const component of components) {
+    const item = buildRegistryItem(catalog, component, options);
+    await fs.writeFile(path.join(registryDir, `${item.name}.json`), JSON.stringify(item, null, 2), 'utf8');
+  }
+  await fs.writeFile(path.join(registryDir, 'registry.json'), JSON.stringify(buildRegistry(catalog, options), null, 2), 'utf8');
+
+  return components.length;
+}
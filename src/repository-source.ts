@@ -0,0 +1,327 @@
+/**
+ * ReactBits Repository Sources
+ *
+ * Where the scraper reads the react-bits repository from. The GitHub source
+ * lists every directory from one recursive git tree request (falling back to
+ * the contents API, one request per directory, when GitHub truncates the
+ * tree) and downloads files from raw.githubusercontent.com, one request
+ * each. The local source reads a
+ * clone on disk: the working tree as it is, or, given a `ref`, the tree of
+ * that commit, branch or tag through git, so air-gapped machines can extract
+ * from a mirror.
+ *
+ * Both produce directory listings shaped like the GitHub contents API (same
+ * fields, git tree order, git blob SHAs), so everything downstream of the
+ * listing extracts identical records whichever source is used.
+ */
+
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { promisify } from 'util';
+import { activeConfig } from './config.js';
+import { isPlainObject } from './utils.js';
+
+const execFileAsync = promisify(execFile);
+
+// ============================================================================
+// Source Types
+// ============================================================================
+
+export type RepositorySourceKind = 'github' | 'local';
+
+/**
+ * Which source to read from: GitHub, or a local clone at `path`, optionally
+ * at a commit, branch or tag
+ */
+export type RepositorySourceConfig =
+  | { readonly type: 'github' }
+  | { readonly type: 'local'; readonly path: string; readonly ref?: string };
+
+/**
+ * Directory entry, in the shape of a GitHub contents API item
+ */
+export interface RepositoryItem {
+  readonly name: string;
+  readonly path: string;
+  readonly type: 'file' | 'dir' | 'submodule';
+  readonly size: number;
+
+  /** Git object ID; null for working-tree directories */
+  readonly sha: string | null;
+  readonly download_url: string | null;
+}
+
+export interface RepositorySource {
+  readonly kind: RepositorySourceKind;
+
+  /** Whether reads go over the network and should be throttled */
+  readonly remote: boolean;
+
+  /** Directory entries in git tree order; throws when the directory does not exist */
+  listDirectory(dirPath: string): Promise<RepositoryItem[]>;
+
+  /** Contents of a file as UTF-8 */
+  readFile(filePath: string): Promise<string>;
+
+  /** Where the source reads from, recorded in the extraction report */
+  describe(): Promise<Record<string, string>>;
+}
+
+/**
+ * HTTP client the GitHub source fetches through, so the scraper keeps its
+ * retries, rate-limit handling and request delay
+ */
+export interface RepositoryFetcher {
+  json(url: string): Promise<unknown>;
+  text(url: string): Promise<string>;
+}
+
+const GITHUB_REPOSITORY = 'DavidHDev/react-bits';
+const GITHUB_BRANCH = 'main';
+
+/** Largest file or listing read through git, in bytes */
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+// ============================================================================
+// GitHub
+// ============================================================================
+
+export class GitHubRepositorySource implements RepositorySource {
+  readonly kind = 'github' as const;
+  readonly remote = true;
+  private readonly apiUrl = `https://api.github.com/repos/${GITHUB_REPOSITORY}`;
+  private readonly rawUrl = `https://raw.githubusercontent.com/${GITHUB_REPOSITORY}/${GITHUB_BRANCH}`;
+  private tree: Promise<Map<string, RepositoryItem[]> | null> | null = null;
+
+  constructor(private readonly fetcher: RepositoryFetcher) {}
+
+  async listDirectory(dirPath: string): Promise<RepositoryItem[]> {
+    const tree = await (this.tree ??= this.fetchTree());
+    if (tree) {
+      const items = tree.get(dirPath);
+      if (!items) {
+        throw new Error(`${dirPath || 'root'} is not a directory`);
+      }
+      return items;
+    }
+
+    const contents = await this.fetcher.json(`${this.apiUrl}/contents/${dirPath}`);
+    if (!Array.isArray(contents)) {
+      throw new Error(`${dirPath || 'root'} is not a directory`);
+    }
+    return contents as RepositoryItem[];
+  }
+
+  readFile(filePath: string): Promise<string> {
+    return this.fetcher.text(`${this.rawUrl}/${filePath}`);
+  }
+
+  async describe(): Promise<Record<string, string>> {
+    return { type: 'github', repository: `https://github.com/${GITHUB_REPOSITORY}`, ref: GITHUB_BRANCH };
+  }
+
+  /**
+   * Every directory listing, keyed by path, from one recursive tree request;
+   * null when GitHub truncated the tree
+   */
+  private async fetchTree(): Promise<Map<string, RepositoryItem[]> | null> {
+    const response = await this.fetcher.json(`${this.apiUrl}/git/trees/${GITHUB_BRANCH}?recursive=1`);
+    if (!isPlainObject(response) || !Array.isArray(response.tree) || response.truncated) {
+      return null;
+    }
+
+    const directories = new Map<string, RepositoryItem[]>([['', []]]);
+    const listing = (dirPath: string) => {
+      const items = directories.get(dirPath) || [];
+      directories.set(dirPath, items);
+      return items;
+    };
+
+    for (const entry of response.tree as { path: string; type: string; sha: string; size?: number }[]) {
+      const type = entry.type === 'tree' ? 'dir' : entry.type === 'commit' ? 'submodule' : 'file';
+      if (type === 'dir') listing(entry.path);
+
+      const parent = path.posix.dirname(entry.path);
+      listing(parent === '.' ? '' : parent).push({
+        name: path.posix.basename(entry.path),
+        path: entry.path,
+        type,
+        size: type === 'file' ? entry.size ?? 0 : 0,
+        sha: entry.sha,
+        download_url: type === 'file' ? `${this.rawUrl}/${entry.path}` : null
+      });
+    }
+
+    for (const items of directories.values()) {
+      items.sort(compareTreeEntries);
+    }
+    return directories;
+  }
+}
+
+// ============================================================================
+// Local Clone
+// ============================================================================
+
+/**
+ * Git's tree order: byte order of names, with directories compared as if
+ * their name ended in a slash
+ */
+function compareTreeEntries(a: RepositoryItem, b: RepositoryItem): number {
+  const key = (item: RepositoryItem) => Buffer.from(item.type === 'dir' ? `${item.name}/` : item.name);
+  return Buffer.compare(key(a), key(b));
+}
+
+/**
+ * SHA git assigns to a file with this content
+ */
+function gitBlobSha(content: Buffer): string {
+  return createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+export class LocalRepositorySource implements RepositorySource {
+  readonly kind = 'local' as const;
+  readonly remote = false;
+  private readonly root: string;
+  private commit: Promise<string> | null = null;
+
+  constructor(root: string, private readonly ref?: string) {
+    this.root = path.resolve(process.cwd(), root);
+  }
+
+  async listDirectory(dirPath: string): Promise<RepositoryItem[]> {
+    const items = this.ref ? await this.listTree(dirPath) : await this.listWorkingTree(dirPath);
+    return items.sort(compareTreeEntries);
+  }
+
+  async readFile(filePath: string): Promise<string> {
+    if (!this.ref) {
+      return fs.readFile(this.resolve(filePath), 'utf8');
+    }
+    return this.git('cat-file', 'blob', `${await this.resolveCommit()}:${filePath}`);
+  }
+
+  async describe(): Promise<Record<string, string>> {
+    return {
+      type: 'local',
+      path: this.root,
+      ...(this.ref ? { ref: this.ref, commit: await this.resolveCommit() } : {})
+    };
+  }
+
+  /**
+   * Repository path inside the clone; paths escaping it are rejected
+   */
+  private resolve(repositoryPath: string): string {
+    const resolved = path.resolve(this.root, repositoryPath);
+    if (resolved !== this.root && !resolved.startsWith(this.root + path.sep)) {
+      throw new Error(`Path ${repositoryPath} is outside the repository`);
+    }
+    return resolved;
+  }
+
+  private async listWorkingTree(dirPath: string): Promise<RepositoryItem[]> {
+    const directory = this.resolve(dirPath);
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const items: RepositoryItem[] = [];
+
+    for (const entry of entries) {
+      if (entry.name === '.git' || !(entry.isFile() || entry.isDirectory())) continue;
+
+      const itemPath = dirPath ? `${dirPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        items.push({ name: entry.name, path: itemPath, type: 'dir', size: 0, sha: null, download_url: null });
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(directory, entry.name));
+      items.push({
+        name: entry.name,
+        path: itemPath,
+        type: 'file',
+        size: content.length,
+        sha: gitBlobSha(content),
+        download_url: null
+      });
+    }
+
+    return items;
+  }
+
+  private async listTree(dirPath: string): Promise<RepositoryItem[]> {
+    const commit = await this.resolveCommit();
+    const treeish = dirPath ? `${commit}:${dirPath}` : commit;
+    const output = await this.git('ls-tree', '-l', '-z', treeish);
+
+    return output.split('\0').filter(Boolean).map(line => {
+      // <mode> SP <type> SP <sha> SP+ <size> TAB <name>
+      const [meta, name] = line.split('\t') as [string, string];
+      const [, type, sha, size] = meta.split(/\s+/) as [string, string, string, string];
+      return {
+        name,
+        path: dirPath ? `${dirPath}/${name}` : name,
+        type: type === 'tree' ? 'dir' : type === 'commit' ? 'submodule' : 'file',
+        size: type === 'blob' ? Number(size) : 0,
+        sha,
+        download_url: null
+      };
+    });
+  }
+
+  /**
+   * Commit the ref points to, resolved once so a moving branch cannot
+   * change under a running extraction
+   */
+  private resolveCommit(): Promise<string> {
+    this.commit ??= this.git('rev-parse', '--verify', `${this.ref}^{commit}`).then(output => output.trim());
+    return this.commit;
+  }
+
+  private async git(...args: string[]): Promise<string> {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', this.root, ...args], {
+        encoding: 'utf8',
+        maxBuffer: MAX_GIT_OUTPUT
+      });
+      return stdout;
+    } catch (error) {
+      const stderr = (error as { stderr?: string }).stderr?.trim();
+      throw new Error(`git ${args[0]} failed in ${this.root}: ${stderr || (error instanceof Error ? error.message : String(error))}`);
+    }
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Create the source described by a config
+ *
+ * @param fetcher - HTTP client used by the GitHub source
+ */
+export function createRepositorySource(config: RepositorySourceConfig, fetcher: RepositoryFetcher): RepositorySource {
+  return config.type === 'local'
+    ? new LocalRepositorySource(config.path, config.ref)
+    : new GitHubRepositorySource(fetcher);
+}
+
+/**
+ * Source selected by `REACTBITS_SOURCE`, `REACTBITS_REPO_PATH` and
+ * `REACTBITS_REPO_REF`
+ */
+export function repositorySourceFromConfig(): RepositorySourceConfig {
+  const { source, repositoryPath, repositoryRef } = activeConfig.scraper;
+  if (source === 'github') {
+    return { type: 'github' };
+  }
+  if (source !== 'local') {
+    throw new Error(`Unknown repository source '${source}'; expected github or local`);
+  }
+  if (!repositoryPath) {
+    throw new Error('REACTBITS_SOURCE=local needs REACTBITS_REPO_PATH to point at a react-bits clone');
+  }
+  return { type: 'local', path: repositoryPath, ...(repositoryRef ? { ref: repositoryRef } : {}) };
+}
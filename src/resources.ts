@@ -0,0 +1,375 @@
+/**
+ * ReactBits MCP Resources
+ *
+ * Exposes the component catalog as MCP resources so clients can attach
+ * component code and metadata to context directly:
+ *
+ *   reactbits://component/{id}/source.{ext}   component source, one per variant extension (jsx or tsx)
+ *   reactbits://component/{id}/metadata.json  component metadata without source
+ *   reactbits://component/{id}/props.schema.json  JSON Schema of the component's props
+ *   reactbits://component/{id}/styles/{file}  stylesheet imported by the component
+ *   reactbits://category/{id}                 category with its component list
+ */
+
+import type { ComponentCatalog } from './catalog.js';
+import type {
+  ComponentStylesheet,
+  MCPResource,
+  MCPResourceTemplate,
+  ReactBitsCategory,
+  ReactBitsComponent
+} from './types.js';
+import { ReactBitsErrorCode } from './types.js';
+import { buildPropsSchema } from './props-schema.js';
+import { createReactBitsError, formatComponent } from './utils.js';
+import { availableVariants, selectVariant } from './variants.js';
+
+// ============================================================================
+// URIs and MIME Types
+// ============================================================================
+
+export const RESOURCE_SCHEME = 'reactbits';
+
+const SOURCE_MIME_TYPES: Readonly<Record<string, string>> = {
+  jsx: 'text/jsx',
+  tsx: 'text/tsx',
+  js: 'text/javascript',
+  ts: 'text/typescript'
+};
+
+const STYLESHEET_MIME_TYPES: Readonly<Record<string, string>> = {
+  css: 'text/css',
+  scss: 'text/x-scss',
+  sass: 'text/x-sass',
+  less: 'text/x-less'
+};
+
+const JSON_MIME_TYPE = 'application/json';
+const JSON_SCHEMA_MIME_TYPE = 'application/schema+json';
+
+export const RESOURCE_TEMPLATES: readonly MCPResourceTemplate[] = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://component/{id}/source.{ext}`,
+    name: 'Component source',
+    description: 'Full source code of a component; ext is jsx or tsx',
+    mimeType: SOURCE_MIME_TYPES.jsx
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://component/{id}/metadata.json`,
+    name: 'Component metadata',
+    description: 'Component description, props, dependencies and styling without the source',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://component/{id}/props.schema.json`,
+    name: 'Component props schema',
+    description: 'JSON Schema of the props a component accepts, for checking generated usages',
+    mimeType: JSON_SCHEMA_MIME_TYPE
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://component/{id}/styles/{file}`,
+    name: 'Component stylesheet',
+    description: 'Stylesheet imported by a component, by file name',
+    mimeType: STYLESHEET_MIME_TYPES.css
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://category/{id}`,
+    name: 'Component category',
+    description: 'Category details with the components it contains',
+    mimeType: JSON_MIME_TYPE
+  }
+];
+
+/**
+ * Source file extension of a component, defaulting to jsx
+ */
+export function getSourceExtension(component: ReactBitsComponent): string {
+  const extension = component.sourcePath?.split('.').pop()?.toLowerCase();
+  return extension && extension in SOURCE_MIME_TYPES ? extension : 'jsx';
+}
+
+/**
+ * MIME type of a component's source resource
+ */
+export function getSourceMimeType(component: ReactBitsComponent): string {
+  return SOURCE_MIME_TYPES[getSourceExtension(component)];
+}
+
+export function componentSourceUri(component: ReactBitsComponent): string {
+  return `${RESOURCE_SCHEME}://component/${encodeURIComponent(component.id)}/source.${getSourceExtension(component)}`;
+}
+
+export function componentMetadataUri(component: ReactBitsComponent): string {
+  return `${RESOURCE_SCHEME}://component/${encodeURIComponent(component.id)}/metadata.json`;
+}
+
+export function componentPropsSchemaUri(component: ReactBitsComponent): string {
+  return `${RESOURCE_SCHEME}://component/${encodeURIComponent(component.id)}/props.schema.json`;
+}
+
+function stylesheetFileName(stylesheet: ComponentStylesheet): string {
+  return stylesheet.path.split('/').pop() || stylesheet.path;
+}
+
+/**
+ * MIME type of a stylesheet resource, defaulting to CSS
+ */
+export function getStylesheetMimeType(stylesheet: ComponentStylesheet): string {
+  const extension = stylesheet.path.split('.').pop()?.toLowerCase() || '';
+  return STYLESHEET_MIME_TYPES[extension] || STYLESHEET_MIME_TYPES.css;
+}
+
+export function componentStylesheetUri(component: ReactBitsComponent, stylesheet: ComponentStylesheet): string {
+  return `${RESOURCE_SCHEME}://component/${encodeURIComponent(component.id)}/styles/${encodeURIComponent(stylesheetFileName(stylesheet))}`;
+}
+
+export function categoryUri(category: ReactBitsCategory | string): string {
+  const id = typeof category === 'string' ? category : category.id;
+  return `${RESOURCE_SCHEME}://category/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Parsed form of a reactbits:// URI
+ */
+export type ParsedResourceUri =
+  | { readonly kind: 'component-source'; readonly id: string; readonly extension: string }
+  | { readonly kind: 'component-metadata'; readonly id: string }
+  | { readonly kind: 'component-props-schema'; readonly id: string }
+  | { readonly kind: 'component-stylesheet'; readonly id: string; readonly file: string }
+  | { readonly kind: 'category'; readonly id: string };
+
+/**
+ * Parse a reactbits:// URI, returning null for anything this server does not serve
+ */
+export function parseResourceUri(uri: string): ParsedResourceUri | null {
+  const match = /^reactbits:\/\/(component|category)\/([^/]+)(?:\/(.+))?$/.exec(uri);
+  if (!match) return null;
+
+  const [, type, encodedId, file] = match;
+  let id: string;
+  try {
+    id = decodeURIComponent(encodedId);
+  } catch {
+    return null;
+  }
+
+  if (type === 'category') {
+    return file === undefined ? { kind: 'category', id } : null;
+  }
+
+  if (file === 'metadata.json') {
+    return { kind: 'component-metadata', id };
+  }
+
+  if (file === 'props.schema.json') {
+    return { kind: 'component-props-schema', id };
+  }
+
+  const stylesheetMatch = /^styles\/([^/]+)$/.exec(file || '');
+  if (stylesheetMatch) {
+    try {
+      return { kind: 'component-stylesheet', id, file: decodeURIComponent(stylesheetMatch[1]) };
+    } catch {
+      return null;
+    }
+  }
+
+  const sourceMatch = /^source\.([a-z]+)$/.exec(file || '');
+  if (sourceMatch && sourceMatch[1] in SOURCE_MIME_TYPES) {
+    return { kind: 'component-source', id, extension: sourceMatch[1] };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Listing and Reading
+// ============================================================================
+
+/**
+ * The component as each variant that has source, the default variant first
+ * and at most one variant per source extension
+ */
+function sourceVariants(component: ReactBitsComponent): ReactBitsComponent[] {
+  const candidates = [component, ...availableVariants(component).map(variant => selectVariant(component, variant))];
+  const byExtension = new Map<string, ReactBitsComponent>();
+  for (const candidate of candidates) {
+    if (!candidate?.fullCode) continue;
+    const extension = getSourceExtension(candidate);
+    if (!byExtension.has(extension)) byExtension.set(extension, candidate);
+  }
+  return [...byExtension.values()];
+}
+
+/**
+ * Every resource in the catalog: source, metadata, props schema and
+ * stylesheets per component plus one resource per category
+ */
+export function listCatalogResources(catalog: ComponentCatalog): MCPResource[] {
+  const resources: MCPResource[] = [];
+
+  for (const component of catalog.getComponents()) {
+    for (const source of sourceVariants(component)) {
+      resources.push({
+        uri: componentSourceUri(source),
+        name: source === component ? `${component.name} source` : `${component.name} ${source.variant} source`,
+        description: component.description,
+        mimeType: getSourceMimeType(source)
+      });
+    }
+
+    resources.push({
+      uri: componentMetadataUri(component),
+      name: `${component.name} metadata`,
+      description: component.description,
+      mimeType: JSON_MIME_TYPE
+    });
+
+    resources.push({
+      uri: componentPropsSchemaUri(component),
+      name: `${component.name} props schema`,
+      description: `JSON Schema of the props ${component.name} accepts`,
+      mimeType: JSON_SCHEMA_MIME_TYPE
+    });
+
+    for (const stylesheet of component.stylesheets || []) {
+      resources.push({
+        uri: componentStylesheetUri(component, stylesheet),
+        name: `${component.name} ${stylesheetFileName(stylesheet)}`,
+        description: `Stylesheet imported by ${component.name} (${stylesheet.path})`,
+        mimeType: getStylesheetMimeType(stylesheet)
+      });
+    }
+  }
+
+  for (const category of catalog.getCategories()) {
+    resources.push({
+      uri: categoryUri(category),
+      name: category.name,
+      description: category.description,
+      mimeType: JSON_MIME_TYPE
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * Contents of a single resource as returned by resources/read
+ */
+export interface ResourceContents {
+  readonly uri: string;
+  readonly mimeType: string;
+  readonly text: string;
+}
+
+/**
+ * Read a reactbits:// resource from the catalog
+ */
+export function readCatalogResource(catalog: ComponentCatalog, uri: string): ResourceContents {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) {
+    throw createReactBitsError(
+      `Unknown resource URI: ${uri}`,
+      ReactBitsErrorCode.VALIDATION_ERROR,
+      { uri, templates: RESOURCE_TEMPLATES.map(template => template.uriTemplate) }
+    );
+  }
+
+  if (parsed.kind === 'category') {
+    const category = catalog.getCategory(parsed.id);
+    if (!category) {
+      throw createReactBitsError(
+        `Category '${parsed.id}' not found`,
+        ReactBitsErrorCode.INVALID_CATEGORY,
+        { uri }
+      );
+    }
+
+    const components = catalog.getComponentsInCategory(category.id).map(component => ({
+      id: component.id,
+      name: component.name,
+      description: component.description,
+      source: componentSourceUri(component),
+      metadata: componentMetadataUri(component)
+    }));
+
+    return {
+      uri,
+      mimeType: JSON_MIME_TYPE,
+      text: JSON.stringify({ ...category, components }, null, 2)
+    };
+  }
+
+  const component = catalog.getComponent(parsed.id);
+  if (!component) {
+    throw createReactBitsError(
+      `Component '${parsed.id}' not found`,
+      ReactBitsErrorCode.COMPONENT_NOT_FOUND,
+      { uri }
+    );
+  }
+
+  if (parsed.kind === 'component-metadata') {
+    const { codePreview: _codePreview, ...metadata } = formatComponent(component);
+    return {
+      uri,
+      mimeType: JSON_MIME_TYPE,
+      text: JSON.stringify({
+        ...metadata,
+        source: componentSourceUri(component),
+        propsSchema: componentPropsSchemaUri(component),
+        ...(component.stylesheets && component.stylesheets.length > 0 ? {
+          stylesheets: component.stylesheets.map(stylesheet => ({
+            path: stylesheet.path,
+            uri: componentStylesheetUri(component, stylesheet)
+          }))
+        } : {})
+      }, null, 2)
+    };
+  }
+
+  if (parsed.kind === 'component-props-schema') {
+    return {
+      uri,
+      mimeType: JSON_SCHEMA_MIME_TYPE,
+      text: JSON.stringify(buildPropsSchema(component, componentPropsSchemaUri(component)), null, 2)
+    };
+  }
+
+  if (parsed.kind === 'component-stylesheet') {
+    const stylesheet = component.stylesheets?.find(candidate => stylesheetFileName(candidate) === parsed.file);
+    if (!stylesheet) {
+      throw createReactBitsError(
+        `Component '${parsed.id}' has no stylesheet '${parsed.file}'`,
+        ReactBitsErrorCode.COMPONENT_NOT_FOUND,
+        { uri }
+      );
+    }
+
+    return {
+      uri,
+      mimeType: getStylesheetMimeType(stylesheet),
+      text: stylesheet.content
+    };
+  }
+
+  const sources = sourceVariants(component);
+  const source = sources.find(candidate => getSourceExtension(candidate) === parsed.extension);
+  if (!source) {
+    const available = sources.map(candidate => `source.${getSourceExtension(candidate)}`);
+    throw createReactBitsError(
+      available.length > 0
+        ? `Component '${parsed.id}' has no source.${parsed.extension}; available: ${available.join(', ')}`
+        : `Component '${parsed.id}' has no source available`,
+      ReactBitsErrorCode.COMPONENT_NOT_FOUND,
+      { uri }
+    );
+  }
+
+  return {
+    uri,
+    mimeType: getSourceMimeType(source),
+    text: source.fullCode!
+  };
+}
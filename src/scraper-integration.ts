@@ -4,11 +4,27 @@
  * Integrates the production scraper with the MCP server for live data updates
  * and background refresh capabilities while maintaining performance and
  * respecting ReactBits.dev rate limits.
+ *
+ * Each refresh runs the scraper in a child process (`scraper-worker`) with
+ * its own heap limit, so analysis never blocks the server's event loop and
+ * a crash or runaway run only ends the child. Progress and the extraction
+ * report come back over IPC; a run is cancelled on request, on `stop()` or
+ * when it exceeds the timeout, and killed if it does not stop in time.
+ *
+ * Events: `refresh-start`, `refresh-progress` (a `ScraperProgress`),
+ * `refresh-success` (the extraction report) and `refresh-error` (an Error).
  */
 
+import { fork, type ChildProcess } from 'child_process';
 import { EventEmitter } from 'events';
 import * as path from 'path';
 import * as fs from 'fs/promises';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+import { resolveExtractionDirectory } from './catalog-store.js';
+import { activeConfig } from './config.js';
+import { repositorySourceFromConfig, type RepositorySourceConfig } from './repository-source.js';
+import type { ScraperProgress, ScraperWorkerMessage, ScraperWorkerRequest } from './scraper-worker.js';
 // import type { ReactBitsComponent, ReactBitsCategory } from './types.js';
 
 interface ScraperConfig {
@@ -18,6 +34,21 @@ interface ScraperConfig {
   requestDelay: number;
   retryAttempts: number;
   outputDir: string;
+
+  /**
+   * Where the scraper reads the react-bits repository from; taken from
+   * `REACTBITS_SOURCE` when each run starts if not set
+   */
+  source?: RepositorySourceConfig;
+
+  /** Scraper module the worker runs */
+  scraperPath: string;
+
+  /** Runs still going after this many milliseconds are cancelled */
+  timeout: number;
+
+  /** Heap limit of the scraper process, in megabytes */
+  maxMemoryMb: number;
 }
 
 interface ScraperStats {
@@ -27,14 +58,33 @@ interface ScraperStats {
   failedRuns: number;
   componentsScraped: number;
   lastError?: string;
+
+  /** Progress of the run in progress, if any */
+  progress?: ScraperProgress;
+}
+
+/** Time a cancelled run gets to discard its snapshot before it is killed */
+const CANCEL_GRACE_MS = 10 * 1000;
+
+/**
+ * Worker entry next to this module; under tsx this module and the worker
+ * are both TypeScript sources
+ */
+const WORKER_PATH = fileURLToPath(new URL(`./scraper-worker${path.extname(fileURLToPath(import.meta.url))}`, import.meta.url));
+
+interface ScraperRun {
+  readonly child: ChildProcess;
+
+  /** Why the run is being stopped; null while it runs normally */
+  stopReason: string | null;
+  killTimer?: NodeJS.Timeout;
 }
 
 export class ReactBitsScraperIntegration extends EventEmitter {
   private config: ScraperConfig;
   private stats: ScraperStats;
-  private isRunning = false;
+  private run: ScraperRun | null = null;
   private intervalId?: NodeJS.Timeout;
-  private scraperPath: string;
 
   constructor(config: Partial<ScraperConfig> = {}) {
     super();
@@ -46,6 +96,9 @@ export class ReactBitsScraperIntegration extends EventEmitter {
       requestDelay: 2000,
       retryAttempts: 3,
       outputDir: './production-react-bits-extraction',
+      scraperPath: path.resolve(process.cwd(), 'production-react-bits-scraper.js'),
+      timeout: activeConfig.scraper.timeout,
+      maxMemoryMb: activeConfig.scraper.maxMemoryMb,
       ...config
     };
 
@@ -56,8 +109,6 @@ export class ReactBitsScraperIntegration extends EventEmitter {
       failedRuns: 0,
       componentsScraped: 0
     };
-
-    this.scraperPath = path.resolve(process.cwd(), 'production-react-bits-scraper.js');
   }
 
   /**
@@ -73,13 +124,21 @@ export class ReactBitsScraperIntegration extends EventEmitter {
     
     // Check if scraper file exists
     try {
-      await fs.access(this.scraperPath);
+      await fs.access(this.config.scraperPath);
     } catch (error) {
       console.warn('Production scraper not found, scraper integration disabled');
       this.config.enabled = false;
       return;
     }
 
+    try {
+      this.resolveSource();
+    } catch (error) {
+      console.warn(`Scraper integration disabled: ${error instanceof Error ? error.message : String(error)}`);
+      this.config.enabled = false;
+      return;
+    }
+
     // Start periodic refresh
     this.scheduleNextRefresh();
 
@@ -95,13 +154,14 @@ export class ReactBitsScraperIntegration extends EventEmitter {
   }
 
   /**
-   * Stop the scraper integration service
+   * Stop the scraper integration service, cancelling a run in progress
    */
   stop(): void {
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = undefined as any;
     }
+    this.cancelRefresh('stopped');
     
     this.emit('stopped');
     console.info('ReactBits scraper integration service stopped');
@@ -111,12 +171,11 @@ export class ReactBitsScraperIntegration extends EventEmitter {
    * Manually trigger a data refresh
    */
   async refreshData(): Promise<boolean> {
-    if (this.isRunning) {
+    if (this.run) {
       console.warn('Scraper is already running, skipping refresh');
       return false;
     }
 
-    this.isRunning = true;
     this.stats.totalRuns++;
     this.stats.lastRun = Date.now();
 
@@ -124,25 +183,13 @@ export class ReactBitsScraperIntegration extends EventEmitter {
       console.info('Starting ReactBits data refresh...');
       this.emit('refresh-start');
 
-      // Import and run the production scraper
-      const scraperModule = await import(this.scraperPath);
-      const ProductionReactBitsScraper = scraperModule.default || scraperModule;
-
-      const scraper = new ProductionReactBitsScraper({
-        outputDir: this.config.outputDir,
-        maxConcurrent: this.config.maxConcurrent,
-        requestDelay: this.config.requestDelay,
-        maxRetries: this.config.retryAttempts,
-        includeUtilities: true,
-        extractAllVariants: true
-      });
-
-      const report = await scraper.extract();
+      const report = await this.runScraper();
       
       this.stats.successfulRuns++;
       this.stats.componentsScraped = report.statistics.components.total;
       
-      console.info(`Data refresh completed successfully: ${this.stats.componentsScraped} components extracted`);
+      const { added, modified, removed, unchanged } = report.statistics.changes;
+      console.info(`Data refresh completed successfully: ${this.stats.componentsScraped} components (${added} added, ${modified} modified, ${removed} removed, ${unchanged} unchanged)`);
       this.emit('refresh-success', report);
 
       return true;
@@ -157,10 +204,121 @@ export class ReactBitsScraperIntegration extends EventEmitter {
       return false;
 
     } finally {
-      this.isRunning = false;
+      this.run = null;
+      delete this.stats.progress;
     }
   }
 
+  /**
+   * Cancel the run in progress. The scraper stops at its next component
+   * batch and discards its staged snapshot; one that does not exit within
+   * the grace period is killed.
+   *
+   * @returns Whether a run was cancelled
+   */
+  cancelRefresh(reason = 'cancelled'): boolean {
+    const run = this.run;
+    if (!run || run.stopReason) {
+      return false;
+    }
+
+    run.stopReason = reason;
+    if (run.child.connected) {
+      run.child.send({ type: 'cancel' } satisfies ScraperWorkerRequest);
+    }
+    run.killTimer = setTimeout(() => run.child.kill('SIGKILL'), CANCEL_GRACE_MS);
+    return true;
+  }
+
+  /**
+   * Run the scraper in a child process
+   *
+   * @returns The extraction report
+   * @throws When the run fails, is cancelled or times out, or the process
+   * dies before reporting
+   */
+  private runScraper(): Promise<any> {
+    return new Promise((resolve, reject) => {
+      const source = this.resolveSource();
+      const child = fork(WORKER_PATH, [], {
+        execArgv: [...process.execArgv, `--max-old-space-size=${this.config.maxMemoryMb}`],
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+      });
+      const run: ScraperRun = { child, stopReason: null };
+      this.run = run;
+
+      // The server may speak MCP on stdout, so scraper output goes to stderr
+      for (const stream of [child.stdout, child.stderr]) {
+        createInterface({ input: stream! }).on('line', line => console.error(`[scraper] ${line}`));
+      }
+
+      let outcome: ScraperWorkerMessage | null = null;
+      child.on('message', (message: ScraperWorkerMessage) => {
+        if (message.type === 'progress') {
+          this.stats.progress = message.progress;
+          this.emit('refresh-progress', message.progress);
+        } else {
+          outcome = message;
+        }
+      });
+
+      const timeoutTimer = setTimeout(
+        () => this.cancelRefresh(`timed out after ${this.config.timeout}ms`),
+        this.config.timeout
+      );
+
+      // 'close' fires after the process exited and its IPC and output drained
+      child.on('close', (code, signal) => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(run.killTimer);
+
+        const result = outcome as ScraperWorkerMessage | null;
+        if (run.stopReason) {
+          reject(new Error(`Scraper run ${run.stopReason}`));
+        } else if (result?.type === 'result') {
+          resolve(result.report);
+        } else if (result?.type === 'error') {
+          reject(new Error(result.message));
+        } else {
+          const ending = signal ? `signal ${signal}` : `exit code ${code}`;
+          const memoryHint = signal === 'SIGABRT' || code === 134 ? ` (heap limit ${this.config.maxMemoryMb} MB)` : '';
+          reject(new Error(`Scraper process ended with ${ending}${memoryHint} before reporting a result`));
+        }
+      });
+
+      // Only a process that never started ends here; later failures end in 'close'
+      child.on('error', error => {
+        if (child.pid === undefined) {
+          clearTimeout(timeoutTimer);
+          reject(error);
+        }
+      });
+
+      child.send({
+        type: 'run',
+        scraperPath: this.config.scraperPath,
+        options: {
+          outputDir: this.config.outputDir,
+          maxConcurrent: this.config.maxConcurrent,
+          requestDelay: this.config.requestDelay,
+          maxRetries: this.config.retryAttempts,
+          source,
+          includeUtilities: true,
+          extractAllVariants: true
+        }
+      } satisfies ScraperWorkerRequest);
+    });
+  }
+
+  /**
+   * Repository source of the next run
+   *
+   * @throws When the source comes from an invalid environment configuration
+   */
+  private resolveSource(): RepositorySourceConfig {
+    return this.config.source ?? repositorySourceFromConfig();
+  }
+
   /**
    * Check if data needs refreshing
    */
@@ -173,7 +331,8 @@ export class ReactBitsScraperIntegration extends EventEmitter {
       }
 
       // Check if data is stale
-      const indexPath = path.join(this.config.outputDir, 'component-index.json');
+      const { directory } = await resolveExtractionDirectory(this.config.outputDir);
+      const indexPath = path.join(directory, 'component-index.json');
       const stats = await fs.stat(indexPath);
       const ageMs = Date.now() - stats.mtime.getTime();
       
@@ -190,10 +349,11 @@ export class ReactBitsScraperIntegration extends EventEmitter {
    */
   private async checkExtractionExists(): Promise<boolean> {
     try {
-      const indexPath = path.join(this.config.outputDir, 'component-index.json');
+      const { directory } = await resolveExtractionDirectory(this.config.outputDir);
+      const indexPath = path.join(directory, 'component-index.json');
       await fs.access(indexPath);
       
-      const componentsDir = path.join(this.config.outputDir, 'components');
+      const componentsDir = path.join(directory, 'components');
       await fs.access(componentsDir);
       
       return true;
@@ -247,7 +407,7 @@ export class ReactBitsScraperIntegration extends EventEmitter {
    * Check if scraper is currently running
    */
   isScraperRunning(): boolean {
-    return this.isRunning;
+    return this.run !== null;
   }
 
   /**
@@ -271,5 +431,7 @@ export const defaultScraperIntegration = new ReactBitsScraperIntegration({
   refreshInterval: 24 * 60 * 60 * 1000, // 24 hours
   maxConcurrent: 2,
   requestDelay: 2000, // Be respectful to ReactBits.dev
-  retryAttempts: 3
+  retryAttempts: 3,
+  timeout: activeConfig.scraper.timeout,
+  maxMemoryMb: activeConfig.scraper.maxMemoryMb
 });
\ No newline at end of file
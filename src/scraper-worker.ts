@@ -0,0 +1,93 @@
+/**
+ * ReactBits Scraper Worker
+ *
+ * Child process the scraper integration forks for every refresh, so the
+ * extraction's CPU work, memory and crashes stay out of the server process.
+ * It receives one `run` message over IPC, runs the production scraper and
+ * answers with `progress` messages while it works, then exactly one `result`
+ * carrying the extraction report or one `error`. A `cancel` message stops the
+ * run at the next component, discarding its staged snapshot. The worker ends
+ * itself when the server goes away.
+ */
+
+import { pathToFileURL } from 'url';
+
+// ============================================================================
+// Messages
+// ============================================================================
+
+/**
+ * Where a run is: the phase it is in and, while components are extracted,
+ * how many of them are done
+ */
+export interface ScraperProgress {
+  readonly phase: number;
+  readonly phases: number;
+  readonly title: string;
+  readonly completed?: number;
+  readonly total?: number;
+}
+
+/** Messages the server sends to the worker */
+export type ScraperWorkerRequest =
+  | { readonly type: 'run'; readonly scraperPath: string; readonly options: Record<string, unknown> }
+  | { readonly type: 'cancel' };
+
+/** Messages the worker sends to the server */
+export type ScraperWorkerMessage =
+  | { readonly type: 'progress'; readonly progress: ScraperProgress }
+  | { readonly type: 'result'; readonly report: any }
+  | { readonly type: 'error'; readonly message: string };
+
+interface Scraper {
+  extract(): Promise<any>;
+  cancel?(): void;
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+let started = false;
+let cancelled = false;
+let scraper: Scraper | null = null;
+
+function send(message: ScraperWorkerMessage): Promise<void> {
+  return new Promise(resolve => process.send!(message, () => resolve()));
+}
+
+async function run(scraperPath: string, options: Record<string, unknown>): Promise<void> {
+  try {
+    const scraperModule = await import(pathToFileURL(scraperPath).href);
+    const ProductionReactBitsScraper = scraperModule.default || scraperModule;
+
+    scraper = new ProductionReactBitsScraper({
+      ...options,
+      onProgress: (progress: ScraperProgress) => void send({ type: 'progress', progress })
+    }) as Scraper;
+    if (cancelled) scraper.cancel?.();
+
+    const report = await scraper.extract();
+    await send({ type: 'result', report });
+  } catch (error) {
+    await send({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+  }
+
+  // Keep-alive sockets and timers left by the scraper must not hold the process open
+  process.exit(0);
+}
+
+if (process.send) {
+  process.on('message', (request: ScraperWorkerRequest) => {
+    if (request.type === 'run' && !started) {
+      started = true;
+      void run(request.scraperPath, request.options);
+    } else if (request.type === 'cancel') {
+      cancelled = true;
+      scraper?.cancel?.();
+    }
+  });
+
+  // Orphaned by a server that exited or crashed
+  process.on('disconnect', () => process.exit(1));
+}
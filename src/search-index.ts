@@ -0,0 +1,398 @@
+/**
+ * ReactBits Full-Text Search Index
+ *
+ * Inverted index over the component catalog with BM25F scoring. Documents are
+ * split into weighted fields (name > tags > category > description > source
+ * identifiers); terms are tokenized on case and punctuation boundaries and
+ * reduced with the Porter stemmer so "animation", "animated" and "animate"
+ * all match each other.
+ */
+
+import type { ReactBitsComponent, SearchField, SearchHit } from './types.js';
+
+// ============================================================================
+// Scoring Configuration
+// ============================================================================
+
+/**
+ * Relative weight of a term occurrence in each field
+ */
+export const FIELD_BOOSTS: Readonly<Record<SearchField, number>> = {
+  name: 5.0,
+  tags: 3.0,
+  category: 2.0,
+  description: 1.5,
+  identifiers: 1.0
+};
+
+/** BM25 term frequency saturation */
+const K1 = 1.2;
+
+/** BM25 length normalization strength */
+const B = 0.75;
+
+/** Score multiplier for query terms that only match as a prefix */
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+/** Shortest query term that is expanded to prefix matches */
+const MIN_PREFIX_LENGTH = 3;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'const',
+  'return', 'import', 'export', 'default', 'function', 'let', 'var', 'new',
+  'null', 'undefined', 'true', 'false', 'props', 'react'
+]);
+
+// ============================================================================
+// Tokenization and Stemming
+// ============================================================================
+
+/**
+ * Split text into lowercase terms on camelCase, digit and punctuation
+ * boundaries, dropping stop words and single characters
+ */
+export function tokenize(text: string): string[] {
+  if (!text) return [];
+
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Tokenize and stem text into index terms
+ */
+export function analyze(text: string): string[] {
+  return tokenize(text).map(stem);
+}
+
+const STEP2_SUFFIXES: ReadonlyArray<[string, string]> = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES: ReadonlyArray<[string, string]> = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function isConsonant(word: string, i: number): boolean {
+  const ch = word[i];
+  if ('aeiou'.includes(ch)) return false;
+  if (ch === 'y') return i === 0 ? true : !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * Number of vowel-consonant sequences in the stem (Porter's m)
+ */
+function measure(stem: string): number {
+  let count = 0;
+  let i = 0;
+  const length = stem.length;
+
+  while (i < length && isConsonant(stem, i)) i++;
+  while (i < length) {
+    while (i < length && !isConsonant(stem, i)) i++;
+    if (i >= length) break;
+    while (i < length && isConsonant(stem, i)) i++;
+    count++;
+  }
+
+  return count;
+}
+
+function hasVowel(stem: string): boolean {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word: string): boolean {
+  const length = word.length;
+  return length >= 2 &&
+    word[length - 1] === word[length - 2] &&
+    isConsonant(word, length - 1);
+}
+
+function endsWithCvc(word: string): boolean {
+  const length = word.length;
+  if (length < 3) return false;
+  const last = word[length - 1];
+  return isConsonant(word, length - 3) &&
+    !isConsonant(word, length - 2) &&
+    isConsonant(word, length - 1) &&
+    !'wxy'.includes(last);
+}
+
+function replaceSuffix(
+  word: string,
+  suffixes: ReadonlyArray<[string, string]>,
+  minMeasure: number
+): string {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stemPart = word.slice(0, -suffix.length);
+      return measure(stemPart) > minMeasure ? stemPart + replacement : word;
+    }
+  }
+  return word;
+}
+
+/**
+ * Porter stemmer (M.F. Porter, 1980)
+ */
+export function stem(term: string): string {
+  if (term.length <= 2 || /\d/.test(term)) {
+    return term;
+  }
+
+  let word = term;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (word.endsWith('ss')) { /* keep */ }
+  else if (word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: past tense and gerunds
+  let step1bExtra = false;
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    word = word.slice(0, -2);
+    step1bExtra = true;
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    word = word.slice(0, -3);
+    step1bExtra = true;
+  }
+
+  if (step1bExtra) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsWithCvc(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: terminal y
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: derivational suffixes
+  word = replaceSuffix(word, STEP2_SUFFIXES, 0);
+  word = replaceSuffix(word, STEP3_SUFFIXES, 0);
+
+  // Step 4: remove remaining suffixes on long stems
+  for (const suffix of STEP4_SUFFIXES) {
+    if (word.endsWith(suffix)) {
+      const stemPart = word.slice(0, -suffix.length);
+      if (measure(stemPart) > 1) {
+        if (suffix !== 'ion' || /[st]$/.test(stemPart)) {
+          word = stemPart;
+        }
+      }
+      break;
+    }
+  }
+
+  // Step 5: tidy terminal e and double l
+  if (word.endsWith('e')) {
+    const stemPart = word.slice(0, -1);
+    const m = measure(stemPart);
+    if (m > 1 || (m === 1 && !endsWithCvc(stemPart))) {
+      word = stemPart;
+    }
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+// ============================================================================
+// Inverted Index
+// ============================================================================
+
+interface Posting {
+  readonly docIndex: number;
+  readonly frequencies: Partial<Record<SearchField, number>>;
+}
+
+const SEARCH_FIELDS = Object.keys(FIELD_BOOSTS) as SearchField[];
+
+/**
+ * Extract the field texts that are indexed for a component
+ */
+function getFieldTexts(component: ReactBitsComponent): Record<SearchField, string> {
+  return {
+    name: component.name,
+    tags: component.tags.join(' '),
+    category: component.category,
+    description: component.description,
+    identifiers: extractSourceIdentifiers(component.fullCode || component.codePreview)
+  };
+}
+
+/**
+ * Collect identifiers worth searching from component source: declared and
+ * imported names, hook calls and JSX element names
+ */
+function extractSourceIdentifiers(sourceCode: string): string {
+  const identifiers: string[] = [];
+  const patterns = [
+    /(?:const|let|var|function|class)\s+([A-Za-z_$][\w$]*)/g,
+    /import\s+([A-Za-z_$][\w$]*)/g,
+    /import\s*{([^}]*)}/g,
+    /\b(use[A-Z][\w$]*)\s*\(/g,
+    /<([A-Z][\w.]*)/g
+  ];
+
+  for (const pattern of patterns) {
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(sourceCode)) !== null) {
+      identifiers.push(match[1]);
+    }
+  }
+
+  return identifiers.join(' ');
+}
+
+export class SearchIndex {
+  private readonly documents: readonly ReactBitsComponent[];
+  private readonly postings = new Map<string, Posting[]>();
+  private readonly fieldLengths: Array<Record<SearchField, number>> = [];
+  private readonly averageFieldLengths = {} as Record<SearchField, number>;
+  private readonly sortedTerms: string[];
+
+  constructor(components: readonly ReactBitsComponent[]) {
+    this.documents = components;
+
+    components.forEach((component, docIndex) => {
+      const texts = getFieldTexts(component);
+      const lengths = {} as Record<SearchField, number>;
+      const frequencies = new Map<string, Partial<Record<SearchField, number>>>();
+
+      for (const field of SEARCH_FIELDS) {
+        const terms = analyze(texts[field]);
+        lengths[field] = terms.length;
+
+        for (const term of terms) {
+          const termFrequencies = frequencies.get(term) || {};
+          termFrequencies[field] = (termFrequencies[field] || 0) + 1;
+          frequencies.set(term, termFrequencies);
+        }
+      }
+
+      this.fieldLengths.push(lengths);
+
+      for (const [term, termFrequencies] of frequencies) {
+        const list = this.postings.get(term) || [];
+        list.push({ docIndex, frequencies: termFrequencies });
+        this.postings.set(term, list);
+      }
+    });
+
+    for (const field of SEARCH_FIELDS) {
+      const total = this.fieldLengths.reduce((sum, lengths) => sum + lengths[field], 0);
+      this.averageFieldLengths[field] = components.length > 0 ? total / components.length || 1 : 1;
+    }
+
+    this.sortedTerms = [...this.postings.keys()].sort();
+  }
+
+  get size(): number {
+    return this.documents.length;
+  }
+
+  /**
+   * Rank every component matching at least one query term
+   */
+  search(query: string): SearchHit[] {
+    const queryTerms = [...new Set(analyze(query))];
+    const scores = new Map<number, { score: number; fields: Set<SearchField> }>();
+
+    for (const queryTerm of queryTerms) {
+      for (const [term, weight] of this.expandTerm(queryTerm)) {
+        const postings = this.postings.get(term) || [];
+        const idf = this.inverseDocumentFrequency(postings.length);
+
+        for (const posting of postings) {
+          const entry = scores.get(posting.docIndex) || { score: 0, fields: new Set<SearchField>() };
+          let weightedFrequency = 0;
+
+          for (const field of SEARCH_FIELDS) {
+            const frequency = posting.frequencies[field];
+            if (!frequency) continue;
+
+            const lengthNorm = 1 - B + B * (this.fieldLengths[posting.docIndex][field] / this.averageFieldLengths[field]);
+            weightedFrequency += FIELD_BOOSTS[field] * frequency / lengthNorm;
+            entry.fields.add(field);
+          }
+
+          entry.score += weight * idf * (weightedFrequency * (K1 + 1)) / (weightedFrequency + K1);
+          scores.set(posting.docIndex, entry);
+        }
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([docIndex, { score, fields }]) => ({
+        component: this.documents[docIndex],
+        score,
+        matchedFields: SEARCH_FIELDS.filter(field => fields.has(field))
+      }))
+      .sort((a, b) => b.score - a.score || a.component.name.localeCompare(b.component.name));
+  }
+
+  /**
+   * Map a query term to index terms: the exact term plus, for longer terms,
+   * every indexed term it is a prefix of at a reduced weight
+   */
+  private expandTerm(queryTerm: string): Array<[string, number]> {
+    const expansions: Array<[string, number]> = [];
+    if (this.postings.has(queryTerm)) {
+      expansions.push([queryTerm, 1]);
+    }
+
+    if (queryTerm.length >= MIN_PREFIX_LENGTH) {
+      let low = 0;
+      let high = this.sortedTerms.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (this.sortedTerms[mid] < queryTerm) low = mid + 1;
+        else high = mid;
+      }
+
+      for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(queryTerm); i++) {
+        if (this.sortedTerms[i] !== queryTerm) {
+          expansions.push([this.sortedTerms[i], PREFIX_MATCH_WEIGHT]);
+        }
+      }
+    }
+
+    return expansions;
+  }
+
+  private inverseDocumentFrequency(documentFrequency: number): number {
+    const total = this.documents.length;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+}
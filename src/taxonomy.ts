@@ -0,0 +1,369 @@
+/**
+ * ReactBits Category Taxonomy
+ *
+ * Categories, their subcategories, aliases, icons and descriptions are
+ * defined in a JSON taxonomy file (`reactbits-taxonomy.json`, or the file
+ * named by `REACTBITS_TAXONOMY`) together with the rules that place extracted
+ * files in them. The scraper applies the rules when it saves a record; the
+ * catalog loader applies them again, so records saved with older categories
+ * (`nimations`, `eedback`) land where the taxonomy says through the aliases.
+ * Each entry also lists the components ReactBits is expected to publish in
+ * it, which the coverage report compares the extraction against.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { activeConfig } from './config.js';
+import type { ReactBitsCategory, ReactBitsComponent } from './types.js';
+import { ReactBitsErrorCode } from './types.js';
+import { createReactBitsError, isPlainObject } from './utils.js';
+
+// ============================================================================
+// Taxonomy Types
+// ============================================================================
+
+export interface TaxonomySubcategory {
+  readonly id: string;
+  readonly name: string;
+  readonly description: string;
+
+  /** Other identifiers that resolve to this entry, such as legacy category IDs */
+  readonly aliases: readonly string[];
+
+  /** Slugs of the components ReactBits publishes here, checked by the coverage report */
+  readonly components: readonly string[];
+}
+
+export interface TaxonomyCategory extends TaxonomySubcategory {
+  readonly icon: string;
+  readonly subcategories: readonly TaxonomySubcategory[];
+}
+
+/**
+ * Places files whose path and component name match in a category; every
+ * given pattern has to match
+ */
+export interface TaxonomyRule {
+  /** Tested against the repository path of the file */
+  readonly path?: RegExp;
+
+  /** Tested, case-insensitively, against the component name */
+  readonly name?: RegExp;
+  readonly category: string;
+  readonly subcategory?: string;
+}
+
+/**
+ * Where a file or reference lands in the taxonomy
+ */
+export interface CategoryPlacement {
+  readonly category: string;
+  readonly subcategory?: string;
+}
+
+/**
+ * Component the taxonomy expects ReactBits to publish, and where
+ */
+export interface ExpectedComponent extends CategoryPlacement {
+  readonly slug: string;
+}
+
+/**
+ * File being placed: its repository path, component name and, for saved
+ * records, the category and subcategory they were saved with
+ */
+export interface CategorizedFile {
+  readonly path: string;
+  readonly name: string;
+  readonly category?: string;
+  readonly subcategory?: string;
+}
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// ============================================================================
+// Category Taxonomy
+// ============================================================================
+
+export class CategoryTaxonomy {
+  private readonly references = new Map<string, CategoryPlacement>();
+
+  constructor(
+    readonly categories: readonly TaxonomyCategory[],
+    readonly rules: readonly TaxonomyRule[],
+    readonly defaultCategory: string
+  ) {
+    for (const category of categories) {
+      for (const reference of [category.id, ...category.aliases]) {
+        this.references.set(reference, { category: category.id });
+      }
+      for (const subcategory of category.subcategories) {
+        for (const alias of subcategory.aliases) {
+          this.references.set(alias, { category: category.id, subcategory: subcategory.id });
+        }
+      }
+    }
+  }
+
+  getCategory(id: string): TaxonomyCategory | null {
+    return this.categories.find(category => category.id === id) || null;
+  }
+
+  /**
+   * Resolve a category ID or alias; subcategory aliases resolve to their
+   * parent and the subcategory
+   */
+  resolve(reference: string): CategoryPlacement | null {
+    return this.references.get(reference.trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Place a file: the first matching rule wins, then the category (and
+   * subcategory) the record was saved with, then the default category
+   */
+  classify(file: CategorizedFile): CategoryPlacement {
+    const rule = this.rules.find(candidate =>
+      (!candidate.path || candidate.path.test(file.path)) &&
+      (!candidate.name || candidate.name.test(file.name))
+    );
+    if (rule) {
+      return { category: rule.category, ...(rule.subcategory ? { subcategory: rule.subcategory } : {}) };
+    }
+
+    const saved = file.category ? this.resolve(file.category) : null;
+    if (!saved) {
+      return { category: this.defaultCategory };
+    }
+    if (!saved.subcategory && file.subcategory &&
+      this.getCategory(saved.category)?.subcategories.some(subcategory => subcategory.id === file.subcategory)) {
+      return { category: saved.category, subcategory: file.subcategory };
+    }
+    return saved;
+  }
+
+  /**
+   * Every component the taxonomy expects, in taxonomy order
+   */
+  expectedComponents(): ExpectedComponent[] {
+    return this.categories.flatMap(category => [
+      ...category.components.map(slug => ({ slug, category: category.id })),
+      ...category.subcategories.flatMap(subcategory =>
+        subcategory.components.map(slug => ({ slug, category: category.id, subcategory: subcategory.id }))
+      )
+    ]);
+  }
+
+  /**
+   * Every category and subcategory with the number of components placed in
+   * it, in taxonomy order; subcategories carry their `parentId`
+   */
+  buildCategories(components: readonly ReactBitsComponent[]): ReactBitsCategory[] {
+    const counts = new Map<string, number>();
+    for (const component of components) {
+      counts.set(component.category, (counts.get(component.category) || 0) + 1);
+      if (component.subcategory) {
+        const key = `${component.category}/${component.subcategory}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+
+    return this.categories.flatMap((category, index) => [
+      {
+        id: category.id,
+        name: category.name,
+        description: category.description,
+        componentCount: counts.get(category.id) || 0,
+        subcategories: category.subcategories.map(subcategory => subcategory.id),
+        aliases: category.aliases,
+        priority: index + 1,
+        icon: category.icon
+      },
+      ...category.subcategories.map((subcategory, subIndex) => ({
+        id: subcategory.id,
+        name: subcategory.name,
+        description: subcategory.description,
+        componentCount: counts.get(`${category.id}/${subcategory.id}`) || 0,
+        subcategories: [],
+        aliases: subcategory.aliases,
+        parentId: category.id,
+        priority: subIndex + 1,
+        icon: category.icon
+      }))
+    ]);
+  }
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+function taxonomyError(filePath: string, message: string): Error {
+  return createReactBitsError(
+    `Invalid taxonomy ${filePath}: ${message}`,
+    ReactBitsErrorCode.VALIDATION_ERROR,
+    { path: filePath }
+  );
+}
+
+function readString(filePath: string, field: string, value: unknown, fallback?: string): string {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw taxonomyError(filePath, `${field} must be a non-empty string`);
+  }
+  return value;
+}
+
+function readId(filePath: string, field: string, value: unknown): string {
+  const id = readString(filePath, field, value);
+  if (!ID_PATTERN.test(id)) {
+    throw taxonomyError(filePath, `${field} must be lowercase letters, digits and dashes`);
+  }
+  return id;
+}
+
+function readIds(filePath: string, field: string, value: unknown): string[] {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw taxonomyError(filePath, `${field} must be an array of IDs`);
+  }
+  return value.map((id, index) => readId(filePath, `${field}[${index}]`, id));
+}
+
+function readPattern(filePath: string, field: string, value: unknown, flags = ''): RegExp | undefined {
+  if (value === undefined) return undefined;
+  const source = readString(filePath, field, value);
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw taxonomyError(filePath, `${field} is not a valid pattern: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+function readSubcategory(filePath: string, field: string, value: unknown): TaxonomySubcategory {
+  if (!isPlainObject(value)) {
+    throw taxonomyError(filePath, `${field} must be an object`);
+  }
+  const id = readId(filePath, `${field}.id`, value.id);
+  return {
+    id,
+    name: readString(filePath, `${field}.name`, value.name),
+    description: readString(filePath, `${field}.description`, value.description, `Components in the ${id} category`),
+    aliases: readIds(filePath, `${field}.aliases`, value.aliases),
+    components: readIds(filePath, `${field}.components`, value.components)
+  };
+}
+
+function readCategory(filePath: string, field: string, value: unknown): TaxonomyCategory {
+  const category = readSubcategory(filePath, field, value);
+  const { icon, subcategories } = value as Record<string, unknown>;
+  if (subcategories !== undefined && !Array.isArray(subcategories)) {
+    throw taxonomyError(filePath, `${field}.subcategories must be an array`);
+  }
+
+  return {
+    ...category,
+    icon: readString(filePath, `${field}.icon`, icon, '📦'),
+    subcategories: (subcategories || []).map((subcategory, index) =>
+      readSubcategory(filePath, `${field}.subcategories[${index}]`, subcategory)
+    )
+  };
+}
+
+function readRule(
+  filePath: string,
+  field: string,
+  value: unknown,
+  categories: readonly TaxonomyCategory[]
+): TaxonomyRule {
+  if (!isPlainObject(value)) {
+    throw taxonomyError(filePath, `${field} must be an object`);
+  }
+
+  const category = categories.find(candidate => candidate.id === value.category);
+  if (!category) {
+    throw taxonomyError(filePath, `${field}.category must be a category defined in the taxonomy`);
+  }
+  if (value.subcategory !== undefined && !category.subcategories.some(subcategory => subcategory.id === value.subcategory)) {
+    throw taxonomyError(filePath, `${field}.subcategory must be a subcategory of ${category.id}`);
+  }
+
+  const pathPattern = readPattern(filePath, `${field}.path`, value.path);
+  const namePattern = readPattern(filePath, `${field}.name`, value.name, 'i');
+  return {
+    ...(pathPattern && { path: pathPattern }),
+    ...(namePattern && { name: namePattern }),
+    category: category.id,
+    ...(value.subcategory !== undefined && { subcategory: value.subcategory as string })
+  };
+}
+
+/**
+ * Check that no identifier resolves to two places: category IDs and aliases
+ * share one namespace with subcategory aliases, subcategory IDs are unique
+ * within their category, and each expected component is listed once
+ */
+function checkUniqueReferences(filePath: string, categories: readonly TaxonomyCategory[]): void {
+  const seen = new Set<string>();
+  const claim = (reference: string) => {
+    if (seen.has(reference)) {
+      throw taxonomyError(filePath, `'${reference}' is defined more than once`);
+    }
+    seen.add(reference);
+  };
+
+  for (const category of categories) {
+    [category.id, ...category.aliases].forEach(claim);
+    category.subcategories.flatMap(subcategory => subcategory.aliases).forEach(claim);
+
+    const subcategoryIds = category.subcategories.map(subcategory => subcategory.id);
+    const duplicate = subcategoryIds.find((id, index) => subcategoryIds.indexOf(id) !== index);
+    if (duplicate) {
+      throw taxonomyError(filePath, `subcategory '${duplicate}' is defined more than once in ${category.id}`);
+    }
+  }
+
+  const expected = new Set<string>();
+  for (const slug of categories.flatMap(category => [
+    ...category.components,
+    ...category.subcategories.flatMap(subcategory => subcategory.components)
+  ])) {
+    if (expected.has(slug)) {
+      throw taxonomyError(filePath, `component '${slug}' is expected more than once`);
+    }
+    expected.add(slug);
+  }
+}
+
+/**
+ * Load and validate a taxonomy file
+ */
+export function loadTaxonomy(taxonomyPath = activeConfig.catalog.taxonomyPath): CategoryTaxonomy {
+  const filePath = path.resolve(process.cwd(), taxonomyPath);
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw taxonomyError(filePath, error instanceof Error ? error.message : String(error));
+  }
+  if (!isPlainObject(raw)) {
+    throw taxonomyError(filePath, 'expected a JSON object');
+  }
+
+  if (!Array.isArray(raw.categories) || raw.categories.length === 0) {
+    throw taxonomyError(filePath, 'categories must be a non-empty array');
+  }
+  const categories = raw.categories.map((category, index) => readCategory(filePath, `categories[${index}]`, category));
+  checkUniqueReferences(filePath, categories);
+
+  if (raw.rules !== undefined && !Array.isArray(raw.rules)) {
+    throw taxonomyError(filePath, 'rules must be an array');
+  }
+  const rules = (raw.rules || []).map((rule, index) => readRule(filePath, `rules[${index}]`, rule, categories));
+
+  const defaultCategory = readId(filePath, 'defaultCategory', raw.defaultCategory);
+  if (!categories.some(category => category.id === defaultCategory)) {
+    throw taxonomyError(filePath, 'defaultCategory must be a category defined in the taxonomy');
+  }
+
+  return new CategoryTaxonomy(categories, rules, defaultCategory);
+}
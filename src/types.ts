@@ -59,7 +59,7 @@ export interface ToolExample {
 }
 
 /**
- * MCP Resource definition for future extensibility
+ * MCP Resource definition
  */
 export interface MCPResource {
   readonly uri: string;
@@ -71,6 +71,16 @@ export interface MCPResource {
   readonly metadata?: Record<string, unknown>;
 }
 
+/**
+ * MCP Resource template (RFC 6570 URI template) definition
+ */
+export interface MCPResourceTemplate {
+  readonly uriTemplate: string;
+  readonly name: string;
+  readonly description?: string;
+  readonly mimeType?: string;
+}
+
 /**
  * MCP Prompt template definition
  */
@@ -133,6 +143,9 @@ export interface ReactBitsComponent {
   /** Unique identifier for the component */
   readonly id: string;
   
+  /** Namespace of the library the component comes from */
+  readonly namespace?: string;
+  
   /** Human-readable component name */
   readonly name: string;
   
@@ -142,6 +155,9 @@ export interface ReactBitsComponent {
   /** Component category identifier */
   readonly category: string;
   
+  /** Subcategory identifier within the category */
+  readonly subcategory?: string;
+  
   /** Array of searchable tags */
   readonly tags: readonly string[];
   
@@ -165,14 +181,84 @@ export interface ReactBitsComponent {
   
   /** Component props documentation */
   readonly props?: readonly ComponentProp[];
+
+  /** Whether props beyond `props` are passed through to a child element */
+  readonly forwardsRestProps?: boolean;
   
   /** Component usage examples */
   readonly examples?: readonly ComponentExample[];
   
   /** Associated CSS/styling requirements */
   readonly styling?: ComponentStyling;
+  
+  /** Path of the component source file in the upstream repository */
+  readonly sourcePath?: string;
+
+  /** Local files the source imports, resolved against the upstream repository */
+  readonly localImports?: readonly LocalImport[];
+
+  /** Stylesheets the source imports, captured alongside it */
+  readonly stylesheets?: readonly ComponentStylesheet[];
+
+  /** Variant whose source, dependencies and props this object carries */
+  readonly variant?: ComponentVariant;
+
+  /** Every variant of the component, including this one */
+  readonly variants?: readonly ComponentVariantSource[];
+
+  /** What the extracted file is; entries without a kind are components */
+  readonly kind?: ComponentKind;
 }
 
+/**
+ * What an extracted file is: part of the component library (a component,
+ * hook, utility or context provider) or of the upstream docs site around it
+ * (a demo, a build config or an application entry point)
+ */
+export type ComponentKind = 'component' | 'hook' | 'utility' | 'context' | 'demo' | 'config' | 'entry';
+
+/**
+ * Language and styling flavor of a component source: JavaScript or
+ * TypeScript, plain CSS or Tailwind
+ */
+export type ComponentVariant = 'js-css' | 'js-tailwind' | 'ts-css' | 'ts-tailwind';
+
+/**
+ * Variant-specific part of a component: the fields that differ between the
+ * JS, TS, CSS and Tailwind versions of the same component
+ */
+export type ComponentVariantSource = Pick<
+  ReactBitsComponent,
+  | 'sourcePath'
+  | 'fullCode'
+  | 'codePreview'
+  | 'dependencies'
+  | 'props'
+  | 'forwardsRestProps'
+  | 'localImports'
+  | 'stylesheets'
+  | 'styling'
+> & {
+  readonly variant: ComponentVariant;
+};
+
+/**
+ * Candidate returned when a component reference does not resolve exactly
+ */
+export interface ComponentSuggestion {
+  readonly id: string;
+  readonly name: string;
+  
+  /** Similarity to the requested reference in [0, 1] */
+  readonly score: number;
+}
+
+/**
+ * Where the served catalog was loaded from. `mock` is only used when the
+ * extraction cannot be read and mock fallback is enabled.
+ */
+export type CatalogSource = 'extraction' | 'mock' | 'empty';
+
 /**
  * Component difficulty levels
  */
@@ -203,10 +289,21 @@ export interface ComponentExample {
  */
 export interface ComponentStyling {
   readonly framework?: 'tailwind' | 'css-modules' | 'styled-components' | 'emotion';
+
+  /** Contents of the component's stylesheets, in import order */
   readonly customCSS?: string;
   readonly variables?: Record<string, string>;
 }
 
+/**
+ * Stylesheet imported by a component source file
+ */
+export interface ComponentStylesheet {
+  /** Path in the upstream repository */
+  readonly path: string;
+  readonly content: string;
+}
+
 /**
  * Represents a component category with metadata
  * 
@@ -234,6 +331,12 @@ export interface ReactBitsCategory {
   
   /** Category icon or emoji identifier */
   readonly icon?: string;
+  
+  /** Other identifiers that resolve to this category */
+  readonly aliases?: readonly string[];
+  
+  /** Category a subcategory belongs to; unset for top-level categories */
+  readonly parentId?: string;
 }
 
 /**
@@ -264,16 +367,48 @@ export interface SearchFilters {
   /** Filter by required dependencies */
   dependencies?: readonly string[];
   
+  /** Only components available in this variant */
+  variant?: ComponentVariant;
+  
+  /** Only entries of this kind; without it, docs-site files are left out */
+  kind?: ComponentKind;
+  
+  /** Only components from the library with this namespace */
+  namespace?: string;
+  
   /** Filter by last updated date range */
   updatedAfter?: string;
   
-  /** Sort order preference */
-  sortBy?: 'name' | 'updated' | 'difficulty' | 'category';
+  /** Sort order preference; defaults to relevance for text queries */
+  sortBy?: SearchSortField;
   
   /** Sort direction */
   sortOrder?: 'asc' | 'desc';
 }
 
+/**
+ * Fields search results can be ordered by
+ */
+export type SearchSortField = 'relevance' | 'name' | 'updated' | 'difficulty' | 'category';
+
+/**
+ * Component fields indexed for full-text search, in descending boost order
+ */
+export type SearchField = 'name' | 'tags' | 'category' | 'description' | 'identifiers';
+
+/**
+ * A ranked full-text search match
+ */
+export interface SearchHit {
+  readonly component: ReactBitsComponent;
+
+  /** BM25F relevance score; higher is more relevant */
+  readonly score: number;
+
+  /** Fields the query terms matched in */
+  readonly matchedFields: readonly SearchField[];
+}
+
 /**
  * Standardized MCP tool response format
  * 
@@ -325,10 +460,51 @@ export interface ToolResponseMetadata {
   /** Request ID for tracing */
   readonly requestId?: string;
   
+  /** Catalog the response was served from */
+  readonly dataSource?: CatalogSource;
+  
+  /**
+   * Recovery hints for failed operations; component lookups return the
+   * closest matching IDs with similarity scores
+   */
+  readonly suggestions?: readonly ComponentSuggestion[] | readonly string[];
+  
+  /** Caller's remaining request quota after this call */
+  readonly quota?: QuotaStatus;
+  
   /** Additional context information */
   readonly context?: Record<string, unknown>;
 }
 
+/**
+ * Request quota of the calling client for the current window
+ */
+export interface QuotaStatus {
+  /** Client the call was charged to (`key:<name>`, `session:<id>` or `local`) */
+  readonly client: string;
+  
+  /** Cost units charged for this call */
+  readonly cost: number;
+  
+  /** Budget per window, in cost units */
+  readonly limit: number;
+  readonly remaining: number;
+  
+  /**
+   * Milliseconds until the oldest charge leaves the window; for a denied
+   * call, until enough charges leave it for the call to be allowed
+   */
+  readonly resetMs: number;
+  readonly windowMs: number;
+  
+  /** Budget of the called tool, when the client's policy sets one */
+  readonly tool?: {
+    readonly name: string;
+    readonly limit: number;
+    readonly remaining: number;
+  };
+}
+
 /**
  * Enhanced MCP-compliant error response with detailed context
  */
@@ -355,6 +531,7 @@ export interface RequestContext {
   readonly userId?: string;
   readonly sessionId?: string;
   readonly metadata?: Record<string, unknown>;
+  readonly quota?: QuotaStatus;
 }
 
 /**
@@ -424,6 +601,104 @@ export interface CategoryInfo {
   description?: string;
 }
 
+// ============================================================================
+// Extraction Record Types
+// ============================================================================
+
+/**
+ * Catalog storage backend identifiers
+ */
+export type CatalogStoreKind = 'filesystem' | 'sqlite' | 'memory';
+
+/**
+ * Transport the MCP server listens on
+ */
+export type TransportKind = 'stdio' | 'http';
+
+/**
+ * JSX element used by a component and how often
+ */
+export interface JsxElementUsage {
+  readonly name: string;
+  readonly count: number;
+}
+
+/**
+ * Import statement recorded by the scraper analysis
+ */
+export interface ExtractedImport {
+  readonly statement: string;
+  readonly from: string;
+  readonly isExternal: boolean;
+}
+
+/**
+ * Kind of file a local import loads
+ */
+export type LocalImportKind = 'module' | 'stylesheet' | 'asset';
+
+/**
+ * Local import of a component source resolved against the upstream repository
+ */
+export interface LocalImport {
+  /** Specifier as written in the source */
+  readonly specifier: string;
+
+  /** Repository path of the imported file, or null when no file matched */
+  readonly path: string | null;
+  readonly kind: LocalImportKind;
+}
+
+/**
+ * One component as written by the scraper's `saveComponent()`
+ */
+export interface ExtractedComponentRecord {
+  readonly metadata: {
+    /** Namespace of the source the record came from; the default namespace when absent */
+    readonly namespace?: string;
+    readonly name: string;
+    readonly category: string;
+    readonly subcategory?: string;
+    readonly variant?: string;
+    readonly priority?: number;
+    readonly extractedAt?: string;
+  };
+  readonly source: {
+    readonly filePath: string;
+    readonly sourceCode: string;
+    readonly fileSize?: number;
+    readonly stylesheets?: ReadonlyArray<{
+      readonly filePath: string;
+      readonly sourceCode: string;
+      readonly fileSize?: number;
+    }>;
+  };
+  readonly analysis: {
+    readonly dependencies?: readonly string[];
+    readonly exports?: readonly string[];
+    readonly imports?: readonly ExtractedImport[];
+    readonly hooks?: readonly string[];
+    readonly features?: readonly string[];
+    readonly complexity?: {
+      readonly level: 'simple' | 'moderate' | 'complex';
+      readonly score: number;
+      readonly metrics?: Record<string, number>;
+    };
+    readonly stylingApproach?: readonly string[];
+    readonly hasAnimation?: boolean;
+    readonly jsxElements?: readonly JsxElementUsage[];
+    readonly localImports?: readonly LocalImport[];
+    readonly kind?: string;
+  };
+  readonly types: {
+    readonly definitions?: readonly string[];
+    readonly propsInterface?: ReadonlyArray<{
+      readonly name: string;
+      readonly properties: readonly string[];
+    }>;
+  };
+}
+
 // ============================================================================
 // Server Configuration Types
 // ============================================================================
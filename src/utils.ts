@@ -6,6 +6,10 @@ import {
   ToolResponse,
   ToolResponseMetadata,
   ComponentDifficulty,
+  CatalogSource,
+  QuotaStatus,
+  SearchHit,
+  SearchSortField,
   ValidationResult,
   ValidationError,
   ValidationWarning,
@@ -15,6 +19,8 @@ import {
   JSONSchema
 } from './types.js';
 import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { COMPONENT_VARIANTS, isComponentVariant } from './variants.js';
+import { COMPONENT_KINDS, isComponentKind } from './component-kinds.js';
 
 /**
  * Enhanced ReactBits MCP Server Utilities
@@ -618,6 +624,62 @@ export function validateComponentId(id: unknown): string {
   return validateInput(id, validator);
 }
 
+/**
+ * Validate a component reference for lookup: an ID, display name or source
+ * file path. Control characters are rejected; resolution happens in the catalog.
+ */
+export function validateComponentReference(reference: unknown): string {
+  const validator = (input: unknown): ValidationResult<string> => {
+    const errors: ValidationError[] = [];
+    
+    if (input == null) {
+      errors.push({
+        field: 'id',
+        message: 'Component ID is required',
+        code: 'REQUIRED',
+        value: input
+      });
+    } else if (typeof input !== 'string') {
+      errors.push({
+        field: 'id',
+        message: 'Component ID must be a string',
+        code: 'INVALID_TYPE',
+        value: input
+      });
+    } else {
+      const trimmed = input.trim();
+      if (trimmed.length === 0) {
+        errors.push({
+          field: 'id',
+          message: 'Component ID cannot be empty',
+          code: 'EMPTY_VALUE',
+          value: input
+        });
+      } else if (trimmed.length > 200) {
+        errors.push({
+          field: 'id',
+          message: 'Component reference cannot exceed 200 characters',
+          code: 'TOO_LONG',
+          value: input
+        });
+      } else if (/[\x00-\x1f\x7f]/.test(trimmed)) {
+        errors.push({
+          field: 'id',
+          message: 'Component reference cannot contain control characters',
+          code: 'INVALID_FORMAT',
+          value: input
+        });
+      } else {
+        return { valid: true, data: trimmed, errors: [] };
+      }
+    }
+    
+    return { valid: false, errors };
+  };
+  
+  return validateInput(reference, validator);
+}
+
 /**
  * Validate search query with enhanced checks
  */
@@ -839,6 +901,76 @@ export function validateSearchFilters(filters: unknown): SearchFilters {
       result.hasDemo = Boolean(inputObj.hasDemo);
     }
     
+    // Validate variant
+    if (inputObj.variant !== undefined) {
+      if (isComponentVariant(inputObj.variant)) {
+        result.variant = inputObj.variant;
+      } else {
+        errors.push({
+          field: 'filters.variant',
+          message: `Variant must be one of: ${COMPONENT_VARIANTS.join(', ')}`,
+          code: 'INVALID_VALUE',
+          value: inputObj.variant
+        });
+      }
+    }
+    
+    // Validate kind
+    if (inputObj.kind !== undefined) {
+      if (isComponentKind(inputObj.kind)) {
+        result.kind = inputObj.kind;
+      } else {
+        errors.push({
+          field: 'filters.kind',
+          message: `Kind must be one of: ${COMPONENT_KINDS.join(', ')}`,
+          code: 'INVALID_VALUE',
+          value: inputObj.kind
+        });
+      }
+    }
+    
+    // Validate namespace
+    if (inputObj.namespace !== undefined) {
+      if (typeof inputObj.namespace === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(inputObj.namespace)) {
+        result.namespace = inputObj.namespace;
+      } else {
+        errors.push({
+          field: 'filters.namespace',
+          message: 'Namespace must be lowercase letters, digits and dashes',
+          code: 'INVALID_FORMAT',
+          value: inputObj.namespace
+        });
+      }
+    }
+    
+    // Validate sorting
+    if (inputObj.sortBy !== undefined) {
+      const validSortFields: SearchSortField[] = ['relevance', 'name', 'updated', 'difficulty', 'category'];
+      if (validSortFields.includes(inputObj.sortBy as SearchSortField)) {
+        result.sortBy = inputObj.sortBy as SearchSortField;
+      } else {
+        errors.push({
+          field: 'filters.sortBy',
+          message: `Sort field must be one of: ${validSortFields.join(', ')}`,
+          code: 'INVALID_VALUE',
+          value: inputObj.sortBy
+        });
+      }
+    }
+    
+    if (inputObj.sortOrder !== undefined) {
+      if (inputObj.sortOrder === 'asc' || inputObj.sortOrder === 'desc') {
+        result.sortOrder = inputObj.sortOrder;
+      } else {
+        errors.push({
+          field: 'filters.sortOrder',
+          message: 'Sort order must be one of: asc, desc',
+          code: 'INVALID_VALUE',
+          value: inputObj.sortOrder
+        });
+      }
+    }
+    
     // Validate pagination within filters
     if (inputObj.limit !== undefined || inputObj.offset !== undefined) {
       try {
@@ -889,10 +1021,38 @@ export function formatComponent(
   };
   
   // Optional fields - only include if present
+  if (component.subcategory) {
+    formatted.subcategory = component.subcategory;
+  }
+  
   if (component.demoUrl) {
     formatted.demoUrl = component.demoUrl;
   }
   
+  if (component.sourcePath) {
+    formatted.sourcePath = component.sourcePath;
+  }
+  
+  if (component.variant) {
+    formatted.variant = component.variant;
+  }
+  
+  if (component.variants && component.variants.length > 0) {
+    formatted.variants = component.variants.map(source => source.variant);
+  }
+  
+  if (component.kind) {
+    formatted.kind = component.kind;
+  }
+  
+  if (component.namespace) {
+    formatted.namespace = component.namespace;
+  }
+  
+  if (component.localImports && component.localImports.length > 0) {
+    formatted.localImports = component.localImports.map(localImport => ({ ...localImport }));
+  }
+  
   if (component.props && component.props.length > 0) {
     formatted.props = component.props.map(prop => ({
       property: prop.property,
@@ -914,11 +1074,18 @@ export function formatComponent(
   if (component.styling) {
     formatted.styling = {
       framework: component.styling.framework,
-      customCSS: component.styling.customCSS,
+      // Stylesheet contents are code: only sent alongside the full source
+      customCSS: includeFullCode ? component.styling.customCSS : undefined,
       variables: component.styling.variables
     };
   }
   
+  if (component.stylesheets && component.stylesheets.length > 0) {
+    formatted.stylesheets = component.stylesheets.map(stylesheet => (
+      includeFullCode ? { path: stylesheet.path, content: stylesheet.content } : { path: stylesheet.path }
+    ));
+  }
+  
   if (includeFullCode && component.fullCode) {
     formatted.fullCode = component.fullCode;
   }
@@ -930,7 +1097,7 @@ export function formatComponent(
  * Format search results with comprehensive pagination and metadata
  */
 export function formatSearchResults(
-  components: readonly ReactBitsComponent[], 
+  components: readonly (ReactBitsComponent | SearchHit)[], 
   metadata: {
     query?: string;
     category?: string;
@@ -941,6 +1108,8 @@ export function formatSearchResults(
     total?: number;
     offset?: number;
     limit?: number;
+    dataSource?: CatalogSource;
+    quota?: QuotaStatus;
   }
 ): ToolResponse<{
   components: Record<string, unknown>[];
@@ -962,7 +1131,18 @@ export function formatSearchResults(
   return {
     success: true,
     data: {
-      components: components.map(component => formatComponent(component)),
+      components: components.map(item => {
+        if (!('component' in item)) {
+          return formatComponent(item);
+        }
+        
+        // Ranked search hits carry their relevance alongside the component
+        return {
+          ...formatComponent(item.component),
+          score: Math.round(item.score * 1000) / 1000,
+          matchedFields: [...item.matchedFields]
+        };
+      }),
       pagination: {
         total,
         limit,
@@ -978,7 +1158,9 @@ export function formatSearchResults(
       resultCount: metadata.resultCount,
       executionTime: metadata.executionTime,
       timestamp: new Date().toISOString(),
-      cached: false // Will be updated by cache layer
+      cached: false, // Will be updated by cache layer
+      dataSource: metadata.dataSource,
+      quota: metadata.quota
     } as ToolResponseMetadata
   };
 }
@@ -1408,152 +1590,6 @@ export class ContextLogger {
   }
 }
 
-/**
- * Rate limiting utility with sliding window
- */
-export class RateLimiter {
-  private requests: Map<string, number[]> = new Map();
-  private maxRequests: number;
-  private windowMs: number;
-  
-  constructor(maxRequests: number = 100, windowMs: number = 60000) {
-    this.maxRequests = maxRequests;
-    this.windowMs = windowMs;
-  }
-  
-  /**
-   * Check if request is allowed
-   */
-  isAllowed(identifier: string): boolean {
-    const now = Date.now();
-    const requests = this.requests.get(identifier) || [];
-    
-    // Remove old requests outside the window
-    const validRequests = requests.filter(timestamp => now - timestamp < this.windowMs);
-    
-    if (validRequests.length >= this.maxRequests) {
-      return false;
-    }
-    
-    // Add current request
-    validRequests.push(now);
-    this.requests.set(identifier, validRequests);
-    
-    return true;
-  }
-  
-  /**
-   * Get remaining requests in current window
-   */
-  getRemaining(identifier: string): number {
-    const now = Date.now();
-    const requests = this.requests.get(identifier) || [];
-    const validRequests = requests.filter(timestamp => now - timestamp < this.windowMs);
-    
-    return Math.max(0, this.maxRequests - validRequests.length);
-  }
-  
-  /**
-   * Get time until window resets
-   */
-  getResetTime(identifier: string): number {
-    const requests = this.requests.get(identifier) || [];
-    if (requests.length === 0) return 0;
-    
-    const oldestRequest = Math.min(...requests);
-    const resetTime = oldestRequest + this.windowMs;
-    
-    return Math.max(0, resetTime - Date.now());
-  }
-  
-  /**
-   * Clear old entries to prevent memory leaks
-   */
-  cleanup(): void {
-    const now = Date.now();
-    for (const [identifier, requests] of this.requests.entries()) {
-      const validRequests = requests.filter(timestamp => now - timestamp < this.windowMs);
-      if (validRequests.length === 0) {
-        this.requests.delete(identifier);
-      } else {
-        this.requests.set(identifier, validRequests);
-      }
-    }
-  }
-}
-
-/**
- * Enhanced metrics collector
- */
-export class MetricsCollector {
-  private metrics: PerformanceMetrics[] = [];
-  private maxMetrics: number;
-  
-  constructor(maxMetrics: number = 1000) {
-    this.maxMetrics = maxMetrics;
-  }
-  
-  record(metric: PerformanceMetrics): void {
-    this.metrics.push(metric);
-    
-    // Keep only the most recent metrics
-    if (this.metrics.length > this.maxMetrics) {
-      this.metrics = this.metrics.slice(-this.maxMetrics);
-    }
-  }
-  
-  getMetrics(operationName?: string): PerformanceMetrics[] {
-    if (operationName) {
-      return this.metrics.filter(m => m.operationName === operationName);
-    }
-    return [...this.metrics];
-  }
-  
-  getAverageResponseTime(operationName?: string): number {
-    const relevantMetrics = this.getMetrics(operationName);
-    if (relevantMetrics.length === 0) return 0;
-    
-    const totalDuration = relevantMetrics.reduce((sum, m) => sum + m.duration, 0);
-    return totalDuration / relevantMetrics.length;
-  }
-  
-  getCacheHitRate(operationName?: string): number {
-    const relevantMetrics = this.getMetrics(operationName);
-    if (relevantMetrics.length === 0) return 0;
-    
-    const cacheHits = relevantMetrics.filter(m => m.cacheHit).length;
-    return cacheHits / relevantMetrics.length;
-  }
-  
-  getOperationCounts(): Record<string, number> {
-    const counts: Record<string, number> = {};
-    
-    for (const metric of this.metrics) {
-      counts[metric.operationName] = (counts[metric.operationName] || 0) + 1;
-    }
-    
-    return counts;
-  }
-  
-  clear(): void {
-    this.metrics = [];
-  }
-  
-  getSummary(): {
-    totalOperations: number;
-    averageResponseTime: number;
-    cacheHitRate: number;
-    operationCounts: Record<string, number>;
-  } {
-    return {
-      totalOperations: this.metrics.length,
-      averageResponseTime: this.getAverageResponseTime(),
-      cacheHitRate: this.getCacheHitRate(),
-      operationCounts: this.getOperationCounts()
-    };
-  }
-}
-
 /**
  * Deep clone an object safely
  */
@@ -0,0 +1,108 @@
+/**
+ * ReactBits Component Variants
+ *
+ * ReactBits ships components in up to four flavors: JavaScript or TypeScript,
+ * styled with plain CSS or Tailwind. The scraper extracts each flavor as its
+ * own record with the same name and category, so the catalog groups records
+ * sharing an ID into one logical component. The component carries the
+ * default variant's source and lists every variant; `selectVariant` swaps in
+ * another flavor's source, dependencies and props.
+ */
+
+import type { ComponentVariant, ComponentVariantSource, ReactBitsComponent } from './types.js';
+
+/** Every variant, in the order the default variant is picked */
+export const COMPONENT_VARIANTS: readonly ComponentVariant[] = ['js-css', 'js-tailwind', 'ts-css', 'ts-tailwind'];
+
+/** Fields that differ between variants of one component */
+const VARIANT_FIELDS = [
+  'sourcePath',
+  'fullCode',
+  'codePreview',
+  'dependencies',
+  'props',
+  'forwardsRestProps',
+  'localImports',
+  'stylesheets',
+  'styling'
+] as const satisfies readonly (keyof ComponentVariantSource)[];
+
+export function isComponentVariant(value: unknown): value is ComponentVariant {
+  return COMPONENT_VARIANTS.includes(value as ComponentVariant);
+}
+
+/**
+ * Variant of a record scraped without one: TypeScript by extension,
+ * Tailwind by path or detected styling
+ */
+export function detectVariant(filePath: string, stylingApproach: readonly string[] = []): ComponentVariant {
+  const language = /\.tsx?$/i.test(filePath) ? 'ts' : 'js';
+  const styling = /tailwind/i.test(filePath) || stylingApproach.includes('tailwind') ? 'tailwind' : 'css';
+  return `${language}-${styling}`;
+}
+
+function toVariantSource(component: ReactBitsComponent, variant: ComponentVariant): ComponentVariantSource {
+  const source: Record<string, unknown> = { variant };
+  for (const field of VARIANT_FIELDS) {
+    if (component[field] !== undefined) {
+      source[field] = component[field];
+    }
+  }
+  return source as ComponentVariantSource;
+}
+
+function variantRank(component: ReactBitsComponent): number {
+  const rank = component.variant ? COMPONENT_VARIANTS.indexOf(component.variant) : -1;
+  return rank === -1 ? COMPONENT_VARIANTS.length : rank;
+}
+
+/**
+ * Group per-variant components sharing an ID into logical components. Each
+ * group keeps its first-seen position, carries the default variant's fields
+ * and lists its variants in `COMPONENT_VARIANTS` order. When a variant occurs
+ * twice under one ID, the first occurrence wins.
+ */
+export function groupComponentVariants(components: readonly ReactBitsComponent[]): ReactBitsComponent[] {
+  const groups = new Map<string, ReactBitsComponent[]>();
+  for (const component of components) {
+    const group = groups.get(component.id) || [];
+    if (!group.some(member => member.variant === component.variant)) {
+      group.push(component);
+    }
+    groups.set(component.id, group);
+  }
+
+  return [...groups.values()].map(group => {
+    const members = [...group].sort((a, b) => variantRank(a) - variantRank(b));
+    const variants = members
+      .filter(member => member.variant)
+      .map(member => toVariantSource(member, member.variant!));
+
+    return variants.length > 0 ? { ...members[0], variants } : members[0];
+  });
+}
+
+/**
+ * Variants a component is available in
+ */
+export function availableVariants(component: ReactBitsComponent): ComponentVariant[] {
+  return (component.variants || []).map(source => source.variant);
+}
+
+/**
+ * The component with one variant's source, dependencies and props swapped in
+ *
+ * @returns The component as that variant, or null when it has no such variant
+ */
+export function selectVariant(component: ReactBitsComponent, variant: ComponentVariant): ReactBitsComponent | null {
+  if (component.variant === variant) return component;
+
+  const source = component.variants?.find(candidate => candidate.variant === variant);
+  if (!source) return null;
+
+  const shared: Record<string, unknown> = { ...component };
+  for (const field of VARIANT_FIELDS) {
+    delete shared[field];
+  }
+  return { ...shared, ...source } as ReactBitsComponent;
+}
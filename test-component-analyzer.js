@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * Golden tests for the component analyzer and props extractor
+ *
+ * Analyzes every component in production-react-bits-extraction/ and compares
+ * the result with the checked-in golden file in test-fixtures/analyzer-golden/
+ * (same category/name layout). After an intentional analyzer change, review
+ * and rewrite the goldens with --update.
+ *
+ * Usage: npx tsx test-component-analyzer.js [--update]
+ */
+
+import assert from 'node:assert/strict';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { analyzeComponentSource } from './src/component-analyzer.ts';
+import { extractComponentProps } from './src/props-extractor.ts';
+import { typeToSchema } from './src/props-schema.ts';
+
+const EXTRACTION_COMPONENTS = './production-react-bits-extraction/components';
+const GOLDEN_DIR = './test-fixtures/analyzer-golden';
+const UPDATE = process.argv.includes('--update');
+
+class ComponentAnalyzerTester {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async runTests() {
+        console.log(`🧪 Starting Component Analyzer Tests${UPDATE ? ' (updating goldens)' : ''}...\n`);
+
+        await this.test('imports ignore comments and strings', () => this.testCommentsIgnored());
+        await this.test('hooks include namespaced and custom calls', () => this.testHookCalls());
+        await this.test('cyclomatic complexity counts decision points', () => this.testCyclomatic());
+        await this.test('jsx elements are counted by tag', () => this.testJsxElements());
+        await this.test('props interfaces are read from tsx', () => this.testPropsInterface());
+        await this.test('files are classified by kind', () => this.testKinds());
+        await this.test('props come from destructuring and jsdoc', () => this.testDestructuredProps());
+        await this.test('props come from propTypes and defaultProps', () => this.testPropTypes());
+        await this.test('props come from typescript declarations', () => this.testTypedProps());
+        await this.test('prop types map to json schema', () => this.testPropTypeSchemas());
+
+        for (const file of await this.listExtractionFiles()) {
+            await this.test(`golden ${file}`, () => this.testGolden(file));
+        }
+
+        console.log(`\n${this.failed === 0 ? '✅' : '❌'} ${this.passed} passed, ${this.failed} failed`);
+        if (this.failed > 0) {
+            process.exitCode = 1;
+        }
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.passed++;
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`   ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    async listExtractionFiles() {
+        const files = [];
+        for (const category of (await readdir(EXTRACTION_COMPONENTS)).sort()) {
+            for (const name of (await readdir(join(EXTRACTION_COMPONENTS, category))).sort()) {
+                if (name.endsWith('.json')) files.push(join(category, name));
+            }
+        }
+        return files;
+    }
+
+    async testGolden(file) {
+        const record = JSON.parse(await readFile(join(EXTRACTION_COMPONENTS, file), 'utf-8'));
+        const analysis = analyzeComponentSource(record.source.sourceCode, record.source.filePath);
+        const goldenPath = join(GOLDEN_DIR, file);
+
+        if (UPDATE) {
+            await mkdir(join(goldenPath, '..'), { recursive: true });
+            await writeFile(goldenPath, `${JSON.stringify(analysis, null, 2)}\n`, 'utf8');
+            return;
+        }
+
+        const golden = JSON.parse(await readFile(goldenPath, 'utf-8'));
+        assert.deepEqual(JSON.parse(JSON.stringify(analysis)), golden);
+    }
+
+    testCommentsIgnored() {
+        const analysis = analyzeComponentSource(`
+            // import legacy from 'old-lib';
+            /* useEffect(() => {}) */
+            import React from 'react';
+            const label = "import x from 'not-a-dependency'";
+            export default function Label() {
+                return <span>{label}</span>;
+            }
+        `);
+
+        assert.deepEqual(analysis.dependencies, ['react']);
+        assert.deepEqual(analysis.hooks, []);
+        assert.deepEqual(analysis.exports, ['default']);
+        assert.equal(analysis.hasAnimation, false);
+    }
+
+    testHookCalls() {
+        const analysis = analyzeComponentSource(`
+            import React from 'react';
+            import { useTheme } from './theme';
+            export const Counter = React.memo(() => {
+                const [count, setCount] = React.useState(0);
+                const theme = useTheme();
+                React.useEffect(() => {}, [count]);
+                const again = React.useState(1);
+                return <button onClick={() => setCount(count + 1)}>{count}</button>;
+            });
+        `);
+
+        assert.deepEqual(analysis.hooks, ['useState', 'useTheme', 'useEffect']);
+        assert.equal(analysis.complexity.metrics.hooks, 4);
+        assert.deepEqual(analysis.exports, ['Counter']);
+        assert.deepEqual(
+            analysis.features,
+            ['stateful', 'side-effects', 'performance-optimized', 'interactive']
+        );
+    }
+
+    testCyclomatic() {
+        const analysis = analyzeComponentSource(`
+            export function pick(items, mode) {
+                if (!items) return null;
+                for (const item of items) {
+                    switch (mode) {
+                        case 'a': return item.a ?? item.b;
+                        case 'b': return item.ready && item.b;
+                        default: return mode ? item : null;
+                    }
+                }
+                return null;
+            }
+        `);
+
+        // if, for-of, two cases, ??, && and the ternary
+        assert.equal(analysis.complexity.metrics.cyclomatic, 8);
+        assert.equal(analysis.complexity.metrics.conditionals, 4);
+    }
+
+    testJsxElements() {
+        const analysis = analyzeComponentSource(`
+            import { motion } from 'framer-motion';
+            export default () => (
+                <motion.div animate={{ opacity: 1 }}>
+                    <span className="flex gap-2" />
+                    <span />
+                </motion.div>
+            );
+        `);
+
+        assert.deepEqual(analysis.jsxElements, [{ name: 'motion.div', count: 1 }, { name: 'span', count: 2 }]);
+        assert.equal(analysis.hasAnimation, true);
+        assert.deepEqual(analysis.stylingApproach, ['tailwind']);
+    }
+
+    testPropsInterface() {
+        const analysis = analyzeComponentSource(`
+            export interface ButtonProps {
+                label: string;
+                size?: 'sm' | 'lg';
+            }
+            type Internal = { id: number };
+            export const Button = ({ label }: ButtonProps) => <button>{label}</button>;
+        `, 'Button.tsx');
+
+        assert.deepEqual(analysis.exports, ['ButtonProps', 'Button']);
+        assert.deepEqual(analysis.propsInterface, [
+            { name: 'ButtonProps', properties: ['label: string;', "size?: 'sm' | 'lg';"] }
+        ]);
+        assert.equal(analysis.typeDefinitions.length, 2);
+        assert.ok(analysis.features.includes('typescript'));
+    }
+
+    testKinds() {
+        const kind = (source, filePath) => analyzeComponentSource(source, filePath).kind;
+
+        assert.equal(kind(`export default defineConfig({ plugins: [] });`, 'vite.config.ts'), 'config');
+        assert.equal(kind(`
+            import ReactDOM from 'react-dom/client';
+            ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+        `, 'src/main.jsx'), 'entry');
+        assert.equal(kind(`
+            export default function App() {
+                return <Routes><Route path="/" element={<Home />} /></Routes>;
+            }
+        `, 'src/App.jsx'), 'entry');
+        assert.equal(kind(`export const Demo = () => <Preview />;`, 'src/demo/Animations/FadeContentDemo.jsx'), 'demo');
+        assert.equal(kind(`
+            const ThemeContext = createContext(null);
+            export function ThemeProvider({ children }) {
+                return <ThemeContext.Provider value="dark">{children}</ThemeContext.Provider>;
+            }
+        `, 'src/context/Theme.jsx'), 'context');
+        assert.equal(kind(`
+            export function useToggle(initial) { return useState(initial); }
+            export default useToggle;
+        `, 'src/hooks/useToggle.js'), 'hook');
+        assert.equal(kind(`
+            function Card({ title }) {
+                if (!title) return null;
+                return <div>{title}</div>;
+            }
+            export type CardProps = { title: string };
+            export default memo(Card);
+        `, 'src/components/Card.tsx'), 'component');
+        assert.equal(kind(`
+            export const lerp = (a, b, t) => a + (b - a) * t;
+            export const renderers = [() => <span />];
+        `, 'src/utils/math.js'), 'utility');
+    }
+
+    testDestructuredProps() {
+        const { props, forwardsRestProps } = extractComponentProps(`
+            /**
+             * @param {Object} props
+             * @param {string} props.text - Text to split into letters
+             * @param {number} [props.delay=100] Delay between letters in ms
+             */
+            const SplitText = ({ text = '', delay = 100, easing, onLetterAnimationComplete, ...rest }) => null;
+            const Helper = ({ unrelated }) => null;
+            export default SplitText;
+        `);
+
+        assert.deepEqual(props, [
+            { property: 'text', type: 'string', default: "''", description: 'Text to split into letters', required: false },
+            { property: 'delay', type: 'number', default: '100', description: 'Delay between letters in ms', required: false },
+            { property: 'easing', type: 'any', description: '', required: false },
+            { property: 'onLetterAnimationComplete', type: 'function', description: '', required: false }
+        ]);
+        assert.equal(forwardsRestProps, true);
+    }
+
+    testPropTypes() {
+        const { props, forwardsRestProps } = extractComponentProps(`
+            import PropTypes from 'prop-types';
+            function Card(props) {
+                const { size = 'md' } = props;
+                return <div>{props.title}{props.footer}</div>;
+            }
+            Card.propTypes = {
+                /** Heading shown above the body */
+                title: PropTypes.string.isRequired,
+                size: PropTypes.oneOf(['sm', 'md']),
+                footer: PropTypes.node,
+                tags: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number]))
+            };
+            Card.defaultProps = { footer: null };
+            export default Card;
+        `);
+
+        assert.deepEqual(props, [
+            { property: 'size', type: "'sm' | 'md'", default: "'md'", description: '', required: false },
+            { property: 'title', type: 'string', description: 'Heading shown above the body', required: true },
+            { property: 'footer', type: 'ReactNode', default: 'null', description: '', required: false },
+            { property: 'tags', type: '(string | number)[]', description: '', required: false }
+        ]);
+        assert.equal(forwardsRestProps, false);
+    }
+
+    testTypedProps() {
+        const { props, forwardsRestProps } = extractComponentProps(`
+            import { forwardRef, Component } from 'react';
+            interface BaseProps {
+                /** Extra classes */
+                className?: string;
+            }
+            type ButtonProps = BaseProps & {
+                /**
+                 * Button text
+                 * @default "Go"
+                 */
+                label?: string;
+                variant: 'solid' | 'ghost';
+                onPress(): void;
+            };
+            export const Button = forwardRef<HTMLButtonElement, ButtonProps>(({ variant = 'solid' }, ref) => null);
+        `, 'Button.tsx');
+
+        assert.deepEqual(props, [
+            { property: 'variant', type: "'solid' | 'ghost'", default: "'solid'", description: '', required: false },
+            { property: 'className', type: 'string', description: 'Extra classes', required: false },
+            { property: 'label', type: 'string', default: '"Go"', description: 'Button text', required: false },
+            { property: 'onPress', type: 'function', description: '', required: true }
+        ]);
+        assert.equal(forwardsRestProps, false);
+
+        const { props: classProps } = extractComponentProps(`
+            export default class Clock extends Component<{ timeZone: string; format?: string }> {
+                static defaultProps = { format: 'HH:mm' };
+            }
+        `, 'Clock.tsx');
+
+        assert.deepEqual(classProps, [
+            { property: 'timeZone', type: 'string', description: '', required: true },
+            { property: 'format', type: 'string', default: "'HH:mm'", description: '', required: false }
+        ]);
+    }
+
+    testPropTypeSchemas() {
+        assert.deepEqual(typeToSchema("'sm' | 'md' | 'lg'"), { enum: ['sm', 'md', 'lg'] });
+        assert.deepEqual(typeToSchema('string | number | undefined'), { type: ['string', 'number'] });
+        assert.deepEqual(typeToSchema('(string | number)[]'), { type: 'array', items: { type: ['string', 'number'] } });
+        assert.deepEqual(typeToSchema('Array<boolean>'), { type: 'array', items: { type: 'boolean' } });
+        assert.deepEqual(typeToSchema('Record<string, number>'), { type: 'object' });
+        assert.deepEqual(typeToSchema('(value: string) => void'), {});
+        assert.deepEqual(typeToSchema('(() => void) | string'), {});
+        assert.deepEqual(typeToSchema('ReactNode'), {});
+    }
+}
+
+const tester = new ComponentAnalyzerTester();
+tester.runTests().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,1658 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the ReactBits MCP data service
+ *
+ * Runs the MCP tools against the fixture extraction in test-fixtures/ and
+ * pins that every tool is served from the same catalog, with mock data only
+ * used as an explicit, reported fallback.
+ *
+ * Usage: npx tsx test-data-service.js
+ */
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { cp, mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {
+    ResourceListChangedNotificationSchema,
+    ResourceUpdatedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { ReactBitsMCPServer, ReactBitsDataService } from './src/index.ts';
+import {
+    FileSystemCatalogStore,
+    SqliteCatalogStore,
+    InMemoryCatalogStore
+} from './src/catalog-store.ts';
+import { ReactBitsHttpServer } from './src/http-server.ts';
+import { SearchIndex, stem } from './src/search-index.ts';
+import { similarity, toLookupKey } from './src/fuzzy-match.ts';
+import { DEFAULT_TOOL_COSTS, QuotaManager, loadQuotaConfig } from './src/quota.ts';
+import { summarizeToolCalls } from './src/prometheus.ts';
+import { loadTaxonomy } from './src/taxonomy.ts';
+import { toComponentSlug } from './src/catalog-coverage.ts';
+import { extractCssVars, writeRegistry } from './src/registry.ts';
+import { GitHubRepositorySource, LocalRepositorySource } from './src/repository-source.ts';
+import {
+    classifyComponentChange,
+    emptyExtractionState,
+    readExtractionState,
+    writeExtractionState
+} from './src/extraction-state.ts';
+import { ExtractionSnapshots } from './src/extraction-snapshots.ts';
+import { ReactBitsScraperIntegration } from './src/scraper-integration.ts';
+import { activeConfig } from './src/config.ts';
+import { diffCatalogs } from './src/catalog.ts';
+import {
+    DirectoryComponentSource,
+    ReactBitsComponentSource,
+    extractComponents,
+    loadComponentSources
+} from './src/component-source.ts';
+
+const FIXTURE_EXTRACTION = './test-fixtures/extraction';
+const PRODUCTION_EXTRACTION = './production-react-bits-extraction';
+const FIXTURE_IDS = ['fadecontent-nimations', 'toaster-eedback', 'magnet-button-ui-component'];
+const MOCK_IDS = ['animated-button-1', 'gradient-card-2', 'hover-card-3', 'glow-button-4'];
+
+class DataServiceTester {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async runTests() {
+        console.log('🧪 Starting ReactBits Data Service Tests...\n');
+
+        const client = await this.connect({
+            extractionPath: FIXTURE_EXTRACTION,
+            allowMockFallback: false,
+            enableScraperIntegration: false
+        });
+
+        await this.test('list_categories serves extraction categories', () => this.testListCategories(client));
+        await this.test('browse_category serves extraction components', () => this.testBrowseCategory(client));
+        await this.test('get_random_component serves extraction components', () => this.testRandomComponent(client));
+        await this.test('search_components serves extraction components', () => this.testSearch(client));
+        await this.test('get_component serves extraction components', () => this.testGetComponent(client));
+        await this.test('get_component infers props from source', () => this.testComponentProps(client));
+        await this.test('validate_props checks props against the schema', () => this.testValidateProps(client));
+        await this.test('variants are grouped under one component', () => this.testVariants(client));
+        await this.test('companion stylesheets are served with components', () => this.testStylesheets(client));
+        await this.test('get_component_bundle follows local imports', () => this.testComponentBundle());
+        await this.test('docs-site files are classified and left out by default', () => this.testComponentKinds());
+        await this.test('taxonomy drives categories and subcategories', () => this.testTaxonomy());
+        await this.test('get_catalog_coverage explains missing components', () => this.testCatalogCoverage());
+        await this.test('get_component resolves names, paths and typos', () => this.testFuzzyLookup(client));
+        await this.test('get_component suggests close matches on a miss', () => this.testLookupSuggestions(client));
+        await this.test('catalog is listed as reactbits:// resources', () => this.testListResources(client));
+        await this.test('component and category resources are readable', () => this.testReadResources(client));
+        await this.test('catalog reload notifies resource subscribers', () => this.testResourceNotifications());
+        await this.test('workflow prompts embed real component data', () => this.testPrompts(client));
+        await this.test('http transport serves sessions and probes', () => this.testHttpTransport());
+        await this.test('catalog is published as a shadcn registry', () => this.testRegistry());
+        await this.test('local repository source matches git at a ref', () => this.testLocalRepositorySource());
+        await this.test('github source lists directories from one tree request', () => this.testGitHubTreeListing());
+        await this.test('extraction state tracks changed files', () => this.testExtractionState());
+        await this.test('unchanged components keep their records across refreshes', () => this.testIncrementalRefresh());
+        await this.test('additional sources feed the catalog under namespaces', () => this.testComponentSources());
+        await this.test('metrics endpoint exports prometheus series', () => this.testPrometheusMetrics());
+        await this.test('quotas are charged per client and tool', () => this.testQuotas());
+        await this.test('quota config file overrides defaults', () => this.testQuotaConfig());
+        await this.test('search_components ranks by relevance', () => this.testRankedSearch(client));
+        await this.test('search index boosts name over description', () => this.testFieldBoosts());
+        await this.test('mock fallback is explicit and reported', () => this.testMockFallback());
+        await this.test('missing extraction without fallback fails', () => this.testNoFallback());
+        await this.test('sqlite store serves the same catalog', () => this.testSqliteStore());
+        await this.test('unchanged store revision skips reload', () => this.testRevisionSkip());
+        await this.test('extraction snapshots are promoted whole and roll back', () => this.testExtractionSnapshots());
+        await this.test('scheduled refresh runs the scraper out of process', () => this.testScraperWorker());
+
+        await client.close();
+
+        console.log(`\n${this.failed === 0 ? '✅' : '❌'} ${this.passed} passed, ${this.failed} failed`);
+        if (this.failed > 0) {
+            process.exitCode = 1;
+        }
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.passed++;
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`   ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    async connect(options) {
+        const server = new ReactBitsMCPServer(options);
+        const client = new Client({ name: 'data-service-tester', version: '1.0.0' });
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+
+        await server.connect(serverTransport);
+        await client.connect(clientTransport);
+
+        return client;
+    }
+
+    async callTool(client, name, args = {}) {
+        const result = await client.callTool({ name, arguments: args });
+        return JSON.parse(result.content[0].text);
+    }
+
+    async testListCategories(client) {
+        const response = await this.callTool(client, 'list_categories');
+
+        assert.equal(response.success, true);
+        assert.equal(response.metadata.dataSource, 'extraction');
+        assert.deepEqual(
+            response.data.map(category => category.id).sort(),
+            ['animations', 'feedback', 'ui-components']
+        );
+        assert.equal(response.metadata.totalComponents, FIXTURE_IDS.length);
+    }
+
+    async testBrowseCategory(client) {
+        const response = await this.callTool(client, 'browse_category', { categoryId: 'feedback' });
+
+        assert.equal(response.success, true);
+        assert.equal(response.metadata.dataSource, 'extraction');
+        assert.deepEqual(response.data.components.map(c => c.id), ['toaster-eedback']);
+
+        const buttons = await this.callTool(client, 'browse_category', { categoryId: 'buttons' });
+        assert.equal(buttons.success, false, 'mock-only category must not resolve');
+    }
+
+    async testRandomComponent(client) {
+        for (let i = 0; i < 10; i++) {
+            const response = await this.callTool(client, 'get_random_component');
+
+            assert.equal(response.success, true);
+            assert.equal(response.metadata.dataSource, 'extraction');
+            assert.ok(FIXTURE_IDS.includes(response.data.id), `unexpected component ${response.data.id}`);
+            assert.ok(response.data.fullCode.length > 0);
+        }
+    }
+
+    async testSearch(client) {
+        const response = await this.callTool(client, 'search_components', { query: 'toaster' });
+
+        assert.equal(response.metadata.dataSource, 'extraction');
+        assert.deepEqual(response.data.components.map(c => c.id), ['toaster-eedback']);
+
+        const mock = await this.callTool(client, 'search_components', { query: 'Gradient Card' });
+        assert.equal(mock.data.components.length, 0);
+    }
+
+    async testFuzzyLookup(client) {
+        const references = {
+            'toaster': 'toaster-eedback',
+            'Magnet Button': 'magnet-button-ui-component',
+            'src/components/FadeContent.jsx': 'fadecontent-nimations',
+            'FadeContent': 'fadecontent-nimations',
+            'toastr-eedback': 'toaster-eedback',
+            'magnet-buton': 'magnet-button-ui-component'
+        };
+
+        for (const [reference, expectedId] of Object.entries(references)) {
+            const response = await this.callTool(client, 'get_component', { id: reference });
+
+            assert.equal(response.success, true, `${reference} did not resolve`);
+            assert.equal(response.data.id, expectedId);
+            assert.equal(response.metadata.resolvedFrom, reference);
+        }
+
+        const exact = await this.callTool(client, 'get_component', { id: 'toaster-eedback' });
+        assert.equal(exact.metadata.resolvedFrom, undefined);
+    }
+
+    async testLookupSuggestions(client) {
+        const response = await this.callTool(client, 'get_component', { id: 'magnetic-thing' });
+
+        assert.equal(response.success, false);
+        assert.equal(response.metadata.suggestions[0].id, 'magnet-button-ui-component');
+        assert.ok(response.metadata.suggestions[0].score > 0 && response.metadata.suggestions[0].score < 1);
+
+        const unrelated = await this.callTool(client, 'get_component', { id: 'zzzz' });
+        assert.deepEqual(unrelated.metadata.suggestions, []);
+
+        assert.equal(toLookupKey('src/components/MagnetButton.tsx'), 'magnet-button');
+        assert.equal(similarity('toaster', 'toaster'), 1);
+        assert.ok(similarity('toastr', 'toaster') > similarity('toastr', 'magnet-button'));
+    }
+
+    async testListResources(client) {
+        const { resources } = await client.listResources();
+        const uris = resources.map(resource => resource.uri);
+
+        assert.ok(uris.includes('reactbits://component/fadecontent-nimations/source.jsx'));
+        assert.ok(uris.includes('reactbits://component/fadecontent-nimations/source.tsx'));
+        assert.ok(uris.includes('reactbits://component/magnet-button-ui-component/source.tsx'));
+        assert.ok(uris.includes('reactbits://component/toaster-eedback/metadata.json'));
+        assert.ok(uris.includes('reactbits://component/toaster-eedback/props.schema.json'));
+        assert.ok(uris.includes('reactbits://component/toaster-eedback/styles/toaster.css'));
+        assert.ok(uris.includes('reactbits://category/feedback'));
+        assert.equal(resources.find(r => r.uri.endsWith('magnet-button-ui-component/source.tsx')).mimeType, 'text/tsx');
+
+        const { resourceTemplates } = await client.listResourceTemplates();
+        assert.deepEqual(resourceTemplates.map(t => t.uriTemplate), [
+            'reactbits://component/{id}/source.{ext}',
+            'reactbits://component/{id}/metadata.json',
+            'reactbits://component/{id}/props.schema.json',
+            'reactbits://component/{id}/styles/{file}',
+            'reactbits://category/{id}'
+        ]);
+    }
+
+    async testReadResources(client) {
+        const source = await client.readResource({ uri: 'reactbits://component/fadecontent-nimations/source.jsx' });
+        assert.equal(source.contents[0].mimeType, 'text/jsx');
+        assert.match(source.contents[0].text, /IntersectionObserver/);
+
+        const tsSource = await client.readResource({ uri: 'reactbits://component/fadecontent-nimations/source.tsx' });
+        assert.equal(tsSource.contents[0].mimeType, 'text/tsx');
+        assert.match(tsSource.contents[0].text, /interface FadeContentProps/);
+        assert.doesNotMatch(source.contents[0].text, /interface FadeContentProps/);
+
+        const metadata = await client.readResource({ uri: 'reactbits://component/magnet-button-ui-component/metadata.json' });
+        const parsed = JSON.parse(metadata.contents[0].text);
+        assert.equal(metadata.contents[0].mimeType, 'application/json');
+        assert.equal(parsed.props.length, 2);
+        assert.equal(parsed.source, 'reactbits://component/magnet-button-ui-component/source.tsx');
+
+        const schema = await client.readResource({ uri: parsed.propsSchema });
+        assert.equal(schema.contents[0].mimeType, 'application/schema+json');
+        assert.deepEqual(JSON.parse(schema.contents[0].text), {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: 'reactbits://component/magnet-button-ui-component/props.schema.json',
+            title: 'Magnet Button props',
+            description: 'Props accepted by the Magnet Button component (magnet-button-ui-component)',
+            type: 'object',
+            properties: {
+                label: { type: 'string', 'x-typescript': 'string' },
+                strength: { type: 'number', default: 2, 'x-typescript': 'number' }
+            },
+            required: ['label'],
+            additionalProperties: false
+        });
+
+        const category = await client.readResource({ uri: 'reactbits://category/animations' });
+        assert.deepEqual(JSON.parse(category.contents[0].text).components.map(c => c.id), ['fadecontent-nimations']);
+
+        await assert.rejects(() => client.readResource({ uri: 'reactbits://component/nope/source.jsx' }), /not found/);
+        await assert.rejects(() => client.readResource({ uri: 'reactbits://component/toaster-eedback/source.tsx' }), /no source\.tsx; available: source\.jsx/);
+        await assert.rejects(() => client.readResource({ uri: 'reactbits://elsewhere/x' }), /Unknown resource URI/);
+    }
+
+    async testResourceNotifications() {
+        const { records } = await new FileSystemCatalogStore(FIXTURE_EXTRACTION).load();
+        const store = new InMemoryCatalogStore(records);
+        const service = new ReactBitsDataService({
+            store,
+            allowMockFallback: false,
+            enableScraperIntegration: false
+        });
+        const client = await this.connect(service);
+
+        const updated = [];
+        let listChanged = 0;
+        client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+            updated.push(notification.params.uri);
+        });
+        client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+            listChanged++;
+        });
+
+        await client.listResources();
+        await client.subscribeResource({ uri: 'reactbits://component/toaster-eedback/source.jsx' });
+        await client.subscribeResource({ uri: 'reactbits://component/magnet-button-ui-component/metadata.json' });
+        await client.subscribeResource({ uri: 'reactbits://category/animations' });
+        await assert.rejects(() => client.subscribeResource({ uri: 'reactbits://nowhere' }), /Unknown resource URI/);
+
+        // Unchanged revision: nothing to announce
+        await service.reload();
+
+        // Edit Toaster and drop FadeContent
+        await store.replaceAll(records
+            .filter(record => record.metadata.name !== 'FadeContent')
+            .map(record => record.metadata.name === 'Toaster'
+                ? { ...record, source: { ...record.source, sourceCode: `${record.source.sourceCode}\n// updated` } }
+                : record));
+        await service.reload();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.deepEqual(updated.sort(), [
+            'reactbits://category/animations',
+            'reactbits://component/toaster-eedback/source.jsx'
+        ]);
+        assert.equal(listChanged, 1);
+
+        await client.close();
+    }
+
+    async testPrompts(client) {
+        const { prompts } = await client.listPrompts();
+        assert.deepEqual(prompts.map(p => p.name), ['integrate-component', 'compare-components', 'find-animation-for']);
+
+        const integrate = await client.getPrompt({
+            name: 'integrate-component',
+            arguments: { componentId: 'Magnet Button', targetFramework: 'Next.js' }
+        });
+        const [instructions, source] = integrate.messages;
+        assert.match(instructions.content.text, /Next\.js/);
+        assert.match(instructions.content.text, /\| label \| `string;?` \| - \| yes \|/);
+        assert.equal(source.content.type, 'resource');
+        assert.equal(source.content.resource.uri, 'reactbits://component/magnet-button-ui-component/source.tsx');
+
+        const compare = await client.getPrompt({
+            name: 'compare-components',
+            arguments: { componentA: 'toaster', componentB: 'fadecontent-nimations' }
+        });
+        assert.equal(compare.messages.length, 3);
+
+        const animation = await client.getPrompt({
+            name: 'find-animation-for',
+            arguments: { description: 'fade in when scrolled into view' }
+        });
+        assert.equal(animation.messages[1].content.resource.uri, 'reactbits://component/fadecontent-nimations/source.jsx');
+
+        await assert.rejects(
+            () => client.getPrompt({ name: 'compare-components', arguments: { componentA: 'toaster' } }),
+            /Missing required arguments/
+        );
+        await assert.rejects(
+            () => client.getPrompt({ name: 'integrate-component', arguments: { componentId: 'zzzz' } }),
+            /not found/
+        );
+    }
+
+    async testHttpTransport() {
+        const httpServer = new ReactBitsHttpServer({
+            host: '127.0.0.1',
+            port: 0,
+            dataService: new ReactBitsDataService({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            })
+        });
+        const { port } = await httpServer.listen();
+        const baseUrl = `http://127.0.0.1:${port}`;
+
+        try {
+            const clients = [];
+            for (let i = 0; i < 2; i++) {
+                const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+                const client = new Client({ name: `http-tester-${i}`, version: '1.0.0' });
+                await client.connect(transport);
+                clients.push({ client, transport });
+            }
+
+            assert.notEqual(clients[0].transport.sessionId, clients[1].transport.sessionId);
+            assert.equal(httpServer.sessionCount, 2);
+
+            const response = await this.callTool(clients[0].client, 'list_categories');
+            assert.equal(response.metadata.totalComponents, FIXTURE_IDS.length);
+
+            const ready = await fetch(`${baseUrl}/readyz`);
+            assert.equal(ready.status, 200);
+            assert.equal((await fetch(`${baseUrl}/healthz`)).status, 200);
+            assert.match(await (await fetch(`${baseUrl}/metrics`)).text(), /reactbits_http_sessions 2/);
+
+            const stale = await fetch(`${baseUrl}/mcp`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/event-stream',
+                    'Mcp-Session-Id': 'does-not-exist'
+                },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+            });
+            assert.equal(stale.status, 404);
+
+            await clients[0].transport.terminateSession();
+            await clients[0].client.close();
+            await clients[1].client.close();
+            assert.equal(httpServer.sessionCount, 1);
+        } finally {
+            await httpServer.close();
+        }
+        assert.equal(httpServer.sessionCount, 0);
+    }
+
+    async testRegistry() {
+        const httpServer = new ReactBitsHttpServer({
+            host: '127.0.0.1',
+            port: 0,
+            dataService: new ReactBitsDataService({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            })
+        });
+        const { port } = await httpServer.listen();
+        const baseUrl = `http://127.0.0.1:${port}`;
+
+        try {
+            const registry = await (await fetch(`${baseUrl}/r/registry.json`)).json();
+            assert.equal(registry.name, 'reactbits');
+            assert.deepEqual(registry.items.map(item => item.name).sort(), [...FIXTURE_IDS].sort());
+            assert.ok(registry.items.every(item => item.files.every(file => !('content' in file))));
+
+            const toaster = await (await fetch(`${baseUrl}/r/toaster-eedback.json`)).json();
+            assert.equal(toaster.$schema, 'https://ui.shadcn.com/schema/registry-item.json');
+            assert.equal(toaster.type, 'registry:component');
+            assert.ok(!toaster.dependencies.includes('react'));
+            assert.deepEqual(toaster.files.map(file => [file.path, file.type]), [
+                ['registry/reactbits/toaster-eedback/toaster.jsx', 'registry:component'],
+                ['registry/reactbits/toaster-eedback/toaster.css', 'registry:component']
+            ]);
+            assert.match(toaster.files[1].content, /\.toaster-bottom-end/);
+
+            assert.equal((await fetch(`${baseUrl}/r/nope.json`)).status, 404);
+            assert.equal((await fetch(`${baseUrl}/r/toaster-eedback`)).status, 404);
+        } finally {
+            await httpServer.close();
+        }
+
+        // Local imports become registry dependencies published alongside
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-registry-'));
+        try {
+            const service = new ReactBitsDataService({
+                extractionPath: PRODUCTION_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            });
+            const count = await writeRegistry(await service.getCatalog(), dir, { baseUrl: 'https://mirror.test/' });
+            const index = JSON.parse(await readFile(join(dir, 'r', 'registry.json'), 'utf8'));
+            assert.equal(index.items.length, count);
+            assert.ok(!index.items.some(item => item.name === 'vite.config-ui-component'));
+
+            const header = JSON.parse(await readFile(join(dir, 'r', 'header-avigation.json'), 'utf8'));
+            assert.deepEqual(header.registryDependencies, ['https://mirror.test/r/usestars-ui-component.json']);
+            const useStars = JSON.parse(await readFile(join(dir, 'r', 'usestars-ui-component.json'), 'utf8'));
+            assert.equal(useStars.type, 'registry:hook');
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+
+        assert.deepEqual(extractCssVars([{
+            path: 'theme.css',
+            content: ':root { --glow: 0 0 8px #fff; /* --ignored: 1; */ }\n.dark{--glow:none}\n.card { --local: 1px; }'
+        }]), { light: { glow: '0 0 8px #fff' }, dark: { glow: 'none' } });
+    }
+
+    async testLocalRepositorySource() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-repo-'));
+        try {
+            const git = (...args) => execFileSync('git', ['-C', dir, ...args], { stdio: 'pipe' });
+            await mkdir(join(dir, 'src', 'components'), { recursive: true });
+            await writeFile(join(dir, 'src', 'components', 'Glow.jsx'), 'export default function Glow() { return null; }\n');
+            await writeFile(join(dir, 'src', 'components.js'), 'export {};\n');
+            await writeFile(join(dir, 'src', 'components-list.js'), 'export {};\n');
+            git('init', '-q');
+            git('add', '-A');
+            git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+            git('tag', 'v1');
+
+            const workingTree = new LocalRepositorySource(dir);
+            const tagged = new LocalRepositorySource(dir, 'v1');
+
+            // Directories sort as if their name ended in a slash, as in git trees
+            const listed = await tagged.listDirectory('src');
+            assert.deepEqual(listed.map(item => [item.name, item.type]), [
+                ['components-list.js', 'file'],
+                ['components.js', 'file'],
+                ['components', 'dir']
+            ]);
+            const withoutDirShas = items => items.map(item => ({ ...item, sha: item.type === 'dir' ? null : item.sha }));
+            assert.deepEqual(withoutDirShas(await workingTree.listDirectory('src')), withoutDirShas(listed));
+            assert.deepEqual(await workingTree.listDirectory('src/components'), await tagged.listDirectory('src/components'));
+            assert.ok(!(await workingTree.listDirectory('')).some(item => item.name === '.git'));
+
+            await writeFile(join(dir, 'src', 'components', 'Glow.jsx'), 'changed\n');
+            assert.equal(await workingTree.readFile('src/components/Glow.jsx'), 'changed\n');
+            assert.match(await tagged.readFile('src/components/Glow.jsx'), /function Glow/);
+            assert.equal((await tagged.describe()).commit, git('rev-parse', 'v1').toString().trim());
+
+            await assert.rejects(() => workingTree.readFile('../outside.js'), /outside the repository/);
+            await assert.rejects(() => tagged.listDirectory('missing'), /git ls-tree failed/);
+            await assert.rejects(() => new LocalRepositorySource(dir, 'v2').readFile('src/components.js'), /git rev-parse failed/);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testGitHubTreeListing() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-tree-'));
+        try {
+            const git = (...args) => execFileSync('git', ['-C', dir, ...args], { stdio: 'pipe' }).toString();
+            await mkdir(join(dir, 'src', 'components'), { recursive: true });
+            await writeFile(join(dir, 'src', 'components', 'Glow.jsx'), 'export default function Glow() { return null; }\n');
+            await writeFile(join(dir, 'src', 'components.js'), 'export {};\n');
+            await writeFile(join(dir, 'README.md'), '# test\n');
+            git('init', '-q');
+            git('add', '-A');
+            git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+
+            // The recursive tree GitHub returns, in git's own order
+            const tree = git('ls-tree', '-r', '-t', '-l', '-z', 'HEAD').split('\0').filter(Boolean).map(line => {
+                const [meta, path] = line.split('\t');
+                const [, type, sha, size] = meta.split(/\s+/);
+                return { path, type, sha, ...(type === 'blob' ? { size: Number(size) } : {}) };
+            });
+
+            const requested = [];
+            const fetcher = truncated => ({
+                json: async url => {
+                    requested.push(url);
+                    return url.includes('/git/trees/') ? { tree, truncated } : [{ name: 'from-contents-api' }];
+                },
+                text: async () => ''
+            });
+
+            const github = new GitHubRepositorySource(fetcher(false));
+            const local = new LocalRepositorySource(dir, 'HEAD');
+            const withoutUrls = items => items.map(({ download_url, ...item }) => item);
+            for (const dirPath of ['', 'src', 'src/components']) {
+                assert.deepEqual(withoutUrls(await github.listDirectory(dirPath)), withoutUrls(await local.listDirectory(dirPath)));
+            }
+            assert.equal((await github.listDirectory('src'))[0].download_url,
+                'https://raw.githubusercontent.com/DavidHDev/react-bits/main/src/components.js');
+            await assert.rejects(() => github.listDirectory('missing'), /missing is not a directory/);
+            assert.equal(requested.length, 1);
+
+            // A truncated tree falls back to one contents request per directory
+            requested.length = 0;
+            const truncated = new GitHubRepositorySource(fetcher(true));
+            assert.deepEqual(await truncated.listDirectory('src'), [{ name: 'from-contents-api' }]);
+            assert.deepEqual(requested.map(url => url.replace(/^.*\/repos\/[^/]+\/[^/]+/, '')), [
+                '/git/trees/main?recursive=1',
+                '/contents/src'
+            ]);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testExtractionState() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-state-'));
+        try {
+            assert.deepEqual(await readExtractionState(dir), emptyExtractionState());
+
+            const state = emptyExtractionState();
+            const previous = { sha: 'a1', recordFile: 'components/text-animations/glow.js-css.json', stylesheets: { 'Glow.css': 'c1' } };
+            state.components['src/Glow.jsx'] = previous;
+            state.responses['https://api.github.com/repos/x/y/git/trees/main?recursive=1'] = { etag: 'W/"1"', body: '{}' };
+            await writeExtractionState(dir, state);
+            assert.deepEqual(await readExtractionState(dir), state);
+
+            assert.equal(classifyComponentChange(undefined, 'a1', {}), 'added');
+            assert.equal(classifyComponentChange(previous, 'a1', { 'Glow.css': 'c1' }), 'unchanged');
+            assert.equal(classifyComponentChange(previous, 'a2', { 'Glow.css': 'c1' }), 'modified');
+            assert.equal(classifyComponentChange(previous, 'a1', { 'Glow.css': 'c2' }), 'modified');
+            assert.equal(classifyComponentChange(previous, 'a1', {}), 'modified');
+            assert.equal(classifyComponentChange(previous, 'a1', { 'Glow.css': 'c1', 'Extra.css': null }), 'modified');
+            assert.equal(classifyComponentChange(previous, null, { 'Glow.css': 'c1' }), 'modified');
+
+            // State written in another layout is ignored
+            await writeFile(join(dir, 'extraction-state.json'), JSON.stringify({ ...state, version: 0 }));
+            assert.deepEqual(await readExtractionState(dir), emptyExtractionState());
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testIncrementalRefresh() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-incremental-'));
+        try {
+            const repo = join(dir, 'react-bits');
+            const git = (...args) => execFileSync('git', ['-C', repo, ...args], { stdio: 'pipe' });
+            await mkdir(join(repo, 'src', 'components', 'TextAnimations'), { recursive: true });
+            await writeFile(join(repo, 'src', 'components', 'TextAnimations', 'Glow.jsx'),
+                "import './Glow.css';\nexport default function Glow({ text = 'Hi' }) { return <span className=\"glow\">{text}</span>; }\n");
+            await writeFile(join(repo, 'src', 'components', 'TextAnimations', 'Glow.css'), '.glow { color: red; }\n');
+            await writeFile(join(repo, 'src', 'components', 'TextAnimations', 'Blur.jsx'),
+                'export default function Blur({ amount = 4 }) { return <div style={{ filter: `blur(${amount}px)` }} />; }\n');
+            git('init', '-q');
+
+            // The real scraper, run by the worker as the scheduled refresh runs it
+            const integration = new ReactBitsScraperIntegration({
+                enabled: false,
+                outputDir: join(dir, 'extraction'),
+                scraperPath: join(process.cwd(), 'production-react-bits-scraper.js'),
+                source: { type: 'local', path: repo },
+                requestDelay: 0
+            });
+            const refresh = async () => {
+                const reported = new Promise(resolve => integration.once('refresh-success', resolve));
+                assert.equal(await integration.refreshData(), true, integration.getStats().lastError);
+                const report = await reported;
+                const service = new ReactBitsDataService({
+                    extractionPath: join(dir, 'extraction'),
+                    allowMockFallback: false,
+                    enableScraperIntegration: false,
+                    sources: []
+                });
+                return { changes: report.statistics.changes, catalog: await service.getCatalog() };
+            };
+
+            const first = await refresh();
+            assert.equal(first.changes.added, 2);
+
+            const second = await refresh();
+            assert.deepEqual(second.changes, { added: 0, modified: 0, removed: 0, unchanged: 2 });
+            assert.deepEqual(diffCatalogs(first.catalog, second.catalog), { added: [], removed: [], changed: [], categories: [] });
+
+            // A changed stylesheet marks only the component importing it
+            await writeFile(join(repo, 'src', 'components', 'TextAnimations', 'Glow.css'), '.glow { color: blue; }\n');
+            const third = await refresh();
+            assert.deepEqual(third.changes, { added: 0, modified: 1, removed: 0, unchanged: 1 });
+            const diff = diffCatalogs(second.catalog, third.catalog);
+            assert.deepEqual(diff.changed.map(id => second.catalog.getComponent(id).name), ['Glow']);
+            assert.deepEqual([...diff.added, ...diff.removed], []);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testComponentSources() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-sources-'));
+        try {
+            const write = async (file, content) => {
+                await mkdir(join(dir, file, '..'), { recursive: true });
+                await writeFile(join(dir, file), content);
+            };
+            await write('buttons/PrimaryButton.tsx', 'export function PrimaryButton({ label }: { label: string }) { return <button className="px-4 py-2 rounded">{label}</button>; }\n');
+            await write('data/DataTable.jsx', "import './DataTable.css';\nimport { format } from '../utils/format';\nexport default function DataTable({ rows }) { return <table>{rows.map(format)}</table>; }\n");
+            await write('data/DataTable.css', '.table { width: 100%; }\n');
+            await write('data/DataTable.test.jsx', 'test();\n');
+            await write('utils/format.js', 'export const format = value => String(value);\n');
+            await write('node_modules/pkg/Ignored.jsx', 'export default function Ignored() { return null; }\n');
+
+            const taxonomy = loadTaxonomy();
+            const source = new DirectoryComponentSource({ namespace: 'internal', path: dir, category: 'forms' }, taxonomy);
+            const discovery = await source.discover();
+            assert.deepEqual(discovery.files.map(file => file.path), ['buttons/PrimaryButton.tsx', 'data/DataTable.jsx', 'utils/format.js']);
+            assert.deepEqual(discovery.skipped, [{ file: 'data/DataTable.test.jsx', reason: "file name matches '.test.'" }]);
+
+            const dataService = new ReactBitsDataService({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false,
+                sources: [source]
+            });
+            const client = await this.connect(dataService);
+
+            const search = await this.callTool(client, 'search_components', { query: 'table', namespace: 'internal' });
+            assert.deepEqual(search.data.components.map(component => component.id), ['internal/data-table']);
+
+            // Directories named after a category place components; the configured category is the fallback
+            const table = await this.callTool(client, 'get_component', { id: 'internal/data-table' });
+            assert.equal(table.data.namespace, 'internal');
+            assert.equal(table.data.category, 'forms');
+            assert.equal(table.data.variant, 'js-css');
+            assert.deepEqual(table.data.stylesheets.map(stylesheet => stylesheet.path), ['data/DataTable.css']);
+            const button = await this.callTool(client, 'get_component', { id: 'internal/PrimaryButton' });
+            assert.equal(button.data.id, 'internal/primary-button');
+            assert.equal(button.data.category, 'buttons');
+
+            const bundle = await this.callTool(client, 'get_component_bundle', { id: 'internal/data-table' });
+            assert.deepEqual(bundle.data.files.map(file => file.path), ['data/DataTable.jsx', 'data/DataTable.css', 'utils/format.js']);
+
+            // ReactBits components keep their IDs and resolve qualified by their namespace too
+            const toaster = await this.callTool(client, 'get_component', { id: 'reactbits/toaster' });
+            assert.equal(toaster.data.id, 'toaster-eedback');
+            assert.equal(toaster.data.namespace, 'reactbits');
+            assert.equal((await this.callTool(client, 'get_component', { id: 'reactbits/data-table' })).success, false);
+
+            const coverage = await this.callTool(client, 'get_catalog_coverage');
+            assert.ok(!coverage.data.categories.some(category => category.extra.some(entry => entry.id.startsWith('internal/'))));
+
+            // Only the changed source is read again, and only the new file is reported
+            const changes = [];
+            dataService.on('catalog-changed', diff => changes.push(diff));
+            await write('data/DataGrid.jsx', 'export default function DataGrid() { return <div />; }\n');
+            await dataService.reload();
+            assert.ok(await dataService.getComponent('internal/data-grid'));
+            assert.deepEqual(changes.map(diff => [diff.added, diff.changed, diff.removed]), [[['internal/data-grid'], [], []]]);
+
+            // A source that cannot tell its revision is read on every load without reporting changes
+            const unversioned = new DirectoryComponentSource({ namespace: 'unversioned', path: join(dir, 'data') }, taxonomy);
+            unversioned.getRevision = async () => null;
+            const unversionedService = new ReactBitsDataService({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false,
+                sources: [unversioned]
+            });
+            const before = await unversionedService.getComponent('unversioned/data-table');
+            unversionedService.on('catalog-changed', diff => changes.push(diff));
+            await unversionedService.reload();
+            assert.deepEqual(await unversionedService.getComponent('unversioned/data-table'), before);
+            assert.equal(changes.length, 1);
+
+            // The same pipeline extracts the react-bits layout
+            await write('src/components/Buttons/GlowButton.jsx', 'export default function GlowButton() { return <button />; }\n');
+            await write('src/components/index.js', 'export {};\n');
+            const reactBits = new ReactBitsComponentSource(new LocalRepositorySource(dir), taxonomy);
+            const extraction = await extractComponents(reactBits);
+            assert.deepEqual(extraction.records.map(record => [record.source.filePath, record.metadata.category, record.metadata.variant]), [
+                ['src/components/Buttons/GlowButton.jsx', 'ui-components', 'js-css']
+            ]);
+            assert.deepEqual(extraction.skipped, [{ file: 'src/components/index.js', reason: "file name matches 'index.'" }]);
+            assert.equal(extraction.records[0].metadata.namespace, 'reactbits');
+
+            // A working tree is versioned by the blob SHAs of its files
+            const revision = await reactBits.getRevision();
+            assert.match(revision, /^tree-[0-9a-f]{40}$/);
+            assert.equal(await reactBits.getRevision(), revision);
+            await write('src/components/Buttons/GlowButton.jsx', 'export default function GlowButton() { return <a />; }\n');
+            assert.notEqual(await reactBits.getRevision(), revision);
+
+            const sourcesFile = join(dir, 'sources.json');
+            await writeFile(sourcesFile, JSON.stringify({ sources: [{ type: 'directory', namespace: 'internal', path: 'data' }] }));
+            assert.deepEqual(loadComponentSources(taxonomy, sourcesFile).map(loaded => loaded.label), [join(dir, 'data')]);
+            await writeFile(sourcesFile, JSON.stringify({ sources: [{ type: 'directory', namespace: 'reactbits', path: 'data' }] }));
+            assert.throws(() => loadComponentSources(taxonomy, sourcesFile), /served from the catalog store/);
+            await writeFile(sourcesFile, JSON.stringify({ sources: [{ type: 'directory', namespace: 'internal', path: 'data', category: 'widgets' }] }));
+            assert.throws(() => loadComponentSources(taxonomy, sourcesFile), /category must be a category/);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testPrometheusMetrics() {
+        const httpServer = new ReactBitsHttpServer({
+            host: '127.0.0.1',
+            port: 0,
+            dataService: new ReactBitsDataService({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            })
+        });
+        const { port } = await httpServer.listen();
+        const baseUrl = `http://127.0.0.1:${port}`;
+        const scrape = async () => {
+            const response = await fetch(`${baseUrl}/metrics`);
+            assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+            return response.text();
+        };
+        const sample = (text, series) => {
+            const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+            return line === undefined ? undefined : Number(line.slice(series.length + 1));
+        };
+
+        try {
+            const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+            const client = new Client({ name: 'metrics-tester', version: '1.0.0' });
+            await client.connect(transport);
+
+            const before = await scrape();
+            const searchesBefore = sample(before, 'reactbits_requests_total{tool="search_components"}') ?? 0;
+            const hitsBefore = sample(before, 'reactbits_cache_hits_total{cache="search"}') ?? 0;
+
+            await this.callTool(client, 'search_components', { query: 'metrics probe' });
+            await this.callTool(client, 'search_components', { query: 'metrics probe' });
+            await assert.rejects(() => client.callTool({ name: 'no_such_tool', arguments: {} }));
+
+            const text = await scrape();
+            assert.equal(sample(text, 'reactbits_requests_total{tool="search_components"}'), searchesBefore + 2);
+            assert.equal(sample(text, 'reactbits_cache_hits_total{cache="search"}'), hitsBefore + 1);
+            assert.ok(sample(text, 'reactbits_errors_total{code="-32601",tool="unknown"}') >= 1);
+            assert.match(text, /^# TYPE reactbits_request_duration_seconds histogram$/m);
+            assert.ok(
+                sample(text, 'reactbits_request_duration_seconds_bucket{le="+Inf",tool="search_components"}') >= 2
+            );
+            assert.ok(sample(text, 'reactbits_request_duration_seconds_avg{tool="search_components"}') >= 0);
+            assert.equal(sample(text, 'reactbits_health_status'), 0);
+            assert.equal(sample(text, 'reactbits_data_service_components_count'), FIXTURE_IDS.length);
+            assert.ok(sample(text, 'reactbits_memory_usage_mb') > 0);
+            assert.ok(sample(text, 'reactbits_cache_hit_rate') > 0);
+            assert.equal(sample(text, 'reactbits_scraper_running'), 0);
+            assert.notEqual(sample(text, 'reactbits_scraper_runs{result="success"}'), undefined);
+
+            // Health reports and the periodic log summary read the same series
+            const summary = summarizeToolCalls();
+            assert.ok(summary.totalCalls >= searchesBefore + 3);
+            assert.ok(summary.averageResponseTime > 0);
+            assert.equal(summary.cacheHitRate, sample(text, 'reactbits_cache_hit_rate'));
+
+            await client.close();
+        } finally {
+            await httpServer.close();
+        }
+    }
+
+    async testQuotas() {
+        const httpServer = new ReactBitsHttpServer({
+            host: '127.0.0.1',
+            port: 0,
+            dataService: new ReactBitsDataService({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            }),
+            quotas: new QuotaManager({
+                windowMs: 60000,
+                costs: DEFAULT_TOOL_COSTS,
+                defaultPolicy: { budget: 6 },
+                clients: { ci: { apiKeys: ['ci-key'], budget: 100, tools: { get_component: 5 } } }
+            })
+        });
+        const { port } = await httpServer.listen();
+        const connect = async (headers = {}) => {
+            const transport = new StreamableHTTPClientTransport(
+                new URL(`http://127.0.0.1:${port}/mcp`),
+                { requestInit: { headers } }
+            );
+            const client = new Client({ name: 'quota-tester', version: '1.0.0' });
+            await client.connect(transport);
+            return client;
+        };
+
+        try {
+            const noisy = await connect();
+            const quiet = await connect();
+            const ci = await connect({ 'X-API-Key': 'ci-key' });
+
+            // Full source costs 5 of the 6 units, a listing 1
+            const component = await this.callTool(noisy, 'get_component', { id: FIXTURE_IDS[0] });
+            assert.equal(component.metadata.quota.cost, 5);
+            assert.equal(component.metadata.quota.remaining, 1);
+            assert.match(component.metadata.quota.client, /^session:/);
+            const categories = await this.callTool(noisy, 'list_categories');
+            assert.equal(categories.metadata.quota.remaining, 0);
+            await assert.rejects(() => noisy.callTool({ name: 'list_categories', arguments: {} }), /Rate limit exceeded/);
+
+            // Other sessions keep their own budget
+            const other = await this.callTool(quiet, 'list_categories');
+            assert.equal(other.metadata.quota.remaining, 5);
+
+            // API-key clients get their configured policy, including per-tool budgets
+            const first = await this.callTool(ci, 'get_component', { id: FIXTURE_IDS[0] });
+            assert.equal(first.metadata.quota.client, 'key:ci');
+            assert.equal(first.metadata.quota.limit, 100);
+            assert.deepEqual(first.metadata.quota.tool, { name: 'get_component', limit: 5, remaining: 0 });
+            await assert.rejects(
+                () => ci.callTool({ name: 'get_component', arguments: { id: FIXTURE_IDS[0], includeCode: false } }),
+                /Rate limit exceeded for key:ci/
+            );
+            const search = await this.callTool(ci, 'search_components', { query: 'text' });
+            assert.equal(search.metadata.quota.remaining, 93);
+
+            await Promise.all([noisy.close(), quiet.close(), ci.close()]);
+
+            // A denied call resets when the charges it was denied over expire, not other tools' charges
+            const realNow = Date.now;
+            let now = 1_000_000;
+            Date.now = () => now;
+            try {
+                const quotas = new QuotaManager({
+                    windowMs: 60000,
+                    costs: DEFAULT_TOOL_COSTS,
+                    defaultPolicy: { budget: 10, tools: { get_component: 5 } },
+                    clients: {}
+                });
+                quotas.consume('local', 'list_categories', 1);
+                now += 30000;
+                quotas.consume('local', 'get_component', 5);
+                now += 1000;
+                const toolDenied = quotas.consume('local', 'get_component', 1);
+                assert.equal(toolDenied.allowed, false);
+                assert.equal(toolDenied.status.resetMs, 59000);
+                const budgetDenied = quotas.consume('local', 'list_categories', 5);
+                assert.equal(budgetDenied.allowed, false);
+                assert.equal(budgetDenied.status.resetMs, 29000);
+                now += 29000;
+                assert.equal(quotas.consume('local', 'list_categories', 5).allowed, true);
+            } finally {
+                Date.now = realNow;
+            }
+        } finally {
+            await httpServer.close();
+        }
+    }
+
+    async testQuotaConfig() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-quota-'));
+        try {
+            const configPath = join(dir, 'quotas.json');
+            await writeFile(configPath, JSON.stringify({
+                windowMs: 30000,
+                costs: { list_categories: 3, get_component: { base: 1, withCode: 10 } },
+                default: { budget: 20, tools: { search_components: 4 } },
+                clients: { team: { apiKeys: ['team-key'], tools: { search_components: 8 } } }
+            }));
+
+            const config = loadQuotaConfig(configPath);
+            assert.equal(config.windowMs, 30000);
+            assert.equal(config.defaultPolicy.budget, 20);
+            assert.equal(config.costs.search_components, DEFAULT_TOOL_COSTS.search_components);
+
+            const quotas = new QuotaManager(config);
+            assert.equal(quotas.getCost('list_categories'), 3);
+            assert.equal(quotas.getCost('get_component', {}), 10);
+            assert.equal(quotas.getCost('get_component', { includeCode: false }), 1);
+            assert.equal(quotas.identify({ sessionId: 'abc', apiKey: 'team-key' }), 'key:team');
+            assert.equal(quotas.identify({ sessionId: 'abc', apiKey: 'unknown' }), 'session:abc');
+            assert.equal(quotas.identify({}), 'local');
+
+            // Client policies inherit the default budget and override tool budgets
+            const { status } = quotas.consume('key:team', 'search_components', 2);
+            assert.equal(status.limit, 20);
+            assert.deepEqual(status.tool, { name: 'search_components', limit: 8, remaining: 6 });
+
+            await writeFile(configPath, JSON.stringify({ default: { budget: -1 } }));
+            assert.throws(() => loadQuotaConfig(configPath), /default\.budget must be a positive number/);
+
+            // An unusable REACTBITS_QUOTA_BUDGET falls back to 600 with a warning
+            const { quotas: quotaSettings } = activeConfig;
+            const savedBudget = quotaSettings.defaultBudget;
+            const realWarn = console.warn;
+            const warnings = [];
+            console.warn = message => warnings.push(message);
+            try {
+                for (const budget of [NaN, 0, -5]) {
+                    quotaSettings.defaultBudget = budget;
+                    assert.equal(loadQuotaConfig('').defaultPolicy.budget, 600);
+                }
+                assert.equal(warnings.length, 3);
+                assert.match(warnings[0], /REACTBITS_QUOTA_BUDGET must be a positive number/);
+            } finally {
+                console.warn = realWarn;
+                quotaSettings.defaultBudget = savedBudget;
+            }
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testRankedSearch(client) {
+        const response = await this.callTool(client, 'search_components', { query: 'animated' });
+        const [hit] = response.data.components;
+
+        assert.equal(hit.id, 'fadecontent-nimations');
+        assert.ok(hit.score > 0);
+        assert.ok(hit.matchedFields.includes('tags'));
+
+        const magnetic = await this.callTool(client, 'search_components', { query: 'magnetic buttons' });
+        assert.equal(magnetic.data.components[0].id, 'magnet-button-ui-component');
+        assert.ok(magnetic.data.components[0].matchedFields.includes('name'));
+
+        const byName = await this.callTool(client, 'search_components', {
+            query: 'component',
+            sortBy: 'name',
+            sortOrder: 'asc'
+        });
+        const names = byName.data.components.map(c => c.name);
+        assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+    }
+
+    testFieldBoosts() {
+        const base = { category: 'misc', tags: [], codePreview: '', dependencies: [], lastUpdated: '', difficulty: 'beginner' };
+        const index = new SearchIndex([
+            { ...base, id: 'a', name: 'Plain Card', description: 'Card with a ripple effect on click' },
+            { ...base, id: 'b', name: 'Ripple', description: 'Click feedback' },
+            { ...base, id: 'c', name: 'Badge', description: 'Status indicator' }
+        ]);
+
+        assert.deepEqual(index.search('ripple').map(hit => hit.component.id), ['b', 'a']);
+        assert.deepEqual(index.search('ripple')[0].matchedFields, ['name']);
+        assert.equal(stem('animation'), stem('animated'));
+        assert.equal(index.search('nothing matches').length, 0);
+    }
+
+    async testGetComponent(client) {
+        const response = await this.callTool(client, 'get_component', { id: 'fadecontent-nimations' });
+
+        assert.equal(response.success, true);
+        assert.equal(response.metadata.dataSource, 'extraction');
+        assert.equal(response.data.category, 'animations');
+        assert.match(response.data.fullCode, /IntersectionObserver/);
+
+        const mock = await this.callTool(client, 'get_component', { id: MOCK_IDS[0] });
+        assert.equal(mock.success, false);
+    }
+
+    async testComponentProps(client) {
+        const fade = await this.callTool(client, 'get_component', { id: 'fadecontent-nimations' });
+        assert.deepEqual(fade.data.props, [
+            { property: 'children', type: 'ReactNode', description: '', required: false },
+            { property: 'duration', type: 'number', default: '1000', description: '', required: false },
+            { property: 'blur', type: 'boolean', default: 'false', description: '', required: false }
+        ]);
+
+        const button = await this.callTool(client, 'get_component', { id: 'magnet-button-ui-component' });
+        assert.deepEqual(button.data.props, [
+            { property: 'label', type: 'string', description: '', required: true },
+            { property: 'strength', type: 'number', default: '2', description: '', required: false }
+        ]);
+    }
+
+    async testValidateProps(client) {
+        const valid = await this.callTool(client, 'validate_props', {
+            id: 'magnet-button-ui-component',
+            props: { label: 'Buy now', strength: 3 }
+        });
+        assert.equal(valid.success, true);
+        assert.deepEqual(valid.data, {
+            id: 'magnet-button-ui-component',
+            variant: 'ts-css',
+            valid: true,
+            typeErrors: [],
+            unknownProps: [],
+            missingRequired: [],
+            forwardsRestProps: false,
+            propsSchema: 'reactbits://component/magnet-button-ui-component/props.schema.json'
+        });
+
+        const invalid = await this.callTool(client, 'validate_props', {
+            id: 'Magnet Button',
+            props: { strength: '3', strenght: 2, magnetic: true }
+        });
+        assert.equal(invalid.data.valid, false);
+        assert.equal(invalid.metadata.resolvedFrom, 'Magnet Button');
+        assert.deepEqual(invalid.data.typeErrors, [{
+            prop: 'strength',
+            expected: 'number',
+            received: 'string',
+            message: 'strength expects number, received string'
+        }]);
+        assert.deepEqual(invalid.data.unknownProps, [{ prop: 'strenght', didYouMean: 'strength' }, { prop: 'magnetic' }]);
+        assert.deepEqual(invalid.data.missingRequired, ['label']);
+
+        const toaster = await this.callTool(client, 'validate_props', {
+            id: 'toaster-eedback',
+            props: { placement: 'top' }
+        });
+        assert.equal(toaster.data.valid, true);
+
+        const missing = await this.callTool(client, 'validate_props', { id: 'tooltip', props: {} });
+        assert.equal(missing.success, false);
+
+        await assert.rejects(
+            () => client.callTool({ name: 'validate_props', arguments: { id: 'toaster-eedback', props: [] } }),
+            /props/
+        );
+    }
+
+    async testVariants(client) {
+        const fade = await this.callTool(client, 'get_component', { id: 'fadecontent-nimations' });
+        assert.equal(fade.data.variant, 'js-css');
+        assert.deepEqual(fade.data.variants, ['js-css', 'ts-tailwind']);
+        assert.equal(fade.data.sourcePath, 'src/components/FadeContent.jsx');
+
+        const typed = await this.callTool(client, 'get_component', { id: 'fadecontent-nimations', variant: 'ts-tailwind' });
+        assert.equal(typed.data.id, 'fadecontent-nimations');
+        assert.equal(typed.data.variant, 'ts-tailwind');
+        assert.equal(typed.data.sourcePath, 'src/ts-tailwind/Animations/FadeContent/FadeContent.tsx');
+        assert.match(typed.data.fullCode, /opacity-100/);
+        assert.deepEqual(typed.data.props.map(prop => prop.property), ['children', 'duration', 'blur', 'className']);
+
+        const missing = await this.callTool(client, 'get_component', { id: 'fadecontent-nimations', variant: 'ts-css' });
+        assert.equal(missing.success, false);
+        assert.deepEqual(missing.metadata.availableVariants, ['js-css', 'ts-tailwind']);
+
+        const animations = await this.callTool(client, 'browse_category', { categoryId: 'animations' });
+        assert.deepEqual(animations.data.components.map(c => c.id), ['fadecontent-nimations']);
+
+        const search = await this.callTool(client, 'search_components', { query: 'fade', variant: 'ts-tailwind' });
+        assert.deepEqual(search.data.components.map(c => c.id), ['fadecontent-nimations']);
+        assert.deepEqual(search.data.components[0].variants, ['js-css', 'ts-tailwind']);
+        const none = await this.callTool(client, 'search_components', { query: 'toaster', variant: 'ts-tailwind' });
+        assert.deepEqual(none.data.components, []);
+
+        const props = { className: 'hero', duration: 500 };
+        const jsProps = await this.callTool(client, 'validate_props', { id: 'fadecontent-nimations', props });
+        const tsProps = await this.callTool(client, 'validate_props', { id: 'fadecontent-nimations', props, variant: 'ts-tailwind' });
+        assert.deepEqual(jsProps.data.unknownProps, [{ prop: 'className' }]);
+        assert.equal(tsProps.data.variant, 'ts-tailwind');
+        assert.equal(tsProps.data.valid, true);
+
+        await assert.rejects(
+            () => client.callTool({ name: 'get_component', arguments: { id: 'fadecontent-nimations', variant: 'tsx' } }),
+            /variant/
+        );
+    }
+
+    async testStylesheets(client) {
+        const toaster = await this.callTool(client, 'get_component', { id: 'toaster-eedback' });
+        assert.deepEqual(toaster.data.stylesheets.map(stylesheet => stylesheet.path), ['src/components/setup/toaster.css']);
+        assert.match(toaster.data.stylesheets[0].content, /\.toaster-bottom-end/);
+        assert.equal(toaster.data.styling.customCSS, toaster.data.stylesheets[0].content);
+
+        const metadata = await client.readResource({ uri: 'reactbits://component/toaster-eedback/metadata.json' });
+        const parsed = JSON.parse(metadata.contents[0].text);
+        assert.equal(parsed.styling?.customCSS, undefined);
+        assert.deepEqual(parsed.stylesheets, [{
+            path: 'src/components/setup/toaster.css',
+            uri: 'reactbits://component/toaster-eedback/styles/toaster.css'
+        }]);
+
+        const stylesheet = await client.readResource({ uri: parsed.stylesheets[0].uri });
+        assert.equal(stylesheet.contents[0].mimeType, 'text/css');
+        assert.equal(stylesheet.contents[0].text, toaster.data.stylesheets[0].content);
+        await assert.rejects(
+            () => client.readResource({ uri: 'reactbits://component/toaster-eedback/styles/missing.css' }),
+            /no stylesheet/
+        );
+
+        const bundle = await this.callTool(client, 'get_component_bundle', { id: 'toaster-eedback' });
+        assert.deepEqual(bundle.data.files.map(file => file.path), [
+            'src/components/setup/toaster.jsx',
+            'src/components/setup/toaster.css'
+        ]);
+        assert.deepEqual(bundle.data.missing, []);
+    }
+
+    async testComponentBundle() {
+        const client = await this.connect({
+            extractionPath: PRODUCTION_EXTRACTION,
+            allowMockFallback: false,
+            enableScraperIntegration: false
+        });
+
+        const bundle = await this.callTool(client, 'get_component_bundle', { id: 'CodeExample' });
+        assert.equal(bundle.success, true);
+        assert.equal(bundle.data.entry, 'src/components/code/CodeExample.jsx');
+        assert.deepEqual(bundle.data.files.map(file => file.path), [
+            'src/components/code/CodeExample.jsx',
+            'src/utils/utils.js',
+            'src/components/code/CodeHighlighter.jsx',
+            'src/components/code/CodeOptions.jsx'
+        ]);
+        assert.match(bundle.data.files[2].content, /SyntaxHighlighter/);
+        assert.deepEqual(bundle.data.npmDependencies, ['@chakra-ui/react', 'react', 'react-syntax-highlighter', 'react-icons']);
+        assert.deepEqual(bundle.data.missing, [{
+            specifier: '../context/LanguageContext/useLanguage',
+            path: null,
+            kind: 'module',
+            importedBy: 'src/components/code/CodeOptions.jsx'
+        }]);
+        assert.equal(bundle.metadata.complete, false);
+
+        // `@/` resolves to src/, and each file is included once
+        const main = await this.callTool(client, 'get_component_bundle', { id: 'main-ui-component' });
+        const paths = main.data.files.map(file => file.path);
+        assert.ok(paths.includes('src/components/setup/provider.jsx'));
+        assert.ok(paths.includes('src/components/setup/color-mode.jsx'));
+        assert.equal(new Set(paths).size, paths.length);
+        assert.ok(main.data.missing.some(entry => entry.kind === 'asset' && entry.specifier.endsWith('.svg')));
+
+        // Node built-ins are not npm dependencies
+        const vite = await this.callTool(client, 'get_component', { id: 'vite.config-ui-component' });
+        assert.deepEqual(vite.data.dependencies, ['@vitejs/plugin-react', '@tailwindcss/vite', 'postcss-safe-parser', 'vite']);
+
+        await client.close();
+    }
+
+    async testComponentKinds() {
+        const client = await this.connect({
+            extractionPath: PRODUCTION_EXTRACTION,
+            allowMockFallback: false,
+            enableScraperIntegration: false
+        });
+
+        const vite = await this.callTool(client, 'get_component', { id: 'vite.config-ui-component' });
+        assert.equal(vite.data.kind, 'config');
+
+        const search = await this.callTool(client, 'search_components', { query: 'config' });
+        assert.ok(!search.data.components.some(c => c.id === 'vite.config-ui-component'));
+        const configs = await this.callTool(client, 'search_components', { query: 'vite config', kind: 'config' });
+        assert.deepEqual(configs.data.components.map(c => c.id), ['vite.config-ui-component']);
+        const hooks = await this.callTool(client, 'search_components', { query: 'use', kind: 'hook' });
+        assert.ok(hooks.data.components.length > 0);
+        assert.ok(hooks.data.components.every(c => c.kind === 'hook'));
+
+        await assert.rejects(
+            () => this.callTool(client, 'search_components', { query: 'config', kind: 'page' }),
+            /kind: Value must be one of/
+        );
+
+        const browse = await this.callTool(client, 'browse_category', { categoryId: 'ui-components' });
+        assert.deepEqual(browse.data.components.map(c => c.id).sort(), [
+            'color-mode-ui-component',
+            'customtheme-ui-component',
+            'provider-ui-component',
+            'useforcererender-ui-component',
+            'usescrollvisibility-ui-component',
+            'usestars-ui-component',
+            'utils-ui-component'
+        ]);
+
+        const categories = await this.callTool(client, 'list_categories');
+        assert.equal(categories.data.find(category => category.id === 'ui-components').componentCount, 7);
+
+        for (let i = 0; i < 10; i++) {
+            const random = await this.callTool(client, 'get_random_component');
+            assert.ok(['component', 'hook', 'utility', 'context'].includes(random.data.kind));
+        }
+
+        await client.close();
+    }
+
+    async testTaxonomy() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-taxonomy-'));
+        try {
+            const taxonomyPath = join(dir, 'taxonomy.json');
+            const taxonomy = {
+                defaultCategory: 'misc',
+                categories: [
+                    {
+                        id: 'animations',
+                        name: 'Animations',
+                        description: 'Moving things',
+                        icon: '✨',
+                        aliases: ['nimations'],
+                        subcategories: [
+                            { id: 'transitions', name: 'Transitions', description: 'Entrance and reveal animations' },
+                            { id: 'cursor-effects', name: 'Cursor Effects', description: 'Pointer effects' }
+                        ]
+                    },
+                    {
+                        id: 'buttons',
+                        name: 'Buttons',
+                        description: 'Clickable things',
+                        aliases: ['button'],
+                        subcategories: [{ id: 'magnetic', name: 'Magnetic', description: 'Pulled toward the pointer' }]
+                    },
+                    { id: 'backgrounds', name: 'Backgrounds', description: 'Behind things' },
+                    { id: 'misc', name: 'Miscellaneous', description: 'Everything else' }
+                ],
+                rules: [
+                    { name: 'fade', category: 'animations', subcategory: 'transitions' },
+                    { path: '^src/components/', name: 'button$', category: 'buttons', subcategory: 'magnetic' }
+                ]
+            };
+            await writeFile(taxonomyPath, JSON.stringify(taxonomy));
+
+            const client = await this.connect({
+                extractionPath: FIXTURE_EXTRACTION,
+                allowMockFallback: false,
+                enableScraperIntegration: false,
+                taxonomyPath
+            });
+
+            // Rules place both fixtures; the toaster's `eedback` is no alias here
+            const categories = await this.callTool(client, 'list_categories');
+            assert.deepEqual(categories.data.map(category => category.id), ['animations', 'buttons', 'misc']);
+            assert.deepEqual(categories.data[0].subcategories, ['transitions', 'cursor-effects']);
+            assert.deepEqual(categories.data[0].aliases, ['nimations']);
+            assert.equal(categories.data[1].icon, '📦');
+
+            const all = await this.callTool(client, 'list_categories', { includeEmpty: true });
+            assert.ok(all.data.some(category => category.id === 'backgrounds' && category.componentCount === 0));
+
+            const subcategories = await this.callTool(client, 'list_categories', { categoryId: 'nimations' });
+            assert.deepEqual(subcategories.data.map(category => [category.id, category.parentId, category.componentCount]), [
+                ['transitions', 'animations', 1]
+            ]);
+            const missing = await this.callTool(client, 'list_categories', { categoryId: 'nope' });
+            assert.equal(missing.success, false);
+
+            const transitions = await this.callTool(client, 'browse_category', {
+                categoryId: 'animations',
+                subcategoryId: 'transitions'
+            });
+            assert.deepEqual(transitions.data.components.map(c => [c.id, c.subcategory]), [['fadecontent-nimations', 'transitions']]);
+            const cursor = await this.callTool(client, 'browse_category', {
+                categoryId: 'animations',
+                subcategoryId: 'cursor-effects'
+            });
+            assert.equal(cursor.success, false);
+
+            const buttons = await this.callTool(client, 'browse_category', { categoryId: 'button' });
+            assert.deepEqual(buttons.data.components.map(c => c.id), ['magnet-button-ui-component']);
+            const search = await this.callTool(client, 'search_components', { query: 'toaster', category: 'misc' });
+            assert.deepEqual(search.data.components.map(c => c.id), ['toaster-eedback']);
+
+            await client.close();
+
+            await writeFile(taxonomyPath, JSON.stringify({
+                ...taxonomy,
+                rules: [{ name: 'fade', category: 'animations', subcategory: 'magnetic' }]
+            }));
+            assert.throws(() => loadTaxonomy(taxonomyPath), /rules\[0\]\.subcategory must be a subcategory of animations/);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testCatalogCoverage() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-coverage-'));
+        try {
+            const extractionPath = join(dir, 'extraction');
+            await cp(FIXTURE_EXTRACTION, extractionPath, { recursive: true });
+            await writeFile(join(extractionPath, 'comprehensive-extraction-report.json'), JSON.stringify({
+                extraction: {
+                    websiteData: {
+                        components: [
+                            { category: 'animations', slug: 'fade-content', url: 'https://reactbits.dev/animations/fade-content' },
+                            { category: 'backgrounds', slug: 'aurora', url: 'https://reactbits.dev/backgrounds/aurora' }
+                        ]
+                    },
+                    errors: [{ component: 'Split Text', file: 'src/TextAnimations/SplitText.jsx', error: 'HTTP 404' }],
+                    skippedFiles: [{ file: 'src/TextAnimations/BlurText.stories.jsx', reason: "file name matches '.stories.'" }]
+                }
+            }));
+
+            const taxonomyPath = join(dir, 'taxonomy.json');
+            const taxonomy = {
+                defaultCategory: 'misc',
+                categories: [
+                    {
+                        id: 'animations',
+                        name: 'Animations',
+                        aliases: ['nimations'],
+                        components: ['fade-content', 'split-text', 'blur-text'],
+                        subcategories: [{ id: 'cursor-effects', name: 'Cursor Effects', components: ['splash-cursor'] }]
+                    },
+                    { id: 'buttons', name: 'Buttons', components: ['magnet-button'] },
+                    { id: 'feedback', name: 'Feedback', aliases: ['eedback'] },
+                    { id: 'backgrounds', name: 'Backgrounds' },
+                    { id: 'misc', name: 'Miscellaneous' }
+                ]
+            };
+            await writeFile(taxonomyPath, JSON.stringify(taxonomy));
+
+            const client = await this.connect({
+                extractionPath,
+                allowMockFallback: false,
+                enableScraperIntegration: false,
+                taxonomyPath
+            });
+
+            // The magnet button lands in misc but still counts for buttons
+            const coverage = await this.callTool(client, 'get_catalog_coverage');
+            assert.equal(coverage.success, true);
+            assert.equal(coverage.data.reportAvailable, true);
+            assert.deepEqual(
+                { ...coverage.data.summary, stale: undefined },
+                { expected: 5, websiteDiscovered: 2, extracted: 3, found: 2, missing: 4, extra: 1, stale: undefined, coveragePercent: 33, complete: false }
+            );
+            assert.equal(coverage.metadata.complete, false);
+
+            const byId = Object.fromEntries(coverage.data.categories.map(category => [category.id, category]));
+            assert.deepEqual(byId.animations.missing.map(entry => [entry.slug, entry.reason]), [
+                ['split-text', 'fetch-failed'],
+                ['blur-text', 'filtered'],
+                ['splash-cursor', 'not-found']
+            ]);
+            assert.equal(byId.animations.missing[0].detail, 'src/TextAnimations/SplitText.jsx: HTTP 404');
+            assert.equal(byId.animations.missing[2].subcategory, 'cursor-effects');
+            assert.deepEqual(byId.backgrounds.missing, [{ slug: 'aurora', expectedBy: ['website'], reason: 'not-found' }]);
+            assert.equal(byId.animations.found, 1);
+            assert.equal(byId.buttons.found, 1);
+            assert.deepEqual(byId.feedback.extra.map(entry => entry.id), ['toaster-eedback']);
+
+            // Fixtures were extracted in 2025, long before the default cutoff
+            assert.equal(coverage.data.summary.stale, 3);
+            const fresh = await this.callTool(client, 'get_catalog_coverage', { staleAfterDays: 3650 });
+            assert.equal(fresh.data.summary.stale, 0);
+
+            const animations = await this.callTool(client, 'get_catalog_coverage', { categoryId: 'nimations' });
+            assert.deepEqual(animations.data.categories.map(category => category.id), ['animations']);
+            const unknown = await this.callTool(client, 'get_catalog_coverage', { categoryId: 'nope' });
+            assert.equal(unknown.success, false);
+
+            await client.close();
+
+            assert.equal(toComponentSlug('FadeContent'), 'fade-content');
+            assert.equal(toComponentSlug('Magnet Button'), 'magnet-button');
+
+            await writeFile(taxonomyPath, JSON.stringify({
+                ...taxonomy,
+                categories: [...taxonomy.categories, { id: 'text', name: 'Text', components: ['split-text'] }]
+            }));
+            assert.throws(() => loadTaxonomy(taxonomyPath), /component 'split-text' is expected more than once/);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testMockFallback() {
+        const service = new ReactBitsDataService({
+            extractionPath: './test-fixtures/does-not-exist',
+            allowMockFallback: true,
+            enableScraperIntegration: false
+        });
+
+        const categories = await service.listCategories();
+        const random = await service.getRandomComponent();
+
+        assert.equal(service.getDataSource(), 'mock');
+        assert.deepEqual(categories.map(c => c.id).sort(), ['buttons', 'cards']);
+        assert.ok(MOCK_IDS.includes(random.id));
+    }
+
+    async testNoFallback() {
+        const service = new ReactBitsDataService({
+            extractionPath: './test-fixtures/does-not-exist',
+            allowMockFallback: false,
+            enableScraperIntegration: false
+        });
+
+        await assert.rejects(() => service.listCategories(), /Failed to load real component data/);
+        assert.equal(service.getDataSource(), 'empty');
+    }
+
+    async testSqliteStore() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-catalog-'));
+
+        try {
+            const { records } = await new FileSystemCatalogStore(FIXTURE_EXTRACTION).load();
+            const sqlite = new SqliteCatalogStore(join(dir, 'catalog.sqlite'));
+            await sqlite.replaceAll(records);
+
+            const service = new ReactBitsDataService({
+                store: sqlite,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            });
+            const feedback = await service.browseCategory('feedback');
+            const component = await service.getComponent('magnet-button-ui-component');
+            const fade = await service.getComponent('fadecontent-nimations');
+
+            assert.equal(service.getDataSource(), 'extraction');
+            assert.equal(service.getHealthStatus().store, 'sqlite');
+            assert.deepEqual(feedback.map(c => c.id), ['toaster-eedback']);
+            assert.equal(component.props.length, 2);
+            assert.deepEqual(fade.variants.map(source => source.variant), ['js-css', 'ts-tailwind']);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testRevisionSkip() {
+        const { records } = await new FileSystemCatalogStore(FIXTURE_EXTRACTION).load();
+        const store = new InMemoryCatalogStore(records);
+        let loads = 0;
+        const load = store.load.bind(store);
+        store.load = () => {
+            loads++;
+            return load();
+        };
+
+        const service = new ReactBitsDataService({
+            store,
+            allowMockFallback: false,
+            enableScraperIntegration: false
+        });
+
+        await service.listCategories();
+        service.invalidateCache();
+        await service.listCategories();
+        assert.equal(loads, 1, 'unchanged revision must not re-read the store');
+
+        await store.replaceAll(records.slice(0, 1));
+        service.invalidateCache();
+        const categories = await service.listCategories();
+        assert.equal(loads, 2);
+        assert.equal(categories.length, 1);
+    }
+
+    async testExtractionSnapshots() {
+        const root = await mkdtemp(join(tmpdir(), 'reactbits-snapshots-'));
+        try {
+            const snapshots = new ExtractionSnapshots(root, 1);
+            const stageFixture = async () => {
+                const staged = await snapshots.stage();
+                await cp(FIXTURE_EXTRACTION, staged.path, { recursive: true });
+                // Stage IDs are timestamps; keep them apart
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return staged;
+            };
+
+            const first = await stageFixture();
+            assert.deepEqual(await snapshots.promote(first), { id: first.id, components: 4, pruned: [] });
+
+            const service = new ReactBitsDataService({
+                extractionPath: root,
+                allowMockFallback: false,
+                enableScraperIntegration: false
+            });
+            assert.equal((await service.listCategories()).length, 3);
+
+            // A staged run with a missing record is refused and nothing changes
+            const broken = await stageFixture();
+            await rm(join(broken.path, 'components', 'eedback'), { recursive: true });
+            await assert.rejects(() => snapshots.promote(broken), /no readable record for Toaster/);
+            await snapshots.discard(broken);
+            assert.equal(await snapshots.current(), first.id);
+
+            // The catalog switches to the next snapshot as a whole
+            const second = await stageFixture();
+            const index = JSON.parse(await readFile(join(second.path, 'component-index.json'), 'utf8'));
+            await writeFile(join(second.path, 'component-index.json'), JSON.stringify(index.filter(entry => entry.category === 'eedback')));
+            await snapshots.promote(second);
+            service.invalidateCache();
+            assert.equal((await service.listCategories()).length, 1);
+
+            assert.equal(await snapshots.rollback(), first.id);
+            service.invalidateCache();
+            assert.equal((await service.listCategories()).length, 3);
+            await assert.rejects(() => snapshots.rollback(), /No snapshot older than/);
+
+            // Only one snapshot besides the current one is kept
+            const third = await stageFixture();
+            assert.deepEqual((await snapshots.promote(third)).pruned, [first.id]);
+            assert.deepEqual((await snapshots.list()).map(snapshot => [snapshot.id, snapshot.current]), [
+                [third.id, true],
+                [second.id, false]
+            ]);
+            assert.deepEqual(await readdir(join(root, 'staging')), []);
+        } finally {
+            await rm(root, { recursive: true, force: true });
+        }
+    }
+
+    async testScraperWorker() {
+        const dir = await mkdtemp(join(tmpdir(), 'reactbits-worker-'));
+        try {
+            const scrapers = {
+                succeed: `export default class {
+                    constructor(options) { this.options = options; }
+                    async extract() {
+                        this.options.onProgress({ phase: 1, phases: 1, title: 'Fake' });
+                        console.log('extracting');
+                        return { pid: process.pid, statistics: { components: { total: 3 }, changes: { added: 1, modified: 0, removed: 0, unchanged: 2 } } };
+                    }
+                }`,
+                hang: `export default class {
+                    constructor(options) { this.options = options; }
+                    extract() {
+                        this.options.onProgress({ phase: 1, phases: 1, title: 'Fake' });
+                        setInterval(() => {}, 1000);
+                        return new Promise((resolve, reject) => { this.reject = reject; });
+                    }
+                    cancel() { this.reject(new Error('Extraction cancelled')); }
+                }`,
+                crash: 'export default class { extract() { process.exit(7); } }',
+                hog: 'export default class { extract() { const hoard = []; for (;;) hoard.push(new Array(100000).fill(hoard.length)); } }'
+            };
+            const integration = {};
+            for (const [name, source] of Object.entries(scrapers)) {
+                await writeFile(join(dir, `${name}.mjs`), source);
+                integration[name] = new ReactBitsScraperIntegration({
+                    enabled: false,
+                    outputDir: dir,
+                    scraperPath: join(dir, `${name}.mjs`),
+                    timeout: 60000,
+                    maxMemoryMb: 32
+                });
+            }
+            const lastError = name => new Promise(resolve => integration[name].once('refresh-error', resolve));
+
+            // Progress and the report come back over IPC from another process
+            const progress = [];
+            integration.succeed.on('refresh-progress', event => progress.push(event));
+            const succeeded = new Promise(resolve => integration.succeed.once('refresh-success', resolve));
+            assert.equal(await integration.succeed.refreshData(), true);
+            const report = await succeeded;
+            assert.notEqual(report.pid, process.pid);
+            assert.deepEqual(progress, [{ phase: 1, phases: 1, title: 'Fake' }]);
+            assert.equal(integration.succeed.getStats().componentsScraped, 3);
+            assert.equal(integration.succeed.isScraperRunning(), false);
+
+            // Cancellation
+            const running = integration.hang.refreshData();
+            await new Promise(resolve => integration.hang.once('refresh-progress', resolve));
+            assert.equal(await integration.hang.refreshData(), false, 'one run at a time');
+            const cancelled = lastError('hang');
+            assert.equal(integration.hang.cancelRefresh(), true);
+            assert.equal(await running, false);
+            assert.match((await cancelled).message, /Scraper run cancelled/);
+            assert.equal(integration.hang.cancelRefresh(), false);
+
+            // Hard timeout
+            integration.hang.updateConfig({ timeout: 300 });
+            const timedOut = lastError('hang');
+            assert.equal(await integration.hang.refreshData(), false);
+            assert.match((await timedOut).message, /timed out after 300ms/);
+
+            // A crash or exhausted heap ends the child, not this process
+            const crashed = lastError('crash');
+            assert.equal(await integration.crash.refreshData(), false);
+            assert.match((await crashed).message, /exit code 7 before reporting a result/);
+
+            const exhausted = lastError('hog');
+            assert.equal(await integration.hog.refreshData(), false);
+            assert.match((await exhausted).message, /heap limit 32 MB/);
+            assert.equal(integration.hog.getStats().failedRuns, 1);
+
+            // A bad source setting is reported when a run starts, not on import
+            const { scraper } = activeConfig;
+            const savedSource = { ...scraper };
+            Object.assign(scraper, { source: 'local', repositoryPath: '' });
+            try {
+                const unconfigured = new ReactBitsScraperIntegration({ scraperPath: join(dir, 'succeed.mjs') });
+                const misconfigured = new Promise(resolve => unconfigured.once('refresh-error', resolve));
+                assert.equal(await unconfigured.refreshData(), false);
+                assert.match((await misconfigured).message, /REACTBITS_REPO_PATH/);
+
+                await unconfigured.start();
+                assert.equal(unconfigured.getConfig().enabled, false);
+                assert.equal(unconfigured.getTimeUntilNextRefresh(), -1);
+            } finally {
+                Object.assign(scraper, savedSource);
+            }
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+}
+
+const tester = new DataServiceTester();
+tester.runTests().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});